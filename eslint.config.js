@@ -27,6 +27,10 @@ export default [
         console: 'readonly',
         AudioContext: 'readonly',
         webkitAudioContext: 'readonly',
+        CompressionStream: 'readonly',
+        DecompressionStream: 'readonly',
+        Response: 'readonly',
+        process: 'readonly',
       }
     },
     rules: {
@@ -23,8 +23,19 @@ const DIST = resolve(ROOT, 'dist');
 // Source files in dependency order (leaves first, entry last)
 const SOURCE_FILES = [
   'src/core/event-bus.js',
+  'src/core/smoothing.js',
+  'src/core/easing.js',
+  'src/core/expression.js',
+  'src/core/random.js',
+  'src/core/parameter-recorder.js',
   'src/core/parameter.js',
+  'src/core/drivers.js',
+  'src/core/blend-tree.js',
+  'src/core/state-tracer.js',
+  'src/core/state-actions.js',
   'src/core/state-machine.js',
+  'src/core/wfl-migrations.js',
+  'src/core/wfl-schema.js',
   'src/core/file-format.js',
   'src/core/streaming.js',
   'src/core/permission.js',
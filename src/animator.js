@@ -6,7 +6,13 @@
 
 import { ParameterSystem } from './core/parameter.js';
 import { StateMachine } from './core/state-machine.js';
+import { BlendTree } from './core/blend-tree.js';
+import { createStateActions, runStateActions } from './core/state-actions.js';
+import { compileExpression } from './core/expression.js';
+import { DriverSystem } from './core/drivers.js';
+import { ParameterClipPlayer, PARAMETER_CLIP_TYPE } from './core/parameter-recorder.js';
 import { WFLFile } from './core/file-format.js';
+import { RESERVED_LAYER_NAMES } from './core/wfl-schema.js';
 import { DragonBonesRigging } from './rigging/dragon-bones.js';
 import { EventTypes, globalEventBus } from './core/event-bus.js';
 import { StreamingState, StreamingAnimationLoader } from './core/streaming.js';
@@ -14,11 +20,31 @@ import { PermissionDialog, PermissionActions, globalPermissionManager } from './
 import { globalSessionStore } from './core/session-store.js';
 import { AudioSync } from './audio-sync.js';
 
+// Face clips play on their own rig layers, masked to the bones the clips
+// key, so a viseme or blink never replaces the body's clip (e.g. the
+// talking loop); indexed by mouthState and eyeState
+const FACE_LAYERS = {
+  mouth: { layer: 'face.mouth', animations: ['mouth_closed', 'mouth_a', 'mouth_e', 'mouth_i', 'mouth_o', 'mouth_u', 'mouth_f'] },
+  eyes: { layer: 'face.eyes', animations: ['eyes_open', 'eyes_closed', 'eyes_half', 'eyes_squint', 'eyes_wide'] }
+};
+
+// WFL parameters every animator has (ranges match the shapes the listeners can play)
+const DEFAULT_PARAMETERS = {
+  mouthState: { type: 'number', value: 0, min: 0, max: 6, step: 1 },
+  headTurn: { type: 'number', value: 0, min: -45, max: 45 },
+  eyeState: { type: 'number', value: 0, min: 0, max: 4, step: 1 },
+  roastTone: { type: 'number', value: 0, min: 0, max: 3 },
+  isTalking: { type: 'boolean', value: false }
+};
+
 export class WFLAnimator {
   constructor(options = {}) {
     // Core systems
     this.parameters = new ParameterSystem();
+    this.drivers = new DriverSystem(this.parameters);
+    this.parameterClips = new ParameterClipPlayer(this.parameters);
     this.stateMachine = null;
+    this.layers = [];               // { name, stateMachine } per layer, updated after the base machine
     this.rigging = new DragonBonesRigging();
     this.file = null;
     this.canvas = null;
@@ -27,12 +53,15 @@ export class WFLAnimator {
     this.lastTime = 0;
     this._paused = false;
     this._speed = 1.0;
+    this._parameterBindings = new Map(); // name -> unsubscribe for the animator's own listeners
+    this.random = options.random || null; // () => number in [0, 1), replaces the machines' own sources
 
     // Sprite-based rendering (fallback when DragonBones not available)
     this.sprites = new Map();       // name -> HTMLImageElement
     this.characterSprite = null;    // Current character base sprite
     this.mouthSprites = [];         // Mouth shape sprites (indexed by mouthState)
     this.eyeSprites = [];           // Eye sprites (indexed by eyeState)
+    this.assetUrls = new Map();     // asset name -> object URL for assets embedded in the file
 
     // Claude-Cowork inspired systems
     this.eventBus = options.eventBus || globalEventBus;
@@ -41,6 +70,14 @@ export class WFLAnimator {
     this.permissions = options.permissionManager || globalPermissionManager;
     this.sessionStore = options.sessionStore || globalSessionStore;
     this.permissionDialog = null;
+    this.parameters.eventBus = this.eventBus;
+    this.parameters.onCommit((changes) => this.emitParameterChanges(changes));
+    this.parameterClips.onComplete = (name) => {
+      this.eventBus.emit({
+        type: EventTypes.ANIMATION_COMPLETE,
+        payload: { animation: name, type: PARAMETER_CLIP_TYPE }
+      });
+    };
 
     // Audio synchronization
     this.audioSync = new AudioSync({
@@ -98,70 +135,85 @@ export class WFLAnimator {
   }
 
   /**
-   * Setup default WFL parameters
+   * Setup default WFL parameters. They are merged in place, so calling
+   * this again resets them without dropping listeners or derived links.
    */
   setupDefaultParameters() {
-    // Number parameters
-    this.parameters.register('mouthState', 'number', 0);
-    this.parameters.register('headTurn', 'number', 0);
-    this.parameters.register('eyeState', 'number', 0);
-    this.parameters.register('roastTone', 'number', 0);
-
-    // Boolean parameters
-    this.parameters.register('isTalking', 'boolean', false);
+    this.parameters.fromJSON(DEFAULT_PARAMETERS);
 
     // Setup parameter listeners to update animations
     this.setupParameterListeners();
   }
 
   /**
-   * Setup listeners for parameter changes
+   * Setup listeners for parameter changes.
+   * Safe to call again (e.g. after load): existing bindings are replaced,
+   * never stacked.
    */
   setupParameterListeners() {
-    // Mouth state -> play mouth animation
-    const mouthParam = this.parameters.get('mouthState');
-    if (mouthParam) {
-      mouthParam.onChange((name, value) => {
-        const mouthAnimations = ['mouth_closed', 'mouth_a', 'mouth_e', 'mouth_i', 'mouth_o', 'mouth_u', 'mouth_f'];
-        if (value >= 0 && value < mouthAnimations.length) {
-          this.rigging.playAnimation(mouthAnimations[value]);
-        }
-        this.emitParameterChange(name, value);
-      });
-    }
+    // Mouth state -> play mouth animation on the mouth layer
+    this.bindParameter('mouthState', (name, value) => {
+      this.playFaceAnimation(FACE_LAYERS.mouth, value);
+      this.emitParameterChange(name, value);
+    });
 
     // Head turn -> rotate head bone
-    const headParam = this.parameters.get('headTurn');
-    if (headParam) {
-      headParam.onChange((name, value) => {
-        this.rigging.setBoneRotation('head', value);
-        this.emitParameterChange(name, value);
-      });
-    }
+    this.bindParameter('headTurn', (name, value) => {
+      this.rigging.setBoneRotation('head', value);
+      this.emitParameterChange(name, value);
+    });
 
-    // Eye state -> play eye animation
-    const eyeParam = this.parameters.get('eyeState');
-    if (eyeParam) {
-      eyeParam.onChange((name, value) => {
-        const eyeAnimations = ['eyes_open', 'eyes_closed', 'eyes_half', 'eyes_squint', 'eyes_wide'];
-        if (value >= 0 && value < eyeAnimations.length) {
-          this.rigging.playAnimation(eyeAnimations[value]);
-        }
-        this.emitParameterChange(name, value);
-      });
-    }
+    // Eye state -> play eye animation on the eye layer
+    this.bindParameter('eyeState', (name, value) => {
+      this.playFaceAnimation(FACE_LAYERS.eyes, value);
+      this.emitParameterChange(name, value);
+    });
 
     // Talking -> play talking animation loop
-    const talkingParam = this.parameters.get('isTalking');
-    if (talkingParam) {
-      talkingParam.onChange((name, value) => {
-        if (value) {
-          this.rigging.playAnimation('talking', -1); // Loop
-        } else {
-          this.rigging.stopAnimation('talking');
-        }
-        this.emitParameterChange(name, value);
-      });
+    this.bindParameter('isTalking', (name, value) => {
+      if (value) {
+        this.rigging.playAnimation('talking', -1); // Loop
+      } else {
+        this.rigging.stopAnimation('talking');
+      }
+      this.emitParameterChange(name, value);
+    });
+  }
+
+  /**
+   * Play the face clip at `index` on its layer (out-of-range indices are ignored)
+   * @param {Object} face - FACE_LAYERS entry
+   * @param {number} index
+   */
+  playFaceAnimation(face, index) {
+    if (index >= 0 && index < face.animations.length) {
+      this.rigging.playAnimation(face.animations[index], -1, { layer: face.layer });
+    }
+  }
+
+  /**
+   * (Re)create the mouth and eye rig layers after every other layer, masked
+   * to the bones their clips key on the loaded armature (none before one is
+   * loaded, so load() calls this again afterwards)
+   */
+  setupFaceLayers() {
+    Object.values(FACE_LAYERS).forEach(({ layer, animations }) => {
+      this.rigging.removeLayer(layer);
+      this.rigging.addLayer(layer, { mask: this.rigging.getAnimationBones(animations) });
+    });
+  }
+
+  /**
+   * Attach the animator's listener to a parameter, replacing any earlier
+   * binding for the same name
+   */
+  bindParameter(name, listener) {
+    this._parameterBindings.get(name)?.();
+    this._parameterBindings.delete(name);
+
+    const param = this.parameters.get(name);
+    if (param) {
+      this._parameterBindings.set(name, param.onChange(listener));
     }
   }
 
@@ -185,9 +237,14 @@ export class WFLAnimator {
   }
 
   /**
-   * Emit parameter change event
+   * Emit parameter change event. Parameters an enabled driver writes change
+   * every frame, so they are neither emitted nor recorded to the session
+   * (listen on the parameter itself to follow them).
    */
   emitParameterChange(name, value) {
+    // Transactions report every change in one event (see emitParameterChanges)
+    if (this.parameters.inTransaction() || this.drivers.isDriving(name)) return;
+
     this.eventBus.emit({
       type: EventTypes.PARAMETER_CHANGE,
       payload: { name, value }
@@ -205,18 +262,55 @@ export class WFLAnimator {
   }
 
   /**
-   * Load WFL file with streaming support
+   * Emit one parameter change event for a committed transaction
+   * (driven parameters are left out, see emitParameterChange)
+   * @param {Object} changes - { name: { value, oldValue } }
+   */
+  emitParameterChanges(changes) {
+    const names = Object.keys(changes).filter(name => !this.drivers.isDriving(name));
+    if (names.length === 0) return;
+    const reported = Object.fromEntries(names.map(name => [name, changes[name]]));
+    this.eventBus.emit({
+      type: EventTypes.PARAMETER_CHANGE,
+      payload: { names, changes: reported }
+    });
+
+    if (this.currentSession) {
+      this.sessionStore.recordMessage(this.currentSession.id, {
+        type: 'parameter_change',
+        names,
+        changes: reported,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Load WFL file with streaming support. Containers (see
+   * WFLBinaryFormat.encodeContainer) also bring their assets: sprite and
+   * texture atlas references are looked up there before falling back to URLs.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean} [options.streaming=true]
+   * @param {HTMLElement} [options.loadingTarget] - Element that shows the loading skeleton
+   * @param {string} [options.missingParameters='keep'] - 'keep' or 'remove' parameters the file does not define
+   * @param {boolean} [options.strict=false] - Refuse files that fail WFLFile.validate() (emits ERROR and throws)
    */
   async load(url, options = {}) {
     const useStreaming = options.streaming !== false;
     const target = options.loadingTarget || this.canvas;
 
+    let file;
+    let machines;
     try {
       if (useStreaming) {
-        this.file = await this.streamingLoader.loadWithStreaming(url, { target });
+        const parse = (bytes) => WFLFile.parseAsync(bytes, { strict: options.strict });
+        file = await this.streamingLoader.loadWithStreaming(url, { target, parse });
       } else {
-        this.file = await WFLFile.load(url);
+        file = await WFLFile.load(url, { strict: options.strict });
       }
+      // Nothing below runs unless every condition, action and driver is valid
+      machines = this.prepareFile(file, options);
     } catch (error) {
       this.eventBus.emit({
         type: EventTypes.ERROR,
@@ -224,22 +318,29 @@ export class WFLAnimator {
       });
       throw error;
     }
-
-    // Load parameters from file
-    if (this.file.parameters) {
-      this.parameters.fromJSON(this.file.parameters);
-      // Re-attach listeners for any new parameters loaded from file
-      this.setupParameterListeners();
-    }
+    this.releaseAssetUrls();
+    this.file = file;
+
+    // Recorded parameter clips replace the previous file's (and stop playback)
+    this.parameterClips.stop();
+    this.parameterClips.clips.clear();
+    Object.entries(this.file.animations || {}).forEach(([name, animation]) => {
+      if (animation?.type === PARAMETER_CLIP_TYPE) {
+        this.parameterClips.addClip(name, animation);
+      }
+    });
 
     // Setup state machine from file
     if (this.file.stateMachine) {
-      this.setupStateMachine(this.file.stateMachine);
+      this.setupStateMachine(this.file.stateMachine, { stateMachine: machines.stateMachine });
     }
+    this.setupLayers(this.file.layers || [], { stateMachines: machines.layers });
 
     // Load bone rigging data if DragonBones factory is available
     if (this.file.bones && this.rigging.factory) {
-      this.rigging.loadArmature(this.file.bones.skeleton, this.file.bones.textureAtlas);
+      const textureAtlas = await this.resolveTextureAtlas(this.file.bones.textureAtlas);
+      this.rigging.loadArmature(this.file.bones.skeleton, textureAtlas);
+      this.setupFaceLayers();
     }
 
     // Load sprite-based character data (fallback rendering)
@@ -250,89 +351,179 @@ export class WFLAnimator {
     return this.file;
   }
 
+  /**
+   * Merge a file's parameters, replace the drivers and build its state
+   * machines, all or nothing: if anything is invalid (e.g. a condition that
+   * does not compile), the parameters roll back with the transaction and the
+   * previous drivers are put back before the error is rethrown. Layers may
+   * not take the face layers' names.
+   * @param {Object} file - Parsed WFL file
+   * @param {Object} [options] - load() options (missingParameters)
+   * @returns {{ stateMachine: StateMachine|null, layers: StateMachine[] }}
+   */
+  prepareFile(file, options = {}) {
+    (file.layers || []).forEach(({ name }) => {
+      if (RESERVED_LAYER_NAMES.includes(name)) {
+        throw new Error(`Layer name "${name}" is reserved for the animator's face layers`);
+      }
+    });
+
+    const previousDrivers = this.drivers.drivers;
+    try {
+      return this.parameters.transaction(() => {
+        // Merged in place, so app listeners survive
+        if (file.parameters) {
+          this.parameters.fromJSON(file.parameters, { missing: options.missingParameters || 'keep' });
+        }
+        // Procedural drivers (blink, breathing, sway) replace the previous file's;
+        // state actions check driver names, so they load first
+        this.drivers.fromJSON(file.drivers || {});
+        return {
+          stateMachine: file.stateMachine ? this.buildStateMachine(file.stateMachine) : null,
+          layers: (file.layers || []).map(data => this.buildStateMachine({ name: data.name, ...data.stateMachine }))
+        };
+      });
+    } catch (error) {
+      this.drivers.drivers = previousDrivers;
+      throw error;
+    } finally {
+      // Bind listeners to parameters the file added (existing bindings are replaced)
+      this.setupParameterListeners();
+    }
+  }
+
   /**
    * Setup state machine from file data
+   * @param {Object} data - State machine JSON
+   * @param {Object} [options]
+   * @param {Object} [options.resume] - captureState() result to resume silently instead of entering the entry state
+   * @param {StateMachine} [options.stateMachine] - Machine already built from data (see prepareFile)
    */
-  setupStateMachine(data) {
-    this.stateMachine = new StateMachine(data.name);
+  setupStateMachine(data, options = {}) {
+    this.stateMachine = options.stateMachine || this.buildStateMachine(data);
     this.stateMachine.eventBus = this.eventBus;
 
-    // Add states
-    Object.entries(data.states).forEach(([name, stateData]) => {
-      this.stateMachine.addState(name, stateData.animations);
-    });
+    // Clip lengths let exitTime be given as a fraction of the state's clip
+    this.stateMachine.getAnimationDuration = (name) => this.rigging.getAnimationDuration(name);
+    this.stateMachine.runActions = (actions, state, moment) => this.runStateActions(actions, state, moment);
+    if (this.random) this.stateMachine.random = this.random;
 
-    // Add transitions
-    Object.entries(data.states).forEach(([name, stateData]) => {
-      stateData.transitions.forEach(transition => {
-        const conditionStr = transition.condition;
-        const condition = this.createConditionFunction(conditionStr);
-        this.stateMachine.addTransition(name, transition.targetState, condition, conditionStr);
-      });
+    // Set entry state (nested machines enter their own entry states)
+    if (options.resume) {
+      this.stateMachine.restoreState(options.resume);
+    } else if (data.entryState) {
+      this.stateMachine.start(data.entryState);
+    }
+
+    // Setup state change callback (timed transitions crossfade the rig)
+    this.stateMachine.onStateChange = this.createStateChangeHandler(this.stateMachine);
+  }
+
+  /**
+   * Setup animation layers from file data, replacing any previous ones.
+   * Each layer runs its own state machine and plays its clips on a rig
+   * layer limited to its bone mask.
+   * @param {Array<Object>} layers - [{ name, mask, blendMode, weight, stateMachine }]
+   * @param {Object} [options]
+   * @param {Object} [options.resume] - Layer name -> captureState() result (see setupStateMachine)
+   * @param {StateMachine[]} [options.stateMachines] - Machines already built from the layers (see prepareFile)
+   */
+  setupLayers(layers, options = {}) {
+    this.clearLayers();
+
+    this.layers = layers.map((data, i) => {
+      this.rigging.addLayer(data.name, { mask: data.mask, blendMode: data.blendMode, weight: data.weight });
+
+      const stateMachine = options.stateMachines?.[i] || this.buildStateMachine({ name: data.name, ...data.stateMachine });
+      stateMachine.eventBus = this.eventBus;
+      stateMachine.getAnimationDuration = (name) => this.rigging.getAnimationDuration(name);
+      stateMachine.runActions = (actions, state, moment) => this.runStateActions(actions, state, moment);
+      if (this.random) stateMachine.random = this.random;
+      const resume = options.resume?.[data.name];
+      if (resume) {
+        stateMachine.restoreState(resume);
+      } else if (data.stateMachine.entryState) {
+        stateMachine.start(data.stateMachine.entryState);
+      }
+      stateMachine.onStateChange = this.createStateChangeHandler(stateMachine, data.name);
+
+      return { name: data.name, stateMachine };
     });
 
-    // Set entry state
-    if (data.entryState) {
-      this.stateMachine.setState(data.entryState);
-    }
+    // Face layers stay on top of the file's layers
+    this.setupFaceLayers();
+  }
+
+  /**
+   * Perform a state's declared actions (the state machines' runActions hook)
+   * @param {Object[]} actions - See core/state-actions.js
+   * @param {string} state - Full path of the state
+   * @param {string} [moment] - 'enter', 'exit' or 'active'
+   */
+  runStateActions(actions, state, moment) {
+    runStateActions(actions, {
+      parameters: this.parameters,
+      eventBus: this.eventBus,
+      audioSync: this.audioSync,
+      drivers: this.drivers
+    }, state, moment);
+  }
+
+  /**
+   * Remove all animation layers and their rig layers
+   */
+  clearLayers() {
+    this.layers.forEach(layer => this.rigging.removeLayer(layer.name));
+    this.layers = [];
+  }
 
-    // Setup state change callback
-    this.stateMachine.onStateChange = (newState, oldState) => {
-      const animations = this.stateMachine.getCurrentAnimations();
+  /**
+   * Change an animation layer's weight (0-1)
+   */
+  setLayerWeight(name, weight) {
+    this.rigging.setLayerWeight(name, weight);
+  }
+
+  /**
+   * Build the onStateChange hook that plays a machine's clips on the rig
+   * @param {StateMachine} stateMachine
+   * @param {string} [layer] - Rig layer to play on (default: base playback)
+   */
+  createStateChangeHandler(stateMachine, layer) {
+    return (newState, oldState, transition = {}) => {
+      const { duration = 0, easing } = transition;
+      const animations = stateMachine.getCurrentAnimations();
       animations.forEach(anim => {
-        this.rigging.playAnimation(anim);
+        if (duration > 0) {
+          this.rigging.crossfadeAnimation(anim, duration, { easing, layer });
+        } else {
+          this.rigging.playAnimation(anim, -1, { layer });
+        }
       });
 
       this.eventBus.emit({
         type: EventTypes.STATE_CHANGE,
-        payload: { newState, oldState, animations }
+        payload: { newState, oldState, animations, duration, ...(layer && { layer }) }
       });
     };
   }
 
   /**
-   * Create condition function from condition string
-   * Supports: parameter comparisons (e.g. "isTalking === true", "mouthState > 3")
-   * Supports: logical operators (&& ||)
+   * Compile a condition string into a transition condition
+   * (see core/expression.js for the language: comparisons, && || !,
+   * arithmetic, abs/min/max/between/stateTime/normalizedTime)
+   * @throws {ExpressionError} at load time for syntax errors, unknown
+   *   parameters or unknown enum labels, with the character position
    */
   createConditionFunction(conditionStr) {
     if (!conditionStr || typeof conditionStr !== 'string' || conditionStr === '[function]') {
       return () => false;
     }
 
-    // Parse the condition into a safe evaluator
-    // Supported operators: ===, !==, ==, !=, >, <, >=, <=, &&, ||, !
-    return (parameters) => {
-      try {
-        // Replace parameter names with their actual values
-        let expr = conditionStr;
-
-        // Get all registered parameter names, sorted longest-first to avoid partial matches
-        const paramNames = parameters.getAll()
-          .map(p => p.name)
-          .sort((a, b) => b.length - a.length);
-
-        for (const name of paramNames) {
-          const param = parameters.get(name);
-          if (!param) continue;
-          const value = param.get();
-          const replacement = typeof value === 'string' ? `"${value}"` : String(value);
-          // Use word boundary matching to avoid partial replacements
-          expr = expr.replace(new RegExp(`\\b${name}\\b`, 'g'), replacement);
-        }
-
-        // Validate: only allow safe characters (numbers, booleans, operators, whitespace, parens)
-        const safePattern = /^[\d\s.+\-*/<>=!&|()true false"null]+$/;
-        if (!safePattern.test(expr)) {
-          return false;
-        }
-
-        // Evaluate the safe expression
-        return Boolean(new Function(`return (${expr});`)());
-      } catch (_e) {
-        return false;
-      }
-    };
+    const evaluate = compileExpression(conditionStr, { parameters: this.parameters });
+    const condition = (parameters, context) => Boolean(evaluate(parameters, context));
+    condition.identifiers = evaluate.identifiers;
+    return condition;
   }
 
   /**
@@ -367,10 +558,21 @@ export class WFLAnimator {
 
       const deltaTime = rawDelta * this._speed;
 
-      // Update state machine
-      if (this.stateMachine) {
-        this.stateMachine.update(this.parameters);
-      }
+      // Advance procedural drivers and parameter clips, then move smoothed
+      // parameters toward their targets
+      this.drivers.update(deltaTime);
+      this.parameterClips.update(deltaTime);
+      this.parameters.update(deltaTime);
+
+      // Update state machines; a trigger one of them consumes stays fired
+      // until all have updated, so base and layer transitions can share it
+      this.parameters.deferConsume(() => {
+        this.stateMachine?.update(this.parameters, deltaTime);
+        this.layers.forEach(layer => layer.stateMachine.update(this.parameters, deltaTime));
+      });
+
+      // Blend tree weights follow their parameters every frame
+      this.updateBlendTrees();
 
       // Update rigging
       this.rigging.update(deltaTime);
@@ -387,6 +589,9 @@ export class WFLAnimator {
       // Render
       this.render();
 
+      // Triggers nothing consumed this frame do not carry over
+      this.parameters.consumeTriggers();
+
       this.animationFrame = requestAnimationFrame(animate);
     };
 
@@ -425,12 +630,90 @@ export class WFLAnimator {
     }
   }
 
+  /**
+   * Build a state machine (and the child machines of its states) from file data
+   * @param {Object} data - { name, states, anyState, entryState, seed }
+   * @returns {StateMachine}
+   */
+  buildStateMachine(data) {
+    const machine = new StateMachine(data.name);
+
+    // Add states
+    Object.entries(data.states).forEach(([name, stateData]) => {
+      const stateMachine = stateData.stateMachine
+        ? this.buildStateMachine({ name, ...stateData.stateMachine })
+        : undefined;
+      const blendTree = stateData.blendTree ? this.createBlendTree(name, stateData.blendTree) : undefined;
+      const actions = stateData.actions
+        ? createStateActions(name, stateData.actions, { parameters: this.parameters, drivers: this.drivers })
+        : undefined;
+      machine.addState(name, stateData.animations, { minDuration: stateData.minDuration, stateMachine, blendTree, actions });
+    });
+
+    // Add transitions
+    const timing = (transition) => ({
+      duration: transition.duration,
+      easing: transition.easing,
+      exitTime: transition.exitTime,
+      priority: transition.priority,
+      cooldown: transition.cooldown
+    });
+
+    Object.entries(data.states).forEach(([name, stateData]) => {
+      stateData.transitions.forEach(transition => {
+        const conditionStr = transition.condition;
+        const condition = this.createConditionFunction(conditionStr);
+        machine.addTransition(name, transition.targets ?? transition.targetState, condition, conditionStr, timing(transition));
+      });
+    });
+
+    // Transitions checked from every state before its own
+    (data.anyState || []).forEach(transition => {
+      const conditionStr = transition.condition;
+      const condition = this.createConditionFunction(conditionStr);
+      machine.addAnyStateTransition(transition.targets ?? transition.targetState, condition, conditionStr, timing(transition));
+    });
+
+    if (data.entryState) {
+      machine.setEntryState(data.entryState);
+    }
+
+    if (data.seed !== undefined) {
+      machine.setRandomSeed(data.seed);
+    }
+
+    return machine;
+  }
+
+  /**
+   * Build a state's blend tree and register its blend clip on the rig
+   * @param {string} stateName - Default clip name
+   * @param {Object} data - { name, type, parameter | parameters, motions }
+   * @returns {BlendTree}
+   * @throws {Error} for invalid trees or parameters that are missing or not numbers
+   */
+  createBlendTree(stateName, data) {
+    const blendTree = new BlendTree({ name: stateName, ...data }, { parameters: this.parameters });
+    this.rigging.addBlendClip(blendTree.name, blendTree.animations);
+    return blendTree;
+  }
+
+  /**
+   * Push the weights of every active blend tree to the rig
+   */
+  updateBlendTrees() {
+    const machines = [this.stateMachine, ...this.layers.map(layer => layer.stateMachine)];
+    machines.forEach(machine => machine?.getActiveBlendTrees().forEach(blendTree => {
+      this.rigging.setBlendWeights(blendTree.name, blendTree.computeWeights(this.parameters));
+    }));
+  }
+
   /**
    * Draw current state machine state as debug overlay
    */
   drawStateOverlay() {
     const ctx = this.context;
-    const state = this.stateMachine.currentState.name;
+    const state = this.stateMachine.getCurrentState();
 
     ctx.save();
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
@@ -493,7 +776,7 @@ export class WFLAnimator {
         const img = new Image();
         img.onload = () => resolve(img);
         img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
-        img.src = src;
+        img.src = this.resolveAssetUrl(src);
       });
     };
 
@@ -544,10 +827,85 @@ export class WFLAnimator {
         resolve(img);
       };
       img.onerror = () => reject(new Error(`Failed to load sprite: ${src}`));
-      img.src = src;
+      img.src = this.resolveAssetUrl(src);
     });
   }
 
+  // ─────────────────────────────────────────────────────────────────
+  // Embedded Assets
+  // ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Asset embedded in the loaded container
+   * @param {string} name - Reference used by the file, e.g. "sprites/base.png"
+   * @returns {Object|null} { type, name, mimeType, data }
+   */
+  getAsset(name) {
+    return this.file?.assets?.get(name) || null;
+  }
+
+  /**
+   * URL for an asset reference: an object URL for assets embedded in the
+   * loaded container, otherwise the reference itself. Also works for audio,
+   * e.g. audioSync.loadAudio(animator.resolveAssetUrl('voice/roast.mp3'))
+   * @param {string} ref
+   * @returns {string}
+   */
+  resolveAssetUrl(ref) {
+    const asset = this.getAsset(ref);
+    if (!asset) return ref;
+
+    if (!this.assetUrls.has(ref)) {
+      const body = asset.data instanceof Uint8Array ? asset.data : JSON.stringify(asset.data);
+      this.assetUrls.set(ref, URL.createObjectURL(new Blob([body], { type: asset.mimeType })));
+    }
+    return this.assetUrls.get(ref);
+  }
+
+  /**
+   * Texture atlas for the rig. A name is looked up in the container (an
+   * embedded image counts as the atlas image), then fetched as JSON; the
+   * atlas imagePath resolves the same way.
+   * @param {Object|string|null} atlas - bones.textureAtlas
+   * @returns {Promise<Object|null>} null when it cannot be loaded (emits ERROR)
+   */
+  async resolveTextureAtlas(atlas) {
+    try {
+      let data = atlas;
+      if (typeof atlas === 'string') {
+        const asset = this.getAsset(atlas);
+        if (asset) {
+          data = asset.data instanceof Uint8Array ? { imagePath: atlas } : asset.data;
+        } else {
+          const response = await fetch(atlas);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+          }
+          data = await response.json();
+        }
+      }
+
+      if (data && typeof data.imagePath === 'string') {
+        return { ...data, imagePath: this.resolveAssetUrl(data.imagePath) };
+      }
+      return data || null;
+    } catch (error) {
+      this.eventBus.emit({
+        type: EventTypes.ERROR,
+        payload: { message: `Failed to load texture atlas: ${error.message}`, error }
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Revoke the object URLs handed out by resolveAssetUrl()
+   */
+  releaseAssetUrls() {
+    this.assetUrls.forEach(url => URL.revokeObjectURL(url));
+    this.assetUrls.clear();
+  }
+
   /**
    * Render sprites to canvas (composites base + mouth + eyes)
    */
@@ -645,25 +1003,57 @@ export class WFLAnimator {
   }
 
   /**
-   * Create state snapshot
+   * Create state snapshot: definitions (parameters, state machines, layers)
+   * plus the runtime state needed to resume the exact frame
    */
   createSnapshot() {
     return {
-      parameters: this.parameters.toJSON(),
+      parameters: this.parameters.toJSON({ runtime: true }),
       stateMachine: this.stateMachine?.toJSON() || null,
+      layers: this.layers.map(({ name, stateMachine }) => ({
+        name,
+        ...this.rigging.layers.get(name),
+        stateMachine: stateMachine.toJSON()
+      })),
+      runtime: {
+        stateMachine: this.stateMachine?.captureState() ?? null,
+        layers: Object.fromEntries(this.layers.map(({ name, stateMachine }) => [name, stateMachine.captureState()])),
+        rigging: this.rigging.captureState(),
+        audio: this.audioSync.captureState(),
+        drivers: this.drivers.captureState(),
+        parameterClips: this.parameterClips.captureState()
+      },
       timestamp: Date.now()
     };
   }
 
   /**
-   * Restore from snapshot
+   * Restore from snapshot. With a runtime section the machines resume their
+   * saved states without firing enter actions or events, and the rig and
+   * audio pick up where they were; older snapshots enter the entry states.
    */
   async restoreFromSnapshot(snapshot) {
+    const runtime = snapshot.runtime;
     if (snapshot.parameters) {
       this.parameters.fromJSON(snapshot.parameters);
     }
     if (snapshot.stateMachine) {
-      this.setupStateMachine(snapshot.stateMachine);
+      this.setupStateMachine(snapshot.stateMachine, { resume: runtime?.stateMachine });
+    }
+    if (snapshot.layers) {
+      this.setupLayers(snapshot.layers, { resume: runtime?.layers });
+    }
+    if (runtime?.rigging) {
+      this.rigging.restoreState(runtime.rigging);
+    }
+    if (runtime?.drivers) {
+      this.drivers.restoreState(runtime.drivers);
+    }
+    if (runtime?.parameterClips) {
+      this.parameterClips.restoreState(runtime.parameterClips);
+    }
+    if (runtime?.audio) {
+      await this.audioSync.restoreState(runtime.audio);
     }
   }
 
@@ -737,11 +1127,37 @@ export class WFLAnimator {
   }
 
   /**
-   * Get the current state machine state name
-   * @returns {string|null} Current state name, or null if no state machine
+   * Get the current state machine state, as a path for nested states (e.g. "roasting/windup")
+   * @param {string} [layer] - Layer to query instead of the base state machine
+   * @returns {string|null} Current state path, or null if no state machine
    */
-  getCurrentState() {
-    return this.stateMachine?.currentState?.name || null;
+  getCurrentState(layer) {
+    const stateMachine = layer
+      ? this.layers.find(entry => entry.name === layer)?.stateMachine
+      : this.stateMachine;
+    return stateMachine?.getCurrentState() || null;
+  }
+
+  /**
+   * Validate the base and layer state machines against the loaded file,
+   * the registered parameters and the armature's clips
+   * @returns {{ valid: boolean, issues: Object[] }} Issues of every machine, with file paths
+   */
+  validateStateMachines() {
+    const options = {
+      file: this.file,
+      parameters: this.parameters,
+      drivers: this.drivers,
+      animations: this.rigging.armature ? [...this.rigging.armature.animations.keys()] : []
+    };
+    const results = [
+      ...(this.stateMachine ? [this.stateMachine.validate(options)] : []),
+      ...this.layers.map((layer, i) => layer.stateMachine.validate({ ...options, path: `layers[${i}].stateMachine` }))
+    ];
+    return {
+      valid: results.every(result => result.valid),
+      issues: results.flatMap(result => result.issues)
+    };
   }
 
   // ─────────────────────────────────────────────────────────────────
@@ -768,6 +1184,60 @@ export class WFLAnimator {
     this.parameters.set('isTalking', talking);
   }
 
+  /**
+   * Fire a trigger parameter (e.g. 'laugh', 'flinch')
+   * @returns {boolean} false if no parameter has this name
+   */
+  fire(name) {
+    return this.parameters.fire(name);
+  }
+
+  // ─────────────────────────────────────────────────────────────────
+  // Parameter recording
+  // ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Start recording parameter changes (e.g. while performing with sliders)
+   * @param {string[]} [names] - Parameters to record (default: every non-derived parameter)
+   * @returns {ParameterRecorder} Call stop() then saveParameterClip(name, recorder.toClip())
+   */
+  recordParameters(names) {
+    return this.parameters.record(names);
+  }
+
+  /**
+   * Store a baked parameter clip in the file's `animations` section so it
+   * is saved with the .wfl, and make it playable
+   */
+  saveParameterClip(name, clip) {
+    this.parameterClips.addClip(name, clip);
+    if (!this.file) {
+      this.file = new WFLFile();
+    }
+    if (!this.file.animations) {
+      this.file.animations = {};
+    }
+    this.file.animations[name] = clip;
+  }
+
+  /**
+   * Play a parameter clip through the animation loop
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.loop=false]
+   * @returns {boolean} false if no parameter clip has this name
+   */
+  playParameterClip(name, options = {}) {
+    return this.parameterClips.play(name, options);
+  }
+
+  /**
+   * Stop a parameter clip, or every clip when name is omitted
+   */
+  stopParameterClip(name) {
+    this.parameterClips.stop(name);
+  }
+
   // ─────────────────────────────────────────────────────────────────
   // Operations requiring permission
   // ─────────────────────────────────────────────────────────────────
@@ -782,7 +1252,8 @@ export class WFLAnimator {
     );
 
     if (result.behavior === 'allow') {
-      this.setupDefaultParameters();
+      // Merged in place: listeners and derived links stay attached
+      this.parameters.fromJSON({ ...DEFAULT_PARAMETERS, ...this.file?.parameters });
       return true;
     }
     return false;
@@ -801,6 +1272,7 @@ export class WFLAnimator {
       if (this.stateMachine) {
         this.stateMachine.reset();
       }
+      this.layers.forEach(layer => layer.stateMachine.reset());
       return true;
     }
     return false;
@@ -817,6 +1289,10 @@ export class WFLAnimator {
 
     if (result.behavior === 'allow') {
       this.stateMachine = null;
+      this.clearLayers();
+      this.drivers.clear();
+      this.parameterClips.stop();
+      this.parameterClips.clips.clear();
       this.setupDefaultParameters();
       this.file = null;
       return true;
@@ -844,6 +1320,7 @@ export class WFLAnimator {
 
     // Dispose audio sync
     this.audioSync.dispose();
+    this.releaseAssetUrls();
 
     this.eventBus.emit({
       type: EventTypes.ANIMATION_STOP,
@@ -858,6 +1335,7 @@ export class WFLAnimator {
     this.context = null;
     this.file = null;
     this.stateMachine = null;
+    this.layers = [];
     this.sprites.clear();
     this.characterSprite = null;
     this.mouthSprites = [];
@@ -868,6 +1346,8 @@ export class WFLAnimator {
 // Re-export modules for direct access
 export { AudioSync } from './audio-sync.js';
 export { EventBus, EventTypes, globalEventBus } from './core/event-bus.js';
+export { ExpressionError, compileExpression } from './core/expression.js';
+export { BlendTree, BLEND_TREE_TYPES } from './core/blend-tree.js';
 export { StreamingState, StreamingAnimationLoader } from './core/streaming.js';
 export { PermissionManager, PermissionDialog, PermissionActions, globalPermissionManager } from './core/permission.js';
 export { SessionStore, globalSessionStore } from './core/session-store.js';
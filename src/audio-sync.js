@@ -30,6 +30,7 @@ export class AudioSync {
     this._duration = 0;
     this._volume = 1;
     this._playbackStartWall = 0; // wall-clock time when playback started
+    this._url = null; // last loaded URL, kept for snapshots
 
     // Web Audio API objects (browser only)
     this._audioContext = null;
@@ -68,6 +69,7 @@ export class AudioSync {
    * @returns {Promise<void>}
    */
   async loadAudio(url) {
+    this._url = url;
     if (this._useWebAudio) {
       const ContextClass = typeof AudioContext !== 'undefined'
         ? AudioContext
@@ -178,6 +180,49 @@ export class AudioSync {
     }
   }
 
+  // ─────────────────────────────────────────────────────────────────
+  // Snapshots
+  // ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Playback position, fired markers and current viseme, as JSON.
+   * @returns {{url: string|null, time: number, isPlaying: boolean, volume: number,
+   *   firedMarkers: string[], viseme: string|null}}
+   */
+  captureState() {
+    return {
+      url: this._url,
+      time: this.currentTime,
+      isPlaying: this._isPlaying,
+      volume: this._volume,
+      firedMarkers: [...this._firedMarkers],
+      viseme: this._lastViseme
+    };
+  }
+
+  /**
+   * Resume from captureState(), loading its URL first when a different
+   * clip is loaded. Markers already fired do not fire again.
+   * @param {Object} state
+   * @returns {Promise<void>}
+   */
+  async restoreState(state) {
+    if (state.url && state.url !== this._url) {
+      await this.loadAudio(state.url);
+    }
+
+    this._stopSourceNode();
+    this._isPlaying = false;
+    this._currentTime = state.time;
+    this.volume = state.volume;
+    this._firedMarkers = new Set(state.firedMarkers);
+    this._lastViseme = state.viseme;
+
+    if (state.isPlaying) {
+      this.play();
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────
   // Properties
   // ─────────────────────────────────────────────────────────────────
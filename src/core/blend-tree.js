@@ -0,0 +1,218 @@
+/**
+ * Blend Trees - Motion weights from one or two number parameters
+ *
+ * A blend-tree state plays several posed clips at once, weighted by where
+ * its parameters sit among the clips' positions. The rig samples the
+ * weighted clips as one blend clip named after the tree.
+ *
+ * Types:
+ *   1d         Linear between the two nearest thresholds, clamped at the ends
+ *   freeform   Scattered 2D positions, gradient band interpolation
+ *   cartesian  2D positions on a full grid, bilinear interpolation
+ */
+
+export const BLEND_TREE_TYPES = ['1d', 'freeform', 'cartesian'];
+
+export class BlendTree {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.name - Name of the blend clip played on the rig
+   * @param {string} definition.type - '1d', 'freeform' or 'cartesian'
+   * @param {string} [definition.parameter] - Number parameter (1d)
+   * @param {string[]} [definition.parameters] - [x, y] number parameters (2D)
+   * @param {Object[]} definition.motions - [{ animation, threshold }] (1d) or [{ animation, position: [x, y] }] (2D)
+   * @param {Object} [options]
+   * @param {ParameterSystem} [options.parameters] - Checks that the parameters exist and are numbers
+   */
+  constructor(definition, options = {}) {
+    const { name, type, motions } = definition;
+    if (!BLEND_TREE_TYPES.includes(type)) {
+      throw new Error(`Invalid blend tree type for "${name}": ${type}. Must be one of: ${BLEND_TREE_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(motions) || motions.length === 0) {
+      throw new Error(`Blend tree "${name}" needs at least one motion`);
+    }
+
+    this.name = name;
+    this.type = type;
+    this.parameters = type === '1d' ? [definition.parameter] : [...(definition.parameters || [])];
+    if (this.parameters.length !== (type === '1d' ? 1 : 2) || this.parameters.some(p => !p)) {
+      throw new Error(`Blend tree "${name}" (${type}) needs ${type === '1d' ? 'a parameter' : 'two parameters'}`);
+    }
+
+    this.motions = motions.map(motion => {
+      const position = type === '1d' ? [motion.threshold] : motion.position;
+      if (!motion.animation || !Array.isArray(position) || !position.every(Number.isFinite) ||
+          position.length !== this.parameters.length) {
+        throw new Error(`Invalid motion in blend tree "${name}": ${JSON.stringify(motion)}`);
+      }
+      return { animation: motion.animation, position: [...position] };
+    });
+
+    if (type === 'cartesian') {
+      this.grid = buildGrid(this.motions.map(m => m.position));
+      if (!this.grid) {
+        throw new Error(`Blend tree "${name}" (cartesian) needs one motion at every x/y combination of its positions`);
+      }
+    }
+
+    if (options.parameters) {
+      for (const parameter of this.parameters) {
+        const param = options.parameters.get(parameter);
+        if (!param) {
+          throw new Error(`Blend tree "${name}" reads unknown parameter "${parameter}"`);
+        }
+        if (param.type !== 'number') {
+          throw new Error(`Blend tree "${name}" needs a number parameter, but "${parameter}" is ${param.type}`);
+        }
+      }
+    }
+  }
+
+  /** Animation names in motion order. */
+  get animations() {
+    return this.motions.map(m => m.animation);
+  }
+
+  /**
+   * Motion weights (summing to 1) for a point in parameter space.
+   * @param {number[]} point - One value (1d) or [x, y]
+   * @returns {number[]} Weights in motion order
+   */
+  getWeights(point) {
+    const positions = this.motions.map(m => m.position);
+    switch (this.type) {
+      case '1d': return blend1D(point[0], positions.map(p => p[0]));
+      case 'freeform': return blendFreeform(point, positions);
+      default: return blendCartesian(point, positions, this.grid);
+    }
+  }
+
+  /**
+   * Motion weights from the current parameter values (missing read as 0).
+   * @param {ParameterSystem} parameters
+   * @returns {number[]}
+   */
+  computeWeights(parameters) {
+    return this.getWeights(this.parameters.map(name => Number(parameters.get(name)?.get()) || 0));
+  }
+
+  /**
+   * Export to JSON (the shape the constructor accepts)
+   */
+  toJSON() {
+    const is1D = this.type === '1d';
+    return {
+      name: this.name,
+      type: this.type,
+      ...(is1D ? { parameter: this.parameters[0] } : { parameters: [...this.parameters] }),
+      motions: this.motions.map(m => (is1D
+        ? { animation: m.animation, threshold: m.position[0] }
+        : { animation: m.animation, position: [...m.position] }))
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Weight functions
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Where a value falls between sorted stops: the lower stop's index and
+ * the fraction towards the next one (clamped to the ends).
+ * @returns {{ index: number, t: number }}
+ */
+function locateBetween(value, stops) {
+  if (stops.length === 1 || value <= stops[0]) return { index: 0, t: 0 };
+  const last = stops.length - 1;
+  if (value >= stops[last]) return { index: last - 1, t: 1 };
+  let index = 0;
+  while (value > stops[index + 1]) index++;
+  return { index, t: (value - stops[index]) / (stops[index + 1] - stops[index]) };
+}
+
+/**
+ * 1D weights: linear between the two thresholds around the value.
+ * @param {number} value
+ * @param {number[]} thresholds - One per motion, any order
+ * @returns {number[]}
+ */
+export function blend1D(value, thresholds) {
+  const order = thresholds.map((_, i) => i).sort((a, b) => thresholds[a] - thresholds[b]);
+  const { index, t } = locateBetween(value, order.map(i => thresholds[i]));
+  const weights = thresholds.map(() => 0);
+  if (order.length === 1 || t === 0) {
+    weights[order[index]] = 1;
+  } else {
+    weights[order[index]] = 1 - t;
+    weights[order[index + 1]] += t;
+  }
+  return weights;
+}
+
+/**
+ * 2D freeform weights by gradient band interpolation: each motion's
+ * influence falls to 0 on the way to every other motion.
+ * @param {number[]} point - [x, y]
+ * @param {number[][]} positions - One [x, y] per motion
+ * @returns {number[]}
+ */
+export function blendFreeform(point, positions) {
+  const raw = positions.map((pi, i) => {
+    let influence = 1;
+    positions.forEach((pj, j) => {
+      if (i === j) return;
+      const dx = pj[0] - pi[0];
+      const dy = pj[1] - pi[1];
+      const lengthSq = dx * dx + dy * dy;
+      if (lengthSq === 0) return;
+      const along = ((point[0] - pi[0]) * dx + (point[1] - pi[1]) * dy) / lengthSq;
+      influence = Math.min(influence, 1 - along);
+    });
+    return Math.max(0, influence);
+  });
+
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  if (total > 0) return raw.map(w => w / total);
+
+  // Outside every band: snap to the nearest motion
+  const distances = positions.map(p => Math.hypot(point[0] - p[0], point[1] - p[1]));
+  const nearest = distances.indexOf(Math.min(...distances));
+  return positions.map((_, i) => (i === nearest ? 1 : 0));
+}
+
+/**
+ * 2D cartesian weights: bilinear between the four grid motions around
+ * the point (clamped to the grid).
+ * @param {number[]} point - [x, y]
+ * @param {number[][]} positions - One [x, y] per motion
+ * @param {Object} [grid] - From buildGrid (computed when omitted)
+ * @returns {number[]}
+ */
+export function blendCartesian(point, positions, grid = buildGrid(positions)) {
+  const x = locateBetween(point[0], grid.xs);
+  const y = locateBetween(point[1], grid.ys);
+  const weights = positions.map(() => 0);
+  const corner = (ix, iy, w) => {
+    if (w > 0) weights[grid.cells.get(`${grid.xs[ix]},${grid.ys[iy]}`)] += w;
+  };
+  const nextX = Math.min(x.index + 1, grid.xs.length - 1);
+  const nextY = Math.min(y.index + 1, grid.ys.length - 1);
+  corner(x.index, y.index, (1 - x.t) * (1 - y.t));
+  corner(nextX, y.index, x.t * (1 - y.t));
+  corner(x.index, nextY, (1 - x.t) * y.t);
+  corner(nextX, nextY, x.t * y.t);
+  return weights;
+}
+
+/**
+ * Sorted grid axes and a position -> motion index lookup, or null when
+ * the positions do not fill every x/y combination exactly once.
+ */
+function buildGrid(positions) {
+  const xs = [...new Set(positions.map(p => p[0]))].sort((a, b) => a - b);
+  const ys = [...new Set(positions.map(p => p[1]))].sort((a, b) => a - b);
+  const cells = new Map(positions.map((p, i) => [`${p[0]},${p[1]}`, i]));
+  if (cells.size !== positions.length || cells.size !== xs.length * ys.length) return null;
+  return { xs, ys, cells };
+}
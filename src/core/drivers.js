@@ -0,0 +1,454 @@
+/**
+ * Drivers - Procedural motion for parameters (breathing, sway, blinking)
+ *
+ * A driver writes a parameter every frame from its own clock, which the
+ * animator advances with deltaTime so drivers follow pause() and setSpeed().
+ *
+ * Types:
+ *   sine      offset + amplitude * sin(2π(frequency·t + phase))
+ *   triangle  Same shape parameters as sine, with a linear ramp
+ *   noise     Seeded smooth value noise in [offset - amplitude, offset + amplitude]
+ *   pulse     Holds `value` for `duration` seconds at random intervals, then `rest`
+ *             (fires the parameter instead when it is a trigger)
+ */
+
+import { createRandom } from './random.js';
+
+export const DRIVER_TYPES = ['sine', 'triangle', 'noise', 'pulse'];
+
+const DEFAULT_INTERVAL = [2, 6];
+const DEFAULT_PULSE_DURATION = 0.15;
+
+export class Driver {
+  /**
+   * @param {string} name
+   * @param {Object} config
+   * @param {string} config.parameter - Name of the parameter to drive
+   * @param {string} config.type - 'sine', 'triangle', 'noise' or 'pulse'
+   * @param {boolean} [config.enabled=true]
+   * @param {number} [config.frequency=1] - Cycles per second (sine/triangle/noise)
+   * @param {number} [config.amplitude=1]
+   * @param {number} [config.offset=0] - Centre value
+   * @param {number} [config.phase=0] - Phase offset in cycles (sine/triangle)
+   * @param {number|string} [config.seed] - Seed for noise and pulse timing
+   * @param {number|number[]} [config.interval=[2, 6]] - Seconds between pulses, or [min, max]
+   * @param {number} [config.duration=0.15] - Seconds each pulse holds its value
+   * @param {*} [config.value] - Value during a pulse (default 1, or true for booleans)
+   * @param {*} [config.rest] - Value between pulses (default 0, or false for booleans)
+   */
+  constructor(name, config) {
+    if (!DRIVER_TYPES.includes(config.type)) {
+      throw new Error(`Invalid driver type for "${name}": ${config.type}. Must be one of: ${DRIVER_TYPES.join(', ')}`);
+    }
+    if (!config.parameter) {
+      throw new Error(`Driver "${name}" needs a parameter to drive`);
+    }
+
+    this.name = name;
+    this.type = config.type;
+    this.parameter = config.parameter;
+    this.enabled = config.enabled !== false;
+    this.frequency = config.frequency ?? 1;
+    this.amplitude = config.amplitude ?? 1;
+    this.offset = config.offset ?? 0;
+    this.phase = config.phase ?? 0;
+    this.seed = config.seed ?? null;
+    this.interval = Array.isArray(config.interval)
+      ? [...config.interval]
+      : config.interval !== undefined ? [config.interval, config.interval] : [...DEFAULT_INTERVAL];
+    this.duration = config.duration ?? DEFAULT_PULSE_DURATION;
+    this.value = config.value ?? null;
+    this.rest = config.rest ?? null;
+
+    if (!(this.frequency >= 0)) {
+      throw new Error(`Invalid frequency for driver "${name}": ${this.frequency}`);
+    }
+    if (!(this.interval[0] > 0) || !(this.interval[1] >= this.interval[0])) {
+      throw new Error(`Invalid interval for driver "${name}": [${this.interval.join(', ')}]`);
+    }
+    if (!(this.duration > 0)) {
+      throw new Error(`Invalid duration for driver "${name}": ${this.duration}. Must be greater than 0`);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Restart the driver's clock and random sequence
+   */
+  reset() {
+    this.time = 0;
+    this._random = createRandom(this.seed ?? undefined);
+    this._lattice = { index: 0, from: this._random() * 2 - 1, to: this._random() * 2 - 1 };
+    this._active = false;
+    this._remaining = 0;
+    this._wait = this._nextInterval();
+  }
+
+  /**
+   * Advance the clock
+   * @param {number} deltaTime - Elapsed seconds
+   * @returns {*} Value to write, or undefined when the parameter should be left alone
+   */
+  update(deltaTime) {
+    if (deltaTime < 0) return undefined;
+    this.time += deltaTime;
+
+    switch (this.type) {
+      case 'sine':
+        return this.offset + this.amplitude * Math.sin(2 * Math.PI * (this.frequency * this.time + this.phase));
+      case 'triangle':
+        return this.offset + this.amplitude * triangleWave(this.frequency * this.time + this.phase);
+      case 'noise':
+        return this.offset + this.amplitude * this._noise(this.frequency * this.time);
+      default:
+        return this._updatePulse(deltaTime);
+    }
+  }
+
+  /**
+   * Lowest and highest value the driver writes to a number parameter
+   * @returns {number[]} [low, high] (a pulse spans its value and rest)
+   */
+  getExtent() {
+    if (this.type === 'pulse') {
+      const value = this.value ?? 1;
+      const rest = this.rest ?? 0;
+      return value < rest ? [value, rest] : [rest, value];
+    }
+    const swing = Math.abs(this.amplitude);
+    return [this.offset - swing, this.offset + swing];
+  }
+
+  /**
+   * Whether a pulse is currently holding its value
+   */
+  isActive() {
+    return this._active;
+  }
+
+  _updatePulse(deltaTime) {
+    if (this._active) {
+      this._remaining -= deltaTime;
+      if (this._remaining > 0) return undefined;
+      this._active = false;
+      this._wait = this._nextInterval();
+      return 'rest';
+    }
+
+    this._wait -= deltaTime;
+    if (this._wait > 0) return undefined;
+    this._active = true;
+    this._remaining = this.duration;
+    return 'value';
+  }
+
+  _nextInterval() {
+    const [min, max] = this.interval;
+    return min + (max - min) * this._random();
+  }
+
+  /**
+   * Smooth 1D value noise in [-1, 1]; lattice values come from the seeded
+   * random source, so a seed replays the same motion.
+   */
+  _noise(x) {
+    const index = Math.floor(x);
+    const lattice = this._lattice;
+    if (index - lattice.index > 2) {
+      // Long jump (e.g. a large deltaTime): start a fresh segment
+      lattice.index = index;
+      lattice.from = this._random() * 2 - 1;
+      lattice.to = this._random() * 2 - 1;
+    }
+    while (lattice.index < index) {
+      lattice.index++;
+      lattice.from = lattice.to;
+      lattice.to = this._random() * 2 - 1;
+    }
+    const f = x - index;
+    const eased = f * f * (3 - 2 * f);
+    return lattice.from + (lattice.to - lattice.from) * eased;
+  }
+
+  /**
+   * Clock, random position and pulse timing, as JSON, so a restored
+   * driver continues the same motion
+   * @returns {Object}
+   */
+  captureState() {
+    return {
+      enabled: this.enabled,
+      time: this.time,
+      random: this._random.getState(),
+      lattice: { ...this._lattice },
+      active: this._active,
+      remaining: this._remaining,
+      wait: this._wait
+    };
+  }
+
+  /**
+   * Resume from captureState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    this.enabled = state.enabled;
+    this.time = state.time;
+    this._random.setState(state.random);
+    this._lattice = { ...state.lattice };
+    this._active = state.active;
+    this._remaining = state.remaining;
+    this._wait = state.wait;
+  }
+
+  /**
+   * Export to JSON (the .wfl driver definition)
+   */
+  toJSON() {
+    const json = { parameter: this.parameter, type: this.type };
+    if (!this.enabled) json.enabled = false;
+    if (this.type === 'pulse') {
+      json.interval = [...this.interval];
+      json.duration = this.duration;
+      if (this.value !== null) json.value = this.value;
+      if (this.rest !== null) json.rest = this.rest;
+    } else {
+      json.frequency = this.frequency;
+      json.amplitude = this.amplitude;
+      json.offset = this.offset;
+      if (this.phase !== 0) json.phase = this.phase;
+    }
+    if (this.seed !== null) json.seed = this.seed;
+    return json;
+  }
+}
+
+/**
+ * Triangle wave in [-1, 1] with the same phase as sin(2πx)
+ */
+function triangleWave(x) {
+  const p = x - Math.floor(x);
+  if (p < 0.25) return 4 * p;
+  if (p < 0.75) return 2 - 4 * p;
+  return 4 * p - 4;
+}
+
+export class DriverSystem {
+  /**
+   * @param {import('./parameter.js').ParameterSystem} parameters
+   */
+  constructor(parameters) {
+    this.parameters = parameters;
+    this.drivers = new Map();
+  }
+
+  /**
+   * Add (or replace) a driver
+   * @param {string} name
+   * @param {Object} config - See Driver
+   * @returns {Driver}
+   * @throws {Error} if the parameter is unknown, derived, or the wrong type for the driver
+   */
+  add(name, config) {
+    const driver = new Driver(name, config);
+    const param = this.parameters.get(driver.parameter);
+
+    if (!param) {
+      throw new Error(`Driver "${name}" targets unknown parameter "${driver.parameter}"`);
+    }
+    if (param.isDerived()) {
+      throw new Error(`Driver "${name}" cannot drive derived parameter "${driver.parameter}"`);
+    }
+    if (driver.type !== 'pulse' && param.type !== 'number') {
+      throw new Error(`Driver "${name}" (${driver.type}) needs a number parameter, but "${driver.parameter}" is ${param.type}`);
+    }
+    if (param.type === 'number' && param.outOfRange === 'reject') {
+      const [low, high] = driver.getExtent();
+      const [min, max] = param.getRange();
+      if (low < min || high > max) {
+        throw new Error(`Driver "${name}" writes [${low}, ${high}], outside [${min}, ${max}] of parameter "${driver.parameter}", which rejects out-of-range values`);
+      }
+    }
+
+    this.drivers.set(name, driver);
+    return driver;
+  }
+
+  /**
+   * Remove a driver
+   * @returns {boolean} true if it existed
+   */
+  remove(name) {
+    return this.drivers.delete(name);
+  }
+
+  /**
+   * Get a driver by name
+   */
+  get(name) {
+    return this.drivers.get(name);
+  }
+
+  /**
+   * Get all drivers
+   */
+  getAll() {
+    return Array.from(this.drivers.values());
+  }
+
+  /**
+   * Resume a driver
+   * @returns {boolean} false if no driver has this name
+   */
+  enable(name) {
+    return this.setEnabled(name, true);
+  }
+
+  /**
+   * Stop a driver so its parameter can be set manually.
+   * A pulse that is holding its value is released to its rest value.
+   * @returns {boolean} false if no driver has this name
+   */
+  disable(name) {
+    return this.setEnabled(name, false);
+  }
+
+  /**
+   * Enable or disable a driver
+   * @returns {boolean} false if no driver has this name
+   */
+  setEnabled(name, enabled) {
+    const driver = this.drivers.get(name);
+    if (!driver) return false;
+
+    if (!enabled && driver.enabled && driver.isActive()) {
+      this._write(driver, 'rest');
+    }
+    if (enabled !== driver.enabled) {
+      driver.reset();
+    }
+    driver.enabled = enabled;
+    return true;
+  }
+
+  /**
+   * Whether a driver exists and is enabled
+   */
+  isEnabled(name) {
+    return this.drivers.get(name)?.enabled === true;
+  }
+
+  /**
+   * Whether an enabled driver writes this parameter
+   * @param {string} parameterName
+   */
+  isDriving(parameterName) {
+    return this.getAll().some(driver => driver.enabled && driver.parameter === parameterName);
+  }
+
+  /**
+   * Advance every enabled driver and write its parameter
+   * @param {number} deltaTime - Elapsed seconds (already scaled by animator speed)
+   */
+  update(deltaTime) {
+    this.drivers.forEach((driver) => {
+      if (!driver.enabled) return;
+      const result = driver.update(deltaTime);
+      if (result !== undefined) this._write(driver, result);
+    });
+  }
+
+  _write(driver, result) {
+    const param = this.parameters.get(driver.parameter);
+    if (!param) return;
+
+    if (driver.type !== 'pulse') {
+      this.parameters.set(driver.parameter, this._fit(param, result));
+      return;
+    }
+
+    if (param.type === 'trigger') {
+      if (result === 'value') this.parameters.fire(driver.parameter);
+      return;
+    }
+
+    const isBoolean = param.type === 'boolean';
+    const value = result === 'value'
+      ? driver.value ?? (isBoolean ? true : 1)
+      : driver.rest ?? (isBoolean ? false : 0);
+    this.parameters.set(driver.parameter, this._fit(param, value));
+  }
+
+  /**
+   * Keep a driver's output inside a parameter that rejects out-of-range
+   * values, so one driver cannot throw out of update() (clamp and wrap
+   * parameters constrain it themselves)
+   */
+  _fit(param, value) {
+    return param.outOfRange === 'reject' ? param.fit(value) : value;
+  }
+
+  /**
+   * Remove every driver
+   */
+  clear() {
+    this.drivers.clear();
+  }
+
+  /**
+   * Runtime state of every driver, keyed by name (see Driver.captureState)
+   * @returns {Object}
+   */
+  captureState() {
+    const state = {};
+    this.drivers.forEach((driver, name) => {
+      state[name] = driver.captureState();
+    });
+    return state;
+  }
+
+  /**
+   * Resume drivers from captureState(); drivers that no longer exist are skipped
+   * @param {Object} state
+   */
+  restoreState(state) {
+    Object.entries(state).forEach(([name, driverState]) => {
+      this.drivers.get(name)?.restoreState(driverState);
+    });
+  }
+
+  /**
+   * Export drivers to JSON
+   */
+  toJSON() {
+    const drivers = {};
+    this.drivers.forEach((driver, name) => {
+      drivers[name] = driver.toJSON();
+    });
+    return drivers;
+  }
+
+  /**
+   * Replace every driver with the .wfl `drivers` section. Pulses that were
+   * holding their value are released to rest first; if any driver is
+   * invalid, the old drivers are kept untouched.
+   * @throws {Error} see add()
+   */
+  fromJSON(data) {
+    const previous = this.drivers;
+    this.drivers = new Map();
+    try {
+      Object.entries(data).forEach(([name, config]) => {
+        this.add(name, config);
+      });
+    } catch (error) {
+      this.drivers = previous;
+      throw error;
+    }
+
+    previous.forEach((driver) => {
+      if (driver.enabled && driver.isActive()) this._write(driver, 'rest');
+    });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Easing - Maps linear progress (0-1) onto a curve for timed blends
+ *
+ * Curves:
+ *   linear                                  Constant rate
+ *   easeIn / easeOut / easeInOut            Quadratic
+ *   easeInCubic / easeOutCubic / easeInOutCubic
+ *   step                                    Holds 0 until the end, then jumps to 1
+ */
+
+export const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - (1 - t) ** 3,
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - 4 * (1 - t) ** 3),
+  step: t => (t >= 1 ? 1 : 0)
+};
+
+/**
+ * Look up an easing curve by name.
+ * @param {string} [name='linear']
+ * @returns {function(number): number}
+ * @throws {Error} for unknown names
+ */
+export function getEasing(name = 'linear') {
+  const easing = Object.hasOwn(EASINGS, name) ? EASINGS[name] : null;
+  if (!easing) {
+    throw new Error(`Invalid easing: ${name}. Must be one of: ${Object.keys(EASINGS).join(', ')}`);
+  }
+  return easing;
+}
+
+/**
+ * Eased progress of a timed blend, clamped to [0, 1].
+ * @param {number} elapsed - Seconds since the blend started
+ * @param {number} duration - Blend length in seconds (0 = already complete)
+ * @param {string} [easing='linear']
+ * @returns {number}
+ */
+export function easeProgress(elapsed, duration, easing = 'linear') {
+  if (!(duration > 0)) return 1;
+  return getEasing(easing)(Math.min(1, Math.max(0, elapsed / duration)));
+}
@@ -148,6 +148,7 @@ export const EventTypes = {
   // Parameter events
   PARAMETER_CHANGE: 'parameter.change',
   PARAMETER_REGISTER: 'parameter.register',
+  PARAMETER_TRIGGER: 'parameter.trigger',
 
   // State machine events
   STATE_CHANGE: 'state.change',
@@ -0,0 +1,500 @@
+/**
+ * Expressions - Safe condition language for transitions and derived parameters
+ *
+ * Source is tokenized, parsed into a small AST and compiled into nested
+ * closures; nothing is ever passed to eval or the Function constructor.
+ *
+ * Grammar (lowest to highest precedence):
+ *   ||
+ *   &&
+ *   === !== == !=        (== and != are strict, same as === and !==)
+ *   > < >= <=
+ *   + -
+ *   * / %
+ *   ! -                  (unary)
+ *   literal | identifier | helper(args) | ( expression )
+ *
+ * Literals: numbers, 'strings' / "strings", true, false, null.
+ * Helpers: abs(x), min(a, b, ...), max(a, b, ...), between(x, lo, hi), stateTime(),
+ *          normalizedTime() (time in state over the state's clip length).
+ *
+ * A string compared with a parameter that has enum labels is converted to
+ * the label's index at compile time, so `mood === "angry"` works and typos
+ * are load-time errors.
+ */
+
+export class ExpressionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} source - The full expression
+   * @param {number} position - Character offset of the problem
+   */
+  constructor(message, source, position) {
+    super(`${message} at position ${position} in "${source}"`);
+    this.name = 'ExpressionError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+const LITERALS = { true: true, false: false, null: null };
+
+const OPERATORS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '+', '-', '*', '/', '%', '!', '(', ')', ','];
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '===': 3, '!==': 3, '==': 3, '!=': 3,
+  '>': 4, '<': 4, '>=': 4, '<=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+const UNARY_PRECEDENCE = 7;
+
+/** Helper functions: arity range and implementation */
+const HELPERS = {
+  abs: { min: 1, max: 1, fn: (x) => Math.abs(x) },
+  min: { min: 1, max: Infinity, fn: (...args) => Math.min(...args) },
+  max: { min: 1, max: Infinity, fn: (...args) => Math.max(...args) },
+  between: { min: 3, max: 3, fn: (x, lo, hi) => x >= lo && x <= hi },
+  stateTime: { min: 0, max: 0, context: 'stateTime' },
+  normalizedTime: { min: 0, max: 0, context: 'normalizedTime' }
+};
+
+// ─────────────────────────────────────────────────────────────────
+// Tokenizer
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Split an expression into tokens
+ * @param {string} source
+ * @returns {Array<{type: string, value: *, position: number}>} Ends with an 'eof' token
+ * @throws {ExpressionError} on unexpected characters or unterminated strings
+ */
+export function tokenizeExpression(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] ?? ''))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw new ExpressionError('Unterminated string', source, i);
+      }
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${ch}"`, source, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: source.length });
+  return tokens;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Parser
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse an expression into an AST
+ * @param {string} source
+ * @returns {Object} Root node
+ * @throws {ExpressionError} on syntax errors, unknown helpers or wrong helper arity
+ */
+export function parseExpression(source) {
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+
+  const expect = (value) => {
+    const token = next();
+    if (!isOperator(token, value)) {
+      throw new ExpressionError(`Expected "${value}" but found ${describeToken(token)}`, source, token.position);
+    }
+    return token;
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return left;
+      next();
+      const right = parseBinary(precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right, position: token.position };
+    }
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator(token, '!') || isOperator(token, '-')) {
+      next();
+      const argument = parseBinary(UNARY_PRECEDENCE);
+      return { type: 'unary', operator: token.value, argument, position: token.position };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value, position: token.position };
+      case 'identifier':
+        if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+          return { type: 'literal', value: LITERALS[token.value], position: token.position };
+        }
+        if (isOperator(peek(), '(')) {
+          return parseCall(token);
+        }
+        return { type: 'identifier', name: token.value, position: token.position };
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseBinary(1);
+          expect(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    throw new ExpressionError(`Unexpected ${describeToken(token)}`, source, token.position);
+  };
+
+  const parseCall = (nameToken) => {
+    const helper = Object.prototype.hasOwnProperty.call(HELPERS, nameToken.value) ? HELPERS[nameToken.value] : null;
+    if (!helper) {
+      throw new ExpressionError(`Unknown function "${nameToken.value}"`, source, nameToken.position);
+    }
+
+    expect('(');
+    const args = [];
+    if (!isOperator(peek(), ')')) {
+      args.push(parseBinary(1));
+      while (isOperator(peek(), ',')) {
+        next();
+        args.push(parseBinary(1));
+      }
+    }
+    expect(')');
+
+    if (args.length < helper.min || args.length > helper.max) {
+      const expected = helper.min === helper.max ? helper.min : `at least ${helper.min}`;
+      throw new ExpressionError(`${nameToken.value}() takes ${expected} argument(s), got ${args.length}`, source, nameToken.position);
+    }
+    return { type: 'call', name: nameToken.value, args, position: nameToken.position };
+  };
+
+  if (peek().type === 'eof') {
+    throw new ExpressionError('Empty expression', source, 0);
+  }
+  const ast = parseBinary(1);
+  const trailing = peek();
+  if (trailing.type !== 'eof') {
+    throw new ExpressionError(`Unexpected ${describeToken(trailing)}`, source, trailing.position);
+  }
+  return ast;
+}
+
+function describeToken(token) {
+  if (token.type === 'eof') return 'end of expression';
+  if (token.type === 'string') return `string "${token.value}"`;
+  return `"${token.value}"`;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Compiler
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Compile an expression into an evaluator function
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {import('./parameter.js').ParameterSystem} [options.parameters] - When given,
+ *   identifiers must name registered parameters and enum labels are resolved
+ * @returns {Function} (parameters, context?) => value, with `.source` and `.identifiers`;
+ *   context may carry `stateTime` (seconds in the current state) and
+ *   `normalizedTime` (stateTime over the state's clip length)
+ * @throws {ExpressionError} on syntax errors, unknown parameters or unknown labels
+ */
+export function compileExpression(source, options = {}) {
+  const ast = parseExpression(source);
+  const identifiers = [];
+  const evaluate = compileNode(ast, source, options.parameters ?? null, identifiers);
+
+  const compiled = (parameters, context = {}) => evaluate(parameters, context);
+  compiled.source = source;
+  compiled.identifiers = identifiers;
+  return compiled;
+}
+
+function compileNode(node, source, known, identifiers) {
+  switch (node.type) {
+    case 'literal': {
+      const value = node.value;
+      return () => value;
+    }
+
+    case 'identifier': {
+      const name = node.name;
+      if (known && !known.has(name)) {
+        throw new ExpressionError(`Unknown parameter "${name}"`, source, node.position);
+      }
+      if (!identifiers.includes(name)) identifiers.push(name);
+      return (parameters) => parameters.get(name)?.get();
+    }
+
+    case 'unary': {
+      const argument = compileNode(node.argument, source, known, identifiers);
+      return node.operator === '!'
+        ? (parameters, context) => !argument(parameters, context)
+        : (parameters, context) => -argument(parameters, context);
+    }
+
+    case 'call': {
+      const helper = HELPERS[node.name];
+      if (helper.context) {
+        const key = helper.context;
+        return (_parameters, context) => context[key] ?? 0;
+      }
+      const args = node.args.map(arg => compileNode(arg, source, known, identifiers));
+      const fn = helper.fn;
+      return (parameters, context) => fn(...args.map(arg => arg(parameters, context)));
+    }
+
+    default:
+      return compileBinary(node, source, known, identifiers);
+  }
+}
+
+function compileBinary(node, source, known, identifiers) {
+  const { left: leftNode, right: rightNode } = resolveLabels(node, source, known);
+  const left = compileNode(leftNode, source, known, identifiers);
+  const right = compileNode(rightNode, source, known, identifiers);
+
+  switch (node.operator) {
+    case '||': return (p, c) => left(p, c) || right(p, c);
+    case '&&': return (p, c) => left(p, c) && right(p, c);
+    case '===':
+    case '==': return (p, c) => left(p, c) === right(p, c);
+    case '!==':
+    case '!=': return (p, c) => left(p, c) !== right(p, c);
+    case '>': return (p, c) => left(p, c) > right(p, c);
+    case '<': return (p, c) => left(p, c) < right(p, c);
+    case '>=': return (p, c) => left(p, c) >= right(p, c);
+    case '<=': return (p, c) => left(p, c) <= right(p, c);
+    case '+': return (p, c) => left(p, c) + right(p, c);
+    case '-': return (p, c) => left(p, c) - right(p, c);
+    case '*': return (p, c) => left(p, c) * right(p, c);
+    case '/': return (p, c) => left(p, c) / right(p, c);
+    default: return (p, c) => left(p, c) % right(p, c);
+  }
+}
+
+/**
+ * In `param <op> "label"` (either order), replace the label with its index
+ */
+function resolveLabels(node, source, known) {
+  let { left, right } = node;
+  if (!known) return { left, right };
+
+  const toIndex = (identifier, literal) => {
+    const param = known.get(identifier.name);
+    if (!param || !param.hasLabels() || typeof literal.value !== 'string') return literal;
+    const index = param.enum.indexOf(literal.value);
+    if (index === -1) {
+      throw new ExpressionError(
+        `Unknown label "${literal.value}" for parameter "${identifier.name}". Expected one of: ${param.enum.join(', ')}`,
+        source, literal.position
+      );
+    }
+    return { type: 'literal', value: index, position: literal.position };
+  };
+
+  if (left.type === 'identifier' && right.type === 'literal') right = toIndex(left, right);
+  if (right.type === 'identifier' && left.type === 'literal') left = toIndex(right, left);
+  return { left, right };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Static analysis
+// ─────────────────────────────────────────────────────────────────
+
+const FLIPPED_COMPARISONS = { '>': '<', '<': '>', '>=': '<=', '<=': '>=' };
+
+/**
+ * Find why an expression can never be true, without evaluating parameters:
+ * it reads no parameters or time and is falsy, one of its && terms is, or
+ * two of its && terms compare the same parameter in ways that cannot both
+ * hold (`a && !a`, `x == 1 && x == 2`, `x > 5 && x < 3`).
+ * @param {string} source
+ * @returns {{ kind: 'constant-false'|'contradictory', message: string }|null} null when it may be true
+ * @throws {ExpressionError} on syntax errors
+ */
+export function findUnsatisfiable(source) {
+  const terms = [];
+  const collect = (node) => {
+    if (node.type === 'binary' && node.operator === '&&') {
+      collect(node.left);
+      collect(node.right);
+    } else {
+      terms.push(node);
+    }
+  };
+  collect(parseExpression(source));
+
+  for (const term of terms) {
+    if (!isConstantNode(term)) continue;
+    const value = compileNode(term, source, null, [])(null, {});
+    if (!value) {
+      const where = terms.length > 1 ? 'has a term that is' : 'is';
+      return { kind: 'constant-false', message: `${where} always ${JSON.stringify(value)}` };
+    }
+  }
+
+  const constraints = terms.map(toConstraint).filter(Boolean);
+  for (let i = 0; i < constraints.length; i++) {
+    for (let j = i + 1; j < constraints.length; j++) {
+      const [a, b] = [constraints[i], constraints[j]];
+      if (a.name === b.name && constraintsConflict(a, b)) {
+        return { kind: 'contradictory', message: `requires both ${describeConstraint(a)} and ${describeConstraint(b)}` };
+      }
+    }
+  }
+  return null;
+}
+
+/** Whether a node reads neither parameters nor time in state */
+function isConstantNode(node) {
+  switch (node.type) {
+    case 'literal': return true;
+    case 'identifier': return false;
+    case 'unary': return isConstantNode(node.argument);
+    case 'call': return !HELPERS[node.name].context && node.args.every(isConstantNode);
+    default: return isConstantNode(node.left) && isConstantNode(node.right);
+  }
+}
+
+/**
+ * What an && term requires of one parameter: { name, op, value }, with op
+ * 'truthy' / 'falsy' for bare and negated identifiers. null for anything else.
+ */
+function toConstraint(node) {
+  if (node.type === 'identifier') return { name: node.name, op: 'truthy' };
+  if (node.type === 'unary' && node.operator === '!' && node.argument.type === 'identifier') {
+    return { name: node.argument.name, op: 'falsy' };
+  }
+  if (node.type !== 'binary' || BINARY_PRECEDENCE[node.operator] < 3 || BINARY_PRECEDENCE[node.operator] > 4) {
+    return null;
+  }
+
+  const op = { '===': '==', '!==': '!=' }[node.operator] ?? node.operator;
+  if (node.left.type === 'identifier' && node.right.type === 'literal') {
+    return { name: node.left.name, op, value: node.right.value };
+  }
+  if (node.right.type === 'identifier' && node.left.type === 'literal') {
+    return { name: node.right.name, op: FLIPPED_COMPARISONS[op] ?? op, value: node.left.value };
+  }
+  return null;
+}
+
+function constraintsConflict(a, b) {
+  const ops = [a.op, b.op].sort().join(' ');
+  if (ops === 'falsy truthy') return true;
+  if (a.op === 'truthy' || a.op === 'falsy' || b.op === 'truthy' || b.op === 'falsy') return false;
+
+  if (a.op === '==' && b.op === '==') return typeof a.value === typeof b.value && a.value !== b.value;
+  if (ops === '!= ==') return a.value === b.value;
+  if (a.op === '!=' || b.op === '!=') return false;
+  if (typeof a.value !== 'number' || typeof b.value !== 'number') return false;
+
+  if (a.op === '==' || b.op === '==') {
+    const [equal, range] = a.op === '==' ? [a, b] : [b, a];
+    return !compareWith(range.op, equal.value, range.value);
+  }
+
+  const lower = [a, b].find(c => c.op === '>' || c.op === '>=');
+  const upper = [a, b].find(c => c.op === '<' || c.op === '<=');
+  if (!lower || !upper) return false;
+  if (lower.value !== upper.value) return lower.value > upper.value;
+  return lower.op === '>' || upper.op === '<';
+}
+
+function compareWith(op, left, right) {
+  switch (op) {
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    default: return left <= right;
+  }
+}
+
+function describeConstraint({ name, op, value }) {
+  if (op === 'truthy') return name;
+  if (op === 'falsy') return `!${name}`;
+  return `${name} ${op} ${JSON.stringify(value)}`;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Convenience
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * List the identifiers (parameter names) an expression refers to
+ * @param {string} source
+ * @returns {string[]} Unique identifiers in order of first appearance
+ * @throws {ExpressionError} on syntax errors
+ */
+export function extractIdentifiers(source) {
+  return compileExpression(source).identifiers;
+}
+
+/**
+ * Compile and evaluate an expression once against a parameter system
+ * @param {string} source
+ * @param {import('./parameter.js').ParameterSystem} parameters
+ * @param {Object} [context] - e.g. { stateTime }
+ * @returns {*} The expression's value
+ * @throws {ExpressionError} on syntax errors, unknown parameters or unknown labels
+ */
+export function evaluateExpression(source, parameters, context = {}) {
+  return compileExpression(source, { parameters })(parameters, context);
+}
@@ -3,39 +3,97 @@
  *
  * Format:
  * {
- *   "version": 1,
+ *   "version": 2,
  *   "metadata": { ... },
  *   "parameters": { ... },
+ *   "drivers": { ... },
  *   "stateMachine": { ... },
+ *   "layers": [ ... ],
  *   "animations": { ... },
  *   "bones": { ... }
  * }
+ *
+ * The structure is described by WFL_SCHEMA (see wfl-schema.js); use
+ * WFLFile.validate() to check a file before trusting it. Files written by
+ * older versions are upgraded on load (see wfl-migrations.js).
  */
 
+import { validateWFL } from './wfl-schema.js';
+import { WFL_VERSION, migrateWFL } from './wfl-migrations.js';
+
 export class WFLFile {
   constructor() {
-    this.version = 1;
+    this.version = WFL_VERSION;
     this.metadata = {};
     this.parameters = {};
+    this.drivers = {};
     this.stateMachine = null;
+    this.layers = []; // extra state machines blended over bone masks
     this.animations = {};
     this.bones = {};
+    this.assets = new Map(); // name -> embedded asset, for files loaded from a container
   }
 
   /**
-   * Load from JSON
+   * Load from JSON, migrating older versions to WFL_VERSION
+   * @throws {Error} for files newer than this runtime supports
    */
-  static fromJSON(json) {
+  static fromJSON(data) {
+    const json = migrateWFL(data);
     const file = new WFLFile();
-    file.version = json.version || 1;
+    file.version = json.version;
     file.metadata = json.metadata || {};
     file.parameters = json.parameters || {};
+    file.drivers = json.drivers || {};
     file.stateMachine = json.stateMachine || null;
+    file.layers = json.layers || [];
     file.animations = json.animations || {};
     file.bones = json.bones || {};
+    if (json.sprites) file.sprites = json.sprites;
     return file;
   }
 
+  /**
+   * Check parsed file JSON against the WFL schema and its cross-references.
+   * fromJSON() accepts anything, so a misspelt key like "transitons" only
+   * shows up here.
+   * @param {*} json
+   * @returns {{ valid: boolean, errors: Array<{ pointer: string, keyword: string, message: string }> }}
+   *   pointer is a JSON Pointer to the offending value, e.g. "/stateMachine/states/idle/transitons"
+   */
+  static validate(json) {
+    // Check older files in the current layout (pointers follow the migrated file)
+    const version = json?.version;
+    const upgradable = Number.isInteger(version) && version >= 1 && version < WFL_VERSION;
+    return validateWFL(upgradable ? migrateWFL(json) : json);
+  }
+
+  /**
+   * Upgrade parsed file JSON to a format version (for batch-upgrading assets)
+   * @param {Object} json - Never modified
+   * @param {number} [targetVersion=WFL_VERSION]
+   * @returns {Object} json itself when already at targetVersion, otherwise an upgraded copy
+   * @throws {Error} for files newer than this runtime, invalid versions, or downgrades
+   */
+  static migrate(json, targetVersion = WFL_VERSION) {
+    return migrateWFL(json, targetVersion);
+  }
+
+  /**
+   * Throw unless validate() passes
+   * @param {*} json
+   * @returns {*} json
+   * @throws {Error} listing every error as "pointer: message"
+   */
+  static assertValid(json) {
+    const { valid, errors } = WFLFile.validate(json);
+    if (!valid) {
+      const lines = errors.map(({ pointer, message }) => `  ${pointer || '(root)'}: ${message}`);
+      throw new Error(`Invalid WFL file (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${lines.join('\n')}`);
+    }
+    return json;
+  }
+
   /**
    * Export to JSON
    */
@@ -44,22 +102,79 @@ export class WFLFile {
       version: this.version,
       metadata: this.metadata,
       parameters: this.parameters,
+      drivers: this.drivers,
       stateMachine: this.stateMachine,
+      layers: this.layers,
       animations: this.animations,
-      bones: this.bones
+      bones: this.bones,
+      ...(this.sprites && { sprites: this.sprites })
     };
   }
 
   /**
-   * Load from file
+   * Parse a file in any of its encodings: JSON text, a WFLB buffer, or a
+   * container, whose embedded assets end up in file.assets
+   * @param {ArrayBuffer|Uint8Array|string} data
+   * @param {Object} [options]
+   * @param {boolean} [options.strict=false] - Refuse files that fail validate()
+   * @returns {WFLFile}
+   * @throws {Error} for malformed or compressed data (use parseAsync()), or
+   *                 invalid files in strict mode
+   */
+  static parse(data, options = {}) {
+    let json;
+    let assets = new Map();
+    if (typeof data === 'string') {
+      json = JSON.parse(data);
+    } else if (WFLBinaryFormat.isContainer(data)) {
+      ({ document: json, assets } = WFLBinaryFormat.decodeContainer(data));
+    } else if (WFLBinaryFormat._magicOf(data) === WFLBinaryFormat.MAGIC) {
+      json = WFLBinaryFormat.decode(data);
+    } else {
+      const bytes = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
+      json = JSON.parse(WFLBinaryFormat._decodeUTF8(bytes));
+    }
+    return WFLFile._fromDocument(json, assets, options);
+  }
+
+  /**
+   * parse() that also accepts compressed binary files and containers
+   * @param {ArrayBuffer|Uint8Array|string} data
+   * @param {Object} [options] - As parse()
+   * @returns {Promise<WFLFile>}
    */
-  static async load(url) {
+  static async parseAsync(data, options = {}) {
+    if (WFLBinaryFormat.isContainer(data)) {
+      const { document, assets } = await WFLBinaryFormat.decodeContainerAsync(data);
+      return WFLFile._fromDocument(document, assets, options);
+    }
+    if (WFLBinaryFormat._magicOf(data) === WFLBinaryFormat.MAGIC) {
+      return WFLFile._fromDocument(await WFLBinaryFormat.decodeAsync(data), new Map(), options);
+    }
+    return WFLFile.parse(data, options);
+  }
+
+  static _fromDocument(json, assets, options) {
+    if (options.strict) {
+      WFLFile.assertValid(json);
+    }
+    const file = WFLFile.fromJSON(json);
+    file.assets = assets;
+    return file;
+  }
+
+  /**
+   * Load from file (JSON, binary or container, compressed or not)
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean} [options.strict=false] - Refuse files that fail validate()
+   */
+  static async load(url, options = {}) {
     const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`Failed to load ${url}: HTTP ${response.status} ${response.statusText}`);
     }
-    const json = await response.json();
-    return WFLFile.fromJSON(json);
+    return WFLFile.parseAsync(await response.arrayBuffer(), options);
   }
 
   /**
@@ -80,21 +195,87 @@ export class WFLFile {
 /**
  * Binary format (optional, for compact files)
  *
- * Binary layout:
+ * Header (big-endian):
  *   Offset  Size  Description
  *   0       4     Magic number: 0x57464C42 ("WFLB")
- *   4       4     Version: uint32 big-endian (currently 1)
- *   8       4     Payload length: uint32 big-endian (byte length of JSON)
- *   12      N     JSON payload: UTF-8 encoded string
- *   12+N    4     Checksum: CRC32 of the JSON payload bytes
+ *   4       4     Version: uint32 (1 or 2; encode() writes 2 unless asked for 1)
+ *   8       4     v2 only: flags (0x1 deflate, 0x2 gzip; other values reserved)
+ *   8/12    4     Payload length: uint32, as stored (compressed or not)
+ *   12/16   N     Payload
+ *   ...     4     Checksum: CRC32 of the uncompressed payload bytes
+ *
+ * Version 1 payload: the file as a UTF-8 JSON string (16 + N bytes in total).
  *
- * Total size: 16 + N bytes
+ * Version 2 payload (20 + N bytes in total), varints are unsigned LEB128:
+ *   String table   varint count, then per string: varint byte length + UTF-8
+ *                  bytes. Every key and string value (bone, animation and
+ *                  state names...) is stored once, most used first.
+ *   Root value     tag byte + value
+ *
+ *   Values by tag:
+ *     0 null   1 false   2 true
+ *     3 int        zigzag varint (safe integers up to 2^52)
+ *     4 float32    4 bytes little-endian, for numbers float32 holds exactly
+ *                  (to the shortest decimal, e.g. 0.1)
+ *     5 float64    8 bytes little-endian
+ *     6 string     varint string table index
+ *     7 array      varint length, then tag byte + value per item
+ *     8 object     varint count, then per property: typed key + value, where
+ *                  the typed key is the varint (string index * 16 + tag)
+ *     9 keyframes  Arrays named "keyframes" whose items hold only numbers
+ *                  in float32's normal range (integers up to 2^24; nested
+ *                  objects allowed, e.g. position.x): varint field
+ *                  count, per field a varint path length + string indices,
+ *                  varint item count, then per item a varint bitmask of the
+ *                  fields it has followed by their float32 values
+ *
+ * Tag 4 is only used for numbers that survive the round trip. Keyframe
+ * tables always round to float32 (about 7 significant digits); authored
+ * values such as 0.02 come back unchanged.
+ *
+ * Compression (encodeAsync(data, { compression: 'deflate' | 'gzip', level }))
+ * is asynchronous: CompressionStream in browsers, zlib in Node.js. encode()
+ * stays synchronous and refuses it, and compressed buffers need decodeAsync().
+ *
+ * Container (encodeContainer/decodeContainer, and their Async variants for
+ * compressed documents): a document plus the assets it
+ * references, in RIFF-style tagged chunks (big-endian):
+ *   Offset  Size  Description
+ *   0       4     Magic number: 0x57464C43 ("WFLC")
+ *   4       4     Container version: uint32 (1)
+ *   8       4     Flags, reserved (must be 0)
+ *   12      ...   Chunks until the end of the buffer, each:
+ *                   4  Type: four ASCII characters (see CHUNK_TYPES)
+ *                   4  Body length N: uint32
+ *                   N  Body
+ *                   4  CRC32 of the body
+ *
+ *   "DOC " holds the document as a complete WFLB buffer (exactly one, and
+ *   the only chunk compressed by the compression options). Asset
+ *   chunks hold a varint name length + UTF-8 name, a varint MIME type length
+ *   + MIME type, then the asset bytes; "application/json" assets (viseme maps,
+ *   atlas descriptions) are parsed on decode. Unknown chunk types are skipped,
+ *   so newer writers can add chunks older readers ignore.
  */
 export class WFLBinaryFormat {
   static MAGIC = 0x57464C42;   // "WFLB"
-  static VERSION = 1;
-  static HEADER_SIZE = 12;     // magic(4) + version(4) + length(4)
+  static VERSION = 2;          // newest version encode() writes and decode() reads
+  static HEADER_SIZE = 16;     // magic(4) + version(4) + flags(4) + length(4)
+  static V1_HEADER_SIZE = 12;  // magic(4) + version(4) + length(4)
   static CHECKSUM_SIZE = 4;
+  static COMPRESSION_FLAGS = { deflate: 0x1, gzip: 0x2 };  // v2 header flags
+
+  static CONTAINER_MAGIC = 0x57464C43;  // "WFLC"
+  static CONTAINER_VERSION = 1;
+  static CONTAINER_HEADER_SIZE = 12;    // magic(4) + version(4) + flags(4)
+  static CHUNK_HEADER_SIZE = 8;         // type(4) + length(4)
+  static CHUNK_TYPES = {
+    document: 'DOC ',
+    sprite: 'IMG ',
+    atlas: 'ATLS',
+    audio: 'AUDI',
+    visemes: 'VISM'
+  };
 
   // ── CRC32 ──────────────────────────────────────────────────────────
   // Pre-computed CRC32 lookup table (IEEE 802.3 polynomial 0xEDB88320)
@@ -130,36 +311,112 @@ export class WFLBinaryFormat {
    *
    * @param {WFLFile|object} data  – anything with a .toJSON() or that is
    *                                  already a plain JSON-serialisable object
+   * @param {object} [options]
+   * @param {number} [options.version=2] – 1 writes the legacy JSON payload
    * @returns {ArrayBuffer}
+   * @throws {Error} on invalid options, or when given options.compression
+   *                 (compressing is asynchronous, use encodeAsync())
    */
-  static encode(data) {
-    // Normalise to a plain object
+  static encode(data, options = {}) {
+    const { version, compression } = WFLBinaryFormat._checkEncodeOptions(options);
+    if (compression !== undefined) {
+      throw new Error(`WFLBinary: ${compression} compression is asynchronous, use encodeAsync()`);
+    }
+    const { payloadBytes, checksum } = WFLBinaryFormat._encodePayload(data, version);
+    return WFLBinaryFormat._writeFrame(version, 0, payloadBytes, checksum);
+  }
+
+  /**
+   * encode() with optional payload compression
+   *
+   * @param {WFLFile|object} data
+   * @param {object} [options]
+   * @param {number} [options.version=2] – 1 writes the legacy JSON payload
+   * @param {string} [options.compression] – 'deflate' or 'gzip' (version 2 only)
+   * @param {number} [options.level] – compression level 0-9 (zlib default 6);
+   *                                   Node.js only, browsers pick their own
+   * @returns {Promise<ArrayBuffer>}
+   */
+  static async encodeAsync(data, options = {}) {
+    const { version, compression, level } = WFLBinaryFormat._checkEncodeOptions(options);
+    const { payloadBytes, checksum } = WFLBinaryFormat._encodePayload(data, version);
+    if (compression === undefined) {
+      return WFLBinaryFormat._writeFrame(version, 0, payloadBytes, checksum);
+    }
+    const flags = WFLBinaryFormat.COMPRESSION_FLAGS[compression];
+    const compressed = await compressBytes(payloadBytes, compression, level);
+    return WFLBinaryFormat._writeFrame(version, flags, compressed, checksum);
+  }
+
+  /**
+   * Validate encode options
+   * @returns {{version: number, compression: string|undefined, level: number|undefined}}
+   */
+  static _checkEncodeOptions(options) {
+    const version = options.version ?? WFLBinaryFormat.VERSION;
+    if (version !== 1 && version !== 2) {
+      throw new Error(`WFLBinary: invalid version ${version}. Must be one of: 1, 2`);
+    }
+    const { compression, level } = options;
+    if (compression !== undefined) {
+      const formats = Object.keys(WFLBinaryFormat.COMPRESSION_FLAGS);
+      if (!formats.includes(compression)) {
+        throw new Error(`WFLBinary: invalid compression ${compression}. Must be one of: ${formats.join(', ')}`);
+      }
+      if (version < 2) {
+        throw new Error('WFLBinary: compression needs version 2 (version 1 has no flags field)');
+      }
+    }
+    if (level !== undefined && !(Number.isInteger(level) && level >= 0 && level <= 9)) {
+      throw new Error(`WFLBinary: invalid compression level ${level}. Must be a whole number from 0 to 9`);
+    }
+    return { version, compression, level };
+  }
+
+  /**
+   * Uncompressed payload bytes and their checksum
+   * @returns {{payloadBytes: Uint8Array, checksum: number}}
+   */
+  static _encodePayload(data, version) {
+    // Normalise to plain JSON values (same rules as JSON.stringify)
     const json = (typeof data.toJSON === 'function') ? data.toJSON() : data;
     const jsonString = JSON.stringify(json);
 
-    // Encode JSON string to UTF-8 bytes
-    const payloadBytes = WFLBinaryFormat._encodeUTF8(jsonString);
-    const payloadLength = payloadBytes.length;
+    const payloadBytes = version === 1
+      ? WFLBinaryFormat._encodeUTF8(jsonString)
+      : encodeCompactPayload(JSON.parse(jsonString));
+
+    // The checksum always covers the uncompressed payload
+    return { payloadBytes, checksum: WFLBinaryFormat.crc32(payloadBytes) };
+  }
 
-    // Compute checksum over the payload
-    const checksum = WFLBinaryFormat.crc32(payloadBytes);
+  /**
+   * Header + stored payload + checksum
+   * @returns {ArrayBuffer}
+   */
+  static _writeFrame(version, flags, payloadBytes, checksum) {
+    const payloadLength = payloadBytes.length;
 
     // Allocate the full buffer
-    const totalSize = WFLBinaryFormat.HEADER_SIZE + payloadLength + WFLBinaryFormat.CHECKSUM_SIZE;
+    const headerSize = WFLBinaryFormat._headerSize(version);
+    const totalSize = headerSize + payloadLength + WFLBinaryFormat.CHECKSUM_SIZE;
     const buffer = new ArrayBuffer(totalSize);
     const view = new DataView(buffer);
     const bytes = new Uint8Array(buffer);
 
     // Write header
     view.setUint32(0, WFLBinaryFormat.MAGIC, false);      // big-endian
-    view.setUint32(4, WFLBinaryFormat.VERSION, false);
-    view.setUint32(8, payloadLength, false);
+    view.setUint32(4, version, false);
+    if (version >= 2) {
+      view.setUint32(8, flags, false);
+    }
+    view.setUint32(headerSize - 4, payloadLength, false);
 
     // Write payload
-    bytes.set(payloadBytes, WFLBinaryFormat.HEADER_SIZE);
+    bytes.set(payloadBytes, headerSize);
 
     // Write checksum
-    view.setUint32(WFLBinaryFormat.HEADER_SIZE + payloadLength, checksum, false);
+    view.setUint32(headerSize + payloadLength, checksum, false);
 
     return buffer;
   }
@@ -167,16 +424,53 @@ export class WFLBinaryFormat {
   // ── Decode ─────────────────────────────────────────────────────────
   /**
    * Decode a binary ArrayBuffer (or Node.js Buffer) back to an object.
+   * The payload layout is picked from the version in the header.
    *
    * @param {ArrayBuffer|Buffer} buffer
-   * @returns {object} the decoded JSON data
-   * @throws {Error} on magic mismatch, unsupported version, or bad checksum
+   * @returns {object} the decoded JSON data, migrated to WFL_VERSION when it
+   *                   carries a file `version` (other JSON is returned as-is)
+   * @throws {Error} on magic mismatch, unsupported version or flags, a
+   *                 compressed payload (use decodeAsync()), bad checksum, a
+   *                 malformed payload, or a file version newer than this
+   *                 runtime supports
    */
   static decode(buffer) {
+    const frame = WFLBinaryFormat._readFrame(buffer);
+    if (frame.compression) {
+      throw new Error(`WFLBinary: payload is ${frame.compression}-compressed, use decodeAsync()`);
+    }
+    return WFLBinaryFormat._decodePayload(frame, frame.payload);
+  }
+
+  /**
+   * decode() for compressed and uncompressed buffers alike
+   *
+   * @param {ArrayBuffer|Buffer} buffer
+   * @returns {Promise<object>}
+   * @throws {Error} as decode(), or when the payload does not decompress
+   */
+  static async decodeAsync(buffer) {
+    const frame = WFLBinaryFormat._readFrame(buffer);
+    let payload = frame.payload;
+    if (frame.compression) {
+      try {
+        payload = await decompressBytes(payload, frame.compression);
+      } catch (error) {
+        throw new Error(`WFLBinary: cannot decompress ${frame.compression} payload: ${error.message}`);
+      }
+    }
+    return WFLBinaryFormat._decodePayload(frame, payload);
+  }
+
+  /**
+   * Check the header and slice out the stored payload
+   * @returns {{version: number, compression: string|null, payload: Uint8Array, checksum: number}}
+   */
+  static _readFrame(buffer) {
     // Accept Node.js Buffer transparently
     const ab = WFLBinaryFormat._toArrayBuffer(buffer);
 
-    if (ab.byteLength < WFLBinaryFormat.HEADER_SIZE + WFLBinaryFormat.CHECKSUM_SIZE) {
+    if (ab.byteLength < WFLBinaryFormat._headerSize(1) + WFLBinaryFormat.CHECKSUM_SIZE) {
       throw new Error('WFLBinary: buffer too small to contain a valid file');
     }
 
@@ -193,16 +487,33 @@ export class WFLBinaryFormat {
 
     // ── Version ──────────────────────────────────────────────────────
     const version = view.getUint32(4, false);
-    if (version > WFLBinaryFormat.VERSION) {
+    if (version < 1 || version > WFLBinaryFormat.VERSION) {
       throw new Error(
         `WFLBinary: unsupported version ${version}, ` +
         `maximum supported is ${WFLBinaryFormat.VERSION}`
       );
     }
+    const headerSize = WFLBinaryFormat._headerSize(version);
+
+    // ── Flags ────────────────────────────────────────────────────────
+    let compression = null;
+    if (version >= 2) {
+      if (ab.byteLength < headerSize + WFLBinaryFormat.CHECKSUM_SIZE) {
+        throw new Error('WFLBinary: buffer too small to contain a valid file');
+      }
+      const flags = view.getUint32(8, false);
+      if (flags !== 0) {
+        compression = Object.keys(WFLBinaryFormat.COMPRESSION_FLAGS)
+          .find(format => WFLBinaryFormat.COMPRESSION_FLAGS[format] === flags) || null;
+        if (!compression) {
+          throw new Error(`WFLBinary: unsupported flags 0x${flags.toString(16).toUpperCase()}`);
+        }
+      }
+    }
 
     // ── Payload length ───────────────────────────────────────────────
-    const payloadLength = view.getUint32(8, false);
-    const expectedSize = WFLBinaryFormat.HEADER_SIZE + payloadLength + WFLBinaryFormat.CHECKSUM_SIZE;
+    const payloadLength = view.getUint32(headerSize - 4, false);
+    const expectedSize = headerSize + payloadLength + WFLBinaryFormat.CHECKSUM_SIZE;
     if (ab.byteLength < expectedSize) {
       throw new Error(
         `WFLBinary: buffer too small – expected at least ${expectedSize} bytes, ` +
@@ -210,22 +521,268 @@ export class WFLBinaryFormat {
       );
     }
 
-    // ── Payload ──────────────────────────────────────────────────────
-    const payloadBytes = new Uint8Array(ab, WFLBinaryFormat.HEADER_SIZE, payloadLength);
+    return {
+      version,
+      compression,
+      payload: new Uint8Array(ab, headerSize, payloadLength),
+      checksum: view.getUint32(headerSize + payloadLength, false)
+    };
+  }
 
+  /**
+   * Verify the checksum of the uncompressed payload and decode its values
+   */
+  static _decodePayload(frame, payloadBytes) {
     // ── Checksum ─────────────────────────────────────────────────────
-    const storedChecksum = view.getUint32(WFLBinaryFormat.HEADER_SIZE + payloadLength, false);
     const computedChecksum = WFLBinaryFormat.crc32(payloadBytes);
-    if (storedChecksum !== computedChecksum) {
+    if (frame.checksum !== computedChecksum) {
       throw new Error(
-        `WFLBinary: checksum mismatch – stored 0x${storedChecksum.toString(16).toUpperCase()}, ` +
+        `WFLBinary: checksum mismatch – stored 0x${frame.checksum.toString(16).toUpperCase()}, ` +
         `computed 0x${computedChecksum.toString(16).toUpperCase()}`
       );
     }
 
-    // ── Decode JSON ──────────────────────────────────────────────────
-    const jsonString = WFLBinaryFormat._decodeUTF8(payloadBytes);
-    return JSON.parse(jsonString);
+    // ── Decode values ────────────────────────────────────────────────
+    const json = frame.version === 1
+      ? JSON.parse(WFLBinaryFormat._decodeUTF8(payloadBytes))
+      : decodeCompactPayload(payloadBytes);
+    const isFile = json !== null && typeof json === 'object' && 'version' in json;
+    return isFile ? migrateWFL(json) : json;
+  }
+
+  /**
+   * Header size for a binary version (v2 adds the flags field)
+   */
+  static _headerSize(version) {
+    return version >= 2 ? WFLBinaryFormat.HEADER_SIZE : WFLBinaryFormat.V1_HEADER_SIZE;
+  }
+
+  // ── Container ──────────────────────────────────────────────────────
+  /**
+   * Bundle a document with the images, atlases, audio and viseme maps it
+   * references, so they ship as one file.
+   *
+   * @param {WFLFile|object} document
+   * @param {Array<{type: string, name: string, data: *, mimeType?: string}>} [assets]
+   *   type is a CHUNK_TYPES key other than "document"; name is the reference
+   *   the document uses (e.g. "sprites/base.png"); data is bytes (ArrayBuffer,
+   *   typed array or Buffer) or any JSON value, stored as "application/json"
+   * @param {object} [options] – passed to encode() for the document chunk
+   * @returns {ArrayBuffer}
+   * @throws {Error} as encode() (use encodeContainerAsync() to compress), or
+   *                 on an unknown asset type, a missing name or a duplicate name
+   */
+  static encodeContainer(document, assets = [], options = {}) {
+    const chunks = WFLBinaryFormat._assetChunks(assets);
+    const documentBuffer = WFLBinaryFormat.encode(document, options);
+    return WFLBinaryFormat._writeContainer([
+      { type: WFLBinaryFormat.CHUNK_TYPES.document, body: new Uint8Array(documentBuffer) },
+      ...chunks
+    ]);
+  }
+
+  /**
+   * encodeContainer() with optional compression of the document chunk
+   * @param {WFLFile|object} document
+   * @param {Array<object>} [assets] – see encodeContainer()
+   * @param {object} [options] – passed to encodeAsync() for the document chunk
+   * @returns {Promise<ArrayBuffer>}
+   */
+  static async encodeContainerAsync(document, assets = [], options = {}) {
+    const chunks = WFLBinaryFormat._assetChunks(assets);
+    const documentBuffer = await WFLBinaryFormat.encodeAsync(document, options);
+    return WFLBinaryFormat._writeContainer([
+      { type: WFLBinaryFormat.CHUNK_TYPES.document, body: new Uint8Array(documentBuffer) },
+      ...chunks
+    ]);
+  }
+
+  /**
+   * Check container assets and encode their chunks
+   * @returns {Array<{type: string, body: Uint8Array}>}
+   */
+  static _assetChunks(assets) {
+    const types = WFLBinaryFormat.CHUNK_TYPES;
+    const assetTypes = Object.keys(types).filter(type => type !== 'document');
+    const chunks = [];
+    const names = new Set();
+    for (const asset of assets) {
+      if (!assetTypes.includes(asset.type)) {
+        throw new Error(`WFLBinary: invalid asset type: ${asset.type}. Must be one of: ${assetTypes.join(', ')}`);
+      }
+      if (typeof asset.name !== 'string' || asset.name === '') {
+        throw new Error('WFLBinary: every asset needs a name');
+      }
+      if (names.has(asset.name)) {
+        throw new Error(`WFLBinary: duplicate asset "${asset.name}"`);
+      }
+      names.add(asset.name);
+      chunks.push({ type: types[asset.type], body: encodeAssetBody(asset) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Container header + chunks
+   * @param {Array<{type: string, body: Uint8Array}>} chunks
+   * @returns {ArrayBuffer}
+   */
+  static _writeContainer(chunks) {
+    const { CONTAINER_HEADER_SIZE, CHUNK_HEADER_SIZE, CHECKSUM_SIZE } = WFLBinaryFormat;
+    const totalSize = chunks.reduce(
+      (size, chunk) => size + CHUNK_HEADER_SIZE + chunk.body.length + CHECKSUM_SIZE,
+      CONTAINER_HEADER_SIZE
+    );
+    const buffer = new ArrayBuffer(totalSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, WFLBinaryFormat.CONTAINER_MAGIC, false);
+    view.setUint32(4, WFLBinaryFormat.CONTAINER_VERSION, false);
+    view.setUint32(8, 0, false);                           // flags (reserved)
+
+    let offset = CONTAINER_HEADER_SIZE;
+    for (const { type, body } of chunks) {
+      for (let i = 0; i < 4; i++) bytes[offset + i] = type.charCodeAt(i);
+      view.setUint32(offset + 4, body.length, false);
+      bytes.set(body, offset + CHUNK_HEADER_SIZE);
+      offset += CHUNK_HEADER_SIZE + body.length;
+      view.setUint32(offset, WFLBinaryFormat.crc32(body), false);
+      offset += CHECKSUM_SIZE;
+    }
+    return buffer;
+  }
+
+  /**
+   * Unpack a container written by encodeContainer()
+   *
+   * @param {ArrayBuffer|Buffer} buffer
+   * @returns {{document: object, assets: Map<string, {type: string, name: string, mimeType: string, data: *}>}}
+   *   the decoded (migrated) document, and assets keyed by name whose data is
+   *   a Uint8Array, or the parsed value for "application/json" assets
+   * @throws {Error} on magic mismatch, unsupported version or flags, a
+   *                 truncated chunk, a chunk checksum mismatch, a missing or
+   *                 repeated document chunk, duplicate asset names, or a
+   *                 compressed document (use decodeContainerAsync())
+   */
+  static decodeContainer(buffer) {
+    const { documentBody, assets } = WFLBinaryFormat._readContainer(buffer);
+    return { document: WFLBinaryFormat.decode(documentBody), assets };
+  }
+
+  /**
+   * decodeContainer() for compressed and uncompressed documents alike
+   * @param {ArrayBuffer|Buffer} buffer
+   * @returns {Promise<{document: object, assets: Map<string, object>}>}
+   */
+  static async decodeContainerAsync(buffer) {
+    const { documentBody, assets } = WFLBinaryFormat._readContainer(buffer);
+    return { document: await WFLBinaryFormat.decodeAsync(documentBody), assets };
+  }
+
+  /**
+   * Check the container and its chunk checksums
+   * @returns {{documentBody: Uint8Array, assets: Map<string, object>}}
+   */
+  static _readContainer(buffer) {
+    const ab = WFLBinaryFormat._toArrayBuffer(buffer);
+    const { CONTAINER_HEADER_SIZE, CHUNK_HEADER_SIZE, CHECKSUM_SIZE } = WFLBinaryFormat;
+    if (ab.byteLength < CONTAINER_HEADER_SIZE) {
+      throw new Error('WFLBinary: buffer too small to contain a valid container');
+    }
+
+    const view = new DataView(ab);
+    const magic = view.getUint32(0, false);
+    if (magic !== WFLBinaryFormat.CONTAINER_MAGIC) {
+      throw new Error(
+        `WFLBinary: invalid magic number 0x${magic.toString(16).toUpperCase()}, ` +
+        `expected 0x${WFLBinaryFormat.CONTAINER_MAGIC.toString(16).toUpperCase()}`
+      );
+    }
+    const version = view.getUint32(4, false);
+    if (version < 1 || version > WFLBinaryFormat.CONTAINER_VERSION) {
+      throw new Error(
+        `WFLBinary: unsupported container version ${version}, ` +
+        `maximum supported is ${WFLBinaryFormat.CONTAINER_VERSION}`
+      );
+    }
+    const flags = view.getUint32(8, false);
+    if (flags !== 0) {
+      throw new Error(`WFLBinary: unsupported flags 0x${flags.toString(16).toUpperCase()}`);
+    }
+
+    const kinds = new Map(Object.entries(WFLBinaryFormat.CHUNK_TYPES).map(([kind, type]) => [type, kind]));
+    let documentBody;
+    const assets = new Map();
+    let offset = CONTAINER_HEADER_SIZE;
+    while (offset < ab.byteLength) {
+      if (offset + CHUNK_HEADER_SIZE > ab.byteLength) {
+        throw new Error(`WFLBinary: truncated chunk header at offset ${offset}`);
+      }
+      const type = String.fromCharCode(...new Uint8Array(ab, offset, 4));
+      const length = view.getUint32(offset + 4, false);
+      const bodyOffset = offset + CHUNK_HEADER_SIZE;
+      if (bodyOffset + length + CHECKSUM_SIZE > ab.byteLength) {
+        throw new Error(`WFLBinary: truncated "${type}" chunk at offset ${offset}`);
+      }
+      const body = new Uint8Array(ab, bodyOffset, length);
+      const storedChecksum = view.getUint32(bodyOffset + length, false);
+      const computedChecksum = WFLBinaryFormat.crc32(body);
+      if (storedChecksum !== computedChecksum) {
+        throw new Error(
+          `WFLBinary: checksum mismatch in "${type}" chunk at offset ${offset} – ` +
+          `stored 0x${storedChecksum.toString(16).toUpperCase()}, ` +
+          `computed 0x${computedChecksum.toString(16).toUpperCase()}`
+        );
+      }
+      offset = bodyOffset + length + CHECKSUM_SIZE;
+
+      const kind = kinds.get(type);
+      if (!kind) continue;  // written by a newer runtime
+      if (kind === 'document') {
+        if (documentBody) {
+          throw new Error('WFLBinary: container has more than one document chunk');
+        }
+        documentBody = body;
+      } else {
+        const asset = decodeAssetBody(kind, body);
+        if (assets.has(asset.name)) {
+          throw new Error(`WFLBinary: duplicate asset "${asset.name}"`);
+        }
+        assets.set(asset.name, asset);
+      }
+    }
+
+    if (!documentBody) {
+      throw new Error('WFLBinary: container has no document chunk');
+    }
+    return { documentBody, assets };
+  }
+
+  /**
+   * Check the magic number of a buffer
+   * @param {ArrayBuffer|Buffer|Uint8Array|string} buffer
+   * @returns {boolean} true for a container, false for anything else
+   *                    (a plain WFLB buffer, JSON text, too few bytes)
+   */
+  static isContainer(buffer) {
+    return WFLBinaryFormat._magicOf(buffer) === WFLBinaryFormat.CONTAINER_MAGIC;
+  }
+
+  /**
+   * First four bytes as a big-endian uint32, or null when there are fewer
+   * or the input is not a buffer (e.g. JSON text)
+   */
+  static _magicOf(buffer) {
+    let view;
+    if (ArrayBuffer.isView(buffer)) {
+      view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    } else if (buffer instanceof ArrayBuffer) {
+      view = new DataView(buffer);
+    } else {
+      return null;
+    }
+    return view.byteLength >= 4 ? view.getUint32(0, false) : null;
   }
 
   // ── UTF-8 helpers (work in Node.js & browser) ──────────────────────
@@ -278,3 +835,549 @@ export class WFLBinaryFormat {
     throw new TypeError('WFLBinary: expected ArrayBuffer, Buffer, or TypedArray');
   }
 }
+
+// ─────────────────────────────────────────────────────────────────
+// Version 2 payload (see the layout above WFLBinaryFormat)
+// ─────────────────────────────────────────────────────────────────
+
+const VALUE_TAGS = {
+  NULL: 0, FALSE: 1, TRUE: 2, INT: 3, FLOAT32: 4, FLOAT64: 5, STRING: 6, ARRAY: 7, OBJECT: 8, KEYFRAMES: 9
+};
+const TAG_BITS = 16;               // typed key = string index * 16 + tag
+const MAX_ZIGZAG_INT = 2 ** 52;    // zigzag doubles the magnitude, which must stay a safe integer
+const MAX_KEYFRAME_FIELDS = 30;    // presence bitmask stays within 32-bit operators
+const MIN_NORMAL_FLOAT32 = 2 ** -126;
+const MAX_EXACT_FLOAT32_INT = 2 ** 24;
+
+// Keyframe layouts by array, so counting strings and writing share one pass
+const keyframeLayouts = new WeakMap();
+
+/**
+ * Growable byte buffer with LEB128 and little-endian float writers
+ */
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + count) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  byte(value) {
+    this.reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  /** Unsigned LEB128 (arithmetic, so values up to 2^53 survive) */
+  varint(value) {
+    let rest = value;
+    while (rest >= 0x80) {
+      this.byte((rest % 0x80) | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    this.byte(rest);
+  }
+
+  float32(value) {
+    this.reserve(4);
+    this.view.setFloat32(this.length, value, true);
+    this.length += 4;
+  }
+
+  float64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Bounds-checked reader matching ByteWriter
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  need(count) {
+    if (this.offset + count > this.bytes.length) {
+      throw new Error('WFLBinary: unexpected end of payload');
+    }
+  }
+
+  byte() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.byte();
+      value += (byte & 0x7F) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+      if (scale > 2 ** 56) {
+        throw new Error('WFLBinary: varint too long');
+      }
+    }
+  }
+
+  float32() {
+    this.need(4);
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return shortestFloat32(value);
+  }
+
+  float64() {
+    this.need(8);
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  raw(count) {
+    this.need(count);
+    const bytes = this.bytes.subarray(this.offset, this.offset + count);
+    this.offset += count;
+    return bytes;
+  }
+}
+
+/**
+ * The shortest decimal that rounds to the same float32 (0.1, not 0.10000000149).
+ * Every float32 is pinned down by 9 significant digits, most by 7.
+ */
+function shortestFloat32(value) {
+  // Fast path for authored values with up to 6 decimals (0.02, 1.5, -60)
+  const rounded = Math.round(value * 1e6) / 1e6;
+  if (Math.fround(rounded) === value) return rounded;
+  for (let precision = 7; precision < 9; precision++) {
+    const candidate = Number(value.toPrecision(precision));
+    if (Math.fround(candidate) === value) return candidate;
+  }
+  return Number(value.toPrecision(9));
+}
+
+/** Whether a number round-trips through float32 + shortestFloat32 */
+function fitsFloat32(value) {
+  return shortestFloat32(Math.fround(value)) === value && !Object.is(value, -0);
+}
+
+/**
+ * Whether a keyframe value may be rounded to float32: inside the normal
+ * float32 range (no overflow to Infinity, no underflow towards 0), and
+ * integers only while float32 holds them exactly (up to 2^24)
+ */
+function fitsKeyframeFloat32(value) {
+  const magnitude = Math.abs(value);
+  if (!Number.isFinite(Math.fround(value))) return false;
+  if (magnitude !== 0 && magnitude < MIN_NORMAL_FLOAT32) return false;
+  return !Number.isInteger(value) || magnitude <= MAX_EXACT_FLOAT32_INT;
+}
+
+function isCompactInt(value) {
+  return Number.isInteger(value) && Math.abs(value) <= MAX_ZIGZAG_INT && !Object.is(value, -0);
+}
+
+/**
+ * Columnar layout for a keyframe array, or null when it does not qualify
+ * (non-number leaves, numbers float32 cannot hold, too many fields, or key
+ * orders the field list cannot reproduce). Its values are stored as float32.
+ * @returns {{ fields: string[][], rows: Array<{ mask: number, values: number[] }> }|null}
+ */
+function keyframeLayout(list) {
+  if (!keyframeLayouts.has(list)) {
+    keyframeLayouts.set(list, buildKeyframeLayout(list));
+  }
+  return keyframeLayouts.get(list);
+}
+
+function buildKeyframeLayout(list) {
+  if (list.length === 0) return null;
+  const fields = [];
+  const fieldIndex = new Map();
+  const rows = [];
+
+  for (const item of list) {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) return null;
+    const row = { mask: 0, values: [] };
+    let last = -1;
+    // Field ids are key paths joined with NUL ("position\u0000x")
+    const flatten = (object, prefix) => {
+      const keys = Object.keys(object);
+      if (keys.length === 0) return false;
+      for (const key of keys) {
+        if (key.includes('\u0000')) return false;
+        const value = object[key];
+        const id = prefix === null ? key : `${prefix}\u0000${key}`;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          if (!flatten(value, id)) return false;
+          continue;
+        }
+        if (typeof value !== 'number' || !fitsKeyframeFloat32(value)) return false;
+        let field = fieldIndex.get(id);
+        if (field === undefined) {
+          field = fields.length;
+          if (field >= MAX_KEYFRAME_FIELDS) return false;
+          fieldIndex.set(id, field);
+          fields.push(id.split('\u0000'));
+        }
+        // Decoding rebuilds each item in field order
+        if (field <= last) return false;
+        last = field;
+        row.mask |= 1 << field;
+        row.values.push(value);
+      }
+      return true;
+    };
+    if (!flatten(item, null)) return null;
+    rows.push(row);
+  }
+
+  return { fields, rows };
+}
+
+/**
+ * Tag for a value (JSON-normalised) under a property name
+ */
+function valueTag(value, key) {
+  if (value === null) return VALUE_TAGS.NULL;
+  if (value === false) return VALUE_TAGS.FALSE;
+  if (value === true) return VALUE_TAGS.TRUE;
+  if (typeof value === 'number') {
+    if (isCompactInt(value)) return VALUE_TAGS.INT;
+    return fitsFloat32(value) ? VALUE_TAGS.FLOAT32 : VALUE_TAGS.FLOAT64;
+  }
+  if (typeof value === 'string') return VALUE_TAGS.STRING;
+  if (Array.isArray(value)) {
+    return key === 'keyframes' && keyframeLayout(value) ? VALUE_TAGS.KEYFRAMES : VALUE_TAGS.ARRAY;
+  }
+  return VALUE_TAGS.OBJECT;
+}
+
+/**
+ * Count every key and string value, including keyframe field names
+ */
+function countStrings(value, counts) {
+  const add = (text) => counts.set(text, (counts.get(text) || 0) + 1);
+  if (typeof value === 'string') {
+    add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => countStrings(item, counts));
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      add(key);
+      const layout = key === 'keyframes' && Array.isArray(child) ? keyframeLayout(child) : null;
+      if (layout) {
+        layout.fields.forEach(path => path.forEach(add));
+      } else {
+        countStrings(child, counts);
+      }
+    });
+  }
+}
+
+function writeCompactValue(writer, value, tag, strings) {
+  switch (tag) {
+    case VALUE_TAGS.INT:
+      writer.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+      break;
+    case VALUE_TAGS.FLOAT32:
+      writer.float32(value);
+      break;
+    case VALUE_TAGS.FLOAT64:
+      writer.float64(value);
+      break;
+    case VALUE_TAGS.STRING:
+      writer.varint(strings.get(value));
+      break;
+    case VALUE_TAGS.ARRAY:
+      writer.varint(value.length);
+      value.forEach(item => {
+        const itemTag = valueTag(item);
+        writer.byte(itemTag);
+        writeCompactValue(writer, item, itemTag, strings);
+      });
+      break;
+    case VALUE_TAGS.OBJECT: {
+      const entries = Object.entries(value);
+      writer.varint(entries.length);
+      entries.forEach(([key, child]) => {
+        const childTag = valueTag(child, key);
+        writer.varint(strings.get(key) * TAG_BITS + childTag);
+        writeCompactValue(writer, child, childTag, strings);
+      });
+      break;
+    }
+    case VALUE_TAGS.KEYFRAMES: {
+      const { fields, rows } = keyframeLayout(value);
+      writer.varint(fields.length);
+      fields.forEach(path => {
+        writer.varint(path.length);
+        path.forEach(name => writer.varint(strings.get(name)));
+      });
+      writer.varint(rows.length);
+      rows.forEach(({ mask, values }) => {
+        writer.varint(mask);
+        values.forEach(number => writer.float32(number));
+      });
+      break;
+    }
+    default:
+      // null, false and true are fully described by their tag
+      break;
+  }
+}
+
+function readCompactValue(reader, tag, strings) {
+  switch (tag) {
+    case VALUE_TAGS.NULL: return null;
+    case VALUE_TAGS.FALSE: return false;
+    case VALUE_TAGS.TRUE: return true;
+    case VALUE_TAGS.INT: {
+      const zigzag = reader.varint();
+      return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+    }
+    case VALUE_TAGS.FLOAT32: return reader.float32();
+    case VALUE_TAGS.FLOAT64: return reader.float64();
+    case VALUE_TAGS.STRING: return readString(reader, strings);
+    case VALUE_TAGS.ARRAY: {
+      const length = reader.varint();
+      const list = [];
+      for (let i = 0; i < length; i++) {
+        list.push(readCompactValue(reader, reader.byte(), strings));
+      }
+      return list;
+    }
+    case VALUE_TAGS.OBJECT: {
+      const count = reader.varint();
+      const object = {};
+      for (let i = 0; i < count; i++) {
+        const typedKey = reader.varint();
+        const key = lookupString(strings, Math.floor(typedKey / TAG_BITS));
+        setOwnProperty(object, key, readCompactValue(reader, typedKey % TAG_BITS, strings));
+      }
+      return object;
+    }
+    case VALUE_TAGS.KEYFRAMES: {
+      const fields = [];
+      const fieldCount = reader.varint();
+      for (let i = 0; i < fieldCount; i++) {
+        const depth = reader.varint();
+        const path = [];
+        for (let j = 0; j < depth; j++) path.push(readString(reader, strings));
+        fields.push(path);
+      }
+      const count = reader.varint();
+      const list = [];
+      for (let i = 0; i < count; i++) {
+        const mask = reader.varint();
+        const item = {};
+        fields.forEach((path, field) => {
+          if (!(mask & (1 << field))) return;
+          let target = item;
+          path.slice(0, -1).forEach(name => {
+            if (!Object.hasOwn(target, name)) setOwnProperty(target, name, {});
+            target = target[name];
+          });
+          setOwnProperty(target, path[path.length - 1], reader.float32());
+        });
+        list.push(item);
+      }
+      return list;
+    }
+    default:
+      throw new Error(`WFLBinary: unknown value tag ${tag}`);
+  }
+}
+
+/**
+ * Define a plain data property, so a "__proto__" key stays an own key (as
+ * JSON.parse keeps it) instead of going through the prototype setter
+ */
+function setOwnProperty(object, key, value) {
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function lookupString(strings, index) {
+  if (index >= strings.length) {
+    throw new Error(`WFLBinary: string index ${index} out of range`);
+  }
+  return strings[index];
+}
+
+function readString(reader, strings) {
+  return lookupString(strings, reader.varint());
+}
+
+/**
+ * Encode JSON-normalised data as a version 2 payload
+ * @returns {Uint8Array}
+ */
+function encodeCompactPayload(json) {
+  const counts = new Map();
+  countStrings(json, counts);
+  // Most used first, so frequent keys get one-byte indices (sort is stable)
+  const table = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  const strings = new Map(table.map((text, index) => [text, index]));
+
+  const writer = new ByteWriter();
+  writer.varint(table.length);
+  table.forEach(text => {
+    const bytes = WFLBinaryFormat._encodeUTF8(text);
+    writer.varint(bytes.length);
+    writer.raw(bytes);
+  });
+
+  const tag = valueTag(json);
+  writer.byte(tag);
+  writeCompactValue(writer, json, tag, strings);
+  return writer.finish();
+}
+
+/**
+ * Decode a version 2 payload
+ */
+function decodeCompactPayload(bytes) {
+  const reader = new ByteReader(bytes);
+  const count = reader.varint();
+  const strings = [];
+  for (let i = 0; i < count; i++) {
+    strings.push(WFLBinaryFormat._decodeUTF8(reader.raw(reader.varint())));
+  }
+  const value = readCompactValue(reader, reader.byte(), strings);
+  if (reader.offset !== bytes.length) {
+    throw new Error('WFLBinary: unexpected data after payload');
+  }
+  return value;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Container asset chunks (see the layout above WFLBinaryFormat)
+// ─────────────────────────────────────────────────────────────────
+
+const JSON_MIME_TYPE = 'application/json';
+
+function writeText(writer, text) {
+  const bytes = WFLBinaryFormat._encodeUTF8(text);
+  writer.varint(bytes.length);
+  writer.raw(bytes);
+}
+
+function readText(reader) {
+  return WFLBinaryFormat._decodeUTF8(reader.raw(reader.varint()));
+}
+
+/**
+ * Asset chunk body: name, MIME type, then the bytes (JSON text for values
+ * that are not bytes)
+ * @returns {Uint8Array}
+ */
+function encodeAssetBody({ name, data, mimeType }) {
+  let bytes;
+  if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  } else if (data !== undefined) {
+    bytes = WFLBinaryFormat._encodeUTF8(JSON.stringify(data));
+    mimeType = mimeType || JSON_MIME_TYPE;
+  } else {
+    throw new Error(`WFLBinary: asset "${name}" has no data`);
+  }
+
+  const writer = new ByteWriter(bytes.length + 64);
+  writeText(writer, name);
+  writeText(writer, mimeType || 'application/octet-stream');
+  writer.raw(bytes);
+  return writer.finish();
+}
+
+function decodeAssetBody(type, body) {
+  const reader = new ByteReader(body);
+  const name = readText(reader);
+  const mimeType = readText(reader);
+  const bytes = body.slice(reader.offset);
+  const data = mimeType === JSON_MIME_TYPE
+    ? JSON.parse(WFLBinaryFormat._decodeUTF8(bytes))
+    : bytes;
+  return { type, name, mimeType, data };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Payload compression (zlib in Node.js, CompressionStream in browsers)
+// ─────────────────────────────────────────────────────────────────
+
+function isNodeRuntime() {
+  return typeof process !== 'undefined' && Boolean(process.versions?.node);
+}
+
+/**
+ * Run bytes through zlib's deflate/gzip (or their inflate/gunzip inverses)
+ */
+async function zlibBytes(bytes, method, options) {
+  const zlib = await import('node:zlib');
+  return new Promise((resolve, reject) => {
+    zlib[method](bytes, options, (error, result) => {
+      if (error) reject(error);
+      else resolve(new Uint8Array(result.buffer, result.byteOffset, result.byteLength));
+    });
+  });
+}
+
+/**
+ * Pipe bytes through a CompressionStream or DecompressionStream
+ */
+async function streamBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} format - 'deflate' or 'gzip'
+ * @param {number} [level] - 0-9, only honoured by zlib
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressBytes(bytes, format, level) {
+  if (isNodeRuntime()) {
+    return zlibBytes(bytes, format, level === undefined ? {} : { level });
+  }
+  return streamBytes(bytes, new CompressionStream(format));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} format - 'deflate' or 'gzip'
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompressBytes(bytes, format) {
+  if (isNodeRuntime()) {
+    return zlibBytes(bytes, format === 'gzip' ? 'gunzip' : 'inflate', {});
+  }
+  return streamBytes(bytes, new DecompressionStream(format));
+}
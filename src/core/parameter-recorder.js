@@ -0,0 +1,419 @@
+/**
+ * Parameter Recorder - Capture live parameter changes and bake them into
+ * keyframed parameter clips that can be saved in a .wfl `animations`
+ * section and played back through the animator loop.
+ *
+ * Clip format:
+ * {
+ *   "type": "parameter_animation",
+ *   "duration": 4.2,
+ *   "tracks": [
+ *     { "parameter": "headTurn", "interpolation": "linear", "keyframes": [{ "time": 0, "value": 0 }, ...] },
+ *     { "parameter": "isTalking", "interpolation": "step", "keyframes": [...] },
+ *     { "parameter": "laugh", "interpolation": "event", "keyframes": [{ "time": 1.5, "value": true }] }
+ *   ]
+ * }
+ *
+ * Number tracks interpolate linearly, boolean tracks hold each value until
+ * the next key, and trigger tracks fire at each key.
+ */
+
+export const PARAMETER_CLIP_TYPE = 'parameter_animation';
+
+const INTERPOLATION_BY_TYPE = { number: 'linear', boolean: 'step', trigger: 'event' };
+
+// ─────────────────────────────────────────────────────────────────
+// Keyframe helpers
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Sample a keyframe list at a time
+ * @param {Array<{time: number, value: *}>} keyframes - Sorted by time
+ * @param {number} time
+ * @param {string} [interpolation='linear'] - 'linear' or 'step'
+ * @returns {*} Sampled value, or undefined for an empty list
+ */
+export function sampleKeyframes(keyframes, time, interpolation = 'linear') {
+  if (keyframes.length === 0) return undefined;
+  if (time <= keyframes[0].time) return keyframes[0].value;
+
+  const last = keyframes[keyframes.length - 1];
+  if (time >= last.time) return last.value;
+
+  // Last key at or before time (the later of equal-time keys wins)
+  let index = 0;
+  while (index < keyframes.length - 1 && keyframes[index + 1].time <= time) index++;
+  const prev = keyframes[index];
+  const next = keyframes[index + 1];
+
+  if (interpolation !== 'linear' || typeof prev.value !== 'number') return prev.value;
+  const t = (time - prev.time) / (next.time - prev.time);
+  return prev.value + (next.value - prev.value) * t;
+}
+
+/**
+ * Cut a keyframe list to [start, end] and shift it to begin at 0.
+ * Continuous tracks get boundary keys so the trimmed clip starts and ends
+ * on the values the original had at those times; event tracks keep only
+ * the events inside the range.
+ *
+ * @param {Array<{time: number, value: *}>} keyframes
+ * @param {number} start
+ * @param {number} end
+ * @param {string} [interpolation='linear'] - 'linear', 'step' or 'event'
+ * @returns {Array<{time: number, value: *}>}
+ */
+export function trimKeyframes(keyframes, start, end, interpolation = 'linear') {
+  if (interpolation === 'event') {
+    return keyframes
+      .filter(key => key.time >= start && key.time <= end)
+      .map(key => ({ time: key.time - start, value: key.value }));
+  }
+  if (keyframes.length === 0) return [];
+
+  const inside = keyframes
+    .filter(key => key.time > start && key.time < end)
+    .map(key => ({ time: key.time - start, value: key.value }));
+
+  return [
+    { time: 0, value: sampleKeyframes(keyframes, start, interpolation) },
+    ...inside,
+    { time: end - start, value: sampleKeyframes(keyframes, end, interpolation) }
+  ];
+}
+
+/**
+ * Drop keyframes that add nothing to the curve.
+ * Linear tracks use Ramer-Douglas-Peucker: a key is kept only if removing
+ * it would move the curve by more than `tolerance`. Step tracks drop keys
+ * that repeat the previous value.
+ *
+ * @param {Array<{time: number, value: *}>} keyframes
+ * @param {number} [tolerance=0] - Largest allowed value error for linear tracks
+ * @param {string} [interpolation='linear']
+ * @returns {Array<{time: number, value: *}>}
+ */
+export function reduceKeyframes(keyframes, tolerance = 0, interpolation = 'linear') {
+  if (interpolation === 'event') return keyframes.map(key => ({ ...key }));
+
+  if (interpolation !== 'linear') {
+    const reduced = keyframes.filter((key, i) => i === 0 || key.value !== keyframes[i - 1].value);
+    const last = keyframes[keyframes.length - 1];
+    // Keep the final key so the clip still spans its full length
+    if (last && reduced[reduced.length - 1] !== last) reduced.push(last);
+    return reduced.map(key => ({ ...key }));
+  }
+
+  if (keyframes.length <= 2) return keyframes.map(key => ({ ...key }));
+
+  const keep = new Array(keyframes.length).fill(false);
+  keep[0] = true;
+  keep[keyframes.length - 1] = true;
+  const epsilon = Math.max(tolerance, 1e-9);
+
+  // Iterative RDP over index ranges
+  const stack = [[0, keyframes.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = keyframes[first];
+    const b = keyframes[last];
+    let maxError = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const key = keyframes[i];
+      const span = b.time - a.time;
+      const expected = span > 0 ? a.value + (b.value - a.value) * (key.time - a.time) / span : a.value;
+      const error = Math.abs(key.value - expected);
+      if (error > maxError) {
+        maxError = error;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxError > epsilon) {
+      keep[maxIndex] = true;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return keyframes.filter((_key, i) => keep[i]).map(key => ({ ...key }));
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Recorder
+// ─────────────────────────────────────────────────────────────────
+
+export class ParameterRecorder {
+  /**
+   * @param {import('./parameter.js').ParameterSystem} parameters
+   * @param {string[]} [names] - Parameters to record (default: every non-derived parameter)
+   */
+  constructor(parameters, names = null) {
+    this.parameters = parameters;
+    this.names = names
+      ? [...names]
+      : parameters.getAll().filter(param => !param.isDerived()).map(param => param.name);
+    this.time = 0;
+    this.isRecording = false;
+    this.tracks = new Map(); // name -> { type, keyframes }
+    this._previousTime = 0;  // time before the latest advance()
+    this._unsubscribes = [];
+
+    for (const name of this.names) {
+      const param = parameters.get(name);
+      if (!param) {
+        throw new Error(`Cannot record unknown parameter "${name}"`);
+      }
+      if (param.isDerived()) {
+        throw new Error(`Cannot record derived parameter "${name}"; record its dependencies instead`);
+      }
+    }
+  }
+
+  /**
+   * Start (or restart) recording from time 0
+   */
+  start() {
+    this.stop();
+    this.time = 0;
+    this._previousTime = 0;
+    this.tracks.clear();
+
+    for (const name of this.names) {
+      const param = this.parameters.get(name);
+      const keyframes = param.type === 'trigger' ? [] : [{ time: 0, value: param.get() }];
+      this.tracks.set(name, { type: param.type, keyframes });
+      this._unsubscribes.push(param.onChange((_name, value) => this._capture(name, value)));
+    }
+
+    this.isRecording = true;
+    this.parameters._recorders.add(this);
+    return this;
+  }
+
+  /**
+   * Stop recording; the captured tracks are kept
+   */
+  stop() {
+    this._unsubscribes.forEach(unsubscribe => unsubscribe());
+    this._unsubscribes = [];
+    this.isRecording = false;
+    this.parameters._recorders.delete(this);
+    return this;
+  }
+
+  /**
+   * Advance the recording clock (called by ParameterSystem.update)
+   * @param {number} deltaTime - Elapsed seconds
+   */
+  advance(deltaTime) {
+    if (!this.isRecording || !(deltaTime > 0)) return;
+    this._previousTime = this.time;
+    this.time += deltaTime;
+  }
+
+  _capture(name, value) {
+    const track = this.tracks.get(name);
+    if (!track) return;
+    const keyframes = track.keyframes;
+
+    if (track.type === 'trigger') {
+      if (value === true) keyframes.push({ time: this.time, value: true });
+      return;
+    }
+
+    const last = keyframes[keyframes.length - 1];
+    if (last && last.time === this.time) {
+      // Several changes in one frame: the latest wins
+      last.value = value;
+      return;
+    }
+    if (last && last.time < this._previousTime && last.value !== value) {
+      // The old value was held until the previous frame; don't ramp across the gap
+      keyframes.push({ time: this._previousTime, value: last.value });
+    }
+    keyframes.push({ time: this.time, value });
+  }
+
+  /**
+   * Bake the recording into a parameter clip
+   * @param {Object} [options]
+   * @param {number} [options.start=0] - Trim start (seconds)
+   * @param {number} [options.end] - Trim end (default: recording length)
+   * @param {number} [options.tolerance=0] - Keyframe reduction tolerance for number tracks
+   * @returns {{ type: string, duration: number, tracks: Array }}
+   */
+  toClip(options = {}) {
+    const start = Math.max(0, options.start ?? 0);
+    const end = Math.min(this.time, options.end ?? this.time);
+    if (end < start) {
+      throw new RangeError(`Invalid trim range: start ${start} is after end ${end}`);
+    }
+
+    const tracks = [];
+    this.tracks.forEach((track, name) => {
+      const interpolation = INTERPOLATION_BY_TYPE[track.type];
+      const trimmed = trimKeyframes(track.keyframes, start, end, interpolation);
+      tracks.push({
+        parameter: name,
+        interpolation,
+        keyframes: reduceKeyframes(trimmed, options.tolerance ?? 0, interpolation)
+      });
+    });
+
+    return { type: PARAMETER_CLIP_TYPE, duration: end - start, tracks };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Playback
+// ─────────────────────────────────────────────────────────────────
+
+export class ParameterClipPlayer {
+  /**
+   * @param {import('./parameter.js').ParameterSystem} parameters
+   */
+  constructor(parameters) {
+    this.parameters = parameters;
+    this.clips = new Map();    // name -> clip
+    this.playing = new Map();  // name -> { clip, time, loop }
+    this.onComplete = null;    // (name) => void
+  }
+
+  /**
+   * Register a clip by name
+   * @throws {Error} if the data is not a parameter clip
+   */
+  addClip(name, clip) {
+    if (!clip || clip.type !== PARAMETER_CLIP_TYPE || !Array.isArray(clip.tracks)) {
+      throw new Error(`Animation "${name}" is not a ${PARAMETER_CLIP_TYPE} clip`);
+    }
+    this.clips.set(name, clip);
+  }
+
+  /**
+   * Start playing a clip from the beginning
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.loop=false]
+   * @returns {boolean} false if no clip has this name
+   */
+  play(name, options = {}) {
+    const clip = this.clips.get(name);
+    if (!clip) return false;
+    this.playing.set(name, { clip, time: 0, loop: options.loop === true, started: false });
+    return true;
+  }
+
+  /**
+   * Stop one clip, or every clip when name is omitted
+   */
+  stop(name) {
+    if (name === undefined) {
+      this.playing.clear();
+    } else {
+      this.playing.delete(name);
+    }
+  }
+
+  /**
+   * Whether a clip is playing
+   */
+  isPlaying(name) {
+    return this.playing.has(name);
+  }
+
+  /**
+   * Position of every playing clip, as JSON keyed by clip name
+   * @returns {Object<string, {time: number, loop: boolean, started: boolean}>}
+   */
+  captureState() {
+    const state = {};
+    this.playing.forEach(({ time, loop, started }, name) => {
+      state[name] = { time, loop, started };
+    });
+    return state;
+  }
+
+  /**
+   * Replace playback with captureState(); clips that no longer exist are skipped
+   * @param {Object} state
+   */
+  restoreState(state) {
+    this.playing.clear();
+    Object.entries(state).forEach(([name, { time, loop, started }]) => {
+      const clip = this.clips.get(name);
+      if (clip) this.playing.set(name, { clip, time, loop, started });
+    });
+  }
+
+  /**
+   * Advance every playing clip and write its parameters in one transaction
+   * @param {number} deltaTime - Elapsed seconds (already scaled by animator speed)
+   */
+  update(deltaTime) {
+    if (this.playing.size === 0) return;
+    const completed = [];
+
+    this.parameters.transaction(() => {
+      this.playing.forEach((playback, name) => {
+        const { clip } = playback;
+        const from = playback.time;
+        let to = from + Math.max(0, deltaTime);
+        let finished = false;
+
+        if (to >= clip.duration) {
+          if (playback.loop && clip.duration > 0) {
+            this._fireEvents(clip, playback.started ? from : -Infinity, clip.duration, true);
+            to %= clip.duration;
+            this._fireEvents(clip, -Infinity, to, false);
+          } else {
+            this._fireEvents(clip, playback.started ? from : -Infinity, clip.duration, true);
+            to = clip.duration;
+            finished = true;
+          }
+        } else {
+          this._fireEvents(clip, playback.started ? from : -Infinity, to, false);
+        }
+
+        playback.time = to;
+        playback.started = true;
+        this._apply(clip, to);
+        if (finished) completed.push(name);
+      });
+    });
+
+    completed.forEach((name) => {
+      this.playing.delete(name);
+      if (this.onComplete) this.onComplete(name);
+    });
+  }
+
+  _apply(clip, time) {
+    for (const track of clip.tracks) {
+      if (track.interpolation === 'event') continue;
+      const param = this.parameters.get(track.parameter);
+      if (!param || param.isDerived()) continue;
+
+      const value = sampleKeyframes(track.keyframes, time, track.interpolation);
+      if (value !== undefined && value !== param.getTarget()) {
+        this.parameters.set(track.parameter, value);
+      }
+    }
+  }
+
+  /**
+   * Fire trigger keys in (from, to], or (from, to) when the end is open
+   */
+  _fireEvents(clip, from, to, inclusiveEnd) {
+    for (const track of clip.tracks) {
+      if (track.interpolation !== 'event' || !this.parameters.has(track.parameter)) continue;
+      for (const key of track.keyframes) {
+        if (key.time > from && (inclusiveEnd ? key.time <= to : key.time < to)) {
+          this.parameters.fire(track.parameter);
+        }
+      }
+    }
+  }
+}
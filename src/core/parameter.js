@@ -3,33 +3,220 @@
  * Inspired by Rive's state machine inputs
  */
 
-const VALID_TYPES = ['number', 'boolean', 'trigger'];
+import { EventTypes } from './event-bus.js';
+import { normalizeSmoothing, stepSmoothing } from './smoothing.js';
+import { extractIdentifiers, compileExpression } from './expression.js';
+import { ParameterRecorder } from './parameter-recorder.js';
+
+export const PARAMETER_TYPES = ['number', 'boolean', 'trigger'];
+export const OUT_OF_RANGE_POLICIES = ['clamp', 'reject', 'wrap'];
+const MISSING_POLICIES = ['keep', 'remove'];
+
+// Fields configure() copies from a freshly validated definition
+const CONFIG_FIELDS = ['type', 'defaultValue', 'min', 'max', 'step', 'enum', 'outOfRange', 'description', 'smoothing', 'expression'];
 
 export class Parameter {
-  constructor(name, type, defaultValue = null) {
+  /**
+   * @param {string} name
+   * @param {string} type - 'number', 'boolean' or 'trigger'
+   * @param {*} defaultValue - Type-checked and constrained like set()
+   * @param {Object} [options] - Metadata for number parameters
+   * @param {number} [options.min] - Lower bound
+   * @param {number} [options.max] - Upper bound
+   * @param {number} [options.step] - Values snap to multiples of step (offset from min)
+   * @param {Array<number|string>} [options.enum] - Allowed values, or labels whose index is the value
+   * @param {string} [options.outOfRange='clamp'] - 'clamp', 'reject' or 'wrap'
+   * @param {string} [options.description] - Human-readable description
+   * @param {string|Object} [options.smoothing] - Glide toward new values (see smoothing.js)
+   * @param {string} [options.expression] - Derive the value from other parameters (read-only)
+   * @throws {TypeError|RangeError} for a default set() would refuse
+   */
+  constructor(name, type, defaultValue = null, options = {}) {
     this.name = name;
     this.type = type; // 'number', 'boolean', 'trigger'
-    this.defaultValue = defaultValue;
-    this.value = defaultValue;
+    this.defaultValue = null;     // constrained once the metadata is known (below)
+    this.value = null;            // current value
+    this.target = null;           // value set() asked for; differs from value while smoothing
+    this.velocity = 0;
+    this.glide = null;            // unsnapped smoothing position of stepped/enum parameters
     this.listeners = [];
+    this.system = null; // owning ParameterSystem (defers listeners during transactions)
+
+    // Range / enum metadata (number parameters only)
+    this.min = options.min ?? null;
+    this.max = options.max ?? null;
+    this.step = options.step ?? null;
+    this.enum = options.enum ? [...options.enum] : null;
+    this.outOfRange = options.outOfRange || 'clamp';
+    this.description = options.description ?? null;
+    this.smoothing = options.smoothing && type === 'number'
+      ? normalizeSmoothing(options.smoothing)
+      : null;
+
+    // Derived parameters (dependencies are resolved by ParameterSystem.linkDerived)
+    this.expression = options.expression ?? null;
+    this.dependencies = [];
+
+    if (this.expression !== null && type === 'trigger') {
+      throw new Error(`Trigger parameter "${name}" cannot be derived from an expression`);
+    }
+    if (!OUT_OF_RANGE_POLICIES.includes(this.outOfRange)) {
+      throw new Error(`Invalid outOfRange policy for parameter "${name}": ${this.outOfRange}. Must be one of: ${OUT_OF_RANGE_POLICIES.join(', ')}`);
+    }
+    if (this.min !== null && this.max !== null && this.min > this.max) {
+      throw new Error(`Invalid range for parameter "${name}": min ${this.min} is greater than max ${this.max}`);
+    }
+    if (this.step !== null && !(this.step > 0)) {
+      throw new Error(`Invalid step for parameter "${name}": ${this.step}. Must be greater than 0`);
+    }
+    if (this.outOfRange === 'wrap' && !this.enum && (this.min === null || this.max === null)) {
+      throw new Error(`Parameter "${name}" needs both min and max to use the 'wrap' policy`);
+    }
+
+    // The default obeys the same type, step, range and enum rules as set()
+    this.defaultValue = this._accept(defaultValue);
+    this.value = this.defaultValue;
+    this.target = this.defaultValue;
   }
 
+  /**
+   * Replace the type, default and metadata in place, keeping listeners.
+   * The current value is left alone; callers set it afterwards.
+   * @throws {Error} if the new metadata is inconsistent (nothing is changed)
+   */
+  configure(type, defaultValue = null, options = {}) {
+    const next = new Parameter(this.name, type, defaultValue, options);
+    this.system?._track(this);
+    CONFIG_FIELDS.forEach((field) => {
+      this[field] = next[field];
+    });
+    this.velocity = 0;
+    this.glide = null;
+  }
+
+  /**
+   * Set the value. With smoothing, this sets the target and the current
+   * value moves toward it in update(); listeners fire as it moves.
+   */
   set(value) {
+    value = this._accept(value);
+    this.system?._track(this);
+
+    if (this.smoothing && value !== null && this.value !== null) {
+      this.target = value;
+      return;
+    }
+    this._assign(value);
+  }
+
+  /**
+   * Jump straight to a value, bypassing smoothing
+   */
+  snapTo(value) {
+    value = this._accept(value);
+    this.system?._track(this);
+    this._assign(value);
+  }
+
+  /**
+   * Advance smoothing toward the target
+   * @param {number} deltaTime - Elapsed seconds
+   */
+  update(deltaTime) {
+    if (!this.smoothing || this.value === this.target || this.value === null || this.target === null) return;
+
+    const position = this.glide ?? this.value;
+    const { value, velocity } = stepSmoothing(this.smoothing, position, this.target, this.velocity, deltaTime);
+    this.velocity = velocity;
+    if (!this.isDiscrete()) {
+      this._notify(value);
+      return;
+    }
+
+    // Stepped and enum values move in whole steps (mouthAnimations[value]
+    // needs an index), so the in-between position is kept aside
+    const snapped = this._snap(value);
+    if (snapped === this.target) {
+      this.glide = null;
+      this.velocity = 0;
+    } else {
+      this.glide = value;
+    }
+    if (snapped !== this.value) this._notify(snapped);
+  }
+
+  get() {
+    return this.value;
+  }
+
+  /**
+   * Get the value the parameter is moving toward
+   */
+  getTarget() {
+    return this.target;
+  }
+
+  /**
+   * Whether the current value has reached the target
+   */
+  isSettled() {
+    return this.value === this.target;
+  }
+
+  _accept(value) {
     if (!this.validateType(value)) {
       throw new TypeError(`Invalid value for ${this.type} parameter "${this.name}": ${typeof value}`);
     }
+    return this.constrain(value);
+  }
+
+  _assign(value) {
+    this.target = value;
+    this.velocity = 0;
+    this.glide = null;
+    this._notify(value);
+  }
 
+  _notify(value) {
     const oldValue = this.value;
     this.value = value;
 
-    // Notify listeners
+    // Inside a transaction listeners run once, on commit
+    if (this.system?.inTransaction()) return;
+    this._emit(oldValue);
+  }
+
+  _emit(oldValue) {
     this.listeners.forEach(listener => {
-      listener(this.name, value, oldValue);
+      listener(this.name, this.value, oldValue);
     });
   }
 
-  get() {
-    return this.value;
+  /**
+   * Fire a trigger parameter (sets it to true until consumed)
+   */
+  fire() {
+    if (this.type !== 'trigger') {
+      throw new TypeError(`Cannot fire ${this.type} parameter "${this.name}": only triggers can be fired`);
+    }
+    this.set(true);
+  }
+
+  /**
+   * Reset a fired trigger back to false without notifying listeners;
+   * derived parameters that read it are still recomputed
+   * @returns {boolean} true if the trigger was fired and is now consumed
+   */
+  consume() {
+    if (this.type !== 'trigger' || this.value !== true) return false;
+    if (this.system?._deferredTriggers) {
+      this.system._deferredTriggers.add(this);
+      return true;
+    }
+    this.value = false;
+    this.target = false;
+    this.system?._recomputeDependents(this);
+    return true;
   }
 
   onChange(callback) {
@@ -43,31 +230,359 @@ export class Parameter {
   validateType(value) {
     if (value === null) return true;
     switch (this.type) {
-      case 'number': return typeof value === 'number';
+      case 'number': return typeof value === 'number' || (typeof value === 'string' && this.hasLabels());
       case 'boolean': return typeof value === 'boolean';
       case 'trigger': return typeof value === 'boolean';
       default: return true;
     }
   }
+
+  /**
+   * Apply step, range and enum metadata to a type-checked value.
+   * Enum labels are converted to their index.
+   * @throws {RangeError} for unknown labels, or out-of-range values under the 'reject' policy
+   */
+  constrain(value) {
+    if (value === null || this.type !== 'number') return value;
+
+    if (this.enum) {
+      return this._constrainEnum(value);
+    }
+
+    if (this.step !== null) {
+      const base = this.min ?? 0;
+      value = roundToStep(base + Math.round((value - base) / this.step) * this.step, this.step);
+    }
+
+    const belowMin = this.min !== null && value < this.min;
+    const aboveMax = this.max !== null && value > this.max;
+    if (!belowMin && !aboveMax) return value;
+
+    switch (this.outOfRange) {
+      case 'reject':
+        throw new RangeError(`Value ${value} for parameter "${this.name}" is outside [${this.min ?? '-Infinity'}, ${this.max ?? 'Infinity'}]`);
+      case 'wrap': {
+        // With a step the range is discrete, so max and min are distinct slots
+        const span = this.max - this.min + (this.step ?? 0);
+        if (span <= 0) return this.min;
+        return this.min + (((value - this.min) % span) + span) % span;
+      }
+      default:
+        return belowMin ? this.min : this.max;
+    }
+  }
+
+  /**
+   * Lowest and highest value a number parameter accepts (labelled enums
+   * use their index range; unbounded sides are -Infinity/Infinity)
+   * @returns {number[]} [min, max]
+   */
+  getRange() {
+    if (this.hasLabels()) return [0, this.enum.length - 1];
+    if (this.enum) return [Math.min(...this.enum), Math.max(...this.enum)];
+    return [this.min ?? -Infinity, this.max ?? Infinity];
+  }
+
+  /**
+   * Nearest value that set() accepts without throwing, for writers that
+   * run every frame (drivers)
+   */
+  fit(value) {
+    if (typeof value !== 'number' || this.type !== 'number') return value;
+    if (this.enum || this.step !== null) return this._snap(value);
+    const [min, max] = this.getRange();
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Nearest allowed value to a smoothing position, within min/max
+   */
+  _snap(value) {
+    if (this.hasLabels()) {
+      return Math.max(0, Math.min(this.enum.length - 1, Math.round(value)));
+    }
+    if (this.enum) {
+      return nearestValue(this.enum, value);
+    }
+    const base = this.min ?? 0;
+    let snapped = roundToStep(base + Math.round((value - base) / this.step) * this.step, this.step);
+    if (this.min !== null) snapped = Math.max(this.min, snapped);
+    if (this.max !== null) snapped = Math.min(this.max, snapped);
+    return snapped;
+  }
+
+  _constrainEnum(value) {
+    if (this.hasLabels()) {
+      if (typeof value === 'string') {
+        const index = this.enum.indexOf(value);
+        if (index === -1) {
+          throw new RangeError(`Unknown label "${value}" for parameter "${this.name}". Expected one of: ${this.enum.join(', ')}`);
+        }
+        return index;
+      }
+      const last = this.enum.length - 1;
+      if (Number.isInteger(value) && value >= 0 && value <= last) return value;
+      if (this.outOfRange === 'reject') {
+        throw new RangeError(`Value ${value} for parameter "${this.name}" is not a valid index into [${this.enum.join(', ')}]`);
+      }
+      if (this.outOfRange === 'wrap') {
+        const count = this.enum.length;
+        return ((Math.round(value) % count) + count) % count;
+      }
+      return Math.max(0, Math.min(last, Math.round(value)));
+    }
+
+    if (this.enum.includes(value)) return value;
+    if (this.outOfRange === 'reject') {
+      throw new RangeError(`Value ${value} for parameter "${this.name}" is not one of: ${this.enum.join(', ')}`);
+    }
+    // A list of arbitrary values has no natural wrap order, so both
+    // 'clamp' and 'wrap' snap to the nearest allowed value.
+    return nearestValue(this.enum, value);
+  }
+
+  /**
+   * Whether the value is computed from an expression over other parameters
+   */
+  isDerived() {
+    return this.expression !== null;
+  }
+
+  /**
+   * Whether only whole steps or enum entries are valid values
+   */
+  isDiscrete() {
+    return this.type === 'number' && (this.step !== null || this.enum !== null);
+  }
+
+  /**
+   * Whether the enum is a list of labels (value is the label's index)
+   */
+  hasLabels() {
+    return Array.isArray(this.enum) && this.enum.some(entry => typeof entry === 'string');
+  }
+
+  /**
+   * Get the enum label for a value (defaults to the current value)
+   * @returns {string|null} Label, or null if this parameter has no labels
+   */
+  getLabel(value = this.value) {
+    if (!this.hasLabels() || value === null) return null;
+    return this.enum[value] ?? null;
+  }
+
+  /**
+   * Describe the parameter for building UI controls.
+   * For labelled enums, min/max/step describe the index range.
+   */
+  getMetadata() {
+    const labels = this.hasLabels();
+    return {
+      name: this.name,
+      type: this.type,
+      defaultValue: this.defaultValue,
+      min: labels ? 0 : this.min,
+      max: labels ? this.enum.length - 1 : this.max,
+      step: labels ? 1 : this.step,
+      enum: this.enum ? [...this.enum] : null,
+      outOfRange: this.outOfRange,
+      description: this.description,
+      smoothing: this.smoothing ? { ...this.smoothing } : null,
+      expression: this.expression
+    };
+  }
+
+  /**
+   * Export to JSON (metadata keys are only written when set)
+   * @param {Object} [options]
+   * @param {boolean} [options.runtime=false] - Also write the smoothing motion
+   *   (target, velocity, glide) while the value is moving, for session snapshots
+   */
+  toJSON(options = {}) {
+    const json = { type: this.type, value: this.value };
+    if (this.min !== null) json.min = this.min;
+    if (this.max !== null) json.max = this.max;
+    if (this.step !== null) json.step = this.step;
+    if (this.enum) json.enum = [...this.enum];
+    if (this.outOfRange !== 'clamp') json.outOfRange = this.outOfRange;
+    if (this.description !== null) json.description = this.description;
+    if (this.smoothing) json.smoothing = { ...this.smoothing };
+    if (this.expression !== null) json.expression = this.expression;
+    if (options.runtime && this.smoothing && this.value !== this.target) {
+      json.target = this.target;
+      json.velocity = this.velocity;
+      if (this.glide !== null) json.glide = this.glide;
+    }
+    return json;
+  }
+
+  /**
+   * Resume smoothing written by toJSON({ runtime: true })
+   * @param {Object} motion - { target, velocity, glide }
+   */
+  _resume({ target, velocity = 0, glide = null }) {
+    this.target = this._accept(target);
+    this.velocity = velocity;
+    this.glide = glide;
+  }
+}
+
+/**
+ * Round a snapped value to the step's precision to strip float noise
+ * (e.g. 0.30000000000000004 -> 0.3 for step 0.1).
+ */
+function roundToStep(value, step) {
+  const text = String(step);
+  const dot = text.indexOf('.');
+  const decimals = dot === -1 ? 0 : text.length - dot - 1;
+  return Number(value.toFixed(Math.min(decimals, 20)));
+}
+
+/**
+ * Allowed value closest to value (first wins on ties)
+ */
+function nearestValue(values, value) {
+  return values.reduce((best, candidate) =>
+    Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best
+  );
 }
 
 export class ParameterSystem {
   constructor() {
     this.parameters = new Map();
+    this.eventBus = null;
+    this._derivedLinks = []; // unsubscribe functions for dependency listeners
+    this._derivedEvaluators = new Map(); // Parameter -> compiled expression
+    this._transactionDepth = 0;
+    this._pending = new Map(); // Parameter -> state before the transaction touched it
+    this._pendingMembers = null; // parameters map before the transaction registered or removed any
+    this._commitCallbacks = [];
+    this._recorders = new Set(); // active ParameterRecorders, advanced by update()
+    this._deferredTriggers = null; // triggers consumed inside deferConsume(), reset when it returns
   }
 
   /**
    * Register a parameter
+   * @param {string} name
+   * @param {string} type - 'number', 'boolean' or 'trigger'
+   * @param {*} [defaultValue]
+   * @param {Object} [options] - min/max/step/enum/outOfRange/description (see Parameter)
    */
-  register(name, type, defaultValue = null) {
-    if (!VALID_TYPES.includes(type)) {
-      throw new Error(`Invalid parameter type: ${type}. Must be one of: ${VALID_TYPES.join(', ')}`);
+  register(name, type, defaultValue = null, options = {}) {
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new Error(`Invalid parameter type: ${type}. Must be one of: ${PARAMETER_TYPES.join(', ')}`);
     }
-    const param = new Parameter(name, type, defaultValue);
+    const param = new Parameter(name, type, defaultValue, options);
+    this._trackMembers();
+    param.system = this;
     this.parameters.set(name, param);
     return param;
   }
 
+  /**
+   * Register a parameter whose value is computed from other parameters.
+   * It is recomputed whenever one of its dependencies changes.
+   * @param {string} name
+   * @param {string} type - 'number' or 'boolean'
+   * @param {string} expression - e.g. "isTalking && roastTone > 2"
+   * @param {Object} [options] - Same metadata as register()
+   * @throws {Error} for unknown dependencies or dependency cycles
+   */
+  registerDerived(name, type, expression, options = {}) {
+    const param = this.register(name, type, null, { ...options, expression });
+    try {
+      this.linkDerived();
+    } catch (error) {
+      this.parameters.delete(name);
+      this.linkDerived();
+      throw error;
+    }
+    return param;
+  }
+
+  /**
+   * Resolve dependencies of every derived parameter, check for cycles,
+   * subscribe to dependency changes and compute initial values.
+   * @throws {Error} for unknown dependencies or dependency cycles
+   * @throws {ExpressionError} for syntax errors or unknown enum labels
+   */
+  linkDerived() {
+    this._derivedLinks.forEach(unsubscribe => unsubscribe());
+    this._derivedLinks = [];
+    this._derivedEvaluators.clear();
+
+    const derived = this.getAll().filter(param => param.isDerived());
+    for (const param of derived) {
+      param.dependencies = extractIdentifiers(param.expression);
+      for (const dependency of param.dependencies) {
+        if (!this.parameters.has(dependency)) {
+          throw new Error(`Derived parameter "${param.name}" references unknown parameter "${dependency}"`);
+        }
+      }
+      this._derivedEvaluators.set(param, compileExpression(param.expression, { parameters: this }));
+    }
+
+    // Depth-first walk: dependencies come before the parameters that use them
+    const order = [];
+    const visiting = [];
+    const done = new Set();
+    const visit = (param) => {
+      if (done.has(param.name)) return;
+      if (visiting.includes(param.name)) {
+        const cycle = visiting.slice(visiting.indexOf(param.name)).concat(param.name);
+        throw new Error(`Derived parameter cycle: ${cycle.join(' -> ')}`);
+      }
+      visiting.push(param.name);
+      for (const dependency of param.dependencies) {
+        const source = this.parameters.get(dependency);
+        if (source.isDerived()) visit(source);
+      }
+      visiting.pop();
+      done.add(param.name);
+      order.push(param);
+    };
+    derived.forEach(visit);
+
+    for (const param of order) {
+      for (const dependency of param.dependencies) {
+        const unsubscribe = this.parameters.get(dependency).onChange(() => this._recompute(param));
+        this._derivedLinks.push(unsubscribe);
+      }
+      this._recompute(param);
+    }
+  }
+
+  /**
+   * Recompute the derived parameters that read `source` directly (their own
+   * dependents follow through the usual change listeners)
+   */
+  _recomputeDependents(source) {
+    this._derivedEvaluators.forEach((_evaluate, param) => {
+      if (param.dependencies.includes(source.name)) this._recompute(param);
+    });
+  }
+
+  _recompute(param) {
+    const result = this._derivedEvaluators.get(param)(this);
+    const value = param.type === 'number' ? Number(result) : Boolean(result);
+    if (value !== param.getTarget()) {
+      param.set(value);
+    }
+  }
+
+  /**
+   * Remove a parameter
+   * @returns {boolean} true if it existed
+   */
+  unregister(name) {
+    const param = this.parameters.get(name);
+    if (!param) return false;
+    this._trackMembers();
+    param.system = null;
+    this.parameters.delete(name);
+    return true;
+  }
+
   /**
    * Get a parameter
    */
@@ -77,16 +592,78 @@ export class ParameterSystem {
 
   /**
    * Set a parameter value
+   * @throws {Error} if the parameter is derived (read-only)
    */
   set(name, value) {
     const param = this.parameters.get(name);
     if (param) {
+      if (param.isDerived()) {
+        throw new Error(`Parameter "${name}" is derived from "${param.expression}" and is read-only`);
+      }
       param.set(value);
       return true;
     }
     return false;
   }
 
+  /**
+   * Fire a trigger parameter and emit a parameter.trigger event.
+   * The trigger stays true until a transition consumes it or the
+   * frame ends (see consumeTriggers).
+   * @returns {boolean} false if no parameter has this name
+   */
+  fire(name) {
+    const param = this.parameters.get(name);
+    if (!param) return false;
+    param.fire();
+
+    if (this.eventBus) {
+      this.eventBus.emit({
+        type: EventTypes.PARAMETER_TRIGGER,
+        payload: { name }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Consume a fired trigger
+   * @returns {boolean} true if the trigger was fired and is now consumed
+   */
+  consume(name) {
+    const param = this.parameters.get(name);
+    return param ? param.consume() : false;
+  }
+
+  /**
+   * Run fn with trigger consumption deferred: triggers consumed inside fn
+   * stay fired until it returns, then reset together. Lets several state
+   * machines that update in the same frame all react to one fire().
+   * @param {Function} fn
+   * @returns {*} Whatever fn returns
+   */
+  deferConsume(fn) {
+    if (this._deferredTriggers) return fn();
+    this._deferredTriggers = new Set();
+    try {
+      return fn();
+    } finally {
+      const triggers = this._deferredTriggers;
+      this._deferredTriggers = null;
+      triggers.forEach(trigger => trigger.consume());
+    }
+  }
+
+  /**
+   * Consume every trigger that is still fired (end-of-frame cleanup)
+   * @returns {string[]} Names of the triggers that were consumed
+   */
+  consumeTriggers() {
+    return this.getByType('trigger')
+      .filter(param => param.consume())
+      .map(param => param.name);
+  }
+
   /**
    * Get all parameters
    */
@@ -109,44 +686,230 @@ export class ParameterSystem {
   }
 
   /**
-   * Reset all parameters to their default values
+   * Start recording parameter changes
+   * @param {string[]} [names] - Parameters to record (default: every non-derived parameter)
+   * @returns {ParameterRecorder} Call stop() and toClip() on it to bake a clip
+   * @throws {Error} for unknown or derived parameters
+   */
+  record(names) {
+    return new ParameterRecorder(this, names).start();
+  }
+
+  /**
+   * Advance active recordings and smoothing on every parameter
+   * @param {number} deltaTime - Elapsed seconds
+   */
+  update(deltaTime) {
+    this._recorders.forEach(recorder => recorder.advance(deltaTime));
+    this.parameters.forEach((param) => {
+      param.update(deltaTime);
+    });
+  }
+
+  /**
+   * Reset all parameters to their default values (without smoothing).
+   * Derived parameters follow their dependencies.
    */
   reset() {
     this.parameters.forEach((param) => {
-      param.set(param.defaultValue);
+      if (param.isDerived()) return;
+      param.snapTo(param.defaultValue);
     });
   }
 
   /**
    * Batch update: set multiple parameter values at once
    * @param {Object} obj - { name: value, ... }
+   * @param {Object} [options]
+   * @param {boolean} [options.atomic=false] - Apply all values in one transaction
+   */
+  setMultiple(obj, options = {}) {
+    const apply = () => {
+      Object.entries(obj).forEach(([name, value]) => {
+        this.set(name, value);
+      });
+    };
+    if (options.atomic) {
+      this.transaction(apply);
+    } else {
+      apply();
+    }
+  }
+
+  /**
+   * Apply several changes atomically. Listeners are deferred until fn
+   * returns, then run once per changed parameter with its value from
+   * before the transaction; commit callbacks receive every change at once.
+   * If fn throws, every value, definition and registration is rolled back
+   * silently and the error rethrown.
+   * Nested transactions join the outermost one.
+   *
+   * @param {Function} fn - Called synchronously with this system
+   * @returns {*} Whatever fn returns
    */
-  setMultiple(obj) {
-    Object.entries(obj).forEach(([name, value]) => {
-      this.set(name, value);
+  transaction(fn) {
+    this._transactionDepth++;
+    let result;
+    try {
+      result = fn(this);
+    } catch (error) {
+      this._transactionDepth--;
+      if (this._transactionDepth === 0) this._rollback();
+      throw error;
+    }
+    if (this._transactionDepth > 1) {
+      this._transactionDepth--;
+      return result;
+    }
+    this._commit();
+    return result;
+  }
+
+  /**
+   * Whether a transaction is open (or committing)
+   */
+  inTransaction() {
+    return this._transactionDepth > 0;
+  }
+
+  /**
+   * Register a callback for committed transactions
+   * @param {Function} callback - Called with { name: { value, oldValue } } for every changed parameter
+   * @returns {Function} Unsubscribe function
+   */
+  onCommit(callback) {
+    this._commitCallbacks.push(callback);
+    return () => {
+      const index = this._commitCallbacks.indexOf(callback);
+      if (index > -1) this._commitCallbacks.splice(index, 1);
+    };
+  }
+
+  _track(param) {
+    if (this._transactionDepth > 0 && !this._pending.has(param)) {
+      const config = Object.fromEntries(CONFIG_FIELDS.map(field => [field, param[field]]));
+      this._pending.set(param, { value: param.value, target: param.target, velocity: param.velocity, glide: param.glide, config });
+    }
+  }
+
+  _trackMembers() {
+    if (this._transactionDepth > 0 && this._pendingMembers === null) {
+      this._pendingMembers = new Map(this.parameters);
+    }
+  }
+
+  _rollback() {
+    let relink = false;
+    this._pending.forEach((before, param) => {
+      param.value = before.value;
+      param.target = before.target;
+      param.velocity = before.velocity;
+      param.glide = before.glide;
+      CONFIG_FIELDS.forEach((field) => {
+        if (param[field] !== before.config[field]) relink = true;
+        param[field] = before.config[field];
+      });
     });
+    this._pending.clear();
+
+    // Registered and removed parameters go back to how they were, in order
+    if (this._pendingMembers !== null) {
+      this.parameters.forEach((param) => {
+        param.system = null;
+      });
+      this.parameters.clear();
+      this._pendingMembers.forEach((param, name) => {
+        param.system = this;
+        this.parameters.set(name, param);
+      });
+      this._pendingMembers = null;
+      relink = true;
+    }
+
+    // The restored definitions linked fine before the transaction
+    if (relink) this.linkDerived();
+  }
+
+  _commit() {
+    const changes = {};
+    try {
+      // Listeners may change more parameters (e.g. derived values);
+      // those are tracked and flushed in the next round
+      while (this._pending.size > 0) {
+        const round = [...this._pending];
+        this._pending.clear();
+        for (const [param, before] of round) {
+          if (param.value === before.value) continue;
+          const oldValue = changes[param.name] ? changes[param.name].oldValue : before.value;
+          changes[param.name] = { value: param.value, oldValue };
+          param._emit(before.value);
+        }
+      }
+    } finally {
+      this._pending.clear();
+      this._pendingMembers = null;
+      this._transactionDepth = 0;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this._commitCallbacks.forEach(callback => callback(changes));
+    }
   }
 
   /**
    * Export parameters to JSON
+   * @param {Object} [options] - { runtime } (see Parameter.toJSON)
    */
-  toJSON() {
+  toJSON(options = {}) {
     const params = {};
     this.parameters.forEach((param, name) => {
-      params[name] = {
-        type: param.type,
-        value: param.value
-      };
+      params[name] = param.toJSON(options);
     });
     return params;
   }
 
   /**
-   * Import parameters from JSON
+   * Import parameters from JSON, merging into the existing set.
+   * Parameters that already exist are updated in place (type, default,
+   * metadata and value), so their listeners stay attached; new values are
+   * applied in one transaction. If anything throws, definitions, removed
+   * parameters and values are all restored. Entries written by
+   * toJSON({ runtime: true }) resume their smoothing motion.
+   *
+   * @param {Object} data - { name: { type, value, ...metadata } }
+   * @param {Object} [options]
+   * @param {string} [options.missing='keep'] - What to do with parameters absent from data: 'keep' or 'remove'
+   * @throws {Error} for an unknown policy, or a derived parameter with unknown dependencies or a cycle
    */
-  fromJSON(data) {
-    Object.entries(data).forEach(([name, config]) => {
-      this.register(name, config.type, config.value);
+  fromJSON(data, options = {}) {
+    const missing = options.missing || 'keep';
+    if (!MISSING_POLICIES.includes(missing)) {
+      throw new Error(`Invalid missing-parameter policy: ${missing}. Must be one of: ${MISSING_POLICIES.join(', ')}`);
+    }
+
+    this.transaction(() => {
+      if (missing === 'remove') {
+        this.getAll()
+          .filter(param => !(param.name in data))
+          .forEach(param => this.unregister(param.name));
+      }
+
+      Object.entries(data).forEach(([name, config]) => {
+        let param = this.parameters.get(name);
+        if (!param) {
+          param = this.register(name, config.type, config.value, config);
+        } else {
+          if (!PARAMETER_TYPES.includes(config.type)) {
+            throw new Error(`Invalid parameter type: ${config.type}. Must be one of: ${PARAMETER_TYPES.join(', ')}`);
+          }
+          param.configure(config.type, config.value, config);
+          param.snapTo(config.value ?? null);
+        }
+        // Snapshots carry the smoothing motion of moving parameters
+        if (config.target !== undefined && param.smoothing) param._resume(config);
+      });
+
+      this.linkDerived();
     });
   }
 }
@@ -0,0 +1,45 @@
+/**
+ * Random - Small seedable random source
+ *
+ * Used wherever runtime behaviour should be reproducible from a seed
+ * (procedural drivers, weighted transitions). A random source is just a
+ * function returning a float in [0, 1), so Math.random can be injected too.
+ */
+
+/**
+ * Create a seeded random source (mulberry32). Its position in the sequence
+ * can be saved with getState() and resumed with setState().
+ * @param {number|string} [seed] - Number or string seed; random if omitted
+ * @returns {Function} () => number in [0, 1), with getState() and setState(state)
+ */
+export function createRandom(seed) {
+  let state = seedToInt(seed ?? Math.floor(Math.random() * 0x100000000));
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  next.getState = () => state;
+  next.setState = (value) => {
+    state = value | 0;
+  };
+  return next;
+}
+
+/**
+ * Turn a number or string seed into a 32-bit integer (strings use FNV-1a)
+ */
+function seedToInt(seed) {
+  if (typeof seed === 'number') return seed >>> 0;
+
+  let hash = 0x811C9DC5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,120 @@
+/**
+ * Smoothing - Moves a number parameter toward its target over time
+ *
+ * Modes:
+ *   spring       Critically-damped spring (no overshoot), tuned by smoothTime
+ *   exponential  Exponential decay toward the target, tuned by smoothTime
+ *   linear       Constant-speed ramp, limited by maxSpeed (units per second)
+ */
+
+export const SMOOTHING_MODES = ['spring', 'exponential', 'linear'];
+
+const DEFAULT_SMOOTH_TIME = 0.1;
+const DEFAULT_PRECISION = 0.001;
+
+/**
+ * Normalise a smoothing config from a .wfl parameter definition.
+ * Accepts a mode string as shorthand: "spring" -> { mode: "spring" }.
+ *
+ * @param {string|Object} config
+ * @param {string} config.mode - 'spring', 'exponential' or 'linear'
+ * @param {number} [config.smoothTime=0.1] - Seconds to (roughly) reach the target (spring/exponential)
+ * @param {number} [config.maxSpeed] - Units per second (required for linear, optional cap for spring)
+ * @param {number} [config.precision=0.001] - Distance at which the value snaps onto the target
+ * @returns {{ mode: string, smoothTime: number, maxSpeed: number|null, precision: number }}
+ */
+export function normalizeSmoothing(config) {
+  const options = typeof config === 'string' ? { mode: config } : { ...config };
+
+  if (!SMOOTHING_MODES.includes(options.mode)) {
+    throw new Error(`Invalid smoothing mode: ${options.mode}. Must be one of: ${SMOOTHING_MODES.join(', ')}`);
+  }
+
+  const smoothing = {
+    mode: options.mode,
+    smoothTime: options.smoothTime ?? DEFAULT_SMOOTH_TIME,
+    maxSpeed: options.maxSpeed ?? null,
+    precision: options.precision ?? DEFAULT_PRECISION
+  };
+
+  if (!(smoothing.smoothTime > 0)) {
+    throw new Error(`Invalid smoothTime: ${smoothing.smoothTime}. Must be greater than 0`);
+  }
+  if (smoothing.mode === 'linear' && !(smoothing.maxSpeed > 0)) {
+    throw new Error('Linear smoothing requires a maxSpeed greater than 0');
+  }
+
+  return smoothing;
+}
+
+/**
+ * Advance a smoothed value by one time step.
+ *
+ * @param {Object} smoothing - Normalised config (see normalizeSmoothing)
+ * @param {number} current - Current value
+ * @param {number} target - Target value
+ * @param {number} velocity - Current velocity (only used by spring)
+ * @param {number} dt - Elapsed seconds
+ * @returns {{ value: number, velocity: number }}
+ */
+export function stepSmoothing(smoothing, current, target, velocity, dt) {
+  if (dt <= 0) return { value: current, velocity };
+
+  let result;
+  switch (smoothing.mode) {
+    case 'spring':
+      result = stepSpring(current, target, velocity, smoothing.smoothTime, smoothing.maxSpeed, dt);
+      break;
+    case 'exponential':
+      result = {
+        value: target + (current - target) * Math.exp(-dt / smoothing.smoothTime),
+        velocity: 0
+      };
+      break;
+    case 'linear': {
+      const maxDelta = smoothing.maxSpeed * dt;
+      const delta = target - current;
+      result = {
+        value: Math.abs(delta) <= maxDelta ? target : current + Math.sign(delta) * maxDelta,
+        velocity: 0
+      };
+      break;
+    }
+    default:
+      result = { value: target, velocity: 0 };
+  }
+
+  if (Math.abs(target - result.value) <= smoothing.precision) {
+    return { value: target, velocity: 0 };
+  }
+  return result;
+}
+
+/**
+ * Critically-damped spring (Game Programming Gems 4, "SmoothDamp").
+ * Approximates exp(-omega * dt) with a polynomial that is stable for large steps.
+ */
+function stepSpring(current, target, velocity, smoothTime, maxSpeed, dt) {
+  const omega = 2 / smoothTime;
+  const x = omega * dt;
+  const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+
+  let change = current - target;
+  if (maxSpeed !== null) {
+    const maxChange = maxSpeed * smoothTime;
+    change = Math.max(-maxChange, Math.min(maxChange, change));
+  }
+  const clampedTarget = current - change;
+
+  const temp = (velocity + omega * change) * dt;
+  let newVelocity = (velocity - omega * temp) * decay;
+  let value = clampedTarget + (change + temp) * decay;
+
+  // Never overshoot the real target
+  if ((target - current > 0) === (value > target)) {
+    value = target;
+    newVelocity = 0;
+  }
+
+  return { value, velocity: newVelocity };
+}
@@ -0,0 +1,159 @@
+/**
+ * State Actions - Declarative reactions to entering, leaving and staying in a state
+ *
+ * A state's `actions` block lists what to do at each moment:
+ *   "actions": {
+ *     "enter":  [{ "type": "playAudio", "url": "audio/roast.mp3" }],
+ *     "active": [{ "type": "set", "parameter": "roastTone", "value": 3 }],
+ *     "exit":   [{ "type": "emit", "event": "roast.done" }]
+ *   }
+ * Enter and exit actions run after the state's enter/exit callbacks; active
+ * actions run on every update() that leaves the state current, skipping those
+ * that would change nothing (a parameter already at its value, a trigger
+ * still fired, a driver already on or off, audio already stopped).
+ * playAudio cannot be active, it would restart the clip every frame.
+ *
+ * Types:
+ *   set          Set `parameter` to `value`
+ *   fire         Fire the trigger `parameter`
+ *   emit         Emit `event` on the event bus with `payload` (plus `state`)
+ *   playAudio    Load `url` into AudioSync and play it (no url: replay from the start)
+ *   stopAudio    Stop AudioSync playback
+ *   startDriver  Enable the driver `driver`
+ *   stopDriver   Disable the driver `driver`
+ */
+
+export const STATE_ACTION_TYPES = ['set', 'fire', 'emit', 'playAudio', 'stopAudio', 'startDriver', 'stopDriver'];
+
+export const STATE_ACTION_MOMENTS = ['enter', 'exit', 'active'];
+
+/**
+ * Validate a state's actions block and fill in the missing moments
+ * @param {string} stateName - For error messages
+ * @param {Object} [data] - { enter, exit, active } lists of actions
+ * @param {Object} [options]
+ * @param {ParameterSystem} [options.parameters] - Checks that parameters exist (and that fired ones are triggers)
+ * @param {DriverSystem} [options.drivers] - Checks that drivers exist
+ * @returns {{ enter: Object[], exit: Object[], active: Object[] }}
+ * @throws {Error} for unknown moments, types, parameters or drivers, missing fields,
+ *   derived (read-only) parameters, or playAudio while active
+ */
+export function createStateActions(stateName, data = {}, options = {}) {
+  const unknown = Object.keys(data).find(moment => !STATE_ACTION_MOMENTS.includes(moment));
+  if (unknown) {
+    throw new Error(`Invalid action moment for state "${stateName}": ${unknown}. Must be one of: ${STATE_ACTION_MOMENTS.join(', ')}`);
+  }
+
+  const actions = {};
+  STATE_ACTION_MOMENTS.forEach(moment => {
+    actions[moment] = (data[moment] || []).map(action => checkAction(stateName, moment, action, options));
+  });
+  return actions;
+}
+
+function checkAction(stateName, moment, action, { parameters, drivers }) {
+  if (!STATE_ACTION_TYPES.includes(action?.type)) {
+    throw new Error(`Invalid action type for state "${stateName}": ${action?.type}. Must be one of: ${STATE_ACTION_TYPES.join(', ')}`);
+  }
+
+  const required = { set: 'parameter', fire: 'parameter', emit: 'event', startDriver: 'driver', stopDriver: 'driver' }[action.type];
+  if (required && !action[required]) {
+    throw new Error(`Action "${action.type}" in state "${stateName}" is missing "${required}"`);
+  }
+  if (action.type === 'set' && !('value' in action)) {
+    throw new Error(`Action "set" in state "${stateName}" is missing "value"`);
+  }
+  if (action.type === 'playAudio' && moment === 'active') {
+    throw new Error(`Action "playAudio" in state "${stateName}" cannot be active: it would restart every frame. Use enter`);
+  }
+
+  if (parameters && required === 'parameter') {
+    const param = parameters.get(action.parameter);
+    if (!param) {
+      throw new Error(`Action "${action.type}" in state "${stateName}" targets unknown parameter "${action.parameter}"`);
+    }
+    if (param.isDerived()) {
+      throw new Error(`Action "${action.type}" in state "${stateName}" targets derived parameter "${action.parameter}", which is read-only`);
+    }
+    if (action.type === 'fire' && param.type !== 'trigger') {
+      throw new Error(`Action "fire" in state "${stateName}" needs a trigger, but "${action.parameter}" is ${param.type}`);
+    }
+  }
+  if (drivers && required === 'driver' && !drivers.get(action.driver)) {
+    throw new Error(`Action "${action.type}" in state "${stateName}" targets unknown driver "${action.driver}"`);
+  }
+
+  return { ...action };
+}
+
+/**
+ * Perform actions against the animator's systems. Systems that are not
+ * given are skipped; audio load failures are reported as error events.
+ * @param {Object[]} actions
+ * @param {Object} targets - { parameters, eventBus, audioSync, drivers }
+ * @param {string} state - Full path of the state the actions belong to
+ * @param {string} [moment] - 'active' skips actions that would change nothing
+ */
+export function runStateActions(actions, targets, state, moment) {
+  const { parameters, eventBus, audioSync, drivers } = targets;
+
+  actions.forEach(action => {
+    if (moment === 'active' && changesNothing(action, targets)) return;
+
+    switch (action.type) {
+      case 'set':
+        parameters?.set(action.parameter, action.value);
+        break;
+      case 'fire':
+        parameters?.fire(action.parameter);
+        break;
+      case 'emit':
+        eventBus?.emit({ type: action.event, payload: { ...action.payload, state } });
+        break;
+      case 'playAudio':
+        if (!audioSync) break;
+        if (action.url) {
+          audioSync.loadAudio(action.url).then(() => audioSync.play()).catch(error => {
+            eventBus?.emit({
+              type: 'error',
+              payload: { message: `Failed to play audio for state "${state}": ${error.message}`, error }
+            });
+          });
+        } else {
+          audioSync.stop();
+          audioSync.play();
+        }
+        break;
+      case 'stopAudio':
+        audioSync?.stop();
+        break;
+      case 'startDriver':
+        drivers?.enable(action.driver);
+        break;
+      default:
+        drivers?.disable(action.driver);
+        break;
+    }
+  });
+}
+
+/**
+ * Whether running an action again would change nothing
+ */
+function changesNothing(action, { parameters, audioSync, drivers }) {
+  switch (action.type) {
+    case 'set': {
+      const param = parameters?.get(action.parameter);
+      return param !== undefined && param.getTarget() === param.constrain(action.value);
+    }
+    case 'fire':
+      return parameters?.get(action.parameter)?.get() === true;
+    case 'stopAudio':
+      return audioSync !== undefined && !audioSync.isPlaying;
+    case 'startDriver':
+    case 'stopDriver':
+      return drivers?.isEnabled(action.driver) === (action.type === 'startDriver');
+    default:
+      return false;
+  }
+}
@@ -1,17 +1,313 @@
 /**
  * State Machine - Handles animation state transitions
+ *
+ * A state may own a child state machine. Entering the parent enters the
+ * child at its entry state; leaving it exits the child first. The parent's
+ * transitions are checked before the child's, so they apply to every child
+ * state. Paths such as "roasting/windup" name nested states, and enter/exit
+ * callbacks, onStateChange and bus events bubble up to the root with the
+ * full path.
+ *
+ * enableTracing() records every transition evaluation into a bounded
+ * StateTracer; rewindTo() restores a recorded tick for inspection.
+ *
+ * A transition may lead to a weighted group of targets instead of one
+ * state; when its condition passes one target off cooldown is picked with
+ * the machine's random source (seedable, or injected as `random`).
  */
 
+import { getEasing, easeProgress } from './easing.js';
+import { StateTracer } from './state-tracer.js';
+import { ExpressionError, extractIdentifiers, findUnsatisfiable } from './expression.js';
+import { createStateActions } from './state-actions.js';
+import { createRandom } from './random.js';
+
 export class State {
-  constructor(name, animations = []) {
+  /**
+   * @param {string} name
+   * @param {string[]} [animations]
+   * @param {Object} [options]
+   * @param {number} [options.minDuration=0] - Seconds before any transition out is evaluated
+   * @param {StateMachine} [options.stateMachine] - Child state machine run while this state is active
+   * @param {BlendTree} [options.blendTree] - Weighted clips played as one blend clip
+   * @param {Object} [options.actions] - { enter, exit, active } action lists (see core/state-actions.js)
+   */
+  constructor(name, animations = [], options = {}) {
     this.name = name;
     this.animations = animations; // Array of animation names
     this.transitions = [];
+    this.minDuration = options.minDuration ?? 0;
+    this.stateMachine = options.stateMachine ?? null;
+    this.blendTree = options.blendTree ?? null;
+    this.actions = createStateActions(name, options.actions);
+
+    if (!(this.minDuration >= 0)) {
+      throw new Error(`Invalid minDuration for state "${name}": ${this.minDuration}. Must be 0 or greater`);
+    }
+  }
+
+  /**
+   * @param {State|Object[]} target - Target state, or random group targets ({ state, weight, cooldown })
+   * @param {Object} [options] - See createTransition
+   */
+  addTransition(condition, target, conditionStr = null, options = {}) {
+    insertByPriority(this.transitions, createTransition(condition, target, conditionStr, options));
+  }
+
+  /**
+   * Clips this state plays: its animations, then its blend tree's clip
+   */
+  getAnimations() {
+    return this.blendTree ? [...this.animations, this.blendTree.name] : this.animations;
   }
+}
+
+/**
+ * Build a transition record, validating its options. A random group has
+ * `targets` and a null `targetState`.
+ * @param {State|Object[]} target - Target state, or [{ state, weight, cooldown }] with State objects
+ * @param {Object} [options]
+ * @param {number} [options.duration=0] - Crossfade length in seconds (0 = instant)
+ * @param {string} [options.easing='linear'] - Easing curve name (see core/easing.js)
+ * @param {number|null} [options.exitTime=null] - Normalized time in state (1 = end of
+ *   the state's clip) the transition waits for; null = no wait
+ * @param {number} [options.priority=0] - Higher priorities are evaluated first
+ * @param {number} [options.cooldown=0] - Default cooldown of group targets in seconds
+ */
+function createTransition(condition, target, conditionStr, options = {}) {
+  const duration = options.duration ?? 0;
+  const easing = options.easing ?? 'linear';
+  const exitTime = options.exitTime ?? null;
+  const priority = options.priority ?? 0;
+  if (!(duration >= 0)) {
+    throw new Error(`Invalid transition duration: ${duration}. Must be 0 or greater`);
+  }
+  if (exitTime !== null && !(exitTime >= 0)) {
+    throw new Error(`Invalid transition exitTime: ${exitTime}. Must be 0 or greater`);
+  }
+  if (!Number.isFinite(priority)) {
+    throw new Error(`Invalid transition priority: ${priority}. Must be a finite number`);
+  }
+  getEasing(easing);
+
+  const targets = Array.isArray(target) ? createTargets(target, options.cooldown ?? 0) : null;
+  return {
+    condition,
+    targetState: targets ? null : target,
+    ...(targets && { targets }),
+    conditionStr,
+    duration,
+    easing,
+    exitTime,
+    priority
+  };
+}
 
-  addTransition(condition, targetState, conditionStr = null) {
-    this.transitions.push({ condition, targetState, conditionStr });
+/**
+ * Validate random group targets. `readyAt` is the machine time a target
+ * comes off cooldown.
+ * @param {Object[]} targets - [{ state, weight = 1, cooldown }]
+ * @param {number} cooldown - Cooldown for targets that set none
+ */
+function createTargets(targets, cooldown) {
+  if (targets.length === 0) {
+    throw new Error('Invalid random transition: no targets. Must list at least one');
+  }
+  return targets.map(({ state, weight = 1, cooldown: own = cooldown }) => {
+    if (!(weight > 0)) {
+      throw new Error(`Invalid transition weight for "${state.name}": ${weight}. Must be greater than 0`);
+    }
+    if (!(own >= 0)) {
+      throw new Error(`Invalid transition cooldown for "${state.name}": ${own}. Must be 0 or greater`);
+    }
+    return { state, weight, cooldown: own, readyAt: 0 };
+  });
+}
+
+/**
+ * States a transition can lead to: its target, or its group's targets
+ */
+function targetsOf(transition) {
+  return transition.targets ? transition.targets.map(target => target.state) : [transition.targetState];
+}
+
+/**
+ * Whether two transitions lead to the same states
+ */
+function sameTargets(a, b) {
+  const names = t => targetsOf(t).map(state => state.name).join('|');
+  return names(a) === names(b);
+}
+
+/**
+ * Drop a state from a transition list: transitions to it and group targets
+ * naming it (groups left without targets go too)
+ */
+function withoutTarget(transitions, state) {
+  transitions.forEach(t => {
+    if (t.targets) t.targets = t.targets.filter(target => target.state !== state);
+  });
+  return transitions.filter(t => t.targetState !== state && targetsOf(t).length > 0);
+}
+
+/**
+ * Pick a group target by weight from those off cooldown, skipping `exclude`
+ * @param {Object[]} targets - Group targets
+ * @param {number} time - Machine time in seconds
+ * @param {Function} random - () => number in [0, 1)
+ * @param {State|null} exclude - State that may not be picked
+ * @returns {Object|null} The target, or null when none is available
+ */
+function pickTarget(targets, time, random, exclude) {
+  const available = targets.filter(target => target.state !== exclude && time >= target.readyAt);
+  if (available.length === 0) return null;
+  const total = available.reduce((sum, target) => sum + target.weight, 0);
+  let roll = random() * total;
+  for (const target of available) {
+    roll -= target.weight;
+    if (roll < 0) return target;
   }
+  return available[available.length - 1];
+}
+
+/**
+ * Insert a transition after every transition of equal or higher priority,
+ * so equal priorities keep their declaration order. `order` records that
+ * order, which is the transition's index in the file.
+ */
+function insertByPriority(transitions, transition) {
+  transition.order = transitions.reduce((next, t) => Math.max(next, t.order + 1), 0);
+  const index = transitions.findIndex(t => t.priority < transition.priority);
+  if (index === -1) {
+    transitions.push(transition);
+  } else {
+    transitions.splice(index, 0, transition);
+  }
+}
+
+/**
+ * Index of a transition in declaration (file) order, for validate() paths
+ */
+function declarationIndex(transitions, transition) {
+  return transitions.filter(t => t.order < transition.order).length;
+}
+
+/**
+ * Whether an earlier transition always wins over a later one: it fires
+ * unconditionally or on the same condition, and waits no longer
+ */
+function shadows(earlier, later) {
+  // A group may have every target cooling down, so it never always wins
+  if (earlier.targets) return false;
+  const condition = earlier.conditionStr?.trim();
+  if (!condition || condition === '[function]') return false;
+  if (condition !== 'true' && condition !== later.conditionStr?.trim()) return false;
+  if (earlier.exitTime === null) return true;
+  return later.exitTime !== null && earlier.exitTime <= later.exitTime;
+}
+
+/**
+ * Human-readable label for validate() messages
+ */
+function describeTransition(fromName, transition) {
+  const condition = transition.conditionStr ? ` (${transition.conditionStr})` : '';
+  const targets = targetsOf(transition).map(state => `"${state.name}"`).join(' | ');
+  return `${fromName} -> ${targets}${condition}`;
+}
+
+/**
+ * Parameters a transition's condition refers to, from a list of Parameters.
+ * Compiled conditions list their identifiers; plain functions fall back
+ * to matching names in the condition string.
+ */
+function referencedParameters(transition, candidates) {
+  const identifiers = transition.condition?.identifiers;
+  if (!identifiers && !transition.conditionStr) return [];
+  return candidates.filter(param => (identifiers
+    ? identifiers.includes(param.name)
+    : new RegExp(`\\b${param.name}\\b`).test(transition.conditionStr)));
+}
+
+/**
+ * Values of the parameters a transition reads, for trace records
+ */
+function snapshotParameters(transition, parameters) {
+  if (typeof parameters?.getAll !== 'function') return {};
+  const snapshot = {};
+  referencedParameters(transition, parameters.getAll()).forEach(param => {
+    snapshot[param.name] = param.get();
+  });
+  return snapshot;
+}
+
+/**
+ * Append a key to a JSON path: `.key`, or `["key"]` when it is not a plain name
+ */
+function jsonPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Registered parameter names for validate(), or null when unknown
+ */
+function knownParameters({ parameters, file }) {
+  if (typeof parameters?.getAll === 'function') return new Set(parameters.getAll().map(p => p.name));
+  if (file) return new Set(Object.keys(file.parameters || {}));
+  return null;
+}
+
+/**
+ * Driver names for validate(), or null when unknown
+ */
+function knownDrivers({ drivers, file }) {
+  if (typeof drivers?.getAll === 'function') return new Set(drivers.getAll().map(d => d.name));
+  if (file) return new Set(Object.keys(file.drivers || {}));
+  return null;
+}
+
+/**
+ * Clip names for validate(): the file's animations, its skeleton's and any
+ * extra names. null when there are none to check against
+ */
+function knownAnimations({ animations, file }) {
+  const names = new Set([
+    ...Object.keys(file?.animations || {}),
+    ...Object.keys(file?.bones?.skeleton?.animations || {}),
+    ...(animations || [])
+  ]);
+  return names.size > 0 ? names : null;
+}
+
+/**
+ * Problems with a transition's condition string: syntax errors, unknown
+ * parameters, and conditions that can never be true
+ * @param {Set<string>|null} parameters - Registered names, null to skip that check
+ * @returns {Array<{ severity: string, code: string, message: string }>}
+ */
+function conditionProblems(transition, parameters) {
+  const source = transition.conditionStr;
+  if (!source || source === '[function]') return [];
+
+  let identifiers;
+  let unsatisfiable;
+  try {
+    identifiers = extractIdentifiers(source);
+    unsatisfiable = findUnsatisfiable(source);
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    return [{ severity: 'error', code: 'invalid-condition', message: `has an invalid condition: ${e.message}` }];
+  }
+
+  const problems = [];
+  if (parameters) {
+    identifiers.filter(name => !parameters.has(name)).forEach(name => {
+      problems.push({ severity: 'error', code: 'unknown-parameter', message: `reads unknown parameter "${name}"` });
+    });
+  }
+  if (unsatisfiable) {
+    problems.push({ severity: 'warning', code: unsatisfiable.kind, message: `can never fire: its condition ${unsatisfiable.message}` });
+  }
+  return problems;
 }
 
 export class StateMachine {
@@ -24,15 +320,30 @@ export class StateMachine {
     this._stateEnterCallbacks = [];
     this._stateExitCallbacks = [];
     this.eventBus = null;
+    this.stateTime = 0; // seconds spent in the current state
+    this.activeTransition = null; // { fromState, toState, duration, easing, elapsed } while a crossfade runs
+    this.getAnimationDuration = null; // (animationName) => seconds, used to normalize time in state
+    this.anyStateTransitions = []; // checked before the current state's own transitions
+    this.parent = null; // { machine, state } when nested inside another machine's state
+    this.tracer = null; // StateTracer while tracing is enabled
+    this.runActions = null; // (actions, statePath, moment) => void, performs state actions (set by the animator)
+    this.time = 0; // seconds this machine has been updated, the clock for group cooldowns
+    this.random = null; // () => number in [0, 1) picking group targets; Math.random when no machine has one
+    this.seed = null; // seed given to setRandomSeed()
   }
 
   /**
    * Add a state
+   * @param {Object} [options] - { minDuration, stateMachine } (stateMachine = child machine)
    */
-  addState(name, animations = []) {
-    const state = new State(name, animations);
+  addState(name, animations = [], options = {}) {
+    const state = new State(name, animations, options);
     this.states.set(name, state);
 
+    if (state.stateMachine) {
+      state.stateMachine.parent = { machine: this, state };
+    }
+
     // Set as entry state if it's the first one
     if (!this.entryState) {
       this.entryState = state;
@@ -43,17 +354,72 @@ export class StateMachine {
   }
 
   /**
-   * Add a transition between states
+   * Add a transition between states. Passing group targets instead of a
+   * state name adds a random transition: when the condition passes, one
+   * target off cooldown is picked by weight (none available = no transition).
+   * @param {string|Object[]} toStateName - Target name, or [{ state, weight = 1, cooldown }]
+   * @param {Object} [options] - { duration, easing, exitTime, priority, cooldown };
+   *   cooldown (seconds) applies to group targets that set none
    */
-  addTransition(fromStateName, toStateName, condition, conditionStr = null) {
+  addTransition(fromStateName, toStateName, condition, conditionStr = null, options = {}) {
     const fromState = this.states.get(fromStateName);
-    const toState = this.states.get(toStateName);
+    const toState = this._resolveTarget(toStateName);
 
     if (!fromState || !toState) {
       throw new Error(`State not found: ${fromStateName} or ${toStateName}`);
     }
 
-    fromState.addTransition(condition, toState, conditionStr);
+    fromState.addTransition(condition, toState, conditionStr, options);
+  }
+
+  /**
+   * Add a transition that can fire from any state. Any-state transitions
+   * are checked before the current state's own, are not held back by the
+   * state's minDuration, and never fire from their own target state (a
+   * group never picks the current state).
+   * @param {string|Object[]} toStateName - Target name, or group targets (see addTransition)
+   * @param {Object} [options] - { duration, easing, exitTime, priority, cooldown }
+   */
+  addAnyStateTransition(toStateName, condition, conditionStr = null, options = {}) {
+    const toState = this._resolveTarget(toStateName);
+    if (!toState) {
+      throw new Error(`State not found: ${toStateName}`);
+    }
+
+    insertByPriority(this.anyStateTransitions, createTransition(condition, toState, conditionStr, options));
+  }
+
+  /**
+   * Look up a target state, or the states of group targets
+   * @param {string|Object[]} target
+   * @returns {State|Object[]|undefined}
+   * @throws {Error} when a group target names an unknown state
+   */
+  _resolveTarget(target) {
+    if (!Array.isArray(target)) return this.states.get(target);
+    return target.map(entry => {
+      const state = this.states.get(entry.state);
+      if (!state) {
+        throw new Error(`State not found: ${entry.state}`);
+      }
+      return { ...entry, state };
+    });
+  }
+
+  /**
+   * Seed the random source that picks group targets, restarting its sequence
+   * @param {number|string} seed
+   */
+  setRandomSeed(seed) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+  }
+
+  /**
+   * Random source of this machine or the nearest ancestor that has one
+   */
+  _random() {
+    return this.random ?? this.parent?.machine._random() ?? Math.random;
   }
 
   /**
@@ -65,8 +431,9 @@ export class StateMachine {
 
     // Remove transitions from other states that target this state
     this.states.forEach((s) => {
-      s.transitions = s.transitions.filter(t => t.targetState !== state);
+      s.transitions = withoutTarget(s.transitions, state);
     });
+    this.anyStateTransitions = withoutTarget(this.anyStateTransitions, state);
 
     // If this was the entry state, clear it
     if (this.entryState === state) {
@@ -76,6 +443,7 @@ export class StateMachine {
     // If this was the current state, clear it
     if (this.currentState === state) {
       this.currentState = null;
+      this.activeTransition = null;
     }
 
     this.states.delete(name);
@@ -83,23 +451,39 @@ export class StateMachine {
   }
 
   /**
-   * Remove a specific transition between two states
+   * Remove a specific transition between two states (and the target from
+   * random groups)
    */
   removeTransition(fromStateName, toStateName) {
     const fromState = this.states.get(fromStateName);
     const toState = this.states.get(toStateName);
     if (!fromState || !toState) return false;
 
-    const before = fromState.transitions.length;
-    fromState.transitions = fromState.transitions.filter(t => t.targetState !== toState);
-    return fromState.transitions.length < before;
+    const count = () => fromState.transitions.flatMap(targetsOf).length;
+    const before = count();
+    fromState.transitions = withoutTarget(fromState.transitions, toState);
+    return count() < before;
   }
 
   /**
-   * Get a state by name (or undefined)
+   * Set the state entered first (and on reset) without firing any events
+   * @returns {boolean} false if the state does not exist
+   */
+  setEntryState(name) {
+    const state = this.states.get(name);
+    if (!state) return false;
+    this.entryState = state;
+    return true;
+  }
+
+  /**
+   * Get a state by name or nested path such as "roasting/windup" (or undefined)
    */
   getState(name) {
-    return this.states.get(name);
+    const [head, ...rest] = name.split('/');
+    const state = this.states.get(head);
+    if (rest.length === 0) return state;
+    return state?.stateMachine?.getState(rest.join('/'));
   }
 
   /**
@@ -112,48 +496,197 @@ export class StateMachine {
   }
 
   /**
-   * Validate the state machine for unreachable states
-   * @returns {{ valid: boolean, issues: string[] }}
+   * Check the machine and its child machines for problems.
+   * Errors make it invalid: no states or entry state, unreachable states,
+   * unparseable conditions, unknown parameters or drivers and missing clips. Warnings
+   * flag likely mistakes: dead ends, conditions that can never be true, and
+   * duplicate or shadowed transitions.
+   * Parameter, driver and clip checks need a file (or explicit names);
+   * clip checks are skipped when no clips are defined at all.
+   * @param {Object} [options]
+   * @param {WFLFile|Object} [options.file] - Parameter definitions, `animations` and the skeleton's animations
+   * @param {ParameterSystem} [options.parameters] - Registered parameters (instead of the file's)
+   * @param {DriverSystem} [options.drivers] - Registered drivers (instead of the file's)
+   * @param {Iterable<string>} [options.animations] - More known clip names, e.g. a loaded armature's
+   * @param {string} [options.path='stateMachine'] - JSON path of this machine in the file
+   * @returns {{ valid: boolean, issues: Array<{ severity: string, code: string, path: string, message: string }> }}
+   *   Transitions are indexed in declaration (file) order, not priority order
+   */
+  validate(options = {}) {
+    const context = {
+      parameters: knownParameters(options),
+      drivers: knownDrivers(options),
+      animations: knownAnimations(options),
+      issues: []
+    };
+    this._collectIssues(options.path ?? 'stateMachine', context, false);
+    const issues = context.issues;
+    return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+  }
+
+  /**
+   * Add this machine's issues, then its children's
+   * @param {string} path - JSON path of this machine
+   * @param {Object} context - { parameters, drivers, animations, issues }
+   * @param {boolean} canLeave - An ancestor state has a way out
    */
-  validate() {
-    const issues = [];
+  _collectIssues(path, context, canLeave) {
+    const report = (severity, code, issuePath, message) => {
+      context.issues.push({ severity, code, path: issuePath, message });
+    };
+    const prefix = this._pathPrefix();
 
     if (this.states.size === 0) {
-      issues.push('State machine has no states');
-      return { valid: issues.length === 0, issues };
+      report('error', 'no-states', path, 'State machine has no states');
+      return;
     }
 
     if (!this.entryState) {
-      issues.push('No entry state defined');
+      report('error', 'no-entry-state', `${path}.entryState`, 'No entry state defined');
     }
 
     // Find reachable states via BFS from entry state
     const reachable = new Set();
     if (this.entryState) {
-      const queue = [this.entryState.name];
+      const queue = [this.entryState.name, ...this.anyStateTransitions.flatMap(targetsOf).map(s => s.name)];
       while (queue.length > 0) {
         const current = queue.shift();
         if (reachable.has(current)) continue;
         reachable.add(current);
         const state = this.states.get(current);
         if (state) {
-          for (const t of state.transitions) {
-            if (!reachable.has(t.targetState.name)) {
-              queue.push(t.targetState.name);
+          for (const target of state.transitions.flatMap(targetsOf)) {
+            if (!reachable.has(target.name)) {
+              queue.push(target.name);
             }
           }
         }
       }
     }
 
-    // Check for unreachable states
-    this.states.forEach((_state, name) => {
+    // Conditions; transitions that can never fire are no way out
+    const live = new Set();
+    const checkTransitions = (transitions, listPath, fromName) => {
+      transitions.forEach((transition, i) => {
+        const transitionPath = `${listPath}[${declarationIndex(transitions, transition)}]`;
+        const label = describeTransition(fromName, transition);
+        const problems = conditionProblems(transition, context.parameters);
+        problems.forEach(({ severity, code, message }) => {
+          report(severity, code, `${transitionPath}.condition`, `Transition ${label} ${message}`);
+        });
+        if (!problems.some(p => p.code === 'constant-false' || p.code === 'contradictory')) {
+          live.add(transition);
+        }
+
+        const duplicate = transitions.slice(0, i).find(t => sameTargets(t, transition) &&
+          t.conditionStr?.trim() === transition.conditionStr?.trim() && t.conditionStr !== '[function]');
+        if (duplicate && transition.conditionStr) {
+          report('warning', 'duplicate-transition', transitionPath, `Transition ${label} is declared twice`);
+        }
+      });
+    };
+    checkTransitions(this.anyStateTransitions, `${path}.anyState`, 'any state');
+    this.states.forEach((state, name) => {
+      checkTransitions(state.transitions, `${jsonPath(`${path}.states`, name)}.transitions`, `"${prefix}${name}"`);
+    });
+
+    this._findShadowedTransitions(path).forEach(({ path: issuePath, message }) => {
+      report('warning', 'shadowed', issuePath, message);
+    });
+
+    this.states.forEach((state, name) => {
+      const statePath = jsonPath(`${path}.states`, name);
+      const fullName = prefix + name;
+
       if (!reachable.has(name)) {
-        issues.push(`State "${name}" is unreachable from entry state`);
+        report('error', 'unreachable', statePath, `State "${fullName}" is unreachable from entry state`);
+      }
+
+      const hasExit = state.transitions.some(t => live.has(t)) ||
+        this.anyStateTransitions.some(t => targetsOf(t).some(target => target !== state) && live.has(t));
+      if (!hasExit && !canLeave) {
+        report('warning', 'dead-end', statePath, `State "${fullName}" has no way out`);
+      }
+
+      if (context.animations) {
+        state.animations.forEach((animation, i) => {
+          if (!context.animations.has(animation)) {
+            report('error', 'missing-animation', `${statePath}.animations[${i}]`,
+              `State "${fullName}" plays unknown animation "${animation}"`);
+          }
+        });
+        state.blendTree?.animations.forEach((animation, i) => {
+          if (!context.animations.has(animation)) {
+            report('error', 'missing-animation', `${statePath}.blendTree.motions[${i}]`,
+              `Blend tree of "${fullName}" uses unknown animation "${animation}"`);
+          }
+        });
+      }
+
+      if (context.parameters && state.blendTree) {
+        state.blendTree.parameters.filter(p => !context.parameters.has(p)).forEach(parameter => {
+          report('error', 'unknown-parameter', `${statePath}.blendTree`,
+            `Blend tree of "${fullName}" reads unknown parameter "${parameter}"`);
+        });
       }
+
+      Object.entries(state.actions).forEach(([moment, actions]) => {
+        actions.forEach((action, i) => {
+          const actionPath = `${statePath}.actions.${moment}[${i}]`;
+          if (context.parameters && action.parameter && !context.parameters.has(action.parameter)) {
+            report('error', 'unknown-parameter', actionPath,
+              `Action "${action.type}" of "${fullName}" targets unknown parameter "${action.parameter}"`);
+          }
+          if (context.drivers && action.driver && !context.drivers.has(action.driver)) {
+            report('error', 'unknown-driver', actionPath,
+              `Action "${action.type}" of "${fullName}" targets unknown driver "${action.driver}"`);
+          }
+        });
+      });
+
+      state.stateMachine?._collectIssues(`${statePath}.stateMachine`, context, canLeave || hasExit);
+    });
+  }
+
+  /**
+   * Transitions that can never fire because an earlier one in evaluation
+   * order always wins (exact duplicates are reported separately)
+   * @param {string} path - JSON path of this machine
+   * @returns {Array<{ path: string, message: string }>}
+   */
+  _findShadowedTransitions(path) {
+    const found = [];
+    const prefix = this._pathPrefix();
+    const report = (fromName, later, laterPath, earlierFrom, earlier) => {
+      if (sameTargets(earlier, later) && earlier.conditionStr?.trim() === later.conditionStr?.trim()) return;
+      found.push({
+        path: laterPath,
+        message: `Transition ${describeTransition(fromName, later)} is shadowed by ${describeTransition(earlierFrom, earlier)}`
+      });
+    };
+
+    this.anyStateTransitions.forEach((later, i) => {
+      const earlier = this.anyStateTransitions.slice(0, i).find(t => shadows(t, later));
+      const laterPath = `${path}.anyState[${declarationIndex(this.anyStateTransitions, later)}]`;
+      if (earlier) report('any state', later, laterPath, 'any state', earlier);
+    });
+
+    this.states.forEach((state, name) => {
+      const anyState = this.anyStateTransitions.filter(t => t.targetState !== state);
+      const from = `"${prefix}${name}"`;
+      state.transitions.forEach((later, i) => {
+        const laterPath = `${jsonPath(`${path}.states`, name)}.transitions[${declarationIndex(state.transitions, later)}]`;
+        const fromAny = anyState.find(t => shadows(t, later));
+        if (fromAny) {
+          report(from, later, laterPath, 'any state', fromAny);
+          return;
+        }
+        const earlier = state.transitions.slice(0, i).find(t => shadows(t, later));
+        if (earlier) report(from, later, laterPath, from, earlier);
+      });
     });
 
-    return { valid: issues.length === 0, issues };
+    return found;
   }
 
   /**
@@ -180,79 +713,500 @@ export class StateMachine {
 
   /**
    * Evaluate transitions and update state
+   * @param {ParameterSystem} parameters
+   * @param {number} [deltaTime=0] - Elapsed seconds, added to stateTime before conditions run
    */
-  update(parameters) {
+  update(parameters, deltaTime = 0) {
     if (!this.currentState) return;
+    this.stateTime += deltaTime;
+    this.time += deltaTime;
+
+    // The tracing machine owns the tick; child machines add to it
+    const tracer = this._tracer();
+    if (this.tracer) this.tracer.beginTick(deltaTime, this.getCurrentState());
+
+    const normalizedTime = this.getNormalizedTime();
+    const context = { stateTime: this.stateTime, normalizedTime, state: this.currentState.name };
 
-    // Check all transitions from current state
-    for (const transition of this.currentState.transitions) {
-      if (transition.condition(parameters)) {
-        this.setState(transition.targetState);
+    // Any-state transitions first, then the current state's own once its
+    // minimum duration has passed; each list is already in priority order
+    const candidates = this.anyStateTransitions.filter(t => t.targetState !== this.currentState);
+    const anyStateCount = candidates.length;
+    if (this.stateTime >= this.currentState.minDuration) {
+      candidates.push(...this.currentState.transitions);
+    }
+
+    let changed = false;
+    for (const [index, transition] of candidates.entries()) {
+      const anyState = index < anyStateCount;
+      const waiting = transition.exitTime !== null && normalizedTime < transition.exitTime;
+      const result = waiting ? null : Boolean(transition.condition(parameters, context));
+      const target = result ? this._chooseTarget(transition, anyState) : null;
+      if (tracer) {
+        tracer.recordEvaluation(this._traceEvaluation(transition, anyState, context, result, parameters, target));
+      }
+      if (target) {
+        if (tracer) {
+          const prefix = this._pathPrefix();
+          tracer.recordTransition(prefix + this.currentState.name, prefix + target.name);
+        }
+        this.consumeTriggers(transition, parameters);
+        this.setState(target, transition);
+        changed = true;
         break;
       }
     }
+
+    // No parent transition fired: the state stays active and the active
+    // child machine gets its turn
+    if (!changed) {
+      this._performActions(this.currentState, 'active');
+      this.currentState.stateMachine?.update(parameters, deltaTime);
+    }
+
+    // Advanced after evaluation so a crossfade that starts this frame moves
+    // in step with the rigging, which is updated with the same deltaTime
+    this.advanceTransition(deltaTime);
+
+    if (this.tracer) this.tracer.endTick(this.captureState());
   }
 
   /**
-   * Set the current state
+   * State a transition whose condition passed leads to. Groups pick a
+   * target off cooldown (never the current state from any state) and start
+   * its cooldown.
+   * @returns {State|null} null when every group target is cooling down
    */
-  setState(stateOrName) {
-    const state = typeof stateOrName === 'string'
-      ? this.states.get(stateOrName)
-      : stateOrName;
+  _chooseTarget(transition, anyState) {
+    if (!transition.targets) return transition.targetState;
+    const exclude = anyState ? this.currentState : null;
+    const target = pickTarget(transition.targets, this.time, this._random(), exclude);
+    if (!target) return null;
+    target.readyAt = this.time + target.cooldown;
+    return target.state;
+  }
 
-    if (!state) return;
+  /**
+   * Trace record for one evaluated (or exitTime-skipped) transition. A group
+   * records the picked target, or all its targets when it was skipped.
+   */
+  _traceEvaluation(transition, anyState, context, result, parameters, target) {
+    const prefix = this._pathPrefix();
+    const to = target ? [target] : targetsOf(transition);
+    return {
+      from: prefix + this.currentState.name,
+      to: to.map(state => prefix + state.name).join('|'),
+      condition: transition.conditionStr || '[function]',
+      anyState,
+      stateTime: context.stateTime,
+      normalizedTime: context.normalizedTime,
+      result,
+      ...(result === null && { skipped: 'exitTime' }),
+      ...(result && !target && { skipped: 'cooldown' }),
+      parameters: snapshotParameters(transition, parameters)
+    };
+  }
 
-    const oldState = this.currentState;
+  /**
+   * Start recording transition evaluations, one tick per update()
+   * @param {Object} [options] - { capacity } ticks kept (default 600)
+   * @returns {StateTracer}
+   */
+  enableTracing(options = {}) {
+    this.tracer = new StateTracer({ ...options, machine: this.name });
+    return this.tracer;
+  }
 
-    // Emit TRANSITION_START event
-    if (this.eventBus) {
-      this.eventBus.emit({
-        type: 'transition.start',
-        payload: { fromState: oldState?.name, toState: state.name }
-      });
+  /**
+   * Stop recording and drop the trace
+   */
+  disableTracing() {
+    this.tracer = null;
+  }
+
+  /**
+   * Tracer of this machine or the nearest ancestor that has one
+   */
+  _tracer() {
+    return this.tracer ?? this.parent?.machine._tracer() ?? null;
+  }
+
+  /**
+   * Runtime state for trace ticks and session snapshots: active path, time
+   * in state per level and crossfade, plus each machine's clock (by path,
+   * '' for this one): its time, group target cooldowns and the position
+   * of a seeded random source
+   * @returns {{ state: string|null, stateTimes: number[], activeTransition: Object|null, clocks: Object }}
+   */
+  captureState() {
+    const stateTimes = [];
+    for (let machine = this; machine?.currentState; machine = machine.currentState.stateMachine) {
+      stateTimes.push(machine.stateTime);
     }
+    const clocks = {};
+    this._eachMachine((machine, path) => {
+      clocks[path] = {
+        time: machine.time,
+        cooldowns: machine._groups().map(group => group.targets.map(target => target.readyAt)),
+        ...(typeof machine.random?.getState === 'function' && { random: machine.random.getState() })
+      };
+    });
+    return {
+      state: this.getCurrentState(),
+      stateTimes,
+      activeTransition: this.activeTransition ? { ...this.activeTransition } : null,
+      clocks
+    };
+  }
 
-    // Fire exit callbacks for old state
-    if (oldState) {
-      this._stateExitCallbacks.forEach(cb => cb(oldState.name));
-      if (this.eventBus) {
-        this.eventBus.emit({
-          type: 'state.exit',
-          payload: { state: oldState.name }
+  /**
+   * Call fn(machine, path) for this machine ('') and every nested one
+   */
+  _eachMachine(fn, path = '') {
+    fn(this, path);
+    this.states.forEach((state, name) => {
+      state.stateMachine?._eachMachine(fn, path ? `${path}/${name}` : name);
+    });
+  }
+
+  /**
+   * Random transitions of this machine, any-state ones first
+   */
+  _groups() {
+    const transitions = [...this.anyStateTransitions];
+    this.states.forEach(state => transitions.push(...state.transitions));
+    return transitions.filter(t => t.targets);
+  }
+
+  /**
+   * Put the machine back in the state a recorded tick ended in: active
+   * states, time in state and crossfade. For inspection only, so no
+   * callbacks or events fire and parameters are left alone.
+   * @param {number} tick - Tick number from the tracer
+   * @returns {Object|null} The tick record, or null when tracing is off or the tick was dropped
+   */
+  rewindTo(tick) {
+    const record = this.tracer?.getTick(tick);
+    if (!record) return null;
+
+    this.restoreState(record.after);
+    return record;
+  }
+
+  /**
+   * Put the machine back in a state from captureState() without firing
+   * callbacks, events or actions. Restoring stops at the first level whose
+   * state no longer exists; clocks of machines that no longer exist are skipped.
+   * @param {Object} snapshot - { state, stateTimes, activeTransition, clocks }
+   */
+  restoreState({ state, stateTimes, activeTransition, clocks = {} }) {
+    this._eachMachine((machine, path) => {
+      const clock = clocks[path];
+      if (!clock) return;
+      machine.time = clock.time;
+      machine._groups().forEach((group, i) => {
+        group.targets.forEach((target, j) => {
+          target.readyAt = clock.cooldowns[i]?.[j] ?? target.readyAt;
         });
-      }
+      });
+      if (clock.random !== undefined) machine.random?.setState?.(clock.random);
+    });
+
+    let machine = this;
+    for (const [level, name] of (state ? state.split('/') : []).entries()) {
+      const next = machine?.states.get(name);
+      if (!next) break;
+      machine.currentState = next;
+      machine.stateTime = stateTimes[level] ?? 0;
+      machine.activeTransition = null;
+      machine = next.stateMachine;
     }
+    this.activeTransition = activeTransition ? { ...activeTransition } : null;
+  }
 
-    this.currentState = state;
+  /**
+   * Length of a state's longest clip in seconds (0 when unknown).
+   * Durations come from the getAnimationDuration hook set by the animator.
+   */
+  getStateLength(state = this.currentState) {
+    const lookup = this._durationLookup();
+    if (!state || !lookup) return 0;
+    return state.getAnimations().reduce((longest, name) => Math.max(longest, lookup(name) || 0), 0);
+  }
 
-    // Fire enter callbacks for new state
-    this._stateEnterCallbacks.forEach(cb => cb(state.name));
-    if (this.eventBus) {
-      this.eventBus.emit({
-        type: 'state.enter',
-        payload: { state: state.name }
-      });
+  /**
+   * Time in the current state relative to its clip length (1 = one play
+   * through). States without a known length report seconds instead.
+   */
+  getNormalizedTime() {
+    const length = this.getStateLength();
+    return length > 0 ? this.stateTime / length : this.stateTime;
+  }
+
+  /**
+   * Advance the running crossfade, emitting transition.complete when it ends
+   * @param {number} deltaTime - Elapsed seconds
+   */
+  advanceTransition(deltaTime) {
+    if (!this.activeTransition) return;
+    this.activeTransition.elapsed += deltaTime;
+    if (this.activeTransition.elapsed >= this.activeTransition.duration) {
+      this._completeTransition(false);
     }
+  }
+
+  /**
+   * Eased progress of the running crossfade (1 when none is running)
+   * @returns {number}
+   */
+  getTransitionProgress() {
+    const active = this.activeTransition;
+    return active ? easeProgress(active.elapsed, active.duration, active.easing) : 1;
+  }
+
+  /**
+   * Whether a crossfade is still running
+   */
+  isTransitioning() {
+    return this.activeTransition !== null;
+  }
+
+  /**
+   * End the running crossfade and emit transition.complete
+   * @param {boolean} interrupted - True when a new state change cut it short
+   */
+  _completeTransition(interrupted) {
+    const { fromState, toState, duration } = this.activeTransition;
+    this.activeTransition = null;
 
-    if (this.onStateChange) {
-      this.onStateChange(state.name, oldState?.name);
+    this._bus()?.emit({
+      type: 'transition.complete',
+      payload: { fromState, toState, duration, interrupted }
+    });
+  }
+
+  /**
+   * Consume the fired triggers a transition's condition refers to, directly
+   * or through derived parameters, so one fire() causes at most one transition.
+   */
+  consumeTriggers(transition, parameters) {
+    if (typeof parameters?.getByType !== 'function') return;
+    const names = new Set();
+    const visit = (param) => {
+      if (!param || names.has(param.name)) return;
+      names.add(param.name);
+      if (param.isDerived?.()) param.dependencies.forEach(name => visit(parameters.get(name)));
+    };
+    const candidates = typeof parameters.getAll === 'function' ? parameters.getAll() : parameters.getByType('trigger');
+    referencedParameters(transition, candidates).forEach(visit);
+    parameters.getByType('trigger')
+      .filter(trigger => trigger.value === true && names.has(trigger.name))
+      .forEach(trigger => trigger.consume());
+  }
+
+  /**
+   * Set the current state.
+   * With a timed transition, transition.complete is emitted once the
+   * crossfade has run for its duration (see advanceTransition); a crossfade
+   * still running is completed first, marked as interrupted.
+   * A path ("roasting/windup") enters the named child state instead of the
+   * child's entry state; if the parent is already active only the child changes.
+   * @param {string|State} stateOrName
+   * @param {Object} [transition] - { duration, easing } of the transition taken
+   */
+  setState(stateOrName, transition = null) {
+    let state = stateOrName;
+    let childPath = null;
+    if (typeof stateOrName === 'string') {
+      const [head, ...rest] = stateOrName.split('/');
+      state = this.states.get(head);
+      childPath = rest.length > 0 ? rest.join('/') : null;
+    }
+
+    if (!state) return;
+
+    if (childPath && state === this.currentState && state.stateMachine) {
+      state.stateMachine.setState(childPath, transition);
+      return;
+    }
+
+    const prefix = this._pathPrefix();
+    const oldPath = this.currentState ? prefix + this.getCurrentState() : undefined;
+    const chain = this._entryChain(state, childPath);
+    const newPath = prefix + chain.map(link => link.state.name).join('/');
+    const duration = transition?.duration ?? 0;
+    const easing = transition?.easing ?? 'linear';
+    const bus = this._bus();
+
+    if (this.activeTransition) {
+      this._completeTransition(true);
+    }
+
+    bus?.emit({
+      type: 'transition.start',
+      payload: { fromState: oldPath, toState: newPath, duration, easing }
+    });
+
+    // Exit innermost first, then enter outermost first
+    this._exitCurrent();
+    chain.forEach(({ machine, state: entered }) => machine._enterState(entered));
+
+    if (duration > 0) {
+      this.activeTransition = { fromState: oldPath, toState: newPath, duration, easing, elapsed: 0 };
+    }
+
+    // onStateChange bubbles so the root's handler sees nested changes
+    for (let machine = this; machine; machine = machine.parent?.machine) {
+      machine.onStateChange?.(newPath, oldPath, { duration, easing });
     }
 
-    // Emit TRANSITION_COMPLETE event
-    if (this.eventBus) {
-      this.eventBus.emit({
+    // Instant changes complete immediately
+    if (duration === 0) {
+      bus?.emit({
         type: 'transition.complete',
-        payload: { fromState: oldState?.name, toState: state.name }
+        payload: { fromState: oldPath, toState: newPath, duration, interrupted: false }
       });
     }
   }
 
+  /**
+   * Enter the first state (the entry state by default). Unlike setState(),
+   * nothing is exited: the state addState() made current was never entered,
+   * so its exit callbacks and actions must not run.
+   * @param {string|State} [stateOrName]
+   */
+  start(stateOrName = this.entryState) {
+    this.currentState = null;
+    this.setState(stateOrName);
+  }
+
+  /**
+   * Path of the active state relative to this machine, e.g. "roasting/windup"
+   * @returns {string|null}
+   */
+  getCurrentState() {
+    if (!this.currentState) return null;
+    const childPath = this.currentState.stateMachine?.getCurrentState();
+    return childPath ? `${this.currentState.name}/${childPath}` : this.currentState.name;
+  }
+
+  /**
+   * States entered, outermost first, when entering `state`: child entry
+   * states unless childPath names one
+   */
+  _entryChain(state, childPath) {
+    const chain = [{ machine: this, state }];
+    const names = childPath ? childPath.split('/') : [];
+    let machine = state.stateMachine;
+    while (machine) {
+      const next = (names.length > 0 && machine.states.get(names.shift())) || machine.entryState;
+      if (!next) break;
+      chain.push({ machine, state: next });
+      machine = next.stateMachine;
+    }
+    return chain;
+  }
+
+  /**
+   * Exit the current state, its active child states first
+   */
+  _exitCurrent() {
+    const state = this.currentState;
+    if (!state) return;
+
+    const child = state.stateMachine;
+    if (child) {
+      if (child.activeTransition) child._completeTransition(true);
+      child._exitCurrent();
+    }
+
+    const path = this._pathPrefix() + state.name;
+    this._bubble('_stateExitCallbacks', path);
+    this._bus()?.emit({ type: 'state.exit', payload: { state: path } });
+    this._performActions(state, 'exit');
+  }
+
+  /**
+   * Make a state current and fire its enter callbacks (children are
+   * entered separately, see _entryChain)
+   */
+  _enterState(state) {
+    this.currentState = state;
+    this.stateTime = 0;
+
+    const path = this._pathPrefix() + state.name;
+    this._bubble('_stateEnterCallbacks', path);
+    this._bus()?.emit({ type: 'state.enter', payload: { state: path } });
+    this._performActions(state, 'enter');
+  }
+
+  /**
+   * Hand a state's enter, exit or active actions to the action runner
+   * @param {State} state
+   * @param {string} moment - 'enter', 'exit' or 'active'
+   */
+  _performActions(state, moment) {
+    const actions = state.actions[moment];
+    if (actions.length === 0) return;
+    this._actionRunner()?.(actions, this._pathPrefix() + state.name, moment);
+  }
+
+  /**
+   * Call enter or exit callbacks on this machine and every ancestor
+   */
+  _bubble(callbacksKey, path) {
+    for (let machine = this; machine; machine = machine.parent?.machine) {
+      machine[callbacksKey].forEach(cb => cb(path));
+    }
+  }
+
+  /**
+   * "parent/" prefix that turns this machine's state names into root paths
+   */
+  _pathPrefix() {
+    return this.parent ? `${this.parent.machine._pathPrefix()}${this.parent.state.name}/` : '';
+  }
+
+  /**
+   * Event bus of this machine or the nearest ancestor that has one
+   */
+  _bus() {
+    return this.eventBus ?? this.parent?.machine._bus() ?? null;
+  }
+
+  /**
+   * Action runner of this machine or the nearest ancestor that has one
+   */
+  _actionRunner() {
+    return this.runActions ?? this.parent?.machine._actionRunner() ?? null;
+  }
+
+  /**
+   * Clip length lookup of this machine or the nearest ancestor that has one
+   */
+  _durationLookup() {
+    return this.getAnimationDuration ?? this.parent?.machine._durationLookup() ?? null;
+  }
+
+  /**
+   * Blend trees of the current state and its active child states
+   * @returns {BlendTree[]}
+   */
+  getActiveBlendTrees() {
+    if (!this.currentState) return [];
+    const own = this.currentState.blendTree ? [this.currentState.blendTree] : [];
+    const child = this.currentState.stateMachine;
+    return child ? [...own, ...child.getActiveBlendTrees()] : own;
+  }
+
   /**
    * Get current state animations
    */
   getCurrentAnimations() {
-    return this.currentState?.animations || [];
+    if (!this.currentState) return [];
+    const child = this.currentState.stateMachine;
+    const animations = this.currentState.getAnimations();
+    return child ? [...animations, ...child.getCurrentAnimations()] : animations;
   }
 
   /**
@@ -268,22 +1222,42 @@ export class StateMachine {
    * Export to JSON
    */
   toJSON() {
+    const transitionToJSON = t => ({
+      ...(t.targets
+        ? {
+          targets: t.targets.map(({ state, weight, cooldown }) => ({
+            state: state.name,
+            weight,
+            ...(cooldown > 0 && { cooldown })
+          }))
+        }
+        : { targetState: t.targetState.name }),
+      condition: t.conditionStr || '[function]',
+      ...(t.duration > 0 && { duration: t.duration, easing: t.easing }),
+      ...(t.exitTime !== null && { exitTime: t.exitTime }),
+      ...(t.priority !== 0 && { priority: t.priority })
+    });
+
     const states = {};
     this.states.forEach((state, name) => {
+      const actions = Object.fromEntries(Object.entries(state.actions).filter(([, list]) => list.length > 0));
       states[name] = {
         animations: state.animations,
-        transitions: state.transitions.map(t => ({
-          targetState: t.targetState.name,
-          condition: t.conditionStr || '[function]'
-        }))
+        ...(state.minDuration > 0 && { minDuration: state.minDuration }),
+        transitions: state.transitions.map(transitionToJSON),
+        ...(Object.keys(actions).length > 0 && { actions }),
+        ...(state.blendTree && { blendTree: state.blendTree.toJSON() }),
+        ...(state.stateMachine && { stateMachine: state.stateMachine.toJSON() })
       };
     });
 
     return {
       name: this.name,
       states,
+      ...(this.anyStateTransitions.length > 0 && { anyState: this.anyStateTransitions.map(transitionToJSON) }),
       entryState: this.entryState?.name,
-      currentState: this.currentState?.name
+      currentState: this.currentState?.name,
+      ...(this.seed !== null && { seed: this.seed })
     };
   }
 }
@@ -0,0 +1,119 @@
+/**
+ * State Tracer - Bounded record of state machine evaluations
+ *
+ * Opt-in via StateMachine.enableTracing(). Each update() of the traced
+ * machine is one tick holding every transition it (and its active child
+ * machines) evaluated: the condition, the result and the values of the
+ * parameters the condition reads. Only the latest `capacity` ticks are
+ * kept; StateMachine.rewindTo() puts the machine back in a recorded tick's
+ * state, and toJSON() exports the buffer for bug reports.
+ *
+ * Tick:
+ *   { tick, time, deltaTime, state, evaluations: [...], transition, after }
+ *   state       Full state path when the tick started
+ *   transition  { from, to } of the transition taken, or null
+ *   after       { state, stateTimes, activeTransition } when the tick ended
+ *
+ * Evaluation:
+ *   { from, to, condition, anyState, stateTime, normalizedTime, result, parameters }
+ *   result is null (with skipped: 'exitTime') when the transition was not evaluated
+ */
+
+export const DEFAULT_TRACE_CAPACITY = 600;
+
+export class StateTracer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity=600] - Ticks kept (oldest dropped first)
+   * @param {string} [options.machine] - Name of the traced machine, for exports
+   */
+  constructor(options = {}) {
+    const capacity = options.capacity ?? DEFAULT_TRACE_CAPACITY;
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Invalid trace capacity: ${capacity}. Must be a positive integer`);
+    }
+
+    this.capacity = capacity;
+    this.machine = options.machine ?? null;
+    this.ticks = [];
+    this.tickCount = 0;   // ticks recorded so far, including dropped ones
+    this.time = 0;        // seconds of deltaTime traced
+    this.current = null;  // tick being recorded
+  }
+
+  /**
+   * Start a tick
+   * @param {number} deltaTime
+   * @param {string|null} state - Full state path before evaluation
+   */
+  beginTick(deltaTime, state) {
+    this.time += deltaTime;
+    this.current = {
+      tick: this.tickCount++,
+      time: this.time,
+      deltaTime,
+      state,
+      evaluations: [],
+      transition: null,
+      after: null
+    };
+  }
+
+  /** Add an evaluated (or skipped) transition to the current tick */
+  recordEvaluation(evaluation) {
+    this.current?.evaluations.push(evaluation);
+  }
+
+  /** Note the transition the current tick took */
+  recordTransition(from, to) {
+    if (this.current) this.current.transition = { from, to };
+  }
+
+  /**
+   * Finish the current tick and add it to the buffer
+   * @param {Object} after - { state, stateTimes, activeTransition }
+   */
+  endTick(after) {
+    if (!this.current) return;
+    this.current.after = after;
+    this.ticks.push(this.current);
+    if (this.ticks.length > this.capacity) this.ticks.shift();
+    this.current = null;
+  }
+
+  /**
+   * A recorded tick by number (null once dropped from the buffer)
+   */
+  getTick(tick) {
+    return this.ticks.find(record => record.tick === tick) || null;
+  }
+
+  /** The most recent recorded tick, or null */
+  getLastTick() {
+    return this.ticks[this.ticks.length - 1] || null;
+  }
+
+  /**
+   * Ticks in which a transition was taken
+   */
+  getTransitions() {
+    return this.ticks.filter(record => record.transition);
+  }
+
+  /** Drop every recorded tick (numbering continues) */
+  clear() {
+    this.ticks = [];
+    this.current = null;
+  }
+
+  /**
+   * Export for bug reports
+   */
+  toJSON() {
+    return {
+      machine: this.machine,
+      capacity: this.capacity,
+      ticks: JSON.parse(JSON.stringify(this.ticks))
+    };
+  }
+}
@@ -170,9 +170,12 @@ export class StreamingAnimationLoader {
    * Load animation data with streaming updates
    * @param {string} url - Animation file URL
    * @param {Object} options - Loading options
+   * @param {HTMLElement|string} [options.target] - Element that shows the loading skeleton
+   * @param {Function} [options.parse] - (bytes: Uint8Array) => data or a Promise of it; defaults to UTF-8 JSON
    */
   async loadWithStreaming(url, options = {}) {
     const streamId = `load-${Date.now()}`;
+    const parse = options.parse || ((bytes) => JSON.parse(new TextDecoder().decode(bytes)));
     this.streaming.startStream(streamId, { url, ...options });
 
     // Show loading indicator
@@ -187,7 +190,7 @@ export class StreamingAnimationLoader {
       const reader = response.body?.getReader();
       if (!reader) {
         // Fallback for non-streaming
-        const data = await response.json();
+        const data = await parse(new Uint8Array(await response.arrayBuffer()));
         this.streaming.pushUpdate(streamId, data);
         return this.streaming.completeStream(streamId, data);
       }
@@ -219,8 +222,7 @@ export class StreamingAnimationLoader {
         position += chunk.length;
       }
 
-      const text = new TextDecoder().decode(allChunks);
-      const data = JSON.parse(text);
+      const data = await parse(allChunks);
 
       return this.streaming.completeStream(streamId, data);
 
@@ -0,0 +1,70 @@
+/**
+ * WFL Migrations - Upgrade older .wfl files to the current format version
+ *
+ * Each entry in WFL_MIGRATIONS upgrades a file from `from` to `from + 1`.
+ * migrateWFL() chains them in order, so adding a format version means
+ * bumping WFL_VERSION and appending one entry:
+ *
+ *   { from: 2, description: 'What changed', migrate: json => { ...; return json; } }
+ *
+ * Migrations receive a private copy of the file and may change it in place.
+ * WFLFile.fromJSON() and WFLBinaryFormat.decode() migrate automatically.
+ *
+ * History:
+ *   1 -> 2  bones.textures renamed to bones.textureAtlas (the name the rig reads)
+ */
+
+/** Format version written by this runtime */
+export const WFL_VERSION = 2;
+
+export const WFL_MIGRATIONS = [
+  {
+    from: 1,
+    description: 'Rename bones.textures to bones.textureAtlas',
+    migrate: json => {
+      const bones = json.bones;
+      if (bones && typeof bones === 'object' && 'textures' in bones) {
+        bones.textureAtlas = bones.textureAtlas ?? bones.textures;
+        delete bones.textures;
+      }
+      return json;
+    }
+  }
+];
+
+/**
+ * Upgrade a parsed file to a format version. Files without a version are
+ * treated as version 1.
+ * @param {Object} json - Parsed file (never modified)
+ * @param {number} [targetVersion=WFL_VERSION]
+ * @returns {Object} json itself when already at targetVersion, otherwise an upgraded copy
+ * @throws {Error} for files newer than this runtime, invalid versions, or downgrades
+ */
+export function migrateWFL(json, targetVersion = WFL_VERSION) {
+  const version = json.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid WFL file version: ${JSON.stringify(version)}. Must be a whole number, 1 or greater`);
+  }
+  if (version > WFL_VERSION) {
+    throw new Error(`WFL file version ${version} is newer than this runtime supports (up to ${WFL_VERSION}). Update the animator to load it`);
+  }
+  if (!Number.isInteger(targetVersion) || targetVersion < 1 || targetVersion > WFL_VERSION) {
+    throw new Error(`Invalid target version: ${targetVersion}. Must be between 1 and ${WFL_VERSION}`);
+  }
+  if (targetVersion < version) {
+    throw new Error(`Cannot migrate WFL file version ${version} down to ${targetVersion}`);
+  }
+  if (version === targetVersion && json.version === version) return json;
+
+  let upgraded = JSON.parse(JSON.stringify(json));
+  for (let from = version; from < targetVersion; from++) {
+    const migration = WFL_MIGRATIONS.find(m => m.from === from);
+    if (!migration) {
+      throw new Error(`No WFL migration from version ${from}`);
+    }
+    upgraded = migration.migrate(upgraded);
+    upgraded.version = from + 1;
+  }
+  upgraded.version = targetVersion;
+  return upgraded;
+}
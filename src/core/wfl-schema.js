@@ -0,0 +1,648 @@
+/**
+ * WFL Schema - Structure of a .wfl file and the checks behind WFLFile.validate()
+ *
+ * WFL_SCHEMA is a JSON Schema (draft-07 subset) describing every section of
+ * the file. validateWFL() walks a parsed file against it, then checks what a
+ * schema cannot express: names that must refer to something defined
+ * elsewhere in the file (transition targets, entry states, bone parents,
+ * track bones, driven parameters) and values that depend on each other.
+ *
+ * Supported keywords: type, enum, properties, required, additionalProperties,
+ * items, minItems, maxItems, minimum, maximum, exclusiveMinimum, minLength,
+ * anyOf, $ref (local "#/definitions/..." only).
+ *
+ * Errors carry a JSON Pointer (RFC 6901) to the offending value:
+ *   { pointer: '/stateMachine/states/idle/transitons', keyword: 'additionalProperties',
+ *     message: 'Unknown property "transitons"' }
+ */
+
+import { DRIVER_TYPES } from './drivers.js';
+import { BLEND_TREE_TYPES } from './blend-tree.js';
+import { EASINGS } from './easing.js';
+import { SMOOTHING_MODES } from './smoothing.js';
+import { STATE_ACTION_TYPES, STATE_ACTION_MOMENTS } from './state-actions.js';
+import { PARAMETER_TYPES, OUT_OF_RANGE_POLICIES } from './parameter.js';
+import { PARAMETER_CLIP_TYPE } from './parameter-recorder.js';
+import { WFL_VERSION } from './wfl-migrations.js';
+
+/** Rig layers the animator creates for the mouth and eyes (see FACE_LAYERS in animator.js) */
+export const RESERVED_LAYER_NAMES = ['face.mouth', 'face.eyes'];
+
+const NON_NEGATIVE = { type: 'number', minimum: 0 };
+const NAME = { type: 'string', minLength: 1 };
+const SEED = { type: ['number', 'string'] };
+
+export const WFL_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'WFL animation file',
+  type: 'object',
+  required: ['version'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', minimum: 1, maximum: WFL_VERSION },
+    metadata: { type: 'object' },
+    parameters: { type: 'object', additionalProperties: { $ref: '#/definitions/parameter' } },
+    drivers: { type: 'object', additionalProperties: { $ref: '#/definitions/driver' } },
+    stateMachine: { anyOf: [{ type: 'null' }, { $ref: '#/definitions/stateMachine' }] },
+    layers: { type: 'array', items: { $ref: '#/definitions/layer' } },
+    animations: { type: 'object', additionalProperties: { $ref: '#/definitions/animation' } },
+    bones: { $ref: '#/definitions/bones' },
+    sprites: { type: 'object' }
+  },
+  definitions: {
+    parameter: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: PARAMETER_TYPES },
+        value: { type: ['number', 'boolean', 'null'] },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        step: { type: 'number', exclusiveMinimum: 0 },
+        enum: { type: 'array', minItems: 1, items: { type: ['number', 'string'] } },
+        outOfRange: { enum: OUT_OF_RANGE_POLICIES },
+        description: { type: 'string' },
+        smoothing: {
+          type: ['string', 'object'],
+          additionalProperties: false,
+          properties: {
+            mode: { enum: SMOOTHING_MODES },
+            smoothTime: { type: 'number', exclusiveMinimum: 0 },
+            maxSpeed: { type: 'number', exclusiveMinimum: 0 },
+            precision: { type: 'number', exclusiveMinimum: 0 }
+          }
+        },
+        expression: { type: 'string', minLength: 1 }
+      }
+    },
+    driver: {
+      type: 'object',
+      required: ['parameter', 'type'],
+      additionalProperties: false,
+      properties: {
+        parameter: NAME,
+        type: { enum: DRIVER_TYPES },
+        enabled: { type: 'boolean' },
+        frequency: NON_NEGATIVE,
+        amplitude: { type: 'number' },
+        offset: { type: 'number' },
+        phase: { type: 'number' },
+        seed: SEED,
+        interval: {
+          type: ['number', 'array'],
+          exclusiveMinimum: 0,
+          minItems: 2,
+          maxItems: 2,
+          items: { type: 'number', exclusiveMinimum: 0 }
+        },
+        duration: { type: 'number', exclusiveMinimum: 0 },
+        value: { type: ['number', 'boolean'] },
+        rest: { type: ['number', 'boolean'] }
+      }
+    },
+    stateMachine: {
+      type: 'object',
+      required: ['states'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string' },
+        states: { type: 'object', additionalProperties: { $ref: '#/definitions/state' } },
+        anyState: { type: 'array', items: { $ref: '#/definitions/transition' } },
+        entryState: NAME,
+        currentState: { type: 'string' },
+        seed: SEED
+      }
+    },
+    state: {
+      type: 'object',
+      required: ['transitions'],
+      additionalProperties: false,
+      properties: {
+        animations: { type: 'array', items: NAME },
+        minDuration: NON_NEGATIVE,
+        transitions: { type: 'array', items: { $ref: '#/definitions/transition' } },
+        actions: { $ref: '#/definitions/actions' },
+        blendTree: { $ref: '#/definitions/blendTree' },
+        stateMachine: { $ref: '#/definitions/stateMachine' }
+      }
+    },
+    transition: {
+      type: 'object',
+      required: ['condition'],
+      additionalProperties: false,
+      properties: {
+        targetState: NAME,
+        targets: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['state'],
+            additionalProperties: false,
+            properties: {
+              state: NAME,
+              weight: { type: 'number', exclusiveMinimum: 0 },
+              cooldown: NON_NEGATIVE
+            }
+          }
+        },
+        condition: { type: 'string', minLength: 1 },
+        duration: NON_NEGATIVE,
+        easing: { enum: Object.keys(EASINGS) },
+        exitTime: NON_NEGATIVE,
+        priority: { type: 'number' },
+        cooldown: NON_NEGATIVE
+      }
+    },
+    actions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(STATE_ACTION_MOMENTS.map(moment => [
+        moment, { type: 'array', items: { $ref: '#/definitions/action' } }
+      ]))
+    },
+    action: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: STATE_ACTION_TYPES },
+        parameter: NAME,
+        value: {},
+        event: NAME,
+        payload: { type: 'object' },
+        url: NAME,
+        driver: NAME
+      }
+    },
+    blendTree: {
+      type: 'object',
+      required: ['type', 'motions'],
+      additionalProperties: false,
+      properties: {
+        name: NAME,
+        type: { enum: BLEND_TREE_TYPES },
+        parameter: NAME,
+        parameters: { type: 'array', minItems: 2, maxItems: 2, items: NAME },
+        motions: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['animation'],
+            additionalProperties: false,
+            properties: {
+              animation: NAME,
+              threshold: { type: 'number' },
+              position: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+            }
+          }
+        }
+      }
+    },
+    layer: {
+      type: 'object',
+      required: ['name', 'stateMachine'],
+      additionalProperties: false,
+      properties: {
+        name: NAME,
+        mask: { type: ['array', 'null'], items: NAME },
+        blendMode: { enum: ['override', 'additive'] },
+        weight: { type: 'number', minimum: 0, maximum: 1 },
+        stateMachine: { $ref: '#/definitions/stateMachine' }
+      }
+    },
+    animation: {
+      type: 'object',
+      properties: {
+        type: { type: 'string' },
+        duration: NON_NEGATIVE,
+        loop: { type: 'boolean' },
+        tracks: { type: 'array', items: { $ref: '#/definitions/track' } }
+      }
+    },
+    track: {
+      type: 'object',
+      required: ['keyframes'],
+      properties: {
+        boneName: NAME,
+        parameter: NAME,
+        interpolation: { enum: ['linear', 'step', 'event'] },
+        keyframes: {
+          type: 'array',
+          items: { type: 'object', required: ['time'], properties: { time: NON_NEGATIVE } }
+        }
+      }
+    },
+    bones: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        skeleton: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string' },
+            bones: { type: 'array', items: { $ref: '#/definitions/bone' } },
+            animations: { type: 'object', additionalProperties: { $ref: '#/definitions/animation' } }
+          }
+        },
+        // An atlas description, or the name of one (embedded in a container, or a URL)
+        textureAtlas: { type: ['object', 'string', 'null'] }
+      }
+    },
+    bone: {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: NAME,
+        parent: NAME,
+        x: { type: 'number' },
+        y: { type: 'number' },
+        rotation: { type: 'number' },
+        scaleX: { type: 'number' },
+        scaleY: { type: 'number' },
+        length: NON_NEGATIVE
+      }
+    }
+  }
+};
+
+/**
+ * Validate a parsed .wfl file: the schema first, then cross-references
+ * and dependent values
+ * @param {*} json - Parsed file
+ * @param {Object} [schema=WFL_SCHEMA]
+ * @returns {{ valid: boolean, errors: Array<{ pointer: string, keyword: string, message: string }> }}
+ */
+export function validateWFL(json, schema = WFL_SCHEMA) {
+  const errors = [];
+  checkSchema(json, schema, '', schema, errors);
+  if (isPlainObject(json)) {
+    checkReferences(json, errors);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Schema walker
+// ─────────────────────────────────────────────────────────────────
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * JSON type name of a value ('integer' only counts when asked for)
+ */
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return jsonTypeOf(value) === type;
+}
+
+/**
+ * Append a key or index to a JSON Pointer, escaping `~` and `/`
+ */
+function pointerTo(base, key) {
+  return `${base}/${String(key).replaceAll('~', '~0').replaceAll('/', '~1')}`;
+}
+
+function resolveSchemaRef(ref, root) {
+  const prefix = '#/definitions/';
+  const node = ref.startsWith(prefix) ? root.definitions?.[ref.slice(prefix.length)] : undefined;
+  if (!node) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return node;
+}
+
+function checkSchema(value, schema, pointer, root, errors) {
+  if (schema.$ref) {
+    checkSchema(value, resolveSchemaRef(schema.$ref, root), pointer, root, errors);
+    return;
+  }
+  const fail = (keyword, message, at = pointer) => errors.push({ pointer: at, keyword, message });
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => (branch.$ref ? resolveSchemaRef(branch.$ref, root) : branch));
+    const attempts = branches.map(branch => {
+      const found = [];
+      checkSchema(value, branch, pointer, root, found);
+      return found;
+    });
+    if (attempts.some(found => found.length === 0)) return;
+    // Report the branch whose type matched, else the types that would have
+    const matched = attempts.find(found => !found.some(e => e.keyword === 'type' && e.pointer === pointer));
+    if (matched) {
+      errors.push(...matched);
+    } else {
+      fail('type', `Expected ${branches.flatMap(branch => branch.type ?? []).join(' or ')}, got ${jsonTypeOf(value)}`);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `Expected ${types.join(' or ')}, got ${jsonTypeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `Invalid value: ${JSON.stringify(value)}. Must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `Invalid value: ${value}. Must be ${schema.minimum} or greater`);
+    }
+    if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+      fail('exclusiveMinimum', `Invalid value: ${value}. Must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `Invalid value: ${value}. Must be ${schema.maximum} or less`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail('minLength', `Must be at least ${schema.minLength} character(s) long`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `Must have at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `Must have at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, pointerTo(pointer, index), root, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) fail('required', `Missing required property "${key}"`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const at = pointerTo(pointer, key);
+      if (Object.hasOwn(properties, key)) {
+        checkSchema(child, properties[key], at, root, errors);
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', `Unknown property "${key}"`, at);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        checkSchema(child, schema.additionalProperties, at, root, errors);
+      }
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Cross-references and dependent values
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Entries of an object section ([] when it is missing or not an object)
+ */
+function entriesOf(section) {
+  return isPlainObject(section) ? Object.entries(section) : [];
+}
+
+function listOf(section) {
+  return Array.isArray(section) ? section : [];
+}
+
+function checkReferences(json, errors) {
+  const fail = (pointer, message) => errors.push({ pointer, keyword: 'reference', message });
+  const parameters = isPlainObject(json.parameters) ? json.parameters : {};
+  const drivers = isPlainObject(json.drivers) ? json.drivers : {};
+  const skeleton = isPlainObject(json.bones?.skeleton) ? json.bones.skeleton : null;
+  const bones = Array.isArray(skeleton?.bones)
+    ? new Set(skeleton.bones.filter(isPlainObject).map(bone => bone.name))
+    : null;
+  const context = { parameters, drivers, bones, fail };
+
+  entriesOf(json.parameters).forEach(([name, config]) => {
+    if (isPlainObject(config)) checkParameterValues(config, pointerTo('/parameters', name), fail);
+  });
+
+  entriesOf(json.drivers).forEach(([name, config]) => {
+    if (isPlainObject(config) && typeof config.parameter === 'string' && !Object.hasOwn(parameters, config.parameter)) {
+      fail(pointerTo(pointerTo('/drivers', name), 'parameter'), `Unknown parameter "${config.parameter}"`);
+    }
+  });
+
+  if (isPlainObject(json.stateMachine)) {
+    checkMachineReferences(json.stateMachine, '/stateMachine', context);
+  }
+
+  const layerNames = new Set();
+  listOf(json.layers).forEach((layer, index) => {
+    if (!isPlainObject(layer)) return;
+    const pointer = pointerTo('/layers', index);
+    if (layerNames.has(layer.name)) {
+      fail(pointerTo(pointer, 'name'), `Duplicate layer "${layer.name}"`);
+    }
+    if (RESERVED_LAYER_NAMES.includes(layer.name)) {
+      fail(pointerTo(pointer, 'name'), `Layer name "${layer.name}" is reserved for the animator's face layers`);
+    }
+    layerNames.add(layer.name);
+    if (bones) {
+      listOf(layer.mask).forEach((bone, i) => {
+        if (!bones.has(bone)) fail(pointerTo(pointerTo(pointer, 'mask'), i), `Unknown bone "${bone}"`);
+      });
+    }
+    if (isPlainObject(layer.stateMachine)) {
+      checkMachineReferences(layer.stateMachine, pointerTo(pointer, 'stateMachine'), context);
+    }
+  });
+
+  if (skeleton) {
+    checkSkeleton(skeleton, '/bones/skeleton', fail);
+    entriesOf(skeleton.animations).forEach(([name, animation]) => {
+      checkTracks(animation, pointerTo('/bones/skeleton/animations', name), context);
+    });
+  }
+  entriesOf(json.animations).forEach(([name, animation]) => {
+    checkTracks(animation, pointerTo('/animations', name), context);
+  });
+}
+
+/**
+ * A parameter's value must suit its type and sit within min/max
+ */
+function checkParameterValues(config, pointer, fail) {
+  const { type, value, min, max } = config;
+  const expected = type === 'number' ? 'number' : 'boolean';
+  if (PARAMETER_TYPES.includes(type) && ['number', 'boolean'].includes(typeof value) && typeof value !== expected) {
+    fail(pointerTo(pointer, 'value'), `Expected ${expected} value for a ${type} parameter, got ${jsonTypeOf(value)}`);
+    return;
+  }
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    fail(pointerTo(pointer, 'min'), `Invalid range: min ${min} is greater than max ${max}`);
+    return;
+  }
+  if (typeof value === 'number' && !config.enum) {
+    if ((typeof min === 'number' && value < min) || (typeof max === 'number' && value > max)) {
+      fail(pointerTo(pointer, 'value'), `Invalid value: ${value}. Must be between ${min ?? '-Infinity'} and ${max ?? 'Infinity'}`);
+    }
+  }
+}
+
+/**
+ * Targets and entry state of a machine (and its child machines), plus
+ * the parameters and drivers its states act on
+ */
+function checkMachineReferences(machine, pointer, context) {
+  const { fail } = context;
+  const states = isPlainObject(machine.states) ? machine.states : {};
+  const checkState = (name, at) => {
+    if (typeof name === 'string' && !Object.hasOwn(states, name)) fail(at, `Unknown state "${name}"`);
+  };
+
+  if (machine.entryState !== undefined) {
+    checkState(machine.entryState, pointerTo(pointer, 'entryState'));
+  }
+
+  const checkTransition = (transition, at) => {
+    if (!isPlainObject(transition)) return;
+    const hasTarget = 'targetState' in transition;
+    if (hasTarget === ('targets' in transition)) {
+      fail(at, hasTarget
+        ? 'Transition has both "targetState" and "targets". Must have one'
+        : 'Transition has no "targetState" or "targets". Must have one');
+    }
+    checkState(transition.targetState, pointerTo(at, 'targetState'));
+    listOf(transition.targets).forEach((target, i) => {
+      checkState(target?.state, pointerTo(pointerTo(pointerTo(at, 'targets'), i), 'state'));
+    });
+  };
+
+  listOf(machine.anyState).forEach((transition, i) => checkTransition(transition, pointerTo(pointerTo(pointer, 'anyState'), i)));
+
+  entriesOf(machine.states).forEach(([name, state]) => {
+    if (!isPlainObject(state)) return;
+    const at = pointerTo(pointerTo(pointer, 'states'), name);
+    listOf(state.transitions).forEach((transition, i) => checkTransition(transition, pointerTo(pointerTo(at, 'transitions'), i)));
+    if (isPlainObject(state.actions)) checkActionReferences(state.actions, pointerTo(at, 'actions'), context);
+    if (isPlainObject(state.blendTree)) checkBlendTreeReferences(state.blendTree, pointerTo(at, 'blendTree'), context);
+    if (isPlainObject(state.stateMachine)) checkMachineReferences(state.stateMachine, pointerTo(at, 'stateMachine'), context);
+  });
+}
+
+function checkActionReferences(actions, pointer, { parameters, drivers, fail }) {
+  entriesOf(actions).forEach(([moment, list]) => {
+    listOf(list).forEach((action, i) => {
+      if (!isPlainObject(action)) return;
+      const at = pointerTo(pointerTo(pointer, moment), i);
+      const required = { set: 'parameter', fire: 'parameter', emit: 'event', startDriver: 'driver', stopDriver: 'driver' }[action.type];
+      if (required && !(required in action)) {
+        fail(at, `Action "${action.type}" is missing "${required}"`);
+      }
+      if (action.type === 'set' && !('value' in action)) {
+        fail(at, 'Action "set" is missing "value"');
+      }
+      if (typeof action.parameter === 'string') {
+        const param = parameters[action.parameter];
+        if (!param) {
+          fail(pointerTo(at, 'parameter'), `Unknown parameter "${action.parameter}"`);
+        } else if (action.type === 'fire' && param.type !== 'trigger') {
+          fail(pointerTo(at, 'parameter'), `Action "fire" needs a trigger, but "${action.parameter}" is ${param.type}`);
+        }
+      }
+      if (typeof action.driver === 'string' && !Object.hasOwn(drivers, action.driver)) {
+        fail(pointerTo(at, 'driver'), `Unknown driver "${action.driver}"`);
+      }
+    });
+  });
+}
+
+function checkBlendTreeReferences(blendTree, pointer, { parameters, fail }) {
+  const is1D = blendTree.type === '1d';
+  const key = is1D ? 'parameter' : 'parameters';
+  if (!(key in blendTree)) {
+    fail(pointer, `Blend tree (${blendTree.type}) is missing "${key}"`);
+    return;
+  }
+  const names = is1D ? [[blendTree.parameter, pointerTo(pointer, key)]]
+    : listOf(blendTree.parameters).map((name, i) => [name, pointerTo(pointerTo(pointer, key), i)]);
+  names.forEach(([name, at]) => {
+    if (typeof name !== 'string') return;
+    if (!Object.hasOwn(parameters, name)) {
+      fail(at, `Unknown parameter "${name}"`);
+    } else if (parameters[name]?.type !== 'number') {
+      fail(at, `Blend tree needs a number parameter, but "${name}" is ${parameters[name]?.type}`);
+    }
+  });
+  listOf(blendTree.motions).forEach((motion, i) => {
+    const field = is1D ? 'threshold' : 'position';
+    if (isPlainObject(motion) && !(field in motion)) {
+      fail(pointerTo(pointerTo(pointer, 'motions'), i), `Motion is missing "${field}"`);
+    }
+  });
+}
+
+/**
+ * Bone names must be unique and parents must exist without forming a cycle
+ */
+function checkSkeleton(skeleton, pointer, fail) {
+  const parents = new Map();
+  listOf(skeleton.bones).forEach((bone, i) => {
+    if (!isPlainObject(bone) || typeof bone.name !== 'string') return;
+    if (parents.has(bone.name)) {
+      fail(pointerTo(pointerTo(pointerTo(pointer, 'bones'), i), 'name'), `Duplicate bone "${bone.name}"`);
+    }
+    parents.set(bone.name, bone.parent);
+  });
+
+  listOf(skeleton.bones).forEach((bone, i) => {
+    if (!isPlainObject(bone) || typeof bone.parent !== 'string') return;
+    const at = pointerTo(pointerTo(pointerTo(pointer, 'bones'), i), 'parent');
+    if (!parents.has(bone.parent)) {
+      fail(at, `Unknown bone "${bone.parent}"`);
+      return;
+    }
+    const seen = new Set([bone.name]);
+    for (let name = bone.parent; name !== undefined; name = parents.get(name)) {
+      if (seen.has(name)) {
+        fail(at, `Bone "${bone.name}" is its own ancestor`);
+        break;
+      }
+      seen.add(name);
+    }
+  });
+}
+
+/**
+ * Bone tracks must name skeleton bones; parameter clip tracks must name parameters
+ */
+function checkTracks(animation, pointer, { parameters, bones, fail }) {
+  if (!isPlainObject(animation)) return;
+  const isClip = animation.type === PARAMETER_CLIP_TYPE;
+  listOf(animation.tracks).forEach((track, i) => {
+    if (!isPlainObject(track)) return;
+    const at = pointerTo(pointerTo(pointer, 'tracks'), i);
+    if (isClip) {
+      if (typeof track.parameter !== 'string') {
+        fail(at, 'Parameter clip track is missing "parameter"');
+      } else if (!Object.hasOwn(parameters, track.parameter)) {
+        fail(pointerTo(at, 'parameter'), `Unknown parameter "${track.parameter}"`);
+      }
+    } else if (typeof track.boneName !== 'string') {
+      fail(at, 'Bone track is missing "boneName"');
+    } else if (bones && !bones.has(track.boneName)) {
+      fail(pointerTo(at, 'boneName'), `Unknown bone "${track.boneName}"`);
+    }
+  });
+}
@@ -9,6 +9,8 @@
  * so that animator.js requires no changes.
  */
 
+import { easeProgress } from '../core/easing.js';
+
 // ─────────────────────────────────────────────────────────────────
 // Bone
 // ─────────────────────────────────────────────────────────────────
@@ -136,6 +138,15 @@ export class Armature {
     this.animationPlayTimes = -1;   // -1 = infinite loop, 0 = once, N = N times
     this.animationLoopCount = 0;
     this.isPlaying = false;
+
+    /** Crossfade state: the outgoing clip keeps playing while it blends out */
+    this.crossfade = null;          // { duration, elapsed, easing, fromPose }
+    this.fadingAnimation = null;    // { animation, time, playTimes, loopCount }
+
+    /** Animation layers applied on top of the base playback, in order */
+    this.layers = [];
+    this.layerBase = new Map();     // bone name -> pose before layers were applied
+    this.layerOutput = new Map();   // bone name -> pose the layers left on the bone
   }
 
   // ── Bone management ────────────────────────────────────────────
@@ -155,6 +166,60 @@ export class Armature {
     return Array.from(this.boneMap.values());
   }
 
+  /**
+   * Bone names covered by a mask: each listed bone and its descendants.
+   * @param {string[]|null} mask - null covers every bone
+   * @returns {Set<string>}
+   */
+  expandMask(mask) {
+    if (!mask) return new Set(this.boneMap.keys());
+
+    const names = new Set();
+    const visit = (bone) => {
+      names.add(bone.name);
+      bone.children.forEach(visit);
+    };
+    for (const name of mask) {
+      const bone = this.getBone(name);
+      if (bone) visit(bone);
+    }
+    return names;
+  }
+
+  // ── Layers ─────────────────────────────────────────────────────
+
+  /**
+   * Add an animation layer with its own playback, blended over the base
+   * playback (and earlier layers) for the bones in its mask.
+   *
+   * @param {string} name
+   * @param {object} [opts]
+   *   mask (bone names, descendants included; default all bones),
+   *   blendMode ('override' | 'additive'), weight (0-1)
+   * @returns {AnimationLayer}
+   */
+  addLayer(name, opts = {}) {
+    if (this.getLayer(name)) {
+      throw new Error(`Layer already exists: ${name}`);
+    }
+    const layer = new AnimationLayer(this, name, opts);
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /** Retrieve a layer by name. */
+  getLayer(name) {
+    return this.layers.find(layer => layer.name === name) || null;
+  }
+
+  /** Remove a layer; its bones return to their unlayered pose next frame. */
+  removeLayer(name) {
+    const layer = this.getLayer(name);
+    if (!layer) return false;
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    return true;
+  }
+
   // ── Animation registration ─────────────────────────────────────
 
   /**
@@ -167,6 +232,41 @@ export class Armature {
     this.animations.set(name, data);
   }
 
+  /**
+   * Register a blend clip: registered clips played together at the same
+   * normalized time, mixed by weight (see setBlendWeights). It plays,
+   * crossfades and layers like any other clip.
+   *
+   * @param {string} name
+   * @param {string[]} animationNames - Clips to mix; unknown names keep their
+   *   slot (so setBlendWeights indices line up) and sample as the base pose
+   */
+  addBlendClip(name, animationNames) {
+    const motions = animationNames
+      .map(animName => ({ name: animName, animation: this.animations.get(animName) || null, weight: 0 }));
+    const duration = motions.reduce((longest, m) => Math.max(longest, m.animation?.duration || 0), 0);
+    const first = motions.find(m => m.animation) || motions[0];
+    if (first) first.weight = 1;
+    this.animations.set(name, { duration, motions });
+  }
+
+  /**
+   * Set a blend clip's weights, normalized to sum to 1.
+   * @param {string} name
+   * @param {number[]|Object<string, number>} weights - In addBlendClip order, or by clip name
+   */
+  setBlendWeights(name, weights) {
+    const clip = this.animations.get(name);
+    if (!clip?.motions) return;
+
+    const values = Array.isArray(weights)
+      ? clip.motions.map((_, i) => Math.max(0, weights[i] || 0))
+      : clip.motions.map(m => Math.max(0, weights[m.name] || 0));
+    const total = values.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return;
+    clip.motions.forEach((m, i) => { m.weight = values[i] / total; });
+  }
+
   // ── Playback control ───────────────────────────────────────────
 
   /**
@@ -184,6 +284,49 @@ export class Armature {
     this.animationPlayTimes = playTimes;
     this.animationLoopCount = 0;
     this.isPlaying = true;
+    this.crossfade = null;
+    this.fadingAnimation = null;
+  }
+
+  /**
+   * Blend from whatever is playing into a named animation.
+   * Calls made before any time has passed (e.g. a state with several
+   * clips) keep the original outgoing clip and only replace the target.
+   *
+   * @param {string} name
+   * @param {number} duration  Blend length in seconds (0 = hard cut via play())
+   * @param {object} [opts]
+   *   playTimes (see play()), easing (curve name, default 'linear')
+   */
+  crossFade(name, duration, opts = {}) {
+    const anim = this.animations.get(name);
+    if (!anim) return;
+
+    const playTimes = opts.playTimes ?? -1;
+    if (!(duration > 0)) {
+      this.play(name, playTimes);
+      return;
+    }
+
+    let fromPose = this.crossfade?.fromPose;
+    let fadingAnimation = this.fadingAnimation;
+
+    if (this.crossfade?.elapsed !== 0) {
+      fromPose = this.capturePose();
+      // An interrupted crossfade blends out from the pose it had reached
+      fadingAnimation = !this.crossfade && this.isPlaying && this.currentAnimation
+        ? {
+          animation: this.currentAnimation,
+          time: this.animationTime,
+          playTimes: this.animationPlayTimes,
+          loopCount: this.animationLoopCount
+        }
+        : null;
+    }
+
+    this.play(name, playTimes);
+    this.crossfade = { duration, elapsed: 0, easing: opts.easing ?? 'linear', fromPose };
+    this.fadingAnimation = fadingAnimation;
   }
 
   /** Stop the named animation (or any if name matches / is omitted). */
@@ -194,6 +337,8 @@ export class Armature {
       this.currentAnimationName = null;
       this.animationTime = 0;
       this.animationLoopCount = 0;
+      this.crossfade = null;
+      this.fadingAnimation = null;
     }
   }
 
@@ -204,83 +349,214 @@ export class Armature {
    * @param {number} dt  - elapsed seconds
    */
   advanceTime(dt) {
-    if (!this.isPlaying || !this.currentAnimation) return;
+    this.restoreLayerBase();
 
-    const anim = this.currentAnimation;
-    this.animationTime += dt;
+    if (this.crossfade) {
+      this.advanceCrossfade(dt);
+    } else if (this.isPlaying && this.currentAnimation) {
+      const step = stepPlayback(this.currentAnimation, this.animationTime, this.animationPlayTimes, this.animationLoopCount, dt);
+      this.animationTime = step.time;
+      this.animationLoopCount = step.loopCount;
+      if (step.finished) this.isPlaying = false;
 
-    // Handle looping / completion
-    if (anim.duration > 0 && this.animationTime >= anim.duration) {
-      this.animationLoopCount++;
+      this.applyAnimation(this.currentAnimation, this.animationTime);
+    }
 
-      const effectivePlayTimes = this.animationPlayTimes <= 0
-        ? this.animationPlayTimes   // -1 = infinite
-        : this.animationPlayTimes;
+    this.applyLayers(dt);
+  }
 
-      if (effectivePlayTimes > 0 && this.animationLoopCount >= effectivePlayTimes) {
-        // Clamp to end and stop
-        this.animationTime = anim.duration;
-        this.applyAnimation(anim, this.animationTime);
-        this.isPlaying = false;
-        return;
+  /**
+   * Undo last frame's layer blend so weights do not compound across
+   * frames. Bones changed since (e.g. set directly) are left alone.
+   */
+  restoreLayerBase() {
+    for (const [name, base] of this.layerBase) {
+      const bone = this.getBone(name);
+      const output = this.layerOutput.get(name);
+      if (bone && output && posesEqual(readBonePose(bone), output)) {
+        this.applyBonePose(name, base);
       }
+    }
+    this.layerBase.clear();
+    this.layerOutput.clear();
+  }
 
-      // Wrap time for looping
-      this.animationTime = this.animationTime % anim.duration;
+  /**
+   * Advance every layer and blend its pose onto the bones in order.
+   * override moves toward the layer pose by its weight; additive adds
+   * the layer's rotation/position and multiplies its scale.
+   */
+  applyLayers(dt) {
+    for (const layer of this.layers) {
+      const pose = layer.advance(dt);
+      if (layer.weight <= 0) continue;
+
+      for (const [name, target] of pose) {
+        const bone = this.getBone(name);
+        if (!bone) continue;
+
+        const current = readBonePose(bone);
+        if (!this.layerBase.has(name)) this.layerBase.set(name, current);
+
+        const w = layer.weight;
+        this.applyBonePose(name, layer.blendMode === 'additive'
+          ? {
+            rotation: current.rotation + target.rotation * w,
+            x: current.x + target.x * w,
+            y: current.y + target.y * w,
+            scaleX: current.scaleX * lerp(1, target.scaleX, w),
+            scaleY: current.scaleY * lerp(1, target.scaleY, w)
+          }
+          : blendPose(current, target, w));
+      }
     }
 
-    this.applyAnimation(anim, this.animationTime);
+    for (const name of this.layerBase.keys()) {
+      this.layerOutput.set(name, readBonePose(this.getBone(name)));
+    }
   }
 
   /**
-   * Sample all tracks at a given time and apply values to bones.
+   * Advance both clips of a crossfade and apply the eased blend of their
+   * poses. Only bones animated by either clip are touched, so bones set
+   * directly (e.g. head rotation) are left alone.
    */
-  applyAnimation(anim, time) {
-    if (!anim.tracks) return;
+  advanceCrossfade(dt) {
+    const fade = this.crossfade;
+    const fading = this.fadingAnimation;
+    fade.elapsed += dt;
+
+    let outgoing = new Map();
+    if (fading) {
+      const step = stepPlayback(fading.animation, fading.time, fading.playTimes, fading.loopCount, dt);
+      fading.time = step.time;
+      fading.loopCount = step.loopCount;
+      outgoing = this.samplePose(fading.animation, fading.time, fade.fromPose);
+    }
 
-    for (const track of anim.tracks) {
-      const bone = this.getBone(track.boneName);
-      if (!bone || !track.keyframes || track.keyframes.length === 0) continue;
+    let incoming = new Map();
+    if (this.isPlaying && this.currentAnimation) {
+      const step = stepPlayback(this.currentAnimation, this.animationTime, this.animationPlayTimes, this.animationLoopCount, dt);
+      this.animationTime = step.time;
+      this.animationLoopCount = step.loopCount;
+      if (step.finished) this.isPlaying = false;
+      incoming = this.samplePose(this.currentAnimation, this.animationTime, fade.fromPose);
+    }
 
-      const kf = track.keyframes;
+    const weight = easeProgress(fade.elapsed, fade.duration, fade.easing);
+    for (const [name, pose] of blendPoses(outgoing, incoming, weight, fade.fromPose)) {
+      this.applyBonePose(name, pose);
+    }
 
-      // Find surrounding keyframes
-      let prev = kf[0];
-      let next = kf[kf.length - 1];
+    if (fade.elapsed >= fade.duration) {
+      this.crossfade = null;
+      this.fadingAnimation = null;
+    }
+  }
 
-      for (let i = 0; i < kf.length - 1; i++) {
-        if (time >= kf[i].time && time <= kf[i + 1].time) {
-          prev = kf[i];
-          next = kf[i + 1];
-          break;
-        }
-        if (time < kf[i].time) {
-          // Before the first keyframe; use first keyframe values
-          prev = kf[i];
-          next = kf[i];
-          break;
-        }
-      }
+  // ── Poses ──────────────────────────────────────────────────────
 
-      // Compute interpolation factor
-      const span = next.time - prev.time;
-      const t = span > 0 ? (time - prev.time) / span : 0;
+  /**
+   * Snapshot every bone's local transform.
+   * @returns {Map<string, {rotation, x, y, scaleX, scaleY}>}
+   */
+  capturePose() {
+    const pose = new Map();
+    for (const [name, bone] of this.boneMap) {
+      pose.set(name, readBonePose(bone));
+    }
+    return pose;
+  }
+
+  /**
+   * Sample a clip into a pose for the bones it animates. Properties a
+   * track does not key come from basePose.
+   */
+  samplePose(anim, time, basePose) {
+    if (anim.motions) return this.sampleBlendPose(anim, time, basePose);
+
+    const pose = new Map();
+    for (const track of anim.tracks || []) {
+      const base = basePose.get(track.boneName);
+      const sample = sampleTrack(track, time);
+      if (!base || !sample) continue;
+
+      pose.set(track.boneName, {
+        rotation: sample.rotation ?? base.rotation,
+        x: sample.position?.x ?? base.x,
+        y: sample.position?.y ?? base.y,
+        scaleX: sample.scale?.x ?? base.scaleX,
+        scaleY: sample.scale?.y ?? base.scaleY
+      });
+    }
+    return pose;
+  }
 
-      // Apply interpolated rotation (radians)
-      if (prev.rotation !== undefined && next.rotation !== undefined) {
-        bone.rotation = lerp(prev.rotation, next.rotation, t);
+  /**
+   * Sample a blend clip: each weighted clip at the same normalized time,
+   * averaged per bone (bones a clip does not animate, and unknown clips,
+   * count as basePose).
+   */
+  sampleBlendPose(clip, time, basePose) {
+    const progress = clip.duration > 0 ? time / clip.duration : 0;
+    const samples = clip.motions
+      .filter(m => m.weight > 0)
+      .map(m => ({
+        weight: m.weight,
+        pose: m.animation ? this.samplePose(m.animation, progress * m.animation.duration, basePose) : new Map()
+      }));
+
+    const pose = new Map();
+    const names = new Set(samples.flatMap(sample => [...sample.pose.keys()]));
+    for (const name of names) {
+      const mixed = { rotation: 0, x: 0, y: 0, scaleX: 0, scaleY: 0 };
+      for (const { weight, pose: sampled } of samples) {
+        const entry = sampled.get(name) || basePose.get(name);
+        for (const key of Object.keys(mixed)) mixed[key] += entry[key] * weight;
       }
+      pose.set(name, mixed);
+    }
+    return pose;
+  }
+
+  /** Write a pose entry onto a bone. */
+  applyBonePose(name, pose) {
+    const bone = this.getBone(name);
+    if (!bone) return;
+    bone.rotation = pose.rotation;
+    bone.position.x = pose.x;
+    bone.position.y = pose.y;
+    bone.scale.x = pose.scaleX;
+    bone.scale.y = pose.scaleY;
+  }
 
-      // Apply interpolated position
-      if (prev.position && next.position) {
-        bone.position.x = lerp(prev.position.x, next.position.x, t);
-        bone.position.y = lerp(prev.position.y, next.position.y, t);
+  /**
+   * Sample all tracks at a given time and apply values to bones.
+   */
+  applyAnimation(anim, time) {
+    if (anim.motions) {
+      for (const [name, pose] of this.samplePose(anim, time, this.capturePose())) {
+        this.applyBonePose(name, pose);
       }
+      return;
+    }
+    if (!anim.tracks) return;
 
-      // Apply interpolated scale
-      if (prev.scale && next.scale) {
-        bone.scale.x = lerp(prev.scale.x, next.scale.x, t);
-        bone.scale.y = lerp(prev.scale.y, next.scale.y, t);
+    for (const track of anim.tracks) {
+      const bone = this.getBone(track.boneName);
+      const sample = sampleTrack(track, time);
+      if (!bone || !sample) continue;
+
+      if (sample.rotation !== undefined) {
+        bone.rotation = sample.rotation;
+      }
+      if (sample.position) {
+        bone.position.x = sample.position.x;
+        bone.position.y = sample.position.y;
+      }
+      if (sample.scale) {
+        bone.scale.x = sample.scale.x;
+        bone.scale.y = sample.scale.y;
       }
     }
   }
@@ -293,6 +569,332 @@ export class Armature {
       this.root.computeWorldTransform();
     }
   }
+
+  // ── Runtime state ──────────────────────────────────────────────
+
+  /**
+   * Everything needed to resume this exact frame, as plain JSON: bone
+   * poses (including bones set directly), playback, crossfade, layers and
+   * blend clip weights. Clips are referenced by name.
+   * @returns {object}
+   */
+  captureState() {
+    const blendWeights = {};
+    for (const [name, clip] of this.animations) {
+      if (clip.motions) blendWeights[name] = clip.motions.map(m => m.weight);
+    }
+
+    const fading = this.fadingAnimation;
+    return {
+      bones: poseToObject(this.capturePose()),
+      playback: capturePlayback(this),
+      crossfade: captureCrossfade(this.crossfade),
+      fading: fading ? { ...fading, animation: this.animationName(fading.animation) } : null,
+      layerBase: poseToObject(this.layerBase),
+      layerOutput: poseToObject(this.layerOutput),
+      layers: this.layers.map(layer => layer.captureState()),
+      blendWeights
+    };
+  }
+
+  /**
+   * Resume a frame from captureState(). Clips, bones and layers that no
+   * longer exist are skipped.
+   * @param {object} state
+   */
+  restoreState(state) {
+    Object.entries(state.bones).forEach(([name, pose]) => this.applyBonePose(name, pose));
+    restorePlayback(this, state.playback, this.animations);
+    this.crossfade = restoreCrossfade(state.crossfade);
+
+    const fading = state.fading && this.animations.get(state.fading.animation);
+    this.fadingAnimation = fading ? { ...state.fading, animation: fading } : null;
+
+    this.layerBase = poseFromObject(state.layerBase);
+    this.layerOutput = poseFromObject(state.layerOutput);
+    state.layers.forEach(layerState => this.getLayer(layerState.name)?.restoreState(layerState));
+    Object.entries(state.blendWeights).forEach(([name, weights]) => this.setBlendWeights(name, weights));
+
+    this.updateWorldTransforms();
+  }
+
+  /** Name a clip was registered under (null if unregistered). */
+  animationName(anim) {
+    for (const [name, registered] of this.animations) {
+      if (registered === anim) return name;
+    }
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// AnimationLayer  (independent playback blended over the base)
+// ─────────────────────────────────────────────────────────────────
+
+export const BLEND_MODES = ['override', 'additive'];
+
+/** @throws {Error} for blend modes other than BLEND_MODES */
+function assertBlendMode(blendMode) {
+  if (!BLEND_MODES.includes(blendMode)) {
+    throw new Error(`Invalid blend mode: ${blendMode}. Must be one of: ${BLEND_MODES.join(', ')}`);
+  }
+}
+
+/** Additive clips key offsets: no rotation/translation, unit scale. */
+const IDENTITY_POSE = Object.freeze({ rotation: 0, x: 0, y: 0, scaleX: 1, scaleY: 1 });
+
+export class AnimationLayer {
+  /**
+   * Created through Armature.addLayer.
+   * @param {Armature} armature
+   * @param {string} name
+   * @param {object} [opts] - { mask, blendMode = 'override', weight = 1 }
+   */
+  constructor(armature, name, opts = {}) {
+    const blendMode = opts.blendMode ?? 'override';
+    assertBlendMode(blendMode);
+
+    this.armature = armature;
+    this.name = name;
+    this.mask = opts.mask ?? null;
+    this.bones = armature.expandMask(this.mask);
+    this.blendMode = blendMode;
+    this.weight = 1;
+    this.setWeight(opts.weight ?? 1);
+
+    /** Playback state (same meaning as on Armature) */
+    this.currentAnimation = null;
+    this.currentAnimationName = null;
+    this.animationTime = 0;
+    this.animationPlayTimes = -1;
+    this.animationLoopCount = 0;
+    this.isPlaying = false;
+
+    /** Blend from the layer's last pose into the new clip */
+    this.crossfade = null;          // { duration, elapsed, easing, fromPose }
+    this.pose = new Map();          // last sampled pose (before weighting)
+  }
+
+  /** Set the layer's influence, clamped to [0, 1]. */
+  setWeight(weight) {
+    this.weight = Math.min(1, Math.max(0, weight));
+  }
+
+  /**
+   * Start playing an animation on this layer (see Armature.play).
+   * A clip that finishes holds its last frame until stopped.
+   */
+  play(name, playTimes = -1) {
+    const anim = this.armature.animations.get(name);
+    if (!anim) return;
+
+    this.currentAnimation = anim;
+    this.currentAnimationName = name;
+    this.animationTime = 0;
+    this.animationPlayTimes = playTimes;
+    this.animationLoopCount = 0;
+    this.isPlaying = true;
+    this.crossfade = null;
+  }
+
+  /** Blend from the layer's current pose into a named animation (see Armature.crossFade). */
+  crossFade(name, duration, opts = {}) {
+    if (!this.armature.animations.has(name)) return;
+
+    const playTimes = opts.playTimes ?? -1;
+    if (!(duration > 0)) {
+      this.play(name, playTimes);
+      return;
+    }
+
+    const fromPose = this.pose;
+    this.play(name, playTimes);
+    this.crossfade = { duration, elapsed: 0, easing: opts.easing ?? 'linear', fromPose };
+  }
+
+  /** Stop the named animation (or any if name matches / is omitted). */
+  stop(name) {
+    if (!name || this.currentAnimationName === name) {
+      this.isPlaying = false;
+      this.currentAnimation = null;
+      this.currentAnimationName = null;
+      this.animationTime = 0;
+      this.animationLoopCount = 0;
+      this.crossfade = null;
+      this.pose = new Map();
+    }
+  }
+
+  /**
+   * Advance playback and sample the layer's pose for the masked bones.
+   * Override poses fall back to the bone's current value for unkeyed
+   * properties; additive poses fall back to the identity.
+   * @returns {Map<string, {rotation, x, y, scaleX, scaleY}>}
+   */
+  advance(dt) {
+    if (!this.currentAnimation) return this.pose;
+
+    if (this.isPlaying) {
+      const step = stepPlayback(this.currentAnimation, this.animationTime, this.animationPlayTimes, this.animationLoopCount, dt);
+      this.animationTime = step.time;
+      this.animationLoopCount = step.loopCount;
+      if (step.finished) this.isPlaying = false;
+    }
+
+    const basePose = new Map();
+    for (const name of this.bones) {
+      const bone = this.armature.getBone(name);
+      if (bone) basePose.set(name, this.blendMode === 'additive' ? IDENTITY_POSE : readBonePose(bone));
+    }
+
+    let pose = this.armature.samplePose(this.currentAnimation, this.animationTime, basePose);
+
+    if (this.crossfade) {
+      const fade = this.crossfade;
+      fade.elapsed += dt;
+      const weight = easeProgress(fade.elapsed, fade.duration, fade.easing);
+      pose = blendPoses(fade.fromPose, pose, weight, basePose);
+      if (fade.elapsed >= fade.duration) this.crossfade = null;
+    }
+
+    this.pose = pose;
+    return pose;
+  }
+
+  /** Weight, playback, crossfade and last pose (see Armature.captureState). */
+  captureState() {
+    return {
+      name: this.name,
+      weight: this.weight,
+      playback: capturePlayback(this),
+      crossfade: captureCrossfade(this.crossfade),
+      pose: poseToObject(this.pose)
+    };
+  }
+
+  /** Resume from captureState(). */
+  restoreState(state) {
+    this.setWeight(state.weight);
+    restorePlayback(this, state.playback, this.armature.animations);
+    this.crossfade = restoreCrossfade(state.crossfade);
+    this.pose = poseFromObject(state.pose);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Playback helpers
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Advance a clip's play head, wrapping loops and clamping at the end
+ * of the final play.
+ * @returns {{ time: number, loopCount: number, finished: boolean }}
+ */
+function stepPlayback(anim, time, playTimes, loopCount, dt) {
+  time += dt;
+
+  if (anim.duration > 0 && time >= anim.duration) {
+    loopCount++;
+
+    // -1 = infinite
+    if (playTimes > 0 && loopCount >= playTimes) {
+      return { time: anim.duration, loopCount, finished: true };
+    }
+
+    time = time % anim.duration;
+  }
+
+  return { time, loopCount, finished: false };
+}
+
+/** Play head of an Armature or AnimationLayer as JSON. */
+function capturePlayback(target) {
+  return {
+    animation: target.currentAnimationName,
+    time: target.animationTime,
+    playTimes: target.animationPlayTimes,
+    loopCount: target.animationLoopCount,
+    isPlaying: target.isPlaying
+  };
+}
+
+/**
+ * Restore a play head from capturePlayback(); unknown clips stop playback.
+ * @param {Map<string, object>} animations - Registered clips
+ */
+function restorePlayback(target, playback, animations) {
+  const anim = playback.animation ? animations.get(playback.animation) : null;
+  target.currentAnimation = anim ?? null;
+  target.currentAnimationName = anim ? playback.animation : null;
+  target.animationTime = anim ? playback.time : 0;
+  target.animationPlayTimes = playback.playTimes;
+  target.animationLoopCount = anim ? playback.loopCount : 0;
+  target.isPlaying = Boolean(anim) && playback.isPlaying;
+}
+
+/** Crossfade state as JSON (null when none is running). */
+function captureCrossfade(fade) {
+  return fade ? { ...fade, fromPose: poseToObject(fade.fromPose) } : null;
+}
+
+/** Crossfade state from captureCrossfade(). */
+function restoreCrossfade(fade) {
+  return fade ? { ...fade, fromPose: poseFromObject(fade.fromPose) } : null;
+}
+
+/**
+ * Interpolate one track at a given time.
+ * @returns {{ rotation?, position?, scale? }|null} null for empty tracks
+ */
+function sampleTrack(track, time) {
+  const kf = track.keyframes;
+  if (!kf || kf.length === 0) return null;
+
+  // Find surrounding keyframes
+  let prev = kf[0];
+  let next = kf[kf.length - 1];
+
+  for (let i = 0; i < kf.length - 1; i++) {
+    if (time >= kf[i].time && time <= kf[i + 1].time) {
+      prev = kf[i];
+      next = kf[i + 1];
+      break;
+    }
+    if (time < kf[i].time) {
+      // Before the first keyframe; use first keyframe values
+      prev = kf[i];
+      next = kf[i];
+      break;
+    }
+  }
+
+  // Compute interpolation factor
+  const span = next.time - prev.time;
+  const t = span > 0 ? (time - prev.time) / span : 0;
+  const sample = {};
+
+  // Interpolated rotation (radians)
+  if (prev.rotation !== undefined && next.rotation !== undefined) {
+    sample.rotation = lerp(prev.rotation, next.rotation, t);
+  }
+
+  // Interpolated position
+  if (prev.position && next.position) {
+    sample.position = {
+      x: lerp(prev.position.x, next.position.x, t),
+      y: lerp(prev.position.y, next.position.y, t)
+    };
+  }
+
+  // Interpolated scale
+  if (prev.scale && next.scale) {
+    sample.scale = {
+      x: lerp(prev.scale.x, next.scale.x, t),
+      y: lerp(prev.scale.y, next.scale.y, t)
+    };
+  }
+
+  return sample;
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -372,6 +974,57 @@ function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
+/** Local transform of a bone as a pose entry. */
+function readBonePose(bone) {
+  return {
+    rotation: bone.rotation,
+    x: bone.position.x,
+    y: bone.position.y,
+    scaleX: bone.scale.x,
+    scaleY: bone.scale.y
+  };
+}
+
+/** Interpolate every property of two pose entries. */
+function blendPose(from, to, t) {
+  return {
+    rotation: lerp(from.rotation, to.rotation, t),
+    x: lerp(from.x, to.x, t),
+    y: lerp(from.y, to.y, t),
+    scaleX: lerp(from.scaleX, to.scaleX, t),
+    scaleY: lerp(from.scaleY, to.scaleY, t)
+  };
+}
+
+/**
+ * Blend two poses bone by bone. A bone missing from one side uses its
+ * entry in basePose; bones in neither pose are left out.
+ */
+function blendPoses(from, to, t, basePose) {
+  const result = new Map();
+  for (const name of new Set([...from.keys(), ...to.keys()])) {
+    const a = from.get(name) || basePose.get(name);
+    const b = to.get(name) || basePose.get(name);
+    if (a && b) result.set(name, blendPose(a, b, t));
+  }
+  return result;
+}
+
+/** Pose map as a plain object, for JSON. */
+function poseToObject(pose) {
+  return Object.fromEntries([...pose].map(([name, entry]) => [name, { ...entry }]));
+}
+
+/** Pose map from poseToObject(). */
+function poseFromObject(object) {
+  return new Map(Object.entries(object).map(([name, entry]) => [name, { ...entry }]));
+}
+
+function posesEqual(a, b) {
+  return a.rotation === b.rotation && a.x === b.x && a.y === b.y &&
+    a.scaleX === b.scaleX && a.scaleY === b.scaleY;
+}
+
 /**
  * Build a bone tree from skeleton JSON data.
  *
@@ -463,6 +1116,12 @@ export class DragonBonesRigging {
 
     /** @type {ArmatureDisplay|null} */
     this.armatureDisplay = null;
+
+    /** Layer definitions, re-created on every loaded armature: name -> options */
+    this.layers = new Map();
+
+    /** Blend clip definitions, likewise: name -> { animations, weights } */
+    this.blendClips = new Map();
   }
 
   // ── Factory-style init (kept for backward compat) ──────────────
@@ -486,28 +1145,167 @@ export class DragonBonesRigging {
    */
   loadArmature(skeletonData, _textureAtlasData) {
     this.armature = buildArmatureFromData(skeletonData);
+    this.blendClips.forEach(({ animations, weights }, name) => {
+      this.armature.addBlendClip(name, animations);
+      if (weights) this.armature.setBlendWeights(name, weights);
+    });
+    this.layers.forEach((options, name) => this.armature.addLayer(name, options));
     this.armatureDisplay = new ArmatureDisplay(this.armature);
     return this.armatureDisplay;
   }
 
+  // ── Layers ─────────────────────────────────────────────────────
+
+  /**
+   * Define an animation layer. Layers may be defined before the armature
+   * is loaded; they are created on it (and on any later armature).
+   * @param {string} name
+   * @param {object} [options]  { mask, blendMode = 'override', weight = 1 }
+   */
+  addLayer(name, options = {}) {
+    if (this.layers.has(name)) {
+      throw new Error(`Layer already exists: ${name}`);
+    }
+    assertBlendMode(options.blendMode ?? 'override');
+    this.layers.set(name, { ...options });
+    this.armature?.addLayer(name, options);
+  }
+
+  /**
+   * Remove a layer definition and the armature's layer.
+   */
+  removeLayer(name) {
+    this.armature?.removeLayer(name);
+    return this.layers.delete(name);
+  }
+
+  /**
+   * Change a layer's weight (clamped to 0-1).
+   */
+  setLayerWeight(name, weight) {
+    const options = this.layers.get(name);
+    if (!options) return;
+    options.weight = weight;
+    this.armature?.getLayer(name)?.setWeight(weight);
+  }
+
+  /**
+   * Playback target: the named layer, or the armature's base playback.
+   * @returns {Armature|AnimationLayer|null}
+   */
+  _playbackTarget(layer) {
+    if (!this.armature) return null;
+    return layer ? this.armature.getLayer(layer) : this.armature;
+  }
+
   // ── Animation ──────────────────────────────────────────────────
 
   /**
    * Play a named animation clip.
    * @param {string} animationName
    * @param {number} [times=-1]  -1 = loop, 1 = once, N = N times
+   * @param {object} [options]  { layer } (default: base playback)
    */
-  playAnimation(animationName, times = -1) {
-    if (!this.armature) return;
-    this.armature.play(animationName, times);
+  playAnimation(animationName, times = -1, options = {}) {
+    this._playbackTarget(options.layer)?.play(animationName, times);
+  }
+
+  /**
+   * Length of a registered animation in seconds (undefined if unknown).
+   * @param {string} animationName
+   */
+  getAnimationDuration(animationName) {
+    return this.armature?.animations.get(animationName)?.duration;
+  }
+
+  /**
+   * Bones keyed by any of the named clips (blend clips count their
+   * motions), e.g. as a layer mask. Unknown clips are skipped.
+   * @param {string[]} animationNames
+   * @returns {string[]}
+   */
+  getAnimationBones(animationNames) {
+    const bones = new Set();
+    const visit = (anim) => {
+      anim.tracks?.forEach(track => bones.add(track.boneName));
+      anim.motions?.forEach(motion => motion.animation && visit(motion.animation));
+    };
+    animationNames.forEach((name) => {
+      const anim = this.armature?.animations.get(name);
+      if (anim) visit(anim);
+    });
+    return [...bones];
+  }
+
+  /**
+   * Blend into a named animation over `duration` seconds while the
+   * current one blends out.
+   * @param {string} animationName
+   * @param {number} duration  seconds (0 = same as playAnimation)
+   * @param {object} [options]  { times = -1, easing = 'linear', layer }
+   */
+  crossfadeAnimation(animationName, duration, options = {}) {
+    this._playbackTarget(options.layer)?.crossFade(animationName, duration, {
+      playTimes: options.times ?? -1,
+      easing: options.easing
+    });
+  }
+
+  /**
+   * Define a blend clip mixing registered clips by weight (e.g. a blend
+   * tree's motions). May be called before the armature is loaded.
+   * @param {string} name
+   * @param {string[]} animationNames
+   */
+  addBlendClip(name, animationNames) {
+    this.blendClips.set(name, { animations: [...animationNames], weights: null });
+    this.armature?.addBlendClip(name, animationNames);
+  }
+
+  /**
+   * Update a blend clip's weights (normalized to sum to 1).
+   * @param {string} name
+   * @param {number[]} weights  In addBlendClip order
+   */
+  setBlendWeights(name, weights) {
+    const definition = this.blendClips.get(name);
+    if (definition) definition.weights = weights;
+    this.armature?.setBlendWeights(name, weights);
   }
 
   /**
    * Stop the named animation (or current if name matches).
+   * @param {object} [options]  { layer } (default: base playback)
    */
-  stopAnimation(animationName) {
-    if (!this.armature) return;
-    this.armature.stop(animationName);
+  stopAnimation(animationName, options = {}) {
+    this._playbackTarget(options.layer)?.stop(animationName);
+  }
+
+  // ── Runtime state ──────────────────────────────────────────────
+
+  /**
+   * The armature's current frame (see Armature.captureState).
+   * @returns {object|null} null when no armature is loaded
+   */
+  captureState() {
+    return this.armature?.captureState() ?? null;
+  }
+
+  /**
+   * Resume a frame from captureState() on the loaded armature. Layer and
+   * blend weights are kept for later armatures too.
+   * @param {object} state
+   */
+  restoreState(state) {
+    state.layers.forEach(({ name, weight }) => {
+      const options = this.layers.get(name);
+      if (options) options.weight = weight;
+    });
+    Object.entries(state.blendWeights).forEach(([name, weights]) => {
+      const definition = this.blendClips.get(name);
+      if (definition) definition.weights = weights;
+    });
+    this.armature?.restoreState(state);
   }
 
   // ── Per-frame update ───────────────────────────────────────────
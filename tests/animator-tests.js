@@ -6,9 +6,18 @@
 import { TestRunner, assert, assertEqual, assertDeepEqual } from './test-helpers.js';
 import { ParameterSystem } from '../src/core/parameter.js';
 import { StateMachine } from '../src/core/state-machine.js';
+import { BlendTree } from '../src/core/blend-tree.js';
+import { createStateActions, runStateActions } from '../src/core/state-actions.js';
+import { DriverSystem } from '../src/core/drivers.js';
+import { ParameterClipPlayer } from '../src/core/parameter-recorder.js';
+import { AudioSync } from '../src/audio-sync.js';
+import { compileExpression, ExpressionError } from '../src/core/expression.js';
 import { EventBus, EventTypes } from '../src/core/event-bus.js';
 import { PermissionManager } from '../src/core/permission.js';
 import { SessionStore } from '../src/core/session-store.js';
+import { DragonBonesRigging } from '../src/rigging/dragon-bones.js';
+import { WFLFile, WFLBinaryFormat } from '../src/core/file-format.js';
+import { RESERVED_LAYER_NAMES } from '../src/core/wfl-schema.js';
 
 // ═══════════════════════════════════════════════════════════════════
 // Minimal browser API mocks for Node.js
@@ -49,6 +58,12 @@ if (typeof globalThis.document === 'undefined') {
  * the relevant logic inline using the same source patterns.
  */
 
+// Matches FACE_LAYERS in src/animator.js
+const FACE_LAYERS = {
+  mouth: { layer: 'face.mouth', animations: ['mouth_closed', 'mouth_a', 'mouth_e', 'mouth_i', 'mouth_o', 'mouth_u', 'mouth_f'] },
+  eyes: { layer: 'face.eyes', animations: ['eyes_open', 'eyes_closed', 'eyes_half', 'eyes_squint', 'eyes_wide'] }
+};
+
 /**
  * Helper: build a minimal animator-like object for testing.
  * This avoids importing WFLAnimator directly (which drags in DOM-dependent
@@ -59,22 +74,73 @@ function createTestAnimator() {
   const permissions = new PermissionManager(eventBus);
   const sessionStore = new SessionStore(eventBus);
 
+  const parameters = new ParameterSystem();
+
   const animator = {
-    parameters: new ParameterSystem(),
+    file: null,
+    parameters,
+    drivers: new DriverSystem(parameters),
+    parameterClips: new ParameterClipPlayer(parameters),
+    audioSync: new AudioSync({ eventBus, parameterSystem: parameters }),
     stateMachine: null,
+    random: null,
+    layers: [],
+    rigging: new DragonBonesRigging(),
+    assetUrls: new Map(),
     eventBus,
     permissions,
     sessionStore,
     currentSession: null,
     isInitialized: false,
 
-    // Matches WFLAnimator.setupDefaultParameters
+    // Matches WFLAnimator.setupDefaultParameters (DEFAULT_PARAMETERS inlined)
     setupDefaultParameters() {
-      this.parameters.register('mouthState', 'number', 0);
-      this.parameters.register('headTurn', 'number', 0);
-      this.parameters.register('eyeState', 'number', 0);
-      this.parameters.register('roastTone', 'number', 0);
-      this.parameters.register('isTalking', 'boolean', false);
+      this.parameters.fromJSON({
+        mouthState: { type: 'number', value: 0, min: 0, max: 6, step: 1 },
+        headTurn: { type: 'number', value: 0, min: -45, max: 45 },
+        eyeState: { type: 'number', value: 0, min: 0, max: 4, step: 1 },
+        roastTone: { type: 'number', value: 0, min: 0, max: 3 },
+        isTalking: { type: 'boolean', value: false }
+      });
+    },
+
+    // Matches WFLAnimator.emitParameterChange
+    emitParameterChange(name, value) {
+      if (this.parameters.inTransaction() || this.drivers.isDriving(name)) return;
+
+      this.eventBus.emit({
+        type: EventTypes.PARAMETER_CHANGE,
+        payload: { name, value }
+      });
+
+      if (this.currentSession) {
+        this.sessionStore.recordMessage(this.currentSession.id, {
+          type: 'parameter_change',
+          name,
+          value,
+          timestamp: Date.now()
+        });
+      }
+    },
+
+    // Matches WFLAnimator.emitParameterChanges
+    emitParameterChanges(changes) {
+      const names = Object.keys(changes).filter(name => !this.drivers.isDriving(name));
+      if (names.length === 0) return;
+      const reported = Object.fromEntries(names.map(name => [name, changes[name]]));
+      this.eventBus.emit({
+        type: EventTypes.PARAMETER_CHANGE,
+        payload: { names, changes: reported }
+      });
+
+      if (this.currentSession) {
+        this.sessionStore.recordMessage(this.currentSession.id, {
+          type: 'parameter_change',
+          names,
+          changes: reported,
+          timestamp: Date.now()
+        });
+      }
     },
 
     // Matches WFLAnimator.createConditionFunction exactly
@@ -83,71 +149,237 @@ function createTestAnimator() {
         return () => false;
       }
 
-      return (parameters) => {
-        try {
-          let expr = conditionStr;
+      const evaluate = compileExpression(conditionStr, { parameters: this.parameters });
+      const condition = (parameters, context) => Boolean(evaluate(parameters, context));
+      condition.identifiers = evaluate.identifiers;
+      return condition;
+    },
 
-          const paramNames = parameters.getAll()
-            .map(p => p.name)
-            .sort((a, b) => b.length - a.length);
+    // Matches WFLAnimator.prepareFile (the mock binds no parameter listeners)
+    prepareFile(file, options = {}) {
+      (file.layers || []).forEach(({ name }) => {
+        if (RESERVED_LAYER_NAMES.includes(name)) {
+          throw new Error(`Layer name "${name}" is reserved for the animator's face layers`);
+        }
+      });
 
-          for (const name of paramNames) {
-            const param = parameters.get(name);
-            if (!param) continue;
-            const value = param.get();
-            const replacement = typeof value === 'string' ? `"${value}"` : String(value);
-            expr = expr.replace(new RegExp(`\\b${name}\\b`, 'g'), replacement);
+      const previousDrivers = this.drivers.drivers;
+      try {
+        return this.parameters.transaction(() => {
+          if (file.parameters) {
+            this.parameters.fromJSON(file.parameters, { missing: options.missingParameters || 'keep' });
           }
+          this.drivers.fromJSON(file.drivers || {});
+          return {
+            stateMachine: file.stateMachine ? this.buildStateMachine(file.stateMachine) : null,
+            layers: (file.layers || []).map(data => this.buildStateMachine({ name: data.name, ...data.stateMachine }))
+          };
+        });
+      } catch (error) {
+        this.drivers.drivers = previousDrivers;
+        throw error;
+      }
+    },
 
-          const safePattern = /^[\d\s.+\-*/<>=!&|()true false"null]+$/;
-          if (!safePattern.test(expr)) {
-            return false;
-          }
+    // Matches WFLAnimator.setupStateMachine
+    setupStateMachine(data, options = {}) {
+      this.stateMachine = options.stateMachine || this.buildStateMachine(data);
+      this.stateMachine.runActions = (actions, state, moment) => this.runStateActions(actions, state, moment);
+      if (this.random) this.stateMachine.random = this.random;
+
+      if (options.resume) {
+        this.stateMachine.restoreState(options.resume);
+      } else if (data.entryState) {
+        this.stateMachine.start(data.entryState);
+      }
+    },
 
-          return Boolean(new Function(`return (${expr});`)());
-        } catch (_e) {
-          return false;
+    // Matches WFLAnimator.setupLayers
+    setupLayers(layers, options = {}) {
+      this.clearLayers();
+
+      this.layers = layers.map((data, i) => {
+        this.rigging.addLayer(data.name, { mask: data.mask, blendMode: data.blendMode, weight: data.weight });
+
+        const stateMachine = options.stateMachines?.[i] || this.buildStateMachine({ name: data.name, ...data.stateMachine });
+        stateMachine.eventBus = this.eventBus;
+        stateMachine.getAnimationDuration = (name) => this.rigging.getAnimationDuration(name);
+        stateMachine.runActions = (actions, state, moment) => this.runStateActions(actions, state, moment);
+        if (this.random) stateMachine.random = this.random;
+        const resume = options.resume?.[data.name];
+        if (resume) {
+          stateMachine.restoreState(resume);
+        } else if (data.stateMachine.entryState) {
+          stateMachine.start(data.stateMachine.entryState);
         }
+        stateMachine.onStateChange = this.createStateChangeHandler(stateMachine, data.name);
+
+        return { name: data.name, stateMachine };
+      });
+
+      this.setupFaceLayers();
+    },
+
+    // Matches WFLAnimator.playFaceAnimation
+    playFaceAnimation(face, index) {
+      if (index >= 0 && index < face.animations.length) {
+        this.rigging.playAnimation(face.animations[index], -1, { layer: face.layer });
+      }
+    },
+
+    // Matches WFLAnimator.setupFaceLayers
+    setupFaceLayers() {
+      Object.values(FACE_LAYERS).forEach(({ layer, animations }) => {
+        this.rigging.removeLayer(layer);
+        this.rigging.addLayer(layer, { mask: this.rigging.getAnimationBones(animations) });
+      });
+    },
+
+    // Matches WFLAnimator.runStateActions
+    runStateActions(actions, state, moment) {
+      runStateActions(actions, {
+        parameters: this.parameters,
+        eventBus: this.eventBus,
+        audioSync: this.audioSync,
+        drivers: this.drivers
+      }, state, moment);
+    },
+
+    // Matches WFLAnimator.clearLayers
+    clearLayers() {
+      this.layers.forEach(layer => this.rigging.removeLayer(layer.name));
+      this.layers = [];
+    },
+
+    // Matches WFLAnimator.createStateChangeHandler
+    createStateChangeHandler(stateMachine, layer) {
+      return (newState, oldState, transition = {}) => {
+        const { duration = 0, easing } = transition;
+        const animations = stateMachine.getCurrentAnimations();
+        animations.forEach(anim => {
+          if (duration > 0) {
+            this.rigging.crossfadeAnimation(anim, duration, { easing, layer });
+          } else {
+            this.rigging.playAnimation(anim, -1, { layer });
+          }
+        });
+
+        this.eventBus.emit({
+          type: EventTypes.STATE_CHANGE,
+          payload: { newState, oldState, animations, duration, ...(layer && { layer }) }
+        });
       };
     },
 
-    // Matches WFLAnimator.setupStateMachine
-    setupStateMachine(data) {
-      this.stateMachine = new StateMachine(data.name);
+    // Matches WFLAnimator.buildStateMachine
+    buildStateMachine(data) {
+      const machine = new StateMachine(data.name);
 
       Object.entries(data.states).forEach(([name, stateData]) => {
-        this.stateMachine.addState(name, stateData.animations);
+        const stateMachine = stateData.stateMachine
+          ? this.buildStateMachine({ name, ...stateData.stateMachine })
+          : undefined;
+        const blendTree = stateData.blendTree ? this.createBlendTree(name, stateData.blendTree) : undefined;
+        const actions = stateData.actions
+          ? createStateActions(name, stateData.actions, { parameters: this.parameters, drivers: this.drivers })
+          : undefined;
+        machine.addState(name, stateData.animations, { minDuration: stateData.minDuration, stateMachine, blendTree, actions });
+      });
+
+      const timing = (transition) => ({
+        duration: transition.duration,
+        easing: transition.easing,
+        exitTime: transition.exitTime,
+        priority: transition.priority,
+        cooldown: transition.cooldown
       });
 
       Object.entries(data.states).forEach(([name, stateData]) => {
         stateData.transitions.forEach(transition => {
           const conditionStr = transition.condition;
           const condition = this.createConditionFunction(conditionStr);
-          this.stateMachine.addTransition(name, transition.targetState, condition, conditionStr);
+          machine.addTransition(name, transition.targets ?? transition.targetState, condition, conditionStr, timing(transition));
         });
       });
 
+      // Transitions checked from every state before its own
+      (data.anyState || []).forEach(transition => {
+        const conditionStr = transition.condition;
+        const condition = this.createConditionFunction(conditionStr);
+        machine.addAnyStateTransition(transition.targets ?? transition.targetState, condition, conditionStr, timing(transition));
+      });
+
       if (data.entryState) {
-        this.stateMachine.setState(data.entryState);
+        machine.setEntryState(data.entryState);
       }
+
+      if (data.seed !== undefined) {
+        machine.setRandomSeed(data.seed);
+      }
+
+      return machine;
+    },
+
+    // Matches WFLAnimator.createBlendTree
+    createBlendTree(stateName, data) {
+      const blendTree = new BlendTree({ name: stateName, ...data }, { parameters: this.parameters });
+      this.rigging.addBlendClip(blendTree.name, blendTree.animations);
+      return blendTree;
+    },
+
+    // Matches WFLAnimator.updateBlendTrees
+    updateBlendTrees() {
+      const machines = [this.stateMachine, ...this.layers.map(layer => layer.stateMachine)];
+      machines.forEach(machine => machine?.getActiveBlendTrees().forEach(blendTree => {
+        this.rigging.setBlendWeights(blendTree.name, blendTree.computeWeights(this.parameters));
+      }));
     },
 
     // Matches WFLAnimator.createSnapshot
     createSnapshot() {
       return {
-        parameters: this.parameters.toJSON(),
+        parameters: this.parameters.toJSON({ runtime: true }),
         stateMachine: this.stateMachine?.toJSON() || null,
+        layers: this.layers.map(({ name, stateMachine }) => ({
+          name,
+          ...this.rigging.layers.get(name),
+          stateMachine: stateMachine.toJSON()
+        })),
+        runtime: {
+          stateMachine: this.stateMachine?.captureState() ?? null,
+          layers: Object.fromEntries(this.layers.map(({ name, stateMachine }) => [name, stateMachine.captureState()])),
+          rigging: this.rigging.captureState(),
+          audio: this.audioSync.captureState(),
+          drivers: this.drivers.captureState(),
+          parameterClips: this.parameterClips.captureState()
+        },
         timestamp: Date.now()
       };
     },
 
     // Matches WFLAnimator.restoreFromSnapshot
-    restoreFromSnapshot(snapshot) {
+    async restoreFromSnapshot(snapshot) {
+      const runtime = snapshot.runtime;
       if (snapshot.parameters) {
         this.parameters.fromJSON(snapshot.parameters);
       }
       if (snapshot.stateMachine) {
-        this.setupStateMachine(snapshot.stateMachine);
+        this.setupStateMachine(snapshot.stateMachine, { resume: runtime?.stateMachine });
+      }
+      if (snapshot.layers) {
+        this.setupLayers(snapshot.layers, { resume: runtime?.layers });
+      }
+      if (runtime?.rigging) {
+        this.rigging.restoreState(runtime.rigging);
+      }
+      if (runtime?.drivers) {
+        this.drivers.restoreState(runtime.drivers);
+      }
+      if (runtime?.parameterClips) {
+        this.parameterClips.restoreState(runtime.parameterClips);
+      }
+      if (runtime?.audio) {
+        await this.audioSync.restoreState(runtime.audio);
       }
     },
 
@@ -177,8 +409,82 @@ function createTestAnimator() {
       return param ? param.get() : undefined;
     },
 
-    getCurrentState() {
-      return this.stateMachine?.currentState?.name || null;
+    getCurrentState(layer) {
+      const stateMachine = layer
+        ? this.layers.find(entry => entry.name === layer)?.stateMachine
+        : this.stateMachine;
+      return stateMachine?.getCurrentState() || null;
+    },
+
+    // Matches WFLAnimator.getAsset
+    getAsset(name) {
+      return this.file?.assets?.get(name) || null;
+    },
+
+    // Matches WFLAnimator.resolveAssetUrl
+    resolveAssetUrl(ref) {
+      const asset = this.getAsset(ref);
+      if (!asset) return ref;
+
+      if (!this.assetUrls.has(ref)) {
+        const body = asset.data instanceof Uint8Array ? asset.data : JSON.stringify(asset.data);
+        this.assetUrls.set(ref, URL.createObjectURL(new Blob([body], { type: asset.mimeType })));
+      }
+      return this.assetUrls.get(ref);
+    },
+
+    // Matches WFLAnimator.resolveTextureAtlas
+    async resolveTextureAtlas(atlas) {
+      try {
+        let data = atlas;
+        if (typeof atlas === 'string') {
+          const asset = this.getAsset(atlas);
+          if (asset) {
+            data = asset.data instanceof Uint8Array ? { imagePath: atlas } : asset.data;
+          } else {
+            const response = await fetch(atlas);
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            data = await response.json();
+          }
+        }
+
+        if (data && typeof data.imagePath === 'string') {
+          return { ...data, imagePath: this.resolveAssetUrl(data.imagePath) };
+        }
+        return data || null;
+      } catch (error) {
+        this.eventBus.emit({
+          type: EventTypes.ERROR,
+          payload: { message: `Failed to load texture atlas: ${error.message}`, error }
+        });
+        return null;
+      }
+    },
+
+    // Matches WFLAnimator.releaseAssetUrls
+    releaseAssetUrls() {
+      this.assetUrls.forEach(url => URL.revokeObjectURL(url));
+      this.assetUrls.clear();
+    },
+
+    // Matches WFLAnimator.validateStateMachines
+    validateStateMachines() {
+      const options = {
+        file: this.file,
+        parameters: this.parameters,
+        drivers: this.drivers,
+        animations: this.rigging.armature ? [...this.rigging.armature.animations.keys()] : []
+      };
+      const results = [
+        ...(this.stateMachine ? [this.stateMachine.validate(options)] : []),
+        ...this.layers.map((layer, i) => layer.stateMachine.validate({ ...options, path: `layers[${i}].stateMachine` }))
+      ];
+      return {
+        valid: results.every(result => result.valid),
+        issues: results.flatMap(result => result.issues)
+      };
     }
   };
 
@@ -233,6 +539,21 @@ export async function runAnimatorTests() {
     assertEqual(roastTone.type, 'number', 'roastTone should be number');
   });
 
+  TestRunner.test('should reset defaults in place, keeping listeners and derived links', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const mouthState = animator.parameters.get('mouthState');
+    const seen = [];
+    mouthState.onChange((name, value) => seen.push(value));
+    animator.parameters.registerDerived('isOpen', 'boolean', 'mouthState > 0');
+    animator.parameters.set('mouthState', 3);
+
+    animator.setupDefaultParameters();
+    assertEqual(animator.parameters.get('mouthState'), mouthState, 'Same parameter object');
+    assertDeepEqual(seen, [3, 0], 'Listener saw the reset');
+    assertEqual(animator.parameters.get('isOpen').get(), false, 'Derived value followed');
+  });
+
   TestRunner.test('should create expected boolean params', () => {
     const animator = createTestAnimator();
     animator.setupDefaultParameters();
@@ -323,12 +644,55 @@ export async function runAnimatorTests() {
     assertEqual(fn({}), false, 'Empty string should return false');
   });
 
-  TestRunner.test('should reject unsafe expressions', () => {
+  TestRunner.test('should reject unsafe expressions at load time', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+
+    let error = null;
+    try {
+      animator.createConditionFunction('console.log("hacked")');
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof ExpressionError, 'Should throw an ExpressionError');
+  });
+
+  TestRunner.test('should report unknown parameters with their position', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+
+    let error = null;
+    try {
+      animator.createConditionFunction('isTalking && mouthStat > 2');
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof ExpressionError, 'Should throw an ExpressionError');
+    assertEqual(error.position, 13, 'Position should point at the typo');
+    assert(error.message.includes('"mouthStat"'), 'Message should name the identifier');
+  });
+
+  TestRunner.test('should list the identifiers a condition uses', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+
+    const fn = animator.createConditionFunction('isTalking && abs(headTurn) > 10');
+    assertEqual(fn.identifiers.join(','), 'isTalking,headTurn', 'Identifiers should be listed');
+  });
+
+  TestRunner.test('should test a trigger directly in a condition', () => {
     const animator = createTestAnimator();
     animator.setupDefaultParameters();
+    animator.parameters.register('laugh', 'trigger', false);
 
-    const fn = animator.createConditionFunction('console.log("hacked")');
-    assertEqual(fn(animator.parameters), false, 'Unsafe expression should return false');
+    const fn = animator.createConditionFunction('laugh');
+    assertEqual(fn(animator.parameters), false, 'Should be false before fire');
+
+    animator.parameters.fire('laugh');
+    assertEqual(fn(animator.parameters), true, 'Should be true after fire');
+
+    const combined = animator.createConditionFunction('laugh && isTalking === false');
+    assertEqual(combined(animator.parameters), true, 'Should combine with other terms');
   });
 
   // ─────────────────────────────────────────────────────────────────
@@ -403,6 +767,97 @@ export async function runAnimatorTests() {
     assertEqual(animator.stateMachine.currentState.name, 'idle', 'Should transition back to idle');
   });
 
+  TestRunner.test('should read anyState transitions and priorities from data', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.parameters.register('hit', 'trigger', false);
+
+    animator.setupStateMachine({
+      name: 'main',
+      states: {
+        idle: {
+          animations: [],
+          transitions: [
+            { condition: 'isTalking', targetState: 'talking' },
+            { condition: 'roastTone > 2', targetState: 'stunned', priority: 5 }
+          ]
+        },
+        talking: { animations: [], transitions: [] },
+        stunned: { animations: [], transitions: [] }
+      },
+      anyState: [{ condition: 'hit', targetState: 'stunned' }],
+      entryState: 'idle'
+    });
+
+    assertEqual(animator.stateMachine.getTransitions('idle')[0].targetState.name, 'stunned', 'Priority should reorder');
+    animator.parameters.set('isTalking', true);
+    animator.parameters.fire('hit');
+    animator.stateMachine.update(animator.parameters, 0.1);
+    assertEqual(animator.stateMachine.currentState.name, 'stunned', 'anyState should win');
+    assertEqual(animator.stateMachine.toJSON().anyState[0].condition, 'hit', 'Should round-trip');
+  });
+
+  TestRunner.test('should read transition timing and minDuration from data', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+
+    animator.setupStateMachine({
+      name: 'main',
+      states: {
+        idle: {
+          animations: ['idle_anim'],
+          transitions: [
+            { condition: 'isTalking', targetState: 'talking', duration: 0.3, easing: 'easeInOut', exitTime: 1 }
+          ]
+        },
+        talking: { animations: ['talk_anim'], minDuration: 0.5, transitions: [] }
+      },
+      entryState: 'idle'
+    });
+
+    const [transition] = animator.stateMachine.getTransitions('idle');
+    assertEqual(transition.duration, 0.3, 'Duration should be read');
+    assertEqual(transition.easing, 'easeInOut', 'Easing should be read');
+    assertEqual(transition.exitTime, 1, 'exitTime should be read');
+    assertEqual(animator.stateMachine.getState('talking').minDuration, 0.5, 'minDuration should be read');
+    assertEqual(animator.stateMachine.toJSON().states.idle.transitions[0].duration, 0.3, 'Should round-trip');
+  });
+
+  TestRunner.test('should build nested state machines and round-trip them', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.parameters.register('isRoasting', 'boolean', false);
+
+    const data = {
+      name: 'main',
+      states: {
+        idle: { animations: ['idle_anim'], transitions: [{ condition: 'isRoasting', targetState: 'roasting' }] },
+        roasting: {
+          animations: [],
+          transitions: [{ condition: '!isRoasting', targetState: 'idle' }],
+          stateMachine: {
+            states: {
+              windup: { animations: ['windup_anim'], transitions: [{ condition: 'isTalking', targetState: 'punchline' }] },
+              punchline: { animations: ['punch_anim'], transitions: [] }
+            },
+            entryState: 'windup'
+          }
+        }
+      },
+      entryState: 'idle'
+    };
+    animator.setupStateMachine(data);
+    animator.parameters.set('isRoasting', true);
+    animator.stateMachine.update(animator.parameters, 0.1);
+    assertEqual(animator.getCurrentState(), 'roasting/windup', 'Should report the nested path');
+
+    animator.setupStateMachine(JSON.parse(JSON.stringify(animator.stateMachine.toJSON())));
+    animator.stateMachine.setState('roasting');
+    animator.parameters.set('isTalking', true);
+    animator.stateMachine.update(animator.parameters, 0.1);
+    assertEqual(animator.getCurrentState(), 'roasting/punchline', 'Child transitions should survive the round trip');
+  });
+
   TestRunner.test('should set entry state correctly', () => {
     const animator = createTestAnimator();
     animator.setupDefaultParameters();
@@ -420,6 +875,320 @@ export async function runAnimatorTests() {
     assertEqual(animator.stateMachine.currentState.name, 'b', 'Should start at entry state b');
   });
 
+  TestRunner.test('should run state actions declared in the file', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const events = [];
+    animator.eventBus.on('roast.end', e => events.push(e.payload.state));
+
+    animator.setupStateMachine({
+      name: 'test',
+      states: {
+        idle: { animations: [], transitions: [{ condition: 'isTalking', targetState: 'roasting' }] },
+        roasting: {
+          animations: [],
+          actions: {
+            enter: [{ type: 'set', parameter: 'roastTone', value: 3 }],
+            exit: [{ type: 'emit', event: 'roast.end' }]
+          },
+          transitions: [{ condition: '!isTalking', targetState: 'idle' }]
+        }
+      },
+      entryState: 'idle'
+    });
+
+    animator.parameters.set('isTalking', true);
+    animator.stateMachine.update(animator.parameters, 0.1);
+    assertEqual(animator.parameters.get('roastTone').get(), 3, 'Enter action set the parameter');
+    animator.parameters.set('isTalking', false);
+    animator.stateMachine.update(animator.parameters, 0.1);
+    assertDeepEqual(events, ['roasting'], 'Exit action emitted the event');
+
+    let message = null;
+    try {
+      animator.setupStateMachine({
+        name: 'bad',
+        states: { idle: { animations: [], actions: { enter: [{ type: 'fire', parameter: 'isTalking' }] }, transitions: [] } }
+      });
+    } catch (e) {
+      message = e.message;
+    }
+    assert(message?.includes('needs a trigger'), 'Checked against the registered parameters');
+  });
+
+  TestRunner.test('should enter the entry state on load without exiting it', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const log = [];
+    animator.eventBus.on('idle.enter', () => log.push('enter'));
+    animator.eventBus.on('idle.exit', () => log.push('exit'));
+    animator.eventBus.on('state.exit', e => log.push(`state.exit ${e.payload.state}`));
+
+    animator.setupStateMachine({
+      name: 'test',
+      states: {
+        idle: {
+          animations: [],
+          actions: { enter: [{ type: 'emit', event: 'idle.enter' }], exit: [{ type: 'emit', event: 'idle.exit' }] },
+          transitions: []
+        }
+      },
+      entryState: 'idle'
+    });
+
+    assertDeepEqual(log, ['enter'], 'No exit action or state.exit on load');
+  });
+
+  TestRunner.test('should build random transition groups from the file', () => {
+    const data = {
+      name: 'test',
+      seed: 7,
+      states: {
+        idle: {
+          animations: [],
+          transitions: [{
+            condition: 'stateTime() > 2',
+            targets: [{ state: 'stretch', weight: 2 }, { state: 'yawn' }],
+            cooldown: 30
+          }]
+        },
+        stretch: { animations: [], transitions: [{ condition: 'true', targetState: 'idle' }] },
+        yawn: { animations: [], transitions: [{ condition: 'true', targetState: 'idle' }] }
+      },
+      entryState: 'idle'
+    };
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.setupStateMachine(data);
+    assertEqual(animator.stateMachine.seed, 7, 'Seeded from the file');
+    const group = animator.stateMachine.getTransitions('idle')[0];
+    assertDeepEqual(group.targets.map(t => `${t.state.name}:${t.weight}:${t.cooldown}`), ['stretch:2:30', 'yawn:1:30'], 'Targets');
+
+    const injected = createTestAnimator();
+    injected.random = () => 0.9;
+    injected.setupDefaultParameters();
+    injected.setupStateMachine(data);
+    injected.stateMachine.update(injected.parameters, 3);
+    assertEqual(injected.stateMachine.getCurrentState(), 'yawn', 'Injected source wins over the seed');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // prepareFile
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Animator - prepareFile');
+
+  /** File with a new parameter and driver, and a machine using `condition`. */
+  function makeFile(condition) {
+    return {
+      parameters: { mood: { type: 'number', value: 2 }, mouthState: { type: 'number', value: 3, min: 0, max: 6 } },
+      drivers: { sway: { parameter: 'headTurn', type: 'sine' } },
+      stateMachine: {
+        entryState: 'idle',
+        states: {
+          idle: { animations: ['idle'], transitions: [{ targetState: 'happy', condition }] },
+          happy: { animations: ['idle'], transitions: [] }
+        }
+      },
+      layers: [{ name: 'face', stateMachine: { entryState: 'idle', states: { idle: { animations: ['idle'], transitions: [] } } } }]
+    };
+  }
+
+  TestRunner.test('should build every machine after merging parameters and drivers', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const machines = animator.prepareFile(makeFile('mood > 1'));
+    assertEqual(machines.stateMachine.states.size, 2, 'Base machine built');
+    assertEqual(machines.layers.length, 1, 'Layer machine built');
+    assertEqual(animator.parameters.get('mood').get(), 2, 'Parameters merged');
+    assert(animator.drivers.get('sway'), 'Drivers replaced');
+
+    animator.setupStateMachine(makeFile('mood > 1').stateMachine, { stateMachine: machines.stateMachine });
+    assertEqual(animator.stateMachine, machines.stateMachine, 'Setup reuses the built machine');
+  });
+
+  TestRunner.test('should refuse layers named like the face layers', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const file = makeFile('mood > 1');
+    file.layers[0].name = 'face.mouth';
+
+    let message = '';
+    try {
+      animator.prepareFile(file);
+    } catch (e) {
+      message = e.message;
+    }
+    assert(message.includes('"face.mouth" is reserved'), `Should name the layer (got "${message}")`);
+    assertEqual(animator.parameters.has('mood'), false, 'Nothing merged');
+  });
+
+  TestRunner.test('should leave parameters and drivers untouched when a condition fails', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.drivers.add('blink', { parameter: 'eyeState', type: 'pulse' });
+
+    let error = null;
+    try {
+      animator.prepareFile(makeFile('mood > 1 && mouthStat > 2'));
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof ExpressionError, 'Should throw the ExpressionError');
+    assertEqual(animator.parameters.has('mood'), false, 'New parameter rolled back');
+    assertEqual(animator.parameters.get('mouthState').get(), 0, 'Merged value rolled back');
+    assertEqual(animator.drivers.getAll().map(d => d.name).join(','), 'blink', 'Previous drivers restored');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // setupLayers
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Animator - setupLayers');
+
+  const faceLayer = () => ({
+    name: 'face',
+    mask: ['jaw'],
+    blendMode: 'override',
+    weight: 1,
+    stateMachine: {
+      states: {
+        closed: { animations: ['mouth_closed'], transitions: [{ condition: 'mouthState > 0', targetState: 'open' }] },
+        open: { animations: ['mouth_a'], transitions: [{ condition: 'mouthState == 0', targetState: 'closed' }] }
+      },
+      entryState: 'closed'
+    }
+  });
+
+  function loadLayerRig(animator) {
+    const hold = (boneName) => ({ duration: 1, tracks: [{ boneName, keyframes: [{ time: 0, rotation: 0.5 }] }] });
+    animator.rigging.loadArmature({
+      bones: [{ name: 'body' }, { name: 'jaw', parent: 'body' }],
+      animations: { talking: hold('body'), mouth_closed: hold('jaw'), mouth_a: hold('jaw') }
+    });
+  }
+
+  TestRunner.test('should run each layer\'s machine on its own rig layer', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    loadLayerRig(animator);
+    animator.setupLayers([faceLayer()]);
+
+    const changes = [];
+    animator.eventBus.on(EventTypes.STATE_CHANGE, e => changes.push(e.payload));
+    animator.rigging.playAnimation('talking');
+    animator.parameters.set('mouthState', 2);
+    animator.layers.forEach(layer => layer.stateMachine.update(animator.parameters, 0.1));
+
+    assertEqual(animator.getCurrentState('face'), 'open', 'Layer state');
+    assertEqual(animator.rigging.armature.currentAnimationName, 'talking', 'Base clip survives');
+    assertEqual(animator.rigging.armature.getLayer('face').currentAnimationName, 'mouth_a', 'Layer clip');
+    assertEqual(changes[0].layer, 'face', 'STATE_CHANGE names the layer');
+  });
+
+  TestRunner.test('should play mouth shapes on a masked layer without stopping the talking loop', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    loadLayerRig(animator);
+    animator.setupLayers([]);
+    animator.rigging.playAnimation('talking');
+
+    animator.playFaceAnimation(FACE_LAYERS.mouth, 1);
+    const layer = animator.rigging.armature.getLayer('face.mouth');
+    assertEqual(animator.rigging.armature.currentAnimationName, 'talking', 'Talking loop survives');
+    assertEqual(layer.currentAnimationName, 'mouth_a', 'Mouth clip on the mouth layer');
+    assertDeepEqual([...layer.bones], ['jaw'], 'Masked to the bones the mouth clips key');
+    animator.playFaceAnimation(FACE_LAYERS.mouth, 9);
+    assertEqual(layer.currentAnimationName, 'mouth_a', 'Out-of-range index ignored');
+  });
+
+  TestRunner.test('should replace previous layers', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    loadLayerRig(animator);
+    animator.setupLayers([faceLayer()]);
+    animator.setupLayers([faceLayer()]);
+    assertEqual(animator.layers.length, 1, 'One layer');
+    assertDeepEqual(animator.rigging.armature.layers.map(l => l.name), ['face', 'face.mouth', 'face.eyes'], 'One rig layer under the face layers');
+    animator.setupLayers([]);
+    assertEqual(animator.getCurrentState('face'), null, 'No layer left');
+  });
+
+  TestRunner.test('should validate layer machines against the armature clips', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    loadLayerRig(animator);
+    const layer = faceLayer();
+    layer.stateMachine.states.open.animations = ['mouth_o'];
+    animator.setupLayers([layer]);
+    const result = animator.validateStateMachines();
+    assertEqual(result.valid, false, 'Missing clip');
+    assertDeepEqual(result.issues.map(i => i.path), ['layers[0].stateMachine.states.open.animations[0]'], 'Path into the layer');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // Blend trees
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Animator - Blend Trees');
+
+  const lookMachine = () => ({
+    name: 'main',
+    states: {
+      looking: {
+        transitions: [],
+        blendTree: {
+          type: '1d',
+          parameter: 'headTurn',
+          motions: [
+            { animation: 'look_left', threshold: -30 },
+            { animation: 'look_center', threshold: 0 },
+            { animation: 'look_right', threshold: 30 }
+          ]
+        }
+      }
+    },
+    entryState: 'looking'
+  });
+
+  TestRunner.test('should drive bones from a number parameter', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const pose = (rotation) => ({ duration: 1, tracks: [{ boneName: 'head', keyframes: [{ time: 0, rotation }] }] });
+    animator.rigging.loadArmature({
+      bones: [{ name: 'head' }],
+      animations: { look_left: pose(-1), look_center: pose(0), look_right: pose(1) }
+    });
+    animator.setupStateMachine(lookMachine());
+    animator.rigging.playAnimation(animator.stateMachine.getCurrentAnimations()[0]);
+
+    animator.parameters.set('headTurn', 15);
+    animator.updateBlendTrees();
+    animator.rigging.update(0.1);
+    assert(Math.abs(animator.rigging.getBone('head').rotation - 0.5) < 1e-9, 'Half way to look_right');
+  });
+
+  TestRunner.test('should reject blend trees on unknown parameters at load', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const data = lookMachine();
+    data.states.looking.blendTree.parameter = 'headTrun';
+    let message = '';
+    try {
+      animator.setupStateMachine(data);
+    } catch (e) {
+      message = e.message;
+    }
+    assert(message.includes('unknown parameter "headTrun"'), 'Should name the parameter');
+  });
+
+  TestRunner.test('should round-trip blend trees', () => {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.setupStateMachine(lookMachine());
+    animator.setupStateMachine(JSON.parse(JSON.stringify(animator.stateMachine.toJSON())));
+    const tree = animator.stateMachine.getState('looking').blendTree;
+    assertEqual(tree.name, 'looking', 'Clip named after the state');
+    assertEqual(tree.animations.length, 3, 'Motions kept');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // createSnapshot / restoreFromSnapshot
   // ─────────────────────────────────────────────────────────────────
@@ -577,6 +1346,147 @@ export async function runAnimatorTests() {
     assertEqual(idleTrans[1].condition, 'eyeState > 2', 'Second condition should survive');
   });
 
+  await TestRunner.testAsync('should resume the exact frame from a snapshot', async () => {
+    const talkMachine = {
+      name: 'main',
+      states: {
+        idle: { animations: [], transitions: [{ condition: 'isTalking', targetState: 'talking' }] },
+        talking: { animations: ['talking'], transitions: [] }
+      },
+      entryState: 'idle'
+    };
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    loadLayerRig(animator);
+    animator.setupStateMachine(talkMachine);
+    animator.setupLayers([faceLayer()]);
+    animator.parameters.set('isTalking', true);
+    animator.parameters.set('mouthState', 2);
+    animator.stateMachine.update(animator.parameters, 0.1);
+    animator.stateMachine.update(animator.parameters, 0.4);
+    animator.layers[0].stateMachine.update(animator.parameters, 0.1);
+    animator.rigging.playAnimation('talking');
+    animator.rigging.update(0.3);
+    animator.rigging.setBoneRotation('body', 90);
+    await animator.audioSync.loadAudio('roast.mp3');
+    animator.audioSync._duration = 10;
+    animator.audioSync.addMarker('punchline', 1);
+    animator.audioSync.seek(2);
+
+    const snapshot = JSON.parse(JSON.stringify(animator.createSnapshot()));
+    const restored = createTestAnimator();
+    restored.setupDefaultParameters();
+    loadLayerRig(restored);
+    restored.audioSync.addMarker('punchline', 1);
+    const events = [];
+    restored.eventBus.on('state.enter', e => events.push(e.payload.state));
+    restored.audioSync.onMarker('punchline', m => events.push(m.name));
+    await restored.restoreFromSnapshot(snapshot);
+    restored.audioSync.update(0);
+
+    assertEqual(restored.stateMachine.getCurrentState(), 'talking', 'Current state, not the entry state');
+    assertEqual(restored.stateMachine.stateTime, 0.4, 'Time in state');
+    assertEqual(restored.getCurrentState('face'), 'open', 'Layer state');
+    const armature = restored.rigging.armature;
+    assertEqual(armature.currentAnimationName, 'talking', 'Playing clip');
+    assertEqual(armature.animationTime, 0.3, 'Clip time');
+    assertEqual(armature.getLayer('face').currentAnimationName, 'mouth_a', 'Layer clip');
+    assertEqual(armature.getBone('body').rotation, Math.PI / 2, 'Bone override');
+    assertEqual(restored.audioSync.currentTime, 2, 'Audio position');
+    assertEqual(restored.audioSync._url, 'roast.mp3', 'Audio reloaded');
+    assertDeepEqual(events, [], 'No enter events and no marker fired twice');
+  });
+
+  await TestRunner.testAsync('should resume cooldowns, the random sequence and smoothing from a snapshot', async () => {
+    const idleMachine = {
+      name: 'main',
+      seed: 7,
+      states: {
+        idle: {
+          animations: [],
+          transitions: [{ condition: 'isTalking', targets: [{ state: 'stretch' }, { state: 'yawn' }], cooldown: 5 }]
+        },
+        stretch: { animations: [], transitions: [{ condition: '!isTalking', targetState: 'idle' }] },
+        yawn: { animations: [], transitions: [{ condition: '!isTalking', targetState: 'idle' }] }
+      },
+      entryState: 'idle'
+    };
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    animator.parameters.register('lean', 'number', 0, { smoothing: 'spring' });
+    animator.setupStateMachine(idleMachine);
+    animator.parameters.set('isTalking', true);
+    animator.stateMachine.update(animator.parameters, 1);
+    animator.parameters.set('isTalking', false);
+    animator.stateMachine.update(animator.parameters, 1);
+    animator.parameters.set('lean', 10);
+    animator.parameters.update(0.05);
+
+    const snapshot = JSON.parse(JSON.stringify(animator.createSnapshot()));
+    const restored = createTestAnimator();
+    restored.setupDefaultParameters();
+    await restored.restoreFromSnapshot(snapshot);
+
+    const lean = restored.parameters.get('lean');
+    assertEqual(lean.getTarget(), 10, 'Smoothing target');
+    assertEqual(lean.velocity, animator.parameters.get('lean').velocity, 'Smoothing velocity');
+    assertEqual(restored.stateMachine.time, 2, 'Machine clock');
+    const pick = (target) => {
+      target.parameters.set('isTalking', true);
+      target.parameters.update(0.05);
+      target.stateMachine.update(target.parameters, 1);
+      const state = target.stateMachine.getCurrentState();
+      target.parameters.set('isTalking', false);
+      target.stateMachine.update(target.parameters, 1);
+      return state;
+    };
+    const picks = [pick(animator), pick(animator), pick(animator), pick(animator)];
+    assertDeepEqual([pick(restored), pick(restored), pick(restored), pick(restored)], picks, 'Same picks and cooldowns');
+    assertEqual(lean.get(), animator.parameters.get('lean').get(), 'Same smoothed value');
+  });
+
+  await TestRunner.testAsync('should resume drivers and parameter clips from a snapshot', async () => {
+    const clip = {
+      type: 'parameter_animation',
+      duration: 2,
+      tracks: [{ parameter: 'roastTone', interpolation: 'linear', keyframes: [{ time: 0, value: 0 }, { time: 2, value: 3 }] }]
+    };
+    const setup = (target) => {
+      target.setupDefaultParameters();
+      target.drivers.add('sway', { parameter: 'headTurn', type: 'noise', amplitude: 10, seed: 3 });
+      target.drivers.add('blink', { parameter: 'eyeState', type: 'pulse', interval: [0.2, 0.6], duration: 0.1, seed: 5 });
+      target.parameterClips.addClip('perf', clip);
+      return target;
+    };
+    const step = (target, deltaTime) => {
+      target.drivers.update(deltaTime);
+      target.parameterClips.update(deltaTime);
+      return [target.getParameter('headTurn'), target.getParameter('eyeState'), target.getParameter('roastTone')];
+    };
+
+    const animator = setup(createTestAnimator());
+    animator.parameterClips.play('perf', { loop: true });
+    for (let i = 0; i < 7; i++) step(animator, 0.13);
+    animator.drivers.disable('blink');
+    animator.drivers.enable('blink');
+
+    const snapshot = JSON.parse(JSON.stringify(animator.createSnapshot()));
+    assert(snapshot.runtime.drivers.sway.time > 0, 'Driver clock captured');
+    assertEqual(snapshot.runtime.parameterClips.perf.loop, true, 'Clip playback captured');
+
+    const restored = setup(createTestAnimator());
+    await restored.restoreFromSnapshot(snapshot);
+    assert(restored.parameterClips.isPlaying('perf'), 'Clip resumes playing');
+
+    const frames = [];
+    const restoredFrames = [];
+    for (let i = 0; i < 20; i++) {
+      frames.push(step(animator, 0.07));
+      restoredFrames.push(step(restored, 0.07));
+    }
+    assertDeepEqual(restoredFrames, frames, 'Same sway, blinks and clip values after the restore');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // pause / resume / isPaused
   // ─────────────────────────────────────────────────────────────────
@@ -634,6 +1544,48 @@ export async function runAnimatorTests() {
     assertEqual(animator._speed, 0, 'Speed should be 0');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // PARAMETER CHANGE EVENTS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Animator - Parameter Change Events');
+
+  /** Animator recording PARAMETER_CHANGE payloads and session messages. */
+  function createRecordingAnimator() {
+    const animator = createTestAnimator();
+    animator.setupDefaultParameters();
+    const events = [];
+    const messages = [];
+    animator.eventBus.on(EventTypes.PARAMETER_CHANGE, event => events.push(event.payload));
+    animator.currentSession = { id: 'session-1' };
+    animator.sessionStore.recordMessage = (_id, message) => messages.push(message);
+    return { animator, events, messages };
+  }
+
+  TestRunner.test('should emit and record manual parameter changes', () => {
+    const { animator, events, messages } = createRecordingAnimator();
+    animator.emitParameterChange('headTurn', 10);
+    assertEqual(events.length, 1, 'One event');
+    assertEqual(messages[0].name, 'headTurn', 'Recorded to the session');
+  });
+
+  TestRunner.test('should skip parameters an enabled driver writes', () => {
+    const { animator, events, messages } = createRecordingAnimator();
+    animator.drivers.add('sway', { parameter: 'headTurn', type: 'sine', frequency: 1, amplitude: 5 });
+    animator.emitParameterChange('headTurn', 3);
+    assertEqual(events.length + messages.length, 0, 'Driven change is not reported');
+
+    animator.emitParameterChanges({ headTurn: { value: 3, oldValue: 0 } });
+    assertEqual(events.length + messages.length, 0, 'Driven-only transaction is not reported');
+
+    animator.emitParameterChanges({ headTurn: { value: 4, oldValue: 3 }, mouthState: { value: 2, oldValue: 0 } });
+    assertDeepEqual(events[0].names, ['mouthState'], 'Driven parameter is left out');
+    assertDeepEqual(Object.keys(messages[0].changes), ['mouthState'], 'Session record leaves it out too');
+
+    animator.drivers.disable('sway');
+    animator.emitParameterChange('headTurn', 0);
+    assertEqual(events.length, 2, 'Reported again once the driver stops');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // getParameter
   // ─────────────────────────────────────────────────────────────────
@@ -717,5 +1669,60 @@ export async function runAnimatorTests() {
     assertEqual(animator.getCurrentState(), 'talking', 'Should be talking after transition');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // EMBEDDED ASSETS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Animator - Embedded Assets');
+
+  const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47]);
+  const containerFile = () => WFLFile.parse(WFLBinaryFormat.encodeContainer(
+    { version: 2, sprites: { base: 'sprites/base.png' }, bones: { textureAtlas: 'atlas.json' } },
+    [
+      { type: 'sprite', name: 'sprites/base.png', data: png, mimeType: 'image/png' },
+      { type: 'atlas', name: 'atlas.json', data: { name: 'roaster', imagePath: 'atlas.png' } },
+      { type: 'atlas', name: 'atlas.png', data: png, mimeType: 'image/png' }
+    ]
+  ));
+
+  await TestRunner.testAsync('should resolve embedded assets to object URLs', async () => {
+    const animator = createTestAnimator();
+    animator.file = containerFile();
+    const url = animator.resolveAssetUrl('sprites/base.png');
+    assert(url.startsWith('blob:'), `Object URL, got ${url}`);
+    assertEqual(animator.resolveAssetUrl('sprites/base.png'), url, 'Cached');
+    const blob = await fetch(url).then(response => response.blob());
+    assertEqual(blob.type, 'image/png', 'MIME type');
+    assertDeepEqual([...new Uint8Array(await blob.arrayBuffer())], [...png], 'Bytes');
+    assertEqual(animator.resolveAssetUrl('sprites/eyes.png'), 'sprites/eyes.png', 'Falls back to the URL');
+
+    animator.releaseAssetUrls();
+    assertEqual(animator.assetUrls.size, 0, 'Released');
+  });
+
+  await TestRunner.testAsync('should resolve texture atlases from the container before fetching', async () => {
+    const animator = createTestAnimator();
+    animator.file = containerFile();
+    const atlas = await animator.resolveTextureAtlas(animator.file.bones.textureAtlas);
+    assertEqual(atlas.name, 'roaster', 'Embedded description');
+    assertEqual(atlas.imagePath, animator.assetUrls.get('atlas.png'), 'Embedded image');
+    assertDeepEqual(await animator.resolveTextureAtlas('atlas.png'), { imagePath: animator.assetUrls.get('atlas.png') }, 'Image only');
+    assertEqual(await animator.resolveTextureAtlas(null), null, 'No atlas');
+
+    const originalFetch = globalThis.fetch;
+    const errors = [];
+    animator.eventBus.on(EventTypes.ERROR, e => errors.push(e.payload.message));
+    globalThis.fetch = async (url) => url === 'remote.json'
+      ? { ok: true, json: async () => ({ imagePath: 'remote.png' }) }
+      : { ok: false, status: 404, statusText: 'Not Found' };
+    try {
+      assertDeepEqual(await animator.resolveTextureAtlas('remote.json'), { imagePath: 'remote.png' }, 'Fetched');
+      assertEqual(await animator.resolveTextureAtlas('missing.json'), null, 'Missing');
+      assertDeepEqual(errors, ['Failed to load texture atlas: HTTP 404 Not Found'], 'Reported');
+    } finally {
+      globalThis.fetch = originalFetch;
+      animator.releaseAssetUrls();
+    }
+  });
+
   return TestRunner.summary();
 }
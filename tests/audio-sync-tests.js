@@ -164,6 +164,47 @@ export async function runAudioSyncTests() {
     audio.dispose();
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // SNAPSHOTS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('AudioSync - Snapshots');
+
+  TestRunner.test('captureState should record position, fired markers and viseme', () => {
+    const audio = new AudioSync();
+    audio._duration = 10;
+    audio.addMarker('intro', 1);
+    audio.addMarker('punchline', 6);
+    audio.setVisemeMap([{ start: 3, end: 5, viseme: 'AA' }]);
+    audio.seek(4);
+    audio.update(0);
+    const state = audio.captureState();
+    assertEqual(state.time, 4, 'Position');
+    assertEqual(state.isPlaying, false, 'Paused');
+    assertEqual(state.firedMarkers.join(','), 'intro', 'Fired markers');
+    assertEqual(state.viseme, 'AA', 'Current viseme');
+    audio.dispose();
+  });
+
+  await TestRunner.testAsync('restoreState should resume without refiring markers', async () => {
+    const bus = new EventBus();
+    const audio = new AudioSync({ eventBus: bus });
+    audio.addMarker('intro', 1);
+    const fired = [];
+    audio.onMarker('intro', m => fired.push(m.name));
+    const played = [];
+    bus.on(EventTypes.AUDIO_PLAY, e => played.push(e.payload.time));
+
+    await audio.restoreState({ url: 'roast.mp3', time: 2, isPlaying: true, volume: 0.5, firedMarkers: ['intro'], viseme: null });
+    audio.update(0);
+    assertEqual(audio._url, 'roast.mp3', 'Loads the clip');
+    assertEqual(audio.isPlaying, true, 'Playing');
+    assert(audio.currentTime >= 2, 'Resumes from the saved position');
+    assertEqual(audio.volume, 0.5, 'Volume');
+    assertEqual(fired.length, 0, 'Marker does not fire again');
+    assertEqual(played.join(','), '2', 'Play event from the saved position');
+    audio.dispose();
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // MARKER SYSTEM
   // ─────────────────────────────────────────────────────────────────
@@ -0,0 +1,153 @@
+/**
+ * Tests for 1D and 2D blend trees
+ */
+
+import { TestRunner, assert, assertEqual, catchError } from './test-helpers.js';
+import { BlendTree, blend1D, blendFreeform, blendCartesian } from '../src/core/blend-tree.js';
+import { ParameterSystem } from '../src/core/parameter.js';
+
+function createSystem() {
+  const parameters = new ParameterSystem();
+  parameters.register('headTurn', 'number', 0, { min: -45, max: 45 });
+  parameters.register('moveX', 'number', 0);
+  parameters.register('moveY', 'number', 0);
+  parameters.register('isTalking', 'boolean', false);
+  return parameters;
+}
+
+function lookTree() {
+  return new BlendTree({
+    name: 'look',
+    type: '1d',
+    parameter: 'headTurn',
+    motions: [
+      { animation: 'look_left', threshold: -45 },
+      { animation: 'look_center', threshold: 0 },
+      { animation: 'look_right', threshold: 45 }
+    ]
+  });
+}
+
+function rounded(weights) {
+  return weights.map(w => Number(w.toFixed(3))).join(',');
+}
+
+export async function runBlendTreeTests() {
+  console.log('Blend Tree Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // 1D
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('BlendTree - 1D');
+
+  TestRunner.test('should blend between the two nearest thresholds', () => {
+    assertEqual(rounded(blend1D(-22.5, [-45, 0, 45])), '0.5,0.5,0', 'Halfway left');
+    assertEqual(rounded(blend1D(0, [-45, 0, 45])), '0,1,0', 'On a threshold');
+    assertEqual(rounded(blend1D(30, [-45, 0, 45])), '0,0.333,0.667', 'Two thirds right');
+  });
+
+  TestRunner.test('should clamp beyond the end thresholds', () => {
+    assertEqual(rounded(blend1D(-90, [-45, 0, 45])), '1,0,0', 'Below the first');
+    assertEqual(rounded(blend1D(90, [-45, 0, 45])), '0,0,1', 'Above the last');
+    assertEqual(rounded(blend1D(5, [2])), '1', 'Single motion');
+  });
+
+  TestRunner.test('should accept thresholds in any order', () => {
+    assertEqual(rounded(blend1D(22.5, [45, -45, 0])), '0.5,0,0.5', 'Weights stay in motion order');
+  });
+
+  TestRunner.test('should read its parameter', () => {
+    const parameters = createSystem();
+    const tree = lookTree();
+    parameters.set('headTurn', -45);
+    assertEqual(rounded(tree.computeWeights(parameters)), '1,0,0', 'Full left');
+    assertEqual(tree.animations.join(','), 'look_left,look_center,look_right', 'Animations in order');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // 2D
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('BlendTree - 2D');
+
+  const cross = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  TestRunner.test('freeform should give full weight on a motion', () => {
+    assertEqual(rounded(blendFreeform([1, 0], cross)), '0,1,0,0,0', 'On the right motion');
+    assertEqual(rounded(blendFreeform([0, 0], cross)), '1,0,0,0,0', 'On the centre motion');
+  });
+
+  TestRunner.test('freeform weights should sum to 1 between motions', () => {
+    const weights = blendFreeform([0.5, 0.5], cross);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    assert(Math.abs(total - 1) < 1e-9, 'Normalized');
+    assert(weights[1] > 0 && weights[3] > 0, 'Right and up both contribute');
+    assertEqual(weights[2], 0, 'Left does not');
+  });
+
+  TestRunner.test('cartesian should interpolate bilinearly', () => {
+    const grid = [[0, 0], [1, 0], [0, 1], [1, 1]];
+    assertEqual(rounded(blendCartesian([0.5, 0.5], grid)), '0.25,0.25,0.25,0.25', 'Centre of the cell');
+    assertEqual(rounded(blendCartesian([0.25, 0], grid)), '0.75,0.25,0,0', 'Along the bottom edge');
+    assertEqual(rounded(blendCartesian([2, -1], grid)), '0,1,0,0', 'Clamped to the grid');
+  });
+
+  TestRunner.test('should read two parameters', () => {
+    const parameters = createSystem();
+    const tree = new BlendTree({
+      name: 'move',
+      type: 'cartesian',
+      parameters: ['moveX', 'moveY'],
+      motions: [
+        { animation: 'a', position: [0, 0] }, { animation: 'b', position: [1, 0] },
+        { animation: 'c', position: [0, 1] }, { animation: 'd', position: [1, 1] }
+      ]
+    }, { parameters });
+    parameters.set('moveX', 1);
+    parameters.set('moveY', 0.5);
+    assertEqual(rounded(tree.computeWeights(parameters)), '0,0.5,0,0.5', 'Right edge');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // VALIDATION / JSON
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('BlendTree - Validation & JSON');
+
+  TestRunner.test('should reject bad definitions', () => {
+    const base = { name: 'bad', parameter: 'headTurn', motions: [{ animation: 'a', threshold: 0 }] };
+    assert(catchError(() => new BlendTree({ ...base, type: '3d' }))?.message.includes('Invalid blend tree type'), 'Type');
+    assert(catchError(() => new BlendTree({ ...base, type: '1d', motions: [] }))?.message.includes('at least one motion'), 'Motions');
+    assert(catchError(() => new BlendTree({ ...base, type: 'freeform' }))?.message.includes('two parameters'), '2D needs two');
+    assert(catchError(() => new BlendTree({ ...base, type: '1d', motions: [{ animation: 'a' }] }))?.message.includes('Invalid motion'), 'Threshold');
+  });
+
+  TestRunner.test('cartesian should need a full grid', () => {
+    const error = catchError(() => new BlendTree({
+      name: 'gappy',
+      type: 'cartesian',
+      parameters: ['moveX', 'moveY'],
+      motions: [{ animation: 'a', position: [0, 0] }, { animation: 'b', position: [1, 0] }, { animation: 'c', position: [0, 1] }]
+    }));
+    assert(error?.message.includes('every x/y combination'), 'Missing corner');
+  });
+
+  TestRunner.test('should check parameters when given a parameter system', () => {
+    const parameters = createSystem();
+    const define = (parameter) => new BlendTree(
+      { name: 'look', type: '1d', parameter, motions: [{ animation: 'a', threshold: 0 }] },
+      { parameters }
+    );
+    assert(catchError(() => define('headTrun'))?.message.includes('unknown parameter "headTrun"'), 'Unknown');
+    assert(catchError(() => define('isTalking'))?.message.includes('needs a number parameter'), 'Not a number');
+    assertEqual(catchError(() => define('headTurn')), null, 'Valid');
+  });
+
+  TestRunner.test('should round-trip through JSON', () => {
+    const json = JSON.parse(JSON.stringify(lookTree().toJSON()));
+    assertEqual(json.parameter, 'headTurn', 'Parameter');
+    assertEqual(json.motions[2].threshold, 45, 'Threshold');
+    assertEqual(rounded(new BlendTree(json).getWeights([22.5])), '0,0.5,0.5', 'Same weights');
+  });
+
+  return TestRunner.summary();
+}
@@ -0,0 +1,305 @@
+/**
+ * Tests for procedural parameter drivers and the seeded random source
+ */
+
+import { TestRunner, assert, assertEqual } from './test-helpers.js';
+import { createRandom } from '../src/core/random.js';
+import { Driver, DriverSystem, DRIVER_TYPES } from '../src/core/drivers.js';
+import { ParameterSystem } from '../src/core/parameter.js';
+
+function createSystem() {
+  const parameters = new ParameterSystem();
+  parameters.register('headTurn', 'number', 0, { min: -45, max: 45 });
+  parameters.register('eyeState', 'number', 0, { min: 0, max: 4, step: 1 });
+  parameters.register('isBlinking', 'boolean', false);
+  parameters.register('twitch', 'trigger', false);
+  return { parameters, drivers: new DriverSystem(parameters) };
+}
+
+function approx(actual, expected, message, epsilon = 1e-9) {
+  assert(Math.abs(actual - expected) < epsilon, `${message} (expected ${expected}, got ${actual})`);
+}
+
+export async function runDriversTests() {
+  console.log('Drivers Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // RANDOM
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Random - createRandom');
+
+  TestRunner.test('should repeat the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    for (let i = 0; i < 5; i++) {
+      assertEqual(a(), b(), `Value ${i} should match`);
+    }
+  });
+
+  TestRunner.test('should accept string seeds', () => {
+    assertEqual(createRandom('blink')(), createRandom('blink')(), 'String seeds should be stable');
+    assert(createRandom('blink')() !== createRandom('sway')(), 'Different seeds should differ');
+  });
+
+  TestRunner.test('should resume from a saved position', () => {
+    const a = createRandom(42);
+    a();
+    a();
+    const position = a.getState();
+    const expected = [a(), a()];
+    const b = createRandom(1);
+    b.setState(position);
+    assertEqual(`${b()},${b()}`, expected.join(','), 'Same values after the saved position');
+  });
+
+  TestRunner.test('should return values in [0, 1)', () => {
+    const random = createRandom(1);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      assert(value >= 0 && value < 1, `Value out of range: ${value}`);
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // OSCILLATORS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Driver - Oscillators');
+
+  TestRunner.test('should expose the supported types', () => {
+    assertEqual(DRIVER_TYPES.join(','), 'sine,triangle,noise,pulse', 'Types should match');
+  });
+
+  TestRunner.test('should produce a sine wave', () => {
+    const driver = new Driver('breath', { parameter: 'x', type: 'sine', frequency: 1, amplitude: 2, offset: 1 });
+    approx(driver.update(0.25), 3, 'Peak at a quarter cycle');
+    approx(driver.update(0.5), -1, 'Trough at three quarters');
+  });
+
+  TestRunner.test('should produce a triangle wave', () => {
+    const driver = new Driver('sway', { parameter: 'x', type: 'triangle', frequency: 1 });
+    approx(driver.update(0.125), 0.5, 'Halfway up');
+    approx(driver.update(0.125), 1, 'Peak');
+    approx(driver.update(0.5), -1, 'Trough');
+  });
+
+  TestRunner.test('should reject unknown types', () => {
+    let threw = false;
+    try {
+      new Driver('bad', { parameter: 'x', type: 'square' });
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('Invalid driver type'), 'Error should mention the type');
+    }
+    assert(threw, 'Should throw');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // NOISE
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Driver - Noise');
+
+  TestRunner.test('should replay the same noise for the same seed', () => {
+    const a = new Driver('a', { parameter: 'x', type: 'noise', seed: 7, frequency: 2 });
+    const b = new Driver('b', { parameter: 'x', type: 'noise', seed: 7, frequency: 2 });
+    for (let i = 0; i < 30; i++) {
+      assertEqual(a.update(0.05), b.update(0.05), `Sample ${i} should match`);
+    }
+  });
+
+  TestRunner.test('should stay within amplitude and move smoothly', () => {
+    const driver = new Driver('sway', { parameter: 'x', type: 'noise', seed: 3, amplitude: 5, offset: 10 });
+    let previous = driver.update(0);
+    for (let i = 0; i < 300; i++) {
+      const value = driver.update(1 / 60);
+      assert(value >= 5 && value <= 15, `Value out of range: ${value}`);
+      assert(Math.abs(value - previous) < 1, 'Consecutive frames should be close');
+      previous = value;
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // PULSES
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Driver - Pulse');
+
+  TestRunner.test('should hold the pulse value for its duration', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('blink', { parameter: 'eyeState', type: 'pulse', interval: 1, duration: 0.2 });
+    drivers.update(0.5);
+    assertEqual(parameters.get('eyeState').get(), 0, 'Should rest before the interval');
+    drivers.update(0.5);
+    assertEqual(parameters.get('eyeState').get(), 1, 'Should pulse after the interval');
+    drivers.update(0.1);
+    assertEqual(parameters.get('eyeState').get(), 1, 'Should hold during the pulse');
+    drivers.update(0.1);
+    assertEqual(parameters.get('eyeState').get(), 0, 'Should return to rest');
+  });
+
+  TestRunner.test('should pick intervals within [min, max]', () => {
+    const driver = new Driver('blink', { parameter: 'x', type: 'pulse', interval: [2, 3], duration: 0.1, seed: 5 });
+    let elapsed = 0;
+    while (driver.update(0.01) !== 'value') elapsed += 0.01;
+    assert(elapsed >= 1.99 && elapsed <= 3.01, `First pulse at ${elapsed}s should be in [2, 3]`);
+  });
+
+  TestRunner.test('should default to true/false for boolean parameters', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('blink', { parameter: 'isBlinking', type: 'pulse', interval: 1 });
+    drivers.update(1);
+    assertEqual(parameters.get('isBlinking').get(), true, 'Pulse should set true');
+  });
+
+  TestRunner.test('should fire trigger parameters', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('twitch', { parameter: 'twitch', type: 'pulse', interval: 1 });
+    drivers.update(1);
+    assertEqual(parameters.get('twitch').get(), true, 'Trigger should be fired');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // DRIVER SYSTEM
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('DriverSystem');
+
+  TestRunner.test('should write oscillator values through parameter metadata', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('sway', { parameter: 'headTurn', type: 'sine', amplitude: 90 });
+    drivers.update(0.25);
+    assertEqual(parameters.get('headTurn').get(), 45, 'Value should be clamped to max');
+  });
+
+  TestRunner.test('should not advance disabled drivers', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('sway', { parameter: 'headTurn', type: 'sine', amplitude: 10, enabled: false });
+    drivers.update(0.25);
+    assertEqual(parameters.get('headTurn').get(), 0, 'Disabled driver should not write');
+    assert(drivers.enable('sway'), 'enable() should find the driver');
+    drivers.update(0.25);
+    approx(parameters.get('headTurn').get(), 10, 'Enabled driver should write');
+  });
+
+  TestRunner.test('should release an active pulse when disabled', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.add('blink', { parameter: 'eyeState', type: 'pulse', interval: 1, duration: 0.5 });
+    drivers.update(1);
+    assertEqual(parameters.get('eyeState').get(), 1, 'Pulse should be active');
+    drivers.disable('blink');
+    assertEqual(parameters.get('eyeState').get(), 0, 'Should return to rest');
+    parameters.set('eyeState', 3);
+    drivers.update(5);
+    assertEqual(parameters.get('eyeState').get(), 3, 'Manual value should stick');
+    assert(!drivers.isEnabled('blink'), 'Should report disabled');
+  });
+
+  TestRunner.test('should reject unknown, derived and mistyped parameters', () => {
+    const { parameters, drivers } = createSystem();
+    parameters.registerDerived('lookingLeft', 'boolean', 'headTurn < 0');
+    const attempts = [
+      { parameter: 'missing', type: 'sine' },
+      { parameter: 'lookingLeft', type: 'pulse' },
+      { parameter: 'isBlinking', type: 'sine' }
+    ];
+    for (const config of attempts) {
+      let threw = false;
+      try {
+        drivers.add('bad', config);
+      } catch (_e) {
+        threw = true;
+      }
+      assert(threw, `Should reject ${config.parameter}`);
+    }
+  });
+
+  TestRunner.test('should reject drivers that leave a rejecting range', () => {
+    const { parameters, drivers } = createSystem();
+    parameters.register('lean', 'number', 0, { min: -1, max: 1, outOfRange: 'reject' });
+    let message = '';
+    try {
+      drivers.add('sway', { parameter: 'lean', type: 'sine', amplitude: 2 });
+    } catch (e) {
+      message = e.message;
+    }
+    assert(message.includes('outside [-1, 1]'), `Should name the range (got "${message}")`);
+    assertEqual(drivers.get('sway'), undefined, 'Driver not added');
+
+    drivers.add('pulse', { parameter: 'lean', type: 'pulse', value: 1, rest: -1 });
+    drivers.add('clamped', { parameter: 'headTurn', type: 'sine', amplitude: 90 });
+    assertEqual(drivers.getAll().length, 2, 'In-range and clamping parameters are fine');
+  });
+
+  TestRunner.test('should keep driver output inside a rejecting range', () => {
+    const { parameters, drivers } = createSystem();
+    parameters.register('lean', 'number', 0, { min: -1, max: 1, outOfRange: 'reject' });
+    parameters.register('mood', 'number', 0, { enum: ['calm', 'happy', 'angry'], outOfRange: 'reject' });
+    drivers.add('sway', { parameter: 'lean', type: 'sine', amplitude: 1, frequency: 0.25 });
+    drivers.add('drift', { parameter: 'mood', type: 'sine', offset: 1, amplitude: 1, frequency: 0.3 });
+    // Force an overshoot (e.g. a driver edited after add()), then every
+    // other driver must still run
+    drivers.get('sway').amplitude = 2;
+    drivers.update(1);
+    assertEqual(parameters.get('lean').get(), 1, 'Clamped to max instead of throwing');
+    assert(Number.isInteger(parameters.get('mood').get()), 'Enum index snapped');
+  });
+
+  TestRunner.test('should round-trip through JSON', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.fromJSON({
+      blink: { parameter: 'eyeState', type: 'pulse', interval: [2, 6], duration: 0.15, seed: 1 },
+      sway: { parameter: 'headTurn', type: 'noise', frequency: 0.3, amplitude: 5, enabled: false }
+    });
+    const json = drivers.toJSON();
+    assertEqual(json.blink.interval.join(','), '2,6', 'Interval should export');
+    assertEqual(json.sway.enabled, false, 'Disabled flag should export');
+
+    const copy = new DriverSystem(parameters);
+    copy.fromJSON(json);
+    assertEqual(copy.get('sway').amplitude, 5, 'Amplitude should import');
+    assertEqual(copy.get('blink').seed, 1, 'Seed should import');
+  });
+
+  TestRunner.test('should replace existing drivers on fromJSON', () => {
+    const { parameters, drivers } = createSystem();
+    drivers.fromJSON({ blink: { parameter: 'eyeState', type: 'pulse', interval: 1, duration: 0.5 } });
+    drivers.update(1);
+    assertEqual(parameters.get('eyeState').get(), 1, 'Pulse should be active');
+
+    drivers.fromJSON({
+      blink: { parameter: 'isBlinking', type: 'pulse', interval: 1, duration: 0.5 },
+      sway: { parameter: 'headTurn', type: 'sine' }
+    });
+    assertEqual(drivers.getAll().map(d => d.name).join(','), 'blink,sway', 'Same name loads again');
+    assertEqual(drivers.get('blink').parameter, 'isBlinking', 'New config wins');
+    assertEqual(parameters.get('eyeState').get(), 0, 'Old pulse released to rest');
+
+    drivers.fromJSON({});
+    assertEqual(drivers.getAll().length, 0, 'Empty section removes every driver');
+  });
+
+  TestRunner.test('should keep the old drivers when fromJSON fails', () => {
+    const { drivers } = createSystem();
+    drivers.fromJSON({ sway: { parameter: 'headTurn', type: 'sine' } });
+    let threw = false;
+    try {
+      drivers.fromJSON({
+        breathe: { parameter: 'headTurn', type: 'sine' },
+        bad: { parameter: 'missing', type: 'sine' }
+      });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should reject the unknown parameter');
+    assertEqual(drivers.getAll().map(d => d.name).join(','), 'sway', 'Old drivers kept');
+  });
+
+  TestRunner.test('should report which parameters enabled drivers write', () => {
+    const { drivers } = createSystem();
+    drivers.add('sway', { parameter: 'headTurn', type: 'sine' });
+    assert(drivers.isDriving('headTurn'), 'Enabled driver drives its parameter');
+    assert(!drivers.isDriving('eyeState'), 'Other parameters are not driven');
+    drivers.disable('sway');
+    assert(!drivers.isDriving('headTurn'), 'Disabled driver does not drive');
+  });
+
+  return TestRunner.summary();
+}
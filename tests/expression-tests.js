@@ -0,0 +1,190 @@
+/**
+ * Tests for the condition expression language
+ */
+
+import { TestRunner, assert, assertEqual, catchError } from './test-helpers.js';
+import {
+  ExpressionError, tokenizeExpression, parseExpression,
+  compileExpression, extractIdentifiers, evaluateExpression, findUnsatisfiable
+} from '../src/core/expression.js';
+import { ParameterSystem } from '../src/core/parameter.js';
+
+function createSystem() {
+  const parameters = new ParameterSystem();
+  parameters.register('mouthState', 'number', 0);
+  parameters.register('headTurn', 'number', 0);
+  parameters.register('isTalking', 'boolean', false);
+  parameters.register('mood', 'number', 0, { enum: ['calm', 'annoyed', 'angry'] });
+  return parameters;
+}
+
+export async function runExpressionTests() {
+  console.log('Expression Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // TOKENIZER / PARSER
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Expression - Tokenizer & Parser');
+
+  TestRunner.test('should tokenize numbers, strings, identifiers and operators', () => {
+    const tokens = tokenizeExpression('mood === "angry" && x >= 1.5');
+    const types = tokens.map(t => t.type).join(',');
+    assertEqual(types, 'identifier,operator,string,operator,identifier,operator,number,eof', 'Token types');
+    assertEqual(tokens[6].value, 1.5, 'Number value');
+    assertEqual(tokens[4].position, 20, 'Token position');
+  });
+
+  TestRunner.test('should respect operator precedence', () => {
+    const ast = parseExpression('a || b && c');
+    assertEqual(ast.operator, '||', 'Root should be ||');
+    assertEqual(ast.right.operator, '&&', '&& should bind tighter');
+  });
+
+  TestRunner.test('should report syntax errors with positions', () => {
+    const cases = [
+      ['mouthState >', 12],
+      ['(a > 1', 6],
+      ['a > 1 b', 6],
+      ['a # b', 2],
+      ['"open', 0],
+      ['', 0]
+    ];
+    for (const [source, position] of cases) {
+      const error = catchError(() => parseExpression(source));
+      assert(error instanceof ExpressionError, `"${source}" should fail`);
+      assertEqual(error.position, position, `Position for "${source}"`);
+    }
+  });
+
+  TestRunner.test('should reject unknown functions and wrong arity', () => {
+    assert(catchError(() => parseExpression('eval("1")')), 'eval() is not a helper');
+    assert(catchError(() => parseExpression('constructor()')), 'Object prototype names are not helpers');
+    assert(catchError(() => parseExpression('between(1, 2)')), 'between() needs 3 arguments');
+    assert(catchError(() => parseExpression('stateTime(1)')), 'stateTime() takes none');
+  });
+
+  TestRunner.test('should reject property access and assignment', () => {
+    assert(catchError(() => parseExpression('console.log')), 'No property access');
+    assert(catchError(() => parseExpression('a = 1')), 'No assignment');
+    assert(catchError(() => parseExpression('a[0]')), 'No indexing');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // EVALUATION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Expression - Evaluation');
+
+  TestRunner.test('should evaluate comparisons and boolean logic', () => {
+    const parameters = createSystem();
+    parameters.set('mouthState', 3);
+    parameters.set('isTalking', true);
+    assertEqual(evaluateExpression('isTalking && mouthState > 2', parameters), true, '&& and >');
+    assertEqual(evaluateExpression('!isTalking || mouthState <= 2', parameters), false, '! and ||');
+    assertEqual(evaluateExpression('mouthState == 3 && mouthState != 4', parameters), true, '== and !=');
+  });
+
+  TestRunner.test('should treat == as strict equality', () => {
+    const parameters = createSystem();
+    assertEqual(evaluateExpression('mouthState == false', parameters), false, '0 should not equal false');
+  });
+
+  TestRunner.test('should evaluate arithmetic with precedence', () => {
+    const parameters = createSystem();
+    assertEqual(evaluateExpression('2 + 3 * 4', parameters), 14, '* before +');
+    assertEqual(evaluateExpression('(2 + 3) * 4', parameters), 20, 'Parentheses');
+    assertEqual(evaluateExpression('10 - 4 - 3', parameters), 3, 'Left associative');
+    assertEqual(evaluateExpression('-2 * 3 % 4', parameters), -2, 'Unary minus and modulo');
+  });
+
+  TestRunner.test('should evaluate helpers', () => {
+    const parameters = createSystem();
+    parameters.set('headTurn', -30);
+    assertEqual(evaluateExpression('abs(headTurn)', parameters), 30, 'abs');
+    assertEqual(evaluateExpression('min(headTurn, 5, 2)', parameters), -30, 'min');
+    assertEqual(evaluateExpression('max(headTurn, 5)', parameters), 5, 'max');
+    assertEqual(evaluateExpression('between(headTurn, -45, -10)', parameters), true, 'between inclusive range');
+    assertEqual(evaluateExpression('between(headTurn, 0, 10)', parameters), false, 'between outside');
+  });
+
+  TestRunner.test('should read stateTime from the context', () => {
+    const parameters = createSystem();
+    const fn = compileExpression('stateTime() > 1.5', { parameters });
+    assertEqual(fn(parameters, { stateTime: 1 }), false, 'Before');
+    assertEqual(fn(parameters, { stateTime: 2 }), true, 'After');
+    assertEqual(fn(parameters), false, 'Defaults to 0 without context');
+  });
+
+  TestRunner.test('should read normalizedTime from the context', () => {
+    const parameters = createSystem();
+    const fn = compileExpression('normalizedTime() >= 1', { parameters });
+    assertEqual(fn(parameters, { normalizedTime: 0.5 }), false, 'Halfway');
+    assertEqual(fn(parameters, { normalizedTime: 1 }), true, 'Clip finished');
+  });
+
+  TestRunner.test('should resolve enum labels at compile time', () => {
+    const parameters = createSystem();
+    const fn = compileExpression('mood === "angry"', { parameters });
+    assertEqual(fn(parameters), false, 'calm is not angry');
+    parameters.set('mood', 'angry');
+    assertEqual(fn(parameters), true, 'Label should match its index');
+    assertEqual(compileExpression('"calm" !== mood', { parameters })(parameters), true, 'Label on the left');
+  });
+
+  TestRunner.test('should report unknown labels and parameters with positions', () => {
+    const parameters = createSystem();
+    const label = catchError(() => compileExpression('mood === "furious"', { parameters }));
+    assert(label instanceof ExpressionError, 'Should throw an ExpressionError');
+    assertEqual(label.position, 9, 'Label position');
+    assert(label.message.includes('calm, annoyed, angry'), 'Should list valid labels');
+
+    const unknown = catchError(() => compileExpression('isTalking && moood > 1', { parameters }));
+    assertEqual(unknown.position, 13, 'Identifier position');
+  });
+
+  TestRunner.test('should allow any identifier without a parameter system', () => {
+    const fn = compileExpression('a + b * a');
+    assertEqual(fn.identifiers.join(','), 'a,b', 'Identifiers in order, unique');
+    assertEqual(extractIdentifiers('laugh && "laugh" === x').join(','), 'laugh,x', 'Strings are not identifiers');
+  });
+
+  TestRunner.test('should never use eval or the Function constructor', () => {
+    const parameters = createSystem();
+    const originalEval = globalThis.eval;
+    const OriginalFunction = globalThis.Function;
+    globalThis.eval = () => { throw new Error('eval called'); };
+    globalThis.Function = function() { throw new Error('Function called'); };
+    try {
+      const fn = compileExpression('isTalking || max(mouthState, 2) * 2 >= 4', { parameters });
+      assertEqual(fn(parameters), true, 'Should evaluate without eval');
+    } finally {
+      globalThis.eval = originalEval;
+      globalThis.Function = OriginalFunction;
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // STATIC ANALYSIS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Expression - Analysis');
+
+  TestRunner.test('should find conditions that can never be true', () => {
+    const kind = (source) => findUnsatisfiable(source)?.kind ?? null;
+    assertEqual(kind('false'), 'constant-false', 'Literal');
+    assertEqual(kind('isTalking && 2 < 1'), 'constant-false', 'Constant term');
+    assertEqual(kind('isTalking && mouthState > 1 && !isTalking'), 'contradictory', 'Negated identifier');
+    assertEqual(kind('mood === "calm" && "angry" == mood'), 'contradictory', 'Two labels');
+    assertEqual(kind('headTurn >= 10 && 10 > headTurn'), 'contradictory', 'Flipped comparison');
+    assertEqual(kind('mouthState == 3 && mouthState < 2'), 'contradictory', 'Value outside range');
+    assertEqual(findUnsatisfiable('x > 1 && x < 1').message, 'requires both x > 1 and x < 1', 'Message');
+  });
+
+  TestRunner.test('should not flag conditions that may be true', () => {
+    for (const source of ['true', 'isTalking || !isTalking', 'headTurn >= 10 && headTurn <= 10',
+      'stateTime() > 1', 'mood == 1 && mood == "annoyed"', 'a > 1 && b < 0']) {
+      assertEqual(findUnsatisfiable(source), null, source);
+    }
+  });
+
+  return TestRunner.summary();
+}
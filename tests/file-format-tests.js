@@ -1,9 +1,54 @@
 /**
- * Tests for WFLBinaryFormat and WFLFile binary round-trips
+ * Tests for WFLBinaryFormat, containers, WFLFile binary round-trips and WFLFile validation
  */
 
-import { TestRunner, assert, assertEqual, assertDeepEqual } from './test-helpers.js';
+import { readFileSync } from 'fs';
+import { TestRunner, assert, assertEqual, assertDeepEqual, catchError, catchErrorAsync } from './test-helpers.js';
 import { WFLFile, WFLBinaryFormat } from '../src/core/file-format.js';
+import { WFL_VERSION, WFL_MIGRATIONS } from '../src/core/wfl-migrations.js';
+
+/**
+ * A small valid file: two states, a driver, a layer and a two-bone skeleton
+ */
+function createValidFile() {
+  return {
+    version: WFL_VERSION,
+    parameters: {
+      isTalking: { type: 'boolean', value: false },
+      headTurn: { type: 'number', value: 0, min: -45, max: 45 },
+      eyeState: { type: 'number', value: 0 }
+    },
+    drivers: { blink: { parameter: 'eyeState', type: 'pulse', interval: [2, 6] } },
+    stateMachine: {
+      name: 'CharacterSM',
+      states: {
+        idle: { animations: ['idle'], transitions: [{ targetState: 'talking', condition: 'isTalking' }] },
+        talking: { animations: ['talking'], transitions: [{ targetState: 'idle', condition: '!isTalking' }] }
+      },
+      entryState: 'idle'
+    },
+    layers: [{
+      name: 'face',
+      mask: ['head'],
+      stateMachine: { states: { still: { transitions: [] } }, entryState: 'still' }
+    }],
+    bones: {
+      skeleton: {
+        bones: [{ name: 'root' }, { name: 'head', parent: 'root' }],
+        animations: {
+          idle: { duration: 1, tracks: [{ boneName: 'head', keyframes: [{ time: 0, rotation: 0 }] }] }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Validation errors as "pointer message" strings
+ */
+function validationErrors(json) {
+  return WFLFile.validate(json).errors.map(e => `${e.pointer} ${e.message}`);
+}
 
 export async function runFileFormatTests() {
   console.log('File Format (Binary) Test Suite');
@@ -56,7 +101,7 @@ export async function runFileFormatTests() {
     const data = { x: 1 };
     const json = JSON.stringify(data);
     const payloadBytes = new TextEncoder().encode(json);
-    const buffer = WFLBinaryFormat.encode(data);
+    const buffer = WFLBinaryFormat.encode(data, { version: 1 });
     const expectedSize = 12 + payloadBytes.length + 4; // header + payload + checksum
     assertEqual(buffer.byteLength, expectedSize, 'Buffer size should equal header(12) + payload + checksum(4)');
   });
@@ -114,15 +159,22 @@ export async function runFileFormatTests() {
   // ─────────────────────────────────────────────────────────────────
   TestRunner.category('Binary Format - Version Checking');
 
-  TestRunner.test('should write version 1', () => {
+  TestRunner.test('should write version 2 by default', () => {
     const buffer = WFLBinaryFormat.encode({ a: 1 });
     const view = new DataView(buffer);
+    assertEqual(view.getUint32(4, false), 2, 'Version should be 2');
+    assertEqual(view.getUint32(8, false), 0, 'Flags should be 0');
+  });
+
+  TestRunner.test('should write version 1 on request', () => {
+    const buffer = WFLBinaryFormat.encode({ a: 1 }, { version: 1 });
+    const view = new DataView(buffer);
     assertEqual(view.getUint32(4, false), 1, 'Version should be 1');
   });
 
   TestRunner.test('should accept version 1', () => {
-    const buffer = WFLBinaryFormat.encode({ ok: true });
-    // version is already 1, just decode
+    const buffer = WFLBinaryFormat.encode({ ok: true }, { version: 1 });
+    // version 1 payload is plain JSON, decoded from the header's version
     const decoded = WFLBinaryFormat.decode(buffer);
     assertEqual(decoded.ok, true, 'Version 1 should decode fine');
   });
@@ -152,8 +204,9 @@ export async function runFileFormatTests() {
   TestRunner.test('should detect single byte corruption in payload', () => {
     const buffer = WFLBinaryFormat.encode({ important: 'data' });
     const bytes = new Uint8Array(buffer);
-    // Corrupt one byte in the payload region (offset 12 is start of payload)
-    bytes[14] = bytes[14] ^ 0xFF;
+    // Corrupt one byte in the payload region (after the header)
+    const offset = WFLBinaryFormat.HEADER_SIZE + 2;
+    bytes[offset] = bytes[offset] ^ 0xFF;
 
     let threw = false;
     let errorMsg = '';
@@ -258,7 +311,7 @@ export async function runFileFormatTests() {
     const buffer = WFLBinaryFormat.encode(file);
     const decoded = WFLBinaryFormat.decode(buffer);
 
-    assertEqual(decoded.version, 1, 'Version should be 1');
+    assertEqual(decoded.version, WFL_VERSION, 'Version should be migrated to the current one');
     assertEqual(decoded.metadata.name, 'Hero', 'Metadata name should match');
     assertEqual(decoded.metadata.author, 'Tester', 'Metadata author should match');
     assertEqual(decoded.parameters.speed.value, 5, 'Parameter speed should match');
@@ -276,7 +329,7 @@ export async function runFileFormatTests() {
     const decoded = WFLBinaryFormat.decode(buffer);
     const restored = WFLFile.fromJSON(decoded);
 
-    assertEqual(restored.version, 1, 'Restored version should be 1');
+    assertEqual(restored.version, WFL_VERSION, 'Restored version should be the current one');
     assertEqual(restored.metadata.name, 'Test', 'Restored metadata name should match');
     assertEqual(restored.animations.walk.duration, 2.0, 'Restored animation duration should match');
   });
@@ -295,6 +348,312 @@ export async function runFileFormatTests() {
     assertDeepEqual(decoded.bones, {}, 'Empty bones should roundtrip');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // VERSION 2 ENCODING
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Binary Format - Version 2 Encoding');
+
+  /** Payload bytes of a version 2 buffer */
+  const payloadOf = (buffer) => {
+    const length = new DataView(buffer).getUint32(12, false);
+    return [...new Uint8Array(buffer, WFLBinaryFormat.HEADER_SIZE, length)];
+  };
+
+  TestRunner.test('should roundtrip every value type', () => {
+    const original = {
+      nothing: null, yes: true, no: false,
+      ints: [0, 1, -1, 63, 64, -300, 2 ** 40, -(2 ** 52), 2 ** 53 - 1],
+      floats: [0.5, 0.1, -2.75, Math.PI, 1e-300, 1.7976931348623157e308],
+      text: ['', 'idle', '\u4F60\u597D \u{1F600}'],
+      nested: { list: [[], {}, [{ deep: [null] }]] }
+    };
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode(original)), original, 'Roundtrip');
+    assertEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode([1, 'a'])).length, 2, 'Array root');
+    assertEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode('idle')), 'idle', 'String root');
+  });
+
+  TestRunner.test('should write typed property keys and LEB128 varints', () => {
+    // String table ["a"], object tag 8, one property: key 0 * 16 + int tag 3, zigzag(300) = 600 = 0xD8 0x04
+    assertDeepEqual(payloadOf(WFLBinaryFormat.encode({ a: 300 })), [1, 1, 0x61, 8, 1, 3, 0xD8, 0x04], 'Payload');
+  });
+
+  TestRunner.test('should store each string once', () => {
+    const tracks = ['idle', 'walk', 'talk'].map(() => ({ boneName: 'upper_arm_left', keyframes: [{ time: 0 }] }));
+    const buffer = WFLBinaryFormat.encode({ tracks });
+    const text = new TextDecoder().decode(new Uint8Array(buffer));
+    assertEqual(text.split('upper_arm_left').length - 1, 1, 'Bone name stored once');
+  });
+
+  TestRunner.test('should store keyframes as float32 tables', () => {
+    const keyframes = [
+      { time: 0, position: { x: 0, y: -60 }, rotation: 0 },
+      { time: 0.5, rotation: 0.02 },
+      { time: 1, position: { x: 1.25, y: -62 } }
+    ];
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes })).keyframes, keyframes, 'Authored values survive');
+    const third = WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes: [{ time: 1 / 3 }] })).keyframes[0].time;
+    assertEqual(third, 0.33333334, 'Float32 precision');
+    const clip = [{ time: 0, value: true }, { time: 1 / 3, value: 2 }];
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes: clip })).keyframes, clip, 'Non-number keys stay exact');
+    const reordered = [{ time: 0, rotation: 1 }, { rotation: 2, time: 1 }];
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes: reordered })).keyframes, reordered, 'Key order kept');
+  });
+
+  TestRunner.test('should shrink skeleton files and decode v1 and v2 alike', () => {
+    const example = JSON.parse(readFileSync(new URL('../example-character.wfl.json', import.meta.url), 'utf-8'));
+    const v1 = WFLBinaryFormat.encode(example, { version: 1 });
+    const v2 = WFLBinaryFormat.encode(example);
+    assert(v2.byteLength < v1.byteLength * 0.6, `v2 (${v2.byteLength} bytes) should be well under v1 (${v1.byteLength} bytes)`);
+    assertDeepEqual(WFLBinaryFormat.decode(v2), example, 'v2 roundtrip');
+    assertDeepEqual(WFLBinaryFormat.decode(v1), example, 'v1 roundtrip');
+  });
+
+  TestRunner.test('should keep keyframe values float32 cannot hold exact', () => {
+    const keyframes = [{ time: 0, value: 1e39 }, { time: 1, value: 16777217 }, { time: 2, value: 1e-50 }];
+    for (const item of keyframes) {
+      const list = [{ time: 0 }, item];
+      assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes: list })).keyframes, list, `value ${item.value}`);
+    }
+    const exact = [{ time: 0, value: 16777216 }, { time: 1, value: -3.5e38 }];
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ keyframes: exact })).keyframes, [
+      { time: 0, value: 16777216 }, { time: 1, value: -3.5e38 }
+    ], 'Exact at the edges');
+  });
+
+  TestRunner.test('should keep own "__proto__" keys like JSON.parse', () => {
+    const text = '{"bones":{"__proto__":{"x":1}},"keyframes":[{"__proto__":{"x":2},"time":0}]}';
+    for (const version of [1, 2]) {
+      const decoded = WFLBinaryFormat.decode(WFLBinaryFormat.encode(JSON.parse(text), { version }));
+      assertEqual(JSON.stringify(decoded), text, `v${version} roundtrip`);
+      assertEqual(Object.getPrototypeOf(decoded.bones), Object.prototype, `v${version} prototype untouched`);
+    }
+  });
+
+  TestRunner.test('should reject unknown flags and encode versions', () => {
+    const buffer = WFLBinaryFormat.encode({ a: 1 });
+    new DataView(buffer).setUint32(8, 4, false);
+    const message = (fn) => {
+      try {
+        fn();
+      } catch (e) {
+        return e.message;
+      }
+      return null;
+    };
+    assertEqual(message(() => WFLBinaryFormat.decode(buffer)), 'WFLBinary: unsupported flags 0x4', 'Flags');
+    assertEqual(message(() => WFLBinaryFormat.encode({}, { version: 3 })), 'WFLBinary: invalid version 3. Must be one of: 1, 2', 'Version');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // CONTAINER
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Binary Format - Container');
+
+  const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const createContainer = () => WFLBinaryFormat.encodeContainer(createValidFile(), [
+    { type: 'sprite', name: 'sprites/base.png', data: png, mimeType: 'image/png' },
+    { type: 'audio', name: 'voice/roast.mp3', data: Buffer.from('ID3'), mimeType: 'audio/mpeg' },
+    { type: 'visemes', name: 'voice/roast.visemes', data: [{ start: 0, end: 0.2, viseme: 'A' }] },
+    { type: 'atlas', name: 'atlas.json', data: { imagePath: 'atlas.png' } }
+  ]);
+  const errorOf = (fn) => catchError(fn)?.message ?? null;
+
+  TestRunner.test('should roundtrip a document with its assets', () => {
+    const { document, assets } = WFLBinaryFormat.decodeContainer(createContainer());
+    assertDeepEqual(document, createValidFile(), 'Document');
+    assertDeepEqual([...assets.keys()], ['sprites/base.png', 'voice/roast.mp3', 'voice/roast.visemes', 'atlas.json'], 'Names');
+
+    const sprite = assets.get('sprites/base.png');
+    assertEqual(sprite.type, 'sprite', 'Type');
+    assertEqual(sprite.mimeType, 'image/png', 'MIME type');
+    assert(sprite.data instanceof Uint8Array, 'Bytes stay bytes');
+    assertDeepEqual([...sprite.data], [...png], 'Sprite bytes');
+    assertEqual(new TextDecoder().decode(assets.get('voice/roast.mp3').data), 'ID3', 'Buffer data');
+    assertEqual(assets.get('voice/roast.visemes').mimeType, 'application/json', 'JSON MIME type');
+    assertDeepEqual(assets.get('voice/roast.visemes').data, [{ start: 0, end: 0.2, viseme: 'A' }], 'Viseme map parsed');
+    assertDeepEqual(assets.get('atlas.json').data, { imagePath: 'atlas.png' }, 'Atlas parsed');
+  });
+
+  TestRunner.test('should write tagged chunks after the container header', () => {
+    const buffer = createContainer();
+    const view = new DataView(buffer);
+    assertEqual(view.getUint32(0, false), 0x57464C43, 'Magic');
+    assertEqual(view.getUint32(4, false), 1, 'Version');
+    assertEqual(view.getUint32(8, false), 0, 'Flags');
+
+    const types = [];
+    let offset = WFLBinaryFormat.CONTAINER_HEADER_SIZE;
+    while (offset < buffer.byteLength) {
+      types.push(String.fromCharCode(...new Uint8Array(buffer, offset, 4)));
+      offset += WFLBinaryFormat.CHUNK_HEADER_SIZE + view.getUint32(offset + 4, false) + WFLBinaryFormat.CHECKSUM_SIZE;
+    }
+    assertDeepEqual(types, ['DOC ', 'IMG ', 'AUDI', 'VISM', 'ATLS'], 'Chunk types');
+    assertEqual(offset, buffer.byteLength, 'Chunks fill the buffer');
+  });
+
+  TestRunner.test('should tell containers from other encodings', () => {
+    assertEqual(WFLBinaryFormat.isContainer(createContainer()), true, 'Container');
+    assertEqual(WFLBinaryFormat.isContainer(Buffer.from(createContainer())), true, 'Node.js Buffer');
+    assertEqual(WFLBinaryFormat.isContainer(WFLBinaryFormat.encode({ a: 1 })), false, 'WFLB');
+    assertEqual(WFLBinaryFormat.isContainer(new TextEncoder().encode('{"version":2}')), false, 'JSON');
+    assertEqual(WFLBinaryFormat.isContainer(new Uint8Array(2)), false, 'Too short');
+    assertEqual(WFLBinaryFormat.isContainer('{"version":2}'), false, 'JSON string');
+    assertEqual(WFLBinaryFormat.isContainer(null), false, 'Not a buffer');
+  });
+
+  TestRunner.test('should detect corrupted chunks by their own checksum', () => {
+    const buffer = createContainer();
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const imageChunk = WFLBinaryFormat.CONTAINER_HEADER_SIZE + WFLBinaryFormat.CHUNK_HEADER_SIZE +
+      view.getUint32(WFLBinaryFormat.CONTAINER_HEADER_SIZE + 4, false) + WFLBinaryFormat.CHECKSUM_SIZE;
+    bytes[bytes.length - 1] ^= 0xFF;  // last chunk's checksum
+    bytes[imageChunk + WFLBinaryFormat.CHUNK_HEADER_SIZE + 2] ^= 0xFF;
+    const message = errorOf(() => WFLBinaryFormat.decodeContainer(buffer));
+    assert(message?.startsWith(`WFLBinary: checksum mismatch in "IMG " chunk at offset ${imageChunk}`), `Got: ${message}`);
+    assert(errorOf(() => WFLBinaryFormat.decodeContainer(buffer.slice(0, buffer.byteLength - 2)))?.startsWith('WFLBinary: checksum mismatch'),
+      'Earlier chunks are checked first');
+    assertEqual(errorOf(() => WFLBinaryFormat.decodeContainer(createContainer().slice(0, 30))),
+      'WFLBinary: truncated "DOC " chunk at offset 12', 'Truncated');
+  });
+
+  TestRunner.test('should skip unknown chunk types', () => {
+    const buffer = WFLBinaryFormat.encodeContainer({ version: WFL_VERSION });
+    const extra = new Uint8Array(buffer.byteLength + 13);
+    extra.set(new Uint8Array(buffer));
+    const view = new DataView(extra.buffer);
+    extra.set([0x58, 0x54, 0x52, 0x41], buffer.byteLength);  // "XTRA"
+    view.setUint32(buffer.byteLength + 4, 1, false);
+    extra[buffer.byteLength + 8] = 7;
+    view.setUint32(buffer.byteLength + 9, WFLBinaryFormat.crc32(new Uint8Array([7])), false);
+    const { document, assets } = WFLBinaryFormat.decodeContainer(extra);
+    assertDeepEqual(document, { version: WFL_VERSION }, 'Document');
+    assertEqual(assets.size, 0, 'Nothing else');
+  });
+
+  TestRunner.test('should reject bad assets and containers', () => {
+    const file = { version: WFL_VERSION };
+    assertEqual(errorOf(() => WFLBinaryFormat.encodeContainer(file, [{ type: 'font', name: 'a', data: png }])),
+      'WFLBinary: invalid asset type: font. Must be one of: sprite, atlas, audio, visemes', 'Type');
+    assertEqual(errorOf(() => WFLBinaryFormat.encodeContainer(file, [{ type: 'sprite', data: png }])),
+      'WFLBinary: every asset needs a name', 'Name');
+    assertEqual(errorOf(() => WFLBinaryFormat.encodeContainer(file, [
+      { type: 'sprite', name: 'a', data: png }, { type: 'audio', name: 'a', data: png }
+    ])), 'WFLBinary: duplicate asset "a"', 'Duplicate');
+    assertEqual(errorOf(() => WFLBinaryFormat.encodeContainer(file, [{ type: 'sprite', name: 'a' }])),
+      'WFLBinary: asset "a" has no data', 'Data');
+
+    const empty = WFLBinaryFormat.encodeContainer(file).slice(0, WFLBinaryFormat.CONTAINER_HEADER_SIZE);
+    assertEqual(errorOf(() => WFLBinaryFormat.decodeContainer(empty)), 'WFLBinary: container has no document chunk', 'No document');
+    assertEqual(errorOf(() => WFLBinaryFormat.decodeContainer(WFLBinaryFormat.encode(file))),
+      'WFLBinary: invalid magic number 0x57464C42, expected 0x57464C43', 'Magic');
+  });
+
+  TestRunner.test('should parse JSON, binary and container files alike', () => {
+    const json = { ...createValidFile(), sprites: { base: 'sprites/base.png' } };
+    const fromText = WFLFile.parse(JSON.stringify(json));
+    const fromBytes = WFLFile.parse(new TextEncoder().encode(JSON.stringify(json)));
+    const fromBinary = WFLFile.parse(WFLBinaryFormat.encode(json));
+    const fromContainer = WFLFile.parse(WFLBinaryFormat.encodeContainer(json, [
+      { type: 'sprite', name: 'sprites/base.png', data: png, mimeType: 'image/png' }
+    ]));
+    assertDeepEqual(fromText.sprites, json.sprites, 'Sprites kept');
+    [fromBytes, fromBinary, fromContainer].forEach((file, i) => {
+      assertDeepEqual(file.toJSON(), fromText.toJSON(), `Encoding ${i}`);
+    });
+    assertEqual(fromText.assets.size, 0, 'No assets outside containers');
+    assertEqual(fromContainer.assets.get('sprites/base.png').mimeType, 'image/png', 'Container assets');
+
+    json.stateMachine.states.idle.transitons = [];
+    const message = errorOf(() => WFLFile.parse(WFLBinaryFormat.encodeContainer(json), { strict: true }));
+    assert(message?.startsWith('Invalid WFL file (1 error):'), 'Strict');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // COMPRESSION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Binary Format - Compression');
+
+  const example = JSON.parse(readFileSync(new URL('../example-character.wfl.json', import.meta.url), 'utf-8'));
+  const errorAsync = async (fn) => (await catchErrorAsync(fn))?.message ?? null;
+
+  await TestRunner.testAsync('should roundtrip deflate and gzip payloads', async () => {
+    const plain = WFLBinaryFormat.encode(example);
+    for (const [compression, flag] of [['deflate', 1], ['gzip', 2]]) {
+      const buffer = await WFLBinaryFormat.encodeAsync(example, { compression });
+      const view = new DataView(buffer);
+      assertEqual(view.getUint32(8, false), flag, `${compression}: flag`);
+      assert(buffer.byteLength < plain.byteLength, `${compression}: smaller (${buffer.byteLength} < ${plain.byteLength})`);
+      assertEqual(view.getUint32(buffer.byteLength - 4, false), new DataView(plain).getUint32(plain.byteLength - 4, false),
+        `${compression}: checksum of the uncompressed payload`);
+      assertDeepEqual(await WFLBinaryFormat.decodeAsync(buffer), example, `${compression}: roundtrip`);
+    }
+    assertDeepEqual(await WFLBinaryFormat.decodeAsync(plain), example, 'decodeAsync reads uncompressed buffers');
+    assertDeepEqual([...new Uint8Array(await WFLBinaryFormat.encodeAsync(example))], [...new Uint8Array(plain)],
+      'encodeAsync without compression matches encode');
+  });
+
+  await TestRunner.testAsync('should pass the compression level to zlib', async () => {
+    const stored = await WFLBinaryFormat.encodeAsync(example, { compression: 'deflate', level: 0 });
+    const best = await WFLBinaryFormat.encodeAsync(example, { compression: 'deflate', level: 9 });
+    assert(best.byteLength < stored.byteLength, `Level 9 (${best.byteLength}) should beat level 0 (${stored.byteLength})`);
+    assertDeepEqual(await WFLBinaryFormat.decodeAsync(stored), example, 'Level 0 roundtrip');
+  });
+
+  await TestRunner.testAsync('should write payloads DecompressionStream can read', async () => {
+    const buffer = await WFLBinaryFormat.encodeAsync({ a: 300 }, { compression: 'gzip' });
+    const length = new DataView(buffer).getUint32(12, false);
+    const stream = new Blob([new Uint8Array(buffer, WFLBinaryFormat.HEADER_SIZE, length)]).stream()
+      .pipeThrough(new DecompressionStream('gzip'));
+    const payload = new Uint8Array(await new Response(stream).arrayBuffer());
+    assertDeepEqual([...payload], [1, 1, 0x61, 8, 1, 3, 0xD8, 0x04], 'Payload');
+  });
+
+  await TestRunner.testAsync('should need decodeAsync for compressed buffers', async () => {
+    const buffer = await WFLBinaryFormat.encodeAsync({ a: 1 }, { compression: 'gzip' });
+    assertEqual(errorOf(() => WFLBinaryFormat.decode(buffer)), 'WFLBinary: payload is gzip-compressed, use decodeAsync()', 'decode');
+
+    const corrupted = buffer.slice(0);
+    new Uint8Array(corrupted)[WFLBinaryFormat.HEADER_SIZE + 3] ^= 0xFF;
+    assert((await errorAsync(() => WFLBinaryFormat.decodeAsync(corrupted)))?.startsWith('WFLBinary: cannot decompress gzip payload:'),
+      'Corrupted stream');
+    const badChecksum = buffer.slice(0);
+    new Uint8Array(badChecksum)[badChecksum.byteLength - 1] ^= 0xFF;
+    assert((await errorAsync(() => WFLBinaryFormat.decodeAsync(badChecksum)))?.startsWith('WFLBinary: checksum mismatch'),
+      'Checksum checked after decompressing');
+  });
+
+  TestRunner.test('should reject bad compression options', () => {
+    assertEqual(errorOf(() => WFLBinaryFormat.encode({}, { compression: 'brotli' })),
+      'WFLBinary: invalid compression brotli. Must be one of: deflate, gzip', 'Format');
+    assertEqual(errorOf(() => WFLBinaryFormat.encode({}, { compression: 'gzip', version: 1 })),
+      'WFLBinary: compression needs version 2 (version 1 has no flags field)', 'Version 1');
+    assertEqual(errorOf(() => WFLBinaryFormat.encode({}, { compression: 'gzip', level: 12 })),
+      'WFLBinary: invalid compression level 12. Must be a whole number from 0 to 9', 'Level');
+  });
+
+  await TestRunner.testAsync('should keep encode synchronous and point to encodeAsync', async () => {
+    assertEqual(errorOf(() => WFLBinaryFormat.encode({}, { compression: 'gzip' })),
+      'WFLBinary: gzip compression is asynchronous, use encodeAsync()', 'encode');
+    assertEqual(errorOf(() => WFLBinaryFormat.encodeContainer({}, [], { compression: 'deflate' })),
+      'WFLBinary: deflate compression is asynchronous, use encodeAsync()', 'encodeContainer');
+    assertEqual(await errorAsync(() => WFLBinaryFormat.encodeAsync({}, { compression: 'brotli' })),
+      'WFLBinary: invalid compression brotli. Must be one of: deflate, gzip', 'encodeAsync checks options');
+  });
+
+  await TestRunner.testAsync('should compress the document of a container', async () => {
+    const assets = [{ type: 'sprite', name: 'sprites/base.png', data: png, mimeType: 'image/png' }];
+    const buffer = await WFLBinaryFormat.encodeContainerAsync(example, assets, { compression: 'deflate' });
+    assert(buffer.byteLength < WFLBinaryFormat.encodeContainer(example, assets).byteLength, 'Smaller');
+    assertEqual(errorOf(() => WFLBinaryFormat.decodeContainer(buffer)),
+      'WFLBinary: payload is deflate-compressed, use decodeAsync()', 'decodeContainer');
+    const { document } = await WFLBinaryFormat.decodeContainerAsync(buffer);
+    assertDeepEqual(document, example, 'decodeContainerAsync');
+    const file = await WFLFile.parseAsync(buffer);
+    assertEqual(file.assets.get('sprites/base.png').mimeType, 'image/png', 'parseAsync');
+    assertEqual((await WFLFile.parseAsync(JSON.stringify(example))).version, example.version, 'parseAsync reads JSON');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // NODE.JS BUFFER COMPATIBILITY
   // ─────────────────────────────────────────────────────────────────
@@ -318,5 +677,206 @@ export async function runFileFormatTests() {
     assertDeepEqual(decoded, original, 'Should decode Uint8Array correctly');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // VALIDATION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('WFLFile - Validation');
+
+  TestRunner.test('should accept valid files and empty defaults', () => {
+    assertDeepEqual(WFLFile.validate(createValidFile()), { valid: true, errors: [] }, 'Valid file');
+    assertEqual(WFLFile.validate(new WFLFile().toJSON()).valid, true, 'Empty WFLFile');
+  });
+
+  TestRunner.test('should point at misspelt keys', () => {
+    const json = createValidFile();
+    const idle = json.stateMachine.states.idle;
+    idle.transitons = idle.transitions;
+    delete idle.transitions;
+    assertDeepEqual(validationErrors(json), [
+      '/stateMachine/states/idle Missing required property "transitions"',
+      '/stateMachine/states/idle/transitons Unknown property "transitons"'
+    ], 'Missing and unknown');
+  });
+
+  TestRunner.test('should check types, enums and ranges', () => {
+    const json = createValidFile();
+    json.version = '1';
+    json.drivers.blink.type = 'blink';
+    json.layers[0].weight = 2;
+    json.stateMachine.states.idle.transitions[0].duration = -0.2;
+    assertDeepEqual(validationErrors(json), [
+      '/version Expected integer, got string',
+      '/drivers/blink/type Invalid value: "blink". Must be one of: sine, triangle, noise, pulse',
+      '/stateMachine/states/idle/transitions/0/duration Invalid value: -0.2. Must be 0 or greater',
+      '/layers/0/weight Invalid value: 2. Must be 1 or less'
+    ], 'Schema errors');
+  });
+
+  TestRunner.test('should check parameter values against their type and range', () => {
+    const json = createValidFile();
+    json.parameters.isTalking.value = 1;
+    json.parameters.headTurn.value = 90;
+    assertDeepEqual(validationErrors(json), [
+      '/parameters/isTalking/value Expected boolean value for a boolean parameter, got number',
+      '/parameters/headTurn/value Invalid value: 90. Must be between -45 and 45'
+    ], 'Value errors');
+  });
+
+  TestRunner.test('should check state references', () => {
+    const json = createValidFile();
+    json.stateMachine.entryState = 'sleeping';
+    json.stateMachine.states.idle.transitions[0].targetState = 'taking';
+    json.stateMachine.states.talking.transitions.push({ condition: 'true' });
+    json.layers[0].stateMachine.anyState = [{ targets: [{ state: 'still' }, { state: 'blink' }], condition: 'true' }];
+    assertDeepEqual(validationErrors(json), [
+      '/stateMachine/entryState Unknown state "sleeping"',
+      '/stateMachine/states/idle/transitions/0/targetState Unknown state "taking"',
+      '/stateMachine/states/talking/transitions/1 Transition has no "targetState" or "targets". Must have one',
+      '/layers/0/stateMachine/anyState/0/targets/1/state Unknown state "blink"'
+    ], 'Reference errors');
+  });
+
+  TestRunner.test('should check nested machines, actions and blend trees', () => {
+    const json = createValidFile();
+    json.stateMachine.states.talking.stateMachine = {
+      states: { calm: { transitions: [{ targetState: 'idle', condition: 'true' }] } }
+    };
+    json.stateMachine.states.idle.actions = { enter: [{ type: 'startDriver', driver: 'sway' }] };
+    json.stateMachine.states.idle.blendTree = { type: '1d', parameter: 'isTalking', motions: [{ animation: 'idle', threshold: 0 }] };
+    assertDeepEqual(validationErrors(json), [
+      '/stateMachine/states/idle/actions/enter/0/driver Unknown driver "sway"',
+      '/stateMachine/states/idle/blendTree/parameter Blend tree needs a number parameter, but "isTalking" is boolean',
+      '/stateMachine/states/talking/stateMachine/states/calm/transitions/0/targetState Unknown state "idle"'
+    ], 'Nested errors');
+  });
+
+  TestRunner.test('should check bone parents, masks, tracks and driven parameters', () => {
+    const json = createValidFile();
+    json.bones.skeleton.bones.push({ name: 'jaw', parent: 'haed' });
+    json.bones.skeleton.bones[0].parent = 'head';
+    json.bones.skeleton.animations.idle.tracks[0].boneName = 'neck';
+    json.layers[0].mask = ['face'];
+    json.drivers.blink.parameter = 'eyes';
+    assertDeepEqual(validationErrors(json), [
+      '/drivers/blink/parameter Unknown parameter "eyes"',
+      '/layers/0/mask/0 Unknown bone "face"',
+      '/bones/skeleton/bones/0/parent Bone "root" is its own ancestor',
+      '/bones/skeleton/bones/1/parent Bone "head" is its own ancestor',
+      '/bones/skeleton/bones/2/parent Unknown bone "haed"',
+      '/bones/skeleton/animations/idle/tracks/0/boneName Unknown bone "neck"'
+    ], 'Rig errors');
+  });
+
+  TestRunner.test('should reserve the face layer names', () => {
+    const json = createValidFile();
+    json.layers.push({ ...json.layers[0], name: 'face.eyes' });
+    assertDeepEqual(validationErrors(json), [
+      '/layers/1/name Layer name "face.eyes" is reserved for the animator\'s face layers'
+    ], 'Reserved');
+  });
+
+  TestRunner.test('should escape JSON pointer tokens', () => {
+    const json = createValidFile();
+    json.parameters['mouth/open~1'] = { type: 'number', value: 'wide' };
+    assertDeepEqual(validationErrors(json), [
+      '/parameters/mouth~1open~01/value Expected number or boolean or null, got string'
+    ], 'Escaped');
+  });
+
+  await TestRunner.testAsync('should refuse invalid files when loading strictly', async () => {
+    const originalFetch = globalThis.fetch;
+    const json = createValidFile();
+    json.stateMachine.states.idle.transitons = [];
+    globalThis.fetch = async () => ({
+      ok: true,
+      arrayBuffer: async () => new TextEncoder().encode(JSON.stringify(json)).buffer
+    });
+    try {
+      const file = await WFLFile.load('character.wfl');
+      assertEqual(file.stateMachine.states.idle.transitons.length, 0, 'Lenient by default');
+      let message = null;
+      try {
+        await WFLFile.load('character.wfl', { strict: true });
+      } catch (e) {
+        message = e.message;
+      }
+      assert(message?.startsWith('Invalid WFL file (1 error):'), 'Refused');
+      assert(message.includes('/stateMachine/states/idle/transitons: Unknown property "transitons"'), 'Lists pointers');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // MIGRATIONS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('WFLFile - Migrations');
+
+  TestRunner.test('should have one migration per version step', () => {
+    assertDeepEqual(WFL_MIGRATIONS.map(m => m.from), Array.from({ length: WFL_VERSION - 1 }, (_, i) => i + 1), 'Steps');
+  });
+
+  TestRunner.test('should upgrade version 1 files in fromJSON without touching the input', () => {
+    const json = { version: 1, bones: { skeleton: { bones: [] }, textures: { imagePath: 'atlas.png' } } };
+    const file = WFLFile.fromJSON(json);
+    assertEqual(file.version, 2, 'Version');
+    assertDeepEqual(file.bones.textureAtlas, { imagePath: 'atlas.png' }, 'Renamed');
+    assert(!('textures' in file.bones), 'Old key removed');
+    assert('textures' in json.bones && json.version === 1, 'Input unchanged');
+  });
+
+  TestRunner.test('should treat files without a version as version 1', () => {
+    const file = WFLFile.fromJSON({ bones: { textures: null } });
+    assertEqual(file.version, WFL_VERSION, 'Current version');
+    assertEqual(file.bones.textureAtlas, null, 'Migrated');
+  });
+
+  TestRunner.test('should refuse files newer than the runtime', () => {
+    const message = (fn) => {
+      try {
+        fn();
+      } catch (e) {
+        return e.message;
+      }
+      return null;
+    };
+    const future = { version: WFL_VERSION + 1 };
+    const expected = `WFL file version ${WFL_VERSION + 1} is newer than this runtime supports (up to ${WFL_VERSION})`;
+    assert(message(() => WFLFile.fromJSON(future))?.startsWith(expected), 'fromJSON');
+    assert(message(() => WFLBinaryFormat.decode(WFLBinaryFormat.encode(future)))?.startsWith(expected), 'decode');
+    assert(message(() => WFLFile.fromJSON({ version: 1.5 }))?.startsWith('Invalid WFL file version: 1.5'), 'Invalid version');
+  });
+
+  TestRunner.test('should migrate to a target version', () => {
+    const current = { version: WFL_VERSION };
+    assertEqual(WFLFile.migrate(current), current, 'Current files are returned as-is');
+    const old = { version: 1, bones: { textures: {} } };
+    assertDeepEqual(WFLFile.migrate(old, 1), old, 'Same version copy');
+    assertDeepEqual(WFLFile.migrate(old, 2), { version: 2, bones: { textureAtlas: {} } }, 'Upgraded');
+    let threw = false;
+    try {
+      WFLFile.migrate(current, 1);
+    } catch (e) {
+      threw = e.message === `Cannot migrate WFL file version ${WFL_VERSION} down to 1`;
+    }
+    assert(threw, 'No downgrades');
+  });
+
+  TestRunner.test('should migrate versioned payloads when decoding', () => {
+    const decoded = WFLBinaryFormat.decode(WFLBinaryFormat.encode({ version: 1, bones: { textures: {} } }));
+    assertDeepEqual(decoded, { version: WFL_VERSION, bones: { textureAtlas: {} } }, 'Migrated');
+    assertDeepEqual(WFLBinaryFormat.decode(WFLBinaryFormat.encode({ hello: 'world' })), { hello: 'world' }, 'Other JSON untouched');
+  });
+
+  TestRunner.test('should validate older files in the current layout', () => {
+    assertEqual(WFLFile.validate({ version: 1, bones: { textures: null } }).valid, true, 'Version 1');
+    assertDeepEqual(validationErrors({ version: WFL_VERSION, bones: { textures: null } }), [
+      '/bones/textures Unknown property "textures"'
+    ], 'Old key in a current file');
+    assertDeepEqual(validationErrors({ version: WFL_VERSION + 1 }), [
+      `/version Invalid value: ${WFL_VERSION + 1}. Must be ${WFL_VERSION} or less`
+    ], 'Newer file');
+  });
+
   return TestRunner.summary();
 }
@@ -0,0 +1,293 @@
+/**
+ * Tests for parameter recording, keyframe reduction and clip playback
+ */
+
+import { TestRunner, assert, assertEqual } from './test-helpers.js';
+import { ParameterSystem } from '../src/core/parameter.js';
+import {
+  PARAMETER_CLIP_TYPE, ParameterClipPlayer,
+  sampleKeyframes, trimKeyframes, reduceKeyframes
+} from '../src/core/parameter-recorder.js';
+
+function createSystem() {
+  const parameters = new ParameterSystem();
+  parameters.register('headTurn', 'number', 0, { min: -45, max: 45 });
+  parameters.register('isTalking', 'boolean', false);
+  parameters.register('laugh', 'trigger', false);
+  return parameters;
+}
+
+function times(keyframes) {
+  return keyframes.map(key => Number(key.time.toFixed(3))).join(',');
+}
+
+function values(keyframes) {
+  return keyframes.map(key => key.value).join(',');
+}
+
+export async function runParameterRecorderTests() {
+  console.log('Parameter Recorder Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // KEYFRAME HELPERS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Keyframes - sample / trim / reduce');
+
+  TestRunner.test('should sample linear and step tracks', () => {
+    const keys = [{ time: 0, value: 0 }, { time: 1, value: 10 }];
+    assertEqual(sampleKeyframes(keys, 0.5), 5, 'Linear midpoint');
+    assertEqual(sampleKeyframes(keys, 0.5, 'step'), 0, 'Step holds the earlier key');
+    assertEqual(sampleKeyframes(keys, 2), 10, 'Past the end holds the last key');
+    assertEqual(sampleKeyframes([], 1), undefined, 'Empty track');
+  });
+
+  TestRunner.test('should trim with boundary keys', () => {
+    const keys = [{ time: 0, value: 0 }, { time: 1, value: 10 }, { time: 2, value: 0 }];
+    const trimmed = trimKeyframes(keys, 0.5, 1.5);
+    assertEqual(times(trimmed), '0,0.5,1', 'Times should shift to start at 0');
+    assertEqual(values(trimmed), '5,10,5', 'Boundaries should be interpolated');
+  });
+
+  TestRunner.test('should trim event tracks without boundary keys', () => {
+    const keys = [{ time: 0.2, value: true }, { time: 1.2, value: true }];
+    const trimmed = trimKeyframes(keys, 1, 2, 'event');
+    assertEqual(times(trimmed), '0.2', 'Only events inside the range are kept');
+  });
+
+  TestRunner.test('should drop collinear keys with zero tolerance', () => {
+    const keys = [0, 1, 2, 3, 4].map(t => ({ time: t, value: t * 2 }));
+    const reduced = reduceKeyframes(keys);
+    assertEqual(times(reduced), '0,4', 'Only the end points are needed');
+  });
+
+  TestRunner.test('should keep keys that exceed the tolerance', () => {
+    const keys = [
+      { time: 0, value: 0 }, { time: 1, value: 2.7 }, { time: 2, value: 5 }, { time: 3, value: 0 }
+    ];
+    assertEqual(times(reduceKeyframes(keys, 0.5)), '0,2,3', 'Small wobble is dropped, peak is kept');
+    assertEqual(times(reduceKeyframes(keys, 0)), '0,1,2,3', 'Zero tolerance keeps every change');
+  });
+
+  TestRunner.test('should drop repeated values on step tracks', () => {
+    const keys = [
+      { time: 0, value: false }, { time: 1, value: false }, { time: 2, value: true }, { time: 3, value: true }
+    ];
+    const reduced = reduceKeyframes(keys, 0, 'step');
+    assertEqual(times(reduced), '0,2,3', 'Repeats dropped, final key kept');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // RECORDING
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('ParameterRecorder');
+
+  TestRunner.test('should capture timestamped changes using update() time', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn']);
+    parameters.update(0.5);
+    parameters.set('headTurn', 10);
+    parameters.update(0.5);
+    parameters.set('headTurn', 20);
+    recorder.stop();
+    const keys = recorder.tracks.get('headTurn').keyframes;
+    assertEqual(times(keys), '0,0.5,1', 'Keys should be stamped with the recording clock');
+    assertEqual(values(keys), '0,10,20', 'Values should be captured');
+  });
+
+  TestRunner.test('should hold values across idle frames instead of ramping', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn']);
+    parameters.update(1);
+    parameters.update(1);
+    parameters.set('headTurn', 30);
+    recorder.stop();
+    const keys = recorder.tracks.get('headTurn').keyframes;
+    assertEqual(times(keys), '0,1,2', 'A hold key should be inserted at the previous frame');
+    assertEqual(sampleKeyframes(keys, 0.9), 0, 'Value should stay at 0 until the jump');
+  });
+
+  TestRunner.test('should keep only the last change within a frame', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn']);
+    parameters.update(0.1);
+    parameters.set('headTurn', 5);
+    parameters.set('headTurn', 6);
+    recorder.stop();
+    assertEqual(values(recorder.tracks.get('headTurn').keyframes), '0,6', 'Latest value wins');
+  });
+
+  TestRunner.test('should not record after stop() or while not advanced', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn']);
+    parameters.update(0.1);
+    recorder.stop();
+    parameters.update(1);
+    parameters.set('headTurn', 40);
+    assertEqual(recorder.time, 0.1, 'Clock should stop');
+    assertEqual(recorder.tracks.get('headTurn').keyframes.length, 1, 'No new keys');
+  });
+
+  TestRunner.test('should reject derived and unknown parameters', () => {
+    const parameters = createSystem();
+    parameters.registerDerived('lookingLeft', 'boolean', 'headTurn < 0');
+    for (const name of ['lookingLeft', 'missing']) {
+      let threw = false;
+      try {
+        parameters.record([name]);
+      } catch (_e) {
+        threw = true;
+      }
+      assert(threw, `Should reject ${name}`);
+    }
+  });
+
+  TestRunner.test('should bake a trimmed, reduced clip', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn', 'isTalking', 'laugh']);
+    for (let i = 1; i <= 60; i++) {
+      parameters.update(1 / 30);
+      parameters.set('headTurn', i / 2); // steady ramp
+      if (i === 30) parameters.set('isTalking', true);
+      if (i === 45) parameters.fire('laugh');
+      parameters.consumeTriggers();
+    }
+    recorder.stop();
+
+    const clip = recorder.toClip({ start: 0.5, end: 1.8, tolerance: 0.01 });
+    assertEqual(clip.type, PARAMETER_CLIP_TYPE, 'Clip type');
+    assert(Math.abs(clip.duration - 1.3) < 1e-9, 'Duration should be the trimmed length');
+
+    const [head, talking, laugh] = clip.tracks;
+    assertEqual(head.interpolation, 'linear', 'Number tracks are linear');
+    assertEqual(head.keyframes.length, 2, 'A steady ramp reduces to two keys');
+    assert(Math.abs(head.keyframes[0].value - 7.5) < 1e-9, 'Start value comes from the trim point');
+    assertEqual(talking.interpolation, 'step', 'Boolean tracks step');
+    assertEqual(values(talking.keyframes), 'false,true,true', 'Boolean change is kept');
+    assertEqual(laugh.interpolation, 'event', 'Trigger tracks are events');
+    assertEqual(laugh.keyframes.length, 1, 'The fire is kept');
+    assert(Math.abs(laugh.keyframes[0].time - 1) < 1e-9, 'Event time is shifted by the trim start');
+  });
+
+  TestRunner.test('should reject an inverted trim range', () => {
+    const parameters = createSystem();
+    const recorder = parameters.record(['headTurn']);
+    parameters.update(1);
+    recorder.stop();
+    let threw = false;
+    try {
+      recorder.toClip({ start: 0.8, end: 0.2 });
+    } catch (e) {
+      threw = e instanceof RangeError;
+    }
+    assert(threw, 'Should throw RangeError');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // PLAYBACK
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('ParameterClipPlayer');
+
+  const clip = {
+    type: PARAMETER_CLIP_TYPE,
+    duration: 2,
+    tracks: [
+      { parameter: 'headTurn', interpolation: 'linear', keyframes: [{ time: 0, value: 0 }, { time: 2, value: 20 }] },
+      { parameter: 'isTalking', interpolation: 'step', keyframes: [{ time: 0, value: false }, { time: 1, value: true }] },
+      { parameter: 'laugh', interpolation: 'event', keyframes: [{ time: 1.5, value: true }] }
+    ]
+  };
+
+  TestRunner.test('should write sampled values each update', () => {
+    const parameters = createSystem();
+    const player = new ParameterClipPlayer(parameters);
+    player.addClip('perf', clip);
+    assert(player.play('perf'), 'play() should find the clip');
+    player.update(0.5);
+    assertEqual(parameters.get('headTurn').get(), 5, 'Linear track sampled');
+    assertEqual(parameters.get('isTalking').get(), false, 'Step track holds');
+    player.update(0.5);
+    assertEqual(parameters.get('isTalking').get(), true, 'Step track switches');
+  });
+
+  TestRunner.test('should fire trigger events once when passed', () => {
+    const parameters = createSystem();
+    const player = new ParameterClipPlayer(parameters);
+    player.addClip('perf', clip);
+    player.play('perf');
+    let fires = 0;
+    parameters.get('laugh').onChange((_name, value) => { if (value) fires++; });
+    player.update(1.4);
+    assertEqual(fires, 0, 'Not yet');
+    player.update(0.2);
+    assertEqual(fires, 1, 'Fired once');
+    parameters.consumeTriggers();
+    player.update(0.2);
+    assertEqual(fires, 1, 'Not fired again');
+  });
+
+  TestRunner.test('should complete non-looping clips', () => {
+    const parameters = createSystem();
+    const player = new ParameterClipPlayer(parameters);
+    player.addClip('perf', clip);
+    let completed = null;
+    player.onComplete = (name) => { completed = name; };
+    player.play('perf');
+    player.update(3);
+    assertEqual(parameters.get('headTurn').get(), 20, 'Should end on the last value');
+    assertEqual(completed, 'perf', 'onComplete should be called');
+    assert(!player.isPlaying('perf'), 'Should stop playing');
+  });
+
+  TestRunner.test('should wrap looping clips', () => {
+    const parameters = createSystem();
+    const player = new ParameterClipPlayer(parameters);
+    player.addClip('perf', clip);
+    player.play('perf', { loop: true });
+    player.update(2.5);
+    assertEqual(parameters.get('headTurn').get(), 5, 'Time should wrap');
+    assert(player.isPlaying('perf'), 'Should keep playing');
+  });
+
+  TestRunner.test('should apply each frame as one transaction', () => {
+    const parameters = createSystem();
+    const player = new ParameterClipPlayer(parameters);
+    player.addClip('perf', clip);
+    const commits = [];
+    parameters.onCommit(changes => commits.push(Object.keys(changes).join(',')));
+    player.play('perf');
+    player.update(1);
+    assertEqual(commits.join('|'), 'headTurn,isTalking', 'One commit with both changes');
+  });
+
+  TestRunner.test('should reject data that is not a parameter clip', () => {
+    const player = new ParameterClipPlayer(createSystem());
+    let threw = false;
+    try {
+      player.addClip('walk', { duration: 1, tracks: [{ boneName: 'leg', keyframes: [] }] });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw');
+    assertEqual(player.play('walk'), false, 'Unknown clip should not play');
+  });
+
+  TestRunner.test('should round-trip a recording through JSON and play it back', () => {
+    const source = createSystem();
+    const recorder = source.record(['headTurn']);
+    source.update(0.5);
+    source.set('headTurn', 10);
+    source.update(0.5);
+    recorder.stop();
+    const saved = JSON.parse(JSON.stringify({ animations: { perf: recorder.toClip() } }));
+
+    const target = createSystem();
+    const player = new ParameterClipPlayer(target);
+    player.addClip('perf', saved.animations.perf);
+    player.play('perf');
+    player.update(1);
+    assertEqual(target.get('headTurn').get(), 10, 'Playback should reproduce the performance');
+  });
+
+  return TestRunner.summary();
+}
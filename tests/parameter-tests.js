@@ -379,5 +379,814 @@ export async function runParameterTests() {
     assertEqual(param.defaultValue, 42, 'defaultValue should not change after set');
   });
 
+  TestRunner.test('should constrain the default like set()', () => {
+    const mouth = new Parameter('mouth', 'number', 42, { min: 0, max: 6 });
+    assertEqual(mouth.defaultValue, 6, 'Clamped default');
+    assertEqual(mouth.get(), 6, 'Starts in range');
+    assertEqual(new Parameter('eyes', 'number', 1.4, { step: 1 }).get(), 1, 'Stepped default');
+    assertEqual(new Parameter('mood', 'number', 'angry', { enum: ['calm', 'angry'] }).get(), 1, 'Label default');
+
+    const system = new ParameterSystem();
+    system.fromJSON({ mouthState: { type: 'number', value: 42, min: 0, max: 6 } });
+    assertEqual(system.get('mouthState').get(), 6, 'Loaded default');
+
+    let error = null;
+    try {
+      new Parameter('mouth', 'number', 42, { min: 0, max: 6, outOfRange: 'reject' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof RangeError, 'Rejected default');
+    error = null;
+    try {
+      new Parameter('flag', 'boolean', 1);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof TypeError, 'Wrong type');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // RANGE / STEP / ENUM METADATA
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Parameter - Range Metadata');
+
+  TestRunner.test('should clamp out-of-range values by default', () => {
+    const param = new Parameter('mouth', 'number', 0, { min: 0, max: 6 });
+    param.set(42);
+    assertEqual(param.get(), 6, 'Should clamp to max');
+    param.set(-3);
+    assertEqual(param.get(), 0, 'Should clamp to min');
+  });
+
+  TestRunner.test('should pass clamped value to listeners', () => {
+    const param = new Parameter('mouth', 'number', 0, { min: 0, max: 6 });
+    let received = null;
+    param.onChange((_name, value) => { received = value; });
+    param.set(42);
+    assertEqual(received, 6, 'Listener should receive the clamped value');
+  });
+
+  TestRunner.test('should throw RangeError under reject policy', () => {
+    const param = new Parameter('mouth', 'number', 0, { min: 0, max: 6, outOfRange: 'reject' });
+    let threw = false;
+    try {
+      param.set(7);
+    } catch (e) {
+      threw = true;
+      assert(e instanceof RangeError, 'Should throw RangeError');
+    }
+    assert(threw, 'Should throw for out-of-range value');
+    assertEqual(param.get(), 0, 'Value should be unchanged');
+  });
+
+  TestRunner.test('should wrap continuous ranges', () => {
+    const param = new Parameter('angle', 'number', 0, { min: 0, max: 360, outOfRange: 'wrap' });
+    param.set(370);
+    assertEqual(param.get(), 10, '370 should wrap to 10');
+    param.set(-90);
+    assertEqual(param.get(), 270, '-90 should wrap to 270');
+  });
+
+  TestRunner.test('should wrap stepped ranges onto distinct slots', () => {
+    const param = new Parameter('mouth', 'number', 0, { min: 0, max: 6, step: 1, outOfRange: 'wrap' });
+    param.set(7);
+    assertEqual(param.get(), 0, '7 should wrap to 0');
+    param.set(-1);
+    assertEqual(param.get(), 6, '-1 should wrap to 6');
+  });
+
+  TestRunner.test('should require min and max for wrap policy', () => {
+    let threw = false;
+    try {
+      new Parameter('x', 'number', 0, { min: 0, outOfRange: 'wrap' });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw without max');
+  });
+
+  TestRunner.test('should snap to step', () => {
+    const param = new Parameter('tone', 'number', 0, { min: 0, max: 1, step: 0.1 });
+    param.set(0.34);
+    assertEqual(param.get(), 0.3, 'Should snap to 0.3');
+    param.set(0.06);
+    assertEqual(param.get(), 0.1, 'Should snap to 0.1');
+  });
+
+  TestRunner.test('should snap relative to min', () => {
+    const param = new Parameter('x', 'number', 1, { min: 1, step: 2 });
+    param.set(4.2);
+    assertEqual(param.get(), 5, 'Steps are 1, 3, 5...');
+  });
+
+  TestRunner.test('should reject invalid range metadata', () => {
+    const bad = [
+      { min: 5, max: 1 },
+      { step: 0 },
+      { outOfRange: 'bounce' }
+    ];
+    bad.forEach(options => {
+      let threw = false;
+      try {
+        new Parameter('x', 'number', 0, options);
+      } catch (_e) {
+        threw = true;
+      }
+      assert(threw, `Should throw for ${JSON.stringify(options)}`);
+    });
+  });
+
+  TestRunner.test('should snap to nearest allowed enum value', () => {
+    const param = new Parameter('size', 'number', 1, { enum: [1, 2, 4, 8] });
+    param.set(5);
+    assertEqual(param.get(), 4, 'Should snap to 4');
+    param.set(8);
+    assertEqual(param.get(), 8, 'Member should pass through');
+  });
+
+  TestRunner.test('should reject non-member enum values under reject policy', () => {
+    const param = new Parameter('size', 'number', 1, { enum: [1, 2, 4], outOfRange: 'reject' });
+    let threw = false;
+    try {
+      param.set(3);
+    } catch (e) {
+      threw = e instanceof RangeError;
+    }
+    assert(threw, 'Should throw RangeError');
+  });
+
+  TestRunner.test('should accept labels for labelled enums', () => {
+    const param = new Parameter('eye', 'number', 0, { enum: ['open', 'closed', 'half'] });
+    param.set('half');
+    assertEqual(param.get(), 2, 'Label should map to its index');
+    assertEqual(param.getLabel(), 'half', 'getLabel should return current label');
+    assertEqual(param.getLabel(1), 'closed', 'getLabel should accept a value');
+  });
+
+  TestRunner.test('should throw for unknown labels', () => {
+    const param = new Parameter('eye', 'number', 0, { enum: ['open', 'closed'] });
+    let threw = false;
+    try {
+      param.set('wide');
+    } catch (e) {
+      threw = e instanceof RangeError;
+    }
+    assert(threw, 'Should throw RangeError');
+  });
+
+  TestRunner.test('should still reject strings when there are no labels', () => {
+    const param = new Parameter('x', 'number', 0, { min: 0, max: 1 });
+    let threw = false;
+    try {
+      param.set('a');
+    } catch (e) {
+      threw = e instanceof TypeError;
+    }
+    assert(threw, 'Should throw TypeError');
+  });
+
+  TestRunner.test('should clamp and wrap labelled enum indices', () => {
+    const clamp = new Parameter('eye', 'number', 0, { enum: ['a', 'b', 'c'] });
+    clamp.set(9);
+    assertEqual(clamp.get(), 2, 'Should clamp to last index');
+
+    const wrap = new Parameter('eye', 'number', 0, { enum: ['a', 'b', 'c'], outOfRange: 'wrap' });
+    wrap.set(4);
+    assertEqual(wrap.get(), 1, 'Should wrap 4 to 1');
+  });
+
+  TestRunner.test('should describe metadata for UI sliders', () => {
+    const param = new Parameter('head', 'number', 0, { min: -45, max: 45, description: 'Head rotation' });
+    const meta = param.getMetadata();
+    assertEqual(meta.min, -45, 'min');
+    assertEqual(meta.max, 45, 'max');
+    assertEqual(meta.step, null, 'step');
+    assertEqual(meta.description, 'Head rotation', 'description');
+
+    const labelled = new Parameter('eye', 'number', 0, { enum: ['open', 'closed', 'half'] });
+    const labelMeta = labelled.getMetadata();
+    assertEqual(labelMeta.min, 0, 'Labelled min is 0');
+    assertEqual(labelMeta.max, 2, 'Labelled max is last index');
+    assertEqual(labelMeta.step, 1, 'Labelled step is 1');
+    assertDeepEqual(labelMeta.enum, ['open', 'closed', 'half'], 'enum labels');
+  });
+
+  TestRunner.test('should report the range and fit values into it', () => {
+    const head = new Parameter('head', 'number', 0, { min: -45, max: 45, outOfRange: 'reject' });
+    assertDeepEqual(head.getRange(), [-45, 45], 'min/max range');
+    assertEqual(head.fit(60), 45, 'Fit clamps instead of rejecting');
+
+    const labelled = new Parameter('eye', 'number', 0, { enum: ['open', 'closed', 'half'], outOfRange: 'reject' });
+    assertDeepEqual(labelled.getRange(), [0, 2], 'Labelled index range');
+    assertEqual(labelled.fit(1.4), 1, 'Fit rounds to an index');
+
+    const listed = new Parameter('zoom', 'number', 1, { enum: [1, 2, 4] });
+    assertDeepEqual(listed.getRange(), [1, 4], 'Value list range');
+    assertEqual(listed.fit(3.5), 4, 'Fit picks the nearest value');
+
+    const open = new Parameter('free', 'number', 0);
+    assertEqual(open.getRange()[1], Infinity, 'Unbounded max');
+  });
+
+  TestRunner.test('should not constrain boolean parameters', () => {
+    const param = new Parameter('flag', 'boolean', false, { min: 0, max: 1 });
+    param.set(true);
+    assertEqual(param.get(), true, 'Boolean should be unaffected');
+  });
+
+  TestRunner.test('should keep metadata through fromJSON', () => {
+    const system = new ParameterSystem();
+    system.fromJSON({
+      mouthState: { type: 'number', value: 0, min: 0, max: 6, description: 'Mouth shape' }
+    });
+    system.set('mouthState', 42);
+    assertEqual(system.get('mouthState').get(), 6, 'Should clamp after import');
+    assertEqual(system.get('mouthState').description, 'Mouth shape', 'Should keep description');
+  });
+
+  TestRunner.test('should roundtrip metadata through toJSON', () => {
+    const system = new ParameterSystem();
+    system.register('eye', 'number', 0, { enum: ['open', 'closed'], outOfRange: 'reject' });
+    system.register('head', 'number', 0, { min: -45, max: 45, step: 5 });
+    system.register('plain', 'number', 1);
+
+    const json = system.toJSON();
+    assertDeepEqual(json.eye.enum, ['open', 'closed'], 'enum should export');
+    assertEqual(json.eye.outOfRange, 'reject', 'policy should export');
+    assertEqual(json.head.step, 5, 'step should export');
+    assertDeepEqual(json.plain, { type: 'number', value: 1 }, 'Unset metadata should be omitted');
+
+    const system2 = new ParameterSystem();
+    system2.fromJSON(json);
+    assertDeepEqual(system2.toJSON(), json, 'Should roundtrip');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // TRIGGERS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Parameter - Triggers');
+
+  TestRunner.test('should fire a trigger', () => {
+    const system = new ParameterSystem();
+    system.register('laugh', 'trigger', false);
+    const result = system.fire('laugh');
+    assertEqual(result, true, 'fire() should return true');
+    assertEqual(system.get('laugh').get(), true, 'Trigger should be set');
+  });
+
+  TestRunner.test('should return false when firing non-existent trigger', () => {
+    const system = new ParameterSystem();
+    assertEqual(system.fire('nope'), false, 'fire() should return false');
+  });
+
+  TestRunner.test('should refuse to fire non-trigger parameters', () => {
+    const system = new ParameterSystem();
+    system.register('flag', 'boolean', false);
+    let threw = false;
+    try {
+      system.fire('flag');
+    } catch (e) {
+      threw = e instanceof TypeError;
+    }
+    assert(threw, 'Should throw TypeError');
+  });
+
+  TestRunner.test('should notify listeners when fired', () => {
+    const param = new Parameter('flinch', 'trigger', false);
+    let received = null;
+    param.onChange((_name, value) => { received = value; });
+    param.fire();
+    assertEqual(received, true, 'Listener should see true');
+  });
+
+  TestRunner.test('should consume a fired trigger silently', () => {
+    const system = new ParameterSystem();
+    system.register('laugh', 'trigger', false);
+    system.fire('laugh');
+
+    let notified = false;
+    system.get('laugh').onChange(() => { notified = true; });
+    assertEqual(system.consume('laugh'), true, 'consume() should report consumption');
+    assertEqual(system.get('laugh').get(), false, 'Trigger should be reset');
+    assertEqual(notified, false, 'Consuming should not notify listeners');
+    assertEqual(system.consume('laugh'), false, 'Second consume is a no-op');
+  });
+
+  TestRunner.test('should recompute derived parameters when a trigger is consumed', () => {
+    const system = new ParameterSystem();
+    system.register('laugh', 'trigger', false);
+    system.registerDerived('laughing', 'boolean', 'laugh');
+    system.registerDerived('quiet', 'boolean', '!laughing');
+
+    let triggerNotified = false;
+    system.get('laugh').onChange(() => { triggerNotified = true; });
+    system.fire('laugh');
+    assertEqual(system.get('laughing').get(), true, 'Derived sees the fired trigger');
+    triggerNotified = false;
+
+    system.consumeTriggers();
+    assertEqual(system.get('laughing').get(), false, 'Derived resets with the trigger');
+    assertEqual(system.get('quiet').get(), true, 'Chained derived follows');
+    assertEqual(triggerNotified, false, 'Trigger listeners still not notified');
+  });
+
+  TestRunner.test('should defer consumption until deferConsume returns', () => {
+    const system = new ParameterSystem();
+    system.register('laugh', 'trigger', false);
+    system.registerDerived('laughing', 'boolean', 'laugh');
+    system.fire('laugh');
+
+    const result = system.deferConsume(() => {
+      assertEqual(system.consume('laugh'), true, 'Consume reports the fired trigger');
+      assertEqual(system.get('laugh').get(), true, 'Still fired inside');
+      return 'done';
+    });
+    assertEqual(result, 'done', 'Returns what fn returns');
+    assertEqual(system.get('laugh').get(), false, 'Reset afterwards');
+    assertEqual(system.get('laughing').get(), false, 'Derived recomputed afterwards');
+  });
+
+  TestRunner.test('should consume all fired triggers at end of frame', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'trigger', false);
+    system.register('b', 'trigger', false);
+    system.register('c', 'trigger', false);
+    system.register('flag', 'boolean', true);
+    system.fire('a');
+    system.fire('c');
+
+    const consumed = system.consumeTriggers();
+    assertDeepEqual(consumed, ['a', 'c'], 'Should report consumed triggers');
+    assertEqual(system.get('a').get(), false, 'a should be reset');
+    assertEqual(system.get('c').get(), false, 'c should be reset');
+    assertEqual(system.get('flag').get(), true, 'Booleans should be untouched');
+  });
+
+  TestRunner.test('should emit parameter.trigger on the event bus', () => {
+    const system = new ParameterSystem();
+    const emitted = [];
+    system.eventBus = { emit: (event) => emitted.push(event) };
+    system.register('laugh', 'trigger', false);
+    system.fire('laugh');
+    assertEqual(emitted.length, 1, 'Should emit once');
+    assertEqual(emitted[0].type, 'parameter.trigger', 'Event type');
+    assertEqual(emitted[0].payload.name, 'laugh', 'Event payload name');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // SMOOTHING
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Parameter - Smoothing');
+
+  TestRunner.test('should set target without moving current value', () => {
+    const param = new Parameter('head', 'number', 0, { smoothing: { mode: 'linear', maxSpeed: 10 } });
+    param.set(5);
+    assertEqual(param.getTarget(), 5, 'Target should be 5');
+    assertEqual(param.get(), 0, 'Current value should not jump');
+    assertEqual(param.isSettled(), false, 'Should not be settled');
+  });
+
+  TestRunner.test('should move toward target on update', () => {
+    const param = new Parameter('head', 'number', 0, { smoothing: { mode: 'linear', maxSpeed: 10 } });
+    const seen = [];
+    param.onChange((_name, value) => seen.push(value));
+    param.set(5);
+    param.update(0.25);
+    assertEqual(param.get(), 2.5, 'Should move 2.5 units');
+    param.update(1);
+    assertEqual(param.get(), 5, 'Should reach target');
+    assertEqual(param.isSettled(), true, 'Should be settled');
+    assertDeepEqual(seen, [2.5, 5], 'Listeners should fire as the value moves');
+
+    param.update(1);
+    assertEqual(seen.length, 2, 'Settled parameters should not notify');
+  });
+
+  TestRunner.test('should clamp the target before smoothing', () => {
+    const param = new Parameter('head', 'number', 0, { min: -45, max: 45, smoothing: 'spring' });
+    param.set(90);
+    assertEqual(param.getTarget(), 45, 'Target should be clamped');
+  });
+
+  TestRunner.test('should snap past smoothing with snapTo', () => {
+    const param = new Parameter('head', 'number', 0, { smoothing: 'spring' });
+    param.set(20);
+    param.snapTo(10);
+    assertEqual(param.get(), 10, 'Should jump');
+    assertEqual(param.getTarget(), 10, 'Target should follow');
+  });
+
+  TestRunner.test('should apply immediately when current value is null', () => {
+    const param = new Parameter('head', 'number', null, { smoothing: 'spring' });
+    param.set(3);
+    assertEqual(param.get(), 3, 'No starting point to smooth from');
+  });
+
+  TestRunner.test('should move stepped and enum parameters in whole steps', () => {
+    const mouth = new Parameter('mouth', 'number', 0, { min: 0, max: 6, step: 1, smoothing: { mode: 'linear', maxSpeed: 10 } });
+    const seen = [];
+    mouth.onChange((_name, value) => seen.push(value));
+    mouth.set(6);
+    for (let i = 0; i < 10; i++) mouth.update(0.025);
+    // 0.25 per tick: listeners see each whole step once, at its rounding point
+    assertDeepEqual(seen, [1, 2, 3], 'Only whole steps');
+    for (let i = 0; i < 40; i++) mouth.update(0.025);
+    assertEqual(mouth.get(), 6, 'Reaches the target');
+    assert(mouth.isSettled(), 'Settled');
+
+    const mood = new Parameter('mood', 'number', 0, { enum: [0, 10, 20], smoothing: { mode: 'linear', maxSpeed: 100 } });
+    mood.set(20);
+    mood.update(0.08);
+    assertEqual(mood.get(), 10, 'Nearest enum value while gliding');
+    mood.update(0.2);
+    assertEqual(mood.get(), 20, 'Enum target');
+  });
+
+  TestRunner.test('should ignore smoothing on non-number parameters', () => {
+    const param = new Parameter('flag', 'boolean', false, { smoothing: 'spring' });
+    assertEqual(param.smoothing, null, 'Booleans are never smoothed');
+    param.set(true);
+    assertEqual(param.get(), true, 'Should apply immediately');
+  });
+
+  TestRunner.test('should update all parameters through the system', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0, { smoothing: { mode: 'linear', maxSpeed: 1 } });
+    system.register('b', 'number', 0);
+    system.set('a', 1);
+    system.set('b', 1);
+    system.update(0.5);
+    assertEqual(system.get('a').get(), 0.5, 'Smoothed param should move halfway');
+    assertEqual(system.get('b').get(), 1, 'Unsmoothed param should already be set');
+  });
+
+  TestRunner.test('should reset without smoothing', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0, { smoothing: 'spring' });
+    system.get('a').snapTo(5);
+    system.reset();
+    assertEqual(system.get('a').get(), 0, 'Reset should jump to default');
+  });
+
+  TestRunner.test('should carry the smoothing motion in runtime JSON', () => {
+    const system = new ParameterSystem();
+    system.register('mouthState', 'number', 0, { min: 0, max: 6, step: 1, smoothing: { mode: 'linear', maxSpeed: 10 } });
+    system.set('mouthState', 6);
+    system.update(0.05);
+    const param = system.get('mouthState');
+    assert(param.glide !== null, 'Gliding between steps');
+    assertEqual(system.toJSON().mouthState.target, undefined, 'Plain export has no motion');
+
+    const restored = new ParameterSystem();
+    restored.fromJSON(JSON.parse(JSON.stringify(system.toJSON({ runtime: true }))));
+    const copy = restored.get('mouthState');
+    assertEqual(copy.getTarget(), 6, 'Target');
+    assertEqual(copy.velocity, param.velocity, 'Velocity');
+    assertEqual(copy.glide, param.glide, 'Glide');
+    system.update(0.2);
+    restored.update(0.2);
+    assertEqual(copy.get(), param.get(), 'Moves on identically');
+  });
+
+  TestRunner.test('should load and export smoothing from JSON', () => {
+    const system = new ParameterSystem();
+    system.fromJSON({
+      headTurn: { type: 'number', value: 0, smoothing: { mode: 'exponential', smoothTime: 0.3 } }
+    });
+    const param = system.get('headTurn');
+    assertEqual(param.smoothing.mode, 'exponential', 'Mode should load');
+    assertEqual(param.smoothing.smoothTime, 0.3, 'smoothTime should load');
+    assertEqual(system.toJSON().headTurn.smoothing.mode, 'exponential', 'Should export');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // DERIVED PARAMETERS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Parameter - Derived');
+
+  TestRunner.test('should compute a derived value from its dependencies', () => {
+    const system = new ParameterSystem();
+    system.register('isTalking', 'boolean', false);
+    system.register('roastTone', 'number', 0);
+    system.registerDerived('isRoasting', 'boolean', 'isTalking && roastTone > 2');
+    assertEqual(system.get('isRoasting').get(), false, 'Initial value should be computed');
+    system.set('isTalking', true);
+    system.set('roastTone', 3);
+    assertEqual(system.get('isRoasting').get(), true, 'Should recompute on change');
+  });
+
+  TestRunner.test('should record dependencies', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 1);
+    system.register('b', 'number', 2);
+    const sum = system.registerDerived('sum', 'number', 'a + b');
+    assertEqual(sum.dependencies.join(','), 'a,b', 'Dependencies should be a and b');
+    assertEqual(sum.get(), 3, 'Sum should be 3');
+  });
+
+  TestRunner.test('should be read-only through set()', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 1);
+    system.registerDerived('double', 'number', 'a * 2');
+    let threw = false;
+    try {
+      system.set('double', 10);
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('read-only'), 'Error should say read-only');
+    }
+    assert(threw, 'Should throw');
+    assertEqual(system.get('double').get(), 2, 'Value should be unchanged');
+  });
+
+  TestRunner.test('should only notify when a dependency changes the result', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('unrelated', 'number', 0);
+    system.registerDerived('positive', 'boolean', 'a > 0');
+    let calls = 0;
+    system.get('positive').onChange(() => calls++);
+    system.set('unrelated', 5);
+    system.set('a', 1);
+    system.set('a', 2);
+    assertEqual(calls, 1, 'Listener should fire once');
+  });
+
+  TestRunner.test('should chain derived parameters', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 1);
+    system.fromJSON({
+      quad: { type: 'number', expression: 'double * 2' },
+      double: { type: 'number', expression: 'a * 2' }
+    });
+    assertEqual(system.get('quad').get(), 4, 'Chain should resolve regardless of order');
+    system.set('a', 3);
+    assertEqual(system.get('quad').get(), 12, 'Chain should recompute');
+  });
+
+  TestRunner.test('should reject dependency cycles at load time', () => {
+    const system = new ParameterSystem();
+    let threw = false;
+    try {
+      system.fromJSON({
+        a: { type: 'number', expression: 'b + 1' },
+        b: { type: 'number', expression: 'a + 1' }
+      });
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('cycle'), 'Error should mention cycle');
+      assert(e.message.includes('a -> b -> a'), 'Error should show the cycle path');
+    }
+    assert(threw, 'Should throw');
+  });
+
+  TestRunner.test('should reject unknown dependencies', () => {
+    const system = new ParameterSystem();
+    let threw = false;
+    try {
+      system.registerDerived('x', 'boolean', 'missing > 1');
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('"missing"'), 'Error should name the unknown parameter');
+    }
+    assert(threw, 'Should throw');
+    assert(!system.has('x'), 'Failed registration should not leave the parameter behind');
+  });
+
+  TestRunner.test('should export the expression and skip derived values on reset', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.registerDerived('b', 'number', 'a + 1');
+    system.set('a', 4);
+    assertEqual(system.toJSON().b.expression, 'a + 1', 'Expression should be exported');
+    system.reset();
+    assertEqual(system.get('b').get(), 1, 'Derived value should follow reset dependency');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // TRANSACTIONS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('ParameterSystem - Transactions');
+
+  TestRunner.test('should defer listeners until the transaction ends', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('b', 'boolean', false);
+    const seen = [];
+    system.get('a').onChange(() => seen.push(['a', system.get('a').get(), system.get('b').get()]));
+    system.transaction(() => {
+      system.set('a', 1);
+      system.set('a', 2);
+      system.set('b', true);
+      assertEqual(seen.length, 0, 'No listener should run inside the transaction');
+    });
+    assertEqual(seen.length, 1, 'Listener should run once');
+    assertEqual(seen[0].join(','), 'a,2,true', 'Listener should see every value applied');
+  });
+
+  TestRunner.test('should pass the value from before the transaction as oldValue', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 5);
+    let oldValue = null;
+    system.get('a').onChange((_name, _value, old) => { oldValue = old; });
+    system.transaction(() => {
+      system.set('a', 6);
+      system.set('a', 7);
+    });
+    assertEqual(oldValue, 5, 'oldValue should be the pre-transaction value');
+  });
+
+  TestRunner.test('should report every change in one commit callback', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('b', 'number', 0);
+    system.register('c', 'number', 0);
+    const commits = [];
+    system.onCommit(changes => commits.push(changes));
+    system.setMultiple({ a: 1, b: 2, c: 0 }, { atomic: true });
+    assertEqual(commits.length, 1, 'Should commit once');
+    assertEqual(Object.keys(commits[0]).join(','), 'a,b', 'Unchanged values should be left out');
+    assertEqual(commits[0].b.value, 2, 'New value should be reported');
+    assertEqual(commits[0].b.oldValue, 0, 'Old value should be reported');
+  });
+
+  TestRunner.test('should skip listeners for values set back to where they started', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    let calls = 0;
+    system.get('a').onChange(() => calls++);
+    system.transaction(() => {
+      system.set('a', 3);
+      system.set('a', 0);
+    });
+    assertEqual(calls, 0, 'No net change, no listener');
+  });
+
+  TestRunner.test('should roll back and rethrow when the transaction fails', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('b', 'number', 0, { max: 1, outOfRange: 'reject' });
+    let calls = 0;
+    system.get('a').onChange(() => calls++);
+    let threw = false;
+    try {
+      system.setMultiple({ a: 1, b: 5 }, { atomic: true });
+    } catch (e) {
+      threw = e instanceof RangeError;
+    }
+    assert(threw, 'Should rethrow the error');
+    assertEqual(system.get('a').get(), 0, 'a should be rolled back');
+    assertEqual(calls, 0, 'Listeners should not run');
+    assert(!system.inTransaction(), 'Transaction should be closed');
+  });
+
+  TestRunner.test('should join nested transactions to the outer one', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    let calls = 0;
+    system.get('a').onChange(() => calls++);
+    const result = system.transaction(() => {
+      system.transaction(() => system.set('a', 1));
+      assertEqual(calls, 0, 'Inner commit should wait for the outer');
+      return 'done';
+    });
+    assertEqual(result, 'done', 'Should return the callback result');
+    assertEqual(calls, 1, 'Listener should run once');
+  });
+
+  TestRunner.test('should recompute derived parameters after commit', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('b', 'number', 0);
+    system.registerDerived('sum', 'number', 'a + b');
+    const values = [];
+    system.get('sum').onChange((_name, value) => values.push(value));
+    let commit = null;
+    system.onCommit(changes => { commit = changes; });
+    system.setMultiple({ a: 1, b: 2 }, { atomic: true });
+    assertEqual(system.get('sum').get(), 3, 'Sum should be updated');
+    assertEqual(values.join(','), '3', 'Derived listener should see only the final value');
+    assertEqual(commit.sum.value, 3, 'Derived change should be in the commit');
+  });
+
+  TestRunner.test('should keep non-atomic setMultiple notifying per set', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    let commits = 0;
+    system.onCommit(() => commits++);
+    let calls = 0;
+    system.get('a').onChange(() => calls++);
+    system.setMultiple({ a: 1 });
+    assertEqual(calls, 1, 'Listener should run immediately');
+    assertEqual(commits, 0, 'No commit without a transaction');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // RELOADING (fromJSON merge)
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('ParameterSystem - fromJSON Merge');
+
+  TestRunner.test('should update existing parameters in place and keep listeners', () => {
+    const system = new ParameterSystem();
+    const original = system.register('mouthState', 'number', 0);
+    const seen = [];
+    original.onChange((_name, value) => seen.push(value));
+    system.fromJSON({ mouthState: { type: 'number', value: 3, min: 0, max: 6, step: 1 } });
+    assert(system.get('mouthState') === original, 'Parameter object should be kept');
+    assertEqual(original.get(), 3, 'Value should update');
+    assertEqual(original.max, 6, 'Metadata should update');
+    assertEqual(seen.join(','), '3', 'Listener should still be notified');
+  });
+
+  TestRunner.test('should change the type of an existing parameter', () => {
+    const system = new ParameterSystem();
+    system.register('flag', 'number', 1, { min: 0, max: 1 });
+    system.fromJSON({ flag: { type: 'boolean', value: true } });
+    assertEqual(system.get('flag').type, 'boolean', 'Type should update');
+    assertEqual(system.get('flag').max, null, 'Old metadata should be cleared');
+  });
+
+  TestRunner.test('should leave the parameter untouched when new metadata is invalid', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 2, { min: 0, max: 5 });
+    let threw = false;
+    try {
+      system.fromJSON({ a: { type: 'number', value: 1, min: 5, max: 0 } });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw');
+    assertEqual(system.get('a').max, 5, 'Metadata should be unchanged');
+    assertEqual(system.get('a').get(), 2, 'Value should be unchanged');
+  });
+
+  TestRunner.test('should roll back definitions and removals when a later entry fails', () => {
+    const system = new ParameterSystem();
+    const a = system.register('a', 'number', 2, { min: 0, max: 5 });
+    const gone = system.register('gone', 'number', 1);
+    system.register('b', 'number', 0);
+    system.registerDerived('double', 'number', 'gone * 2');
+    let threw = false;
+    try {
+      system.fromJSON({
+        a: { type: 'number', value: 8, max: 10 },
+        fresh: { type: 'boolean', value: true },
+        b: { type: 'bogus' }
+      }, { missing: 'remove' });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw');
+    assertEqual(a.max, 5, 'Metadata should be restored');
+    assertEqual(a.get(), 2, 'Value should be restored');
+    assertEqual(system.get('gone'), gone, 'Removed parameter should be back');
+    assertEqual(gone.system, system, 'And attached again');
+    assert(!system.has('fresh'), 'Added parameter should be gone');
+    assertEqual(system.getAll().map(p => p.name).join(','), 'a,gone,b,double', 'Order should be kept');
+    system.set('gone', 4);
+    assertEqual(system.get('double').get(), 8, 'Derived links should be restored');
+  });
+
+  TestRunner.test('should keep missing parameters by default', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.fromJSON({ b: { type: 'number', value: 1 } });
+    assert(system.has('a'), 'a should be kept');
+    assert(system.has('b'), 'b should be added');
+  });
+
+  TestRunner.test('should remove missing parameters with the remove policy', () => {
+    const system = new ParameterSystem();
+    const a = system.register('a', 'number', 0);
+    system.register('b', 'number', 0);
+    system.fromJSON({ b: { type: 'number', value: 1 } }, { missing: 'remove' });
+    assert(!system.has('a'), 'a should be removed');
+    assertEqual(a.system, null, 'Removed parameter should be detached');
+    assertEqual(system.get('b').get(), 1, 'b should update');
+  });
+
+  TestRunner.test('should reject unknown missing-parameter policies', () => {
+    const system = new ParameterSystem();
+    let threw = false;
+    try {
+      system.fromJSON({}, { missing: 'ignore' });
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('policy'), 'Error should mention the policy');
+    }
+    assert(threw, 'Should throw');
+  });
+
+  TestRunner.test('should report a reload as one commit', () => {
+    const system = new ParameterSystem();
+    system.register('a', 'number', 0);
+    system.register('b', 'number', 0);
+    const commits = [];
+    system.onCommit(changes => commits.push(Object.keys(changes).join(',')));
+    system.fromJSON({ a: { type: 'number', value: 1 }, b: { type: 'number', value: 2 } });
+    assertEqual(commits.join('|'), 'a,b', 'Both changes should arrive together');
+  });
+
   return TestRunner.summary();
 }
@@ -5,10 +5,11 @@
  * world-transform computation, animation playback, keyframe interpolation.
  */
 
-import { TestRunner, assert, assertEqual } from './test-helpers.js';
+import { TestRunner, assert, assertEqual, assertDeepEqual } from './test-helpers.js';
 import {
   Bone,
   Armature,
+  AnimationLayer,
   ArmatureDisplay,
   DragonBonesRigging
 } from '../src/rigging/dragon-bones.js';
@@ -520,6 +521,374 @@ export async function runRiggingTests() {
     assertApprox(bone.rotation, 1.0, 'Rotation clamped to end value');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // Crossfade
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Armature - Crossfade');
+
+  /** Two bones, one clip each, holding a constant pose. */
+  function makeCrossfadeArmature() {
+    const armature = new Armature();
+    const spine = new Bone('spine');
+    const head = new Bone('head');
+    spine.addChild(head);
+    armature.addBone(spine);
+    armature.addBone(head);
+    armature.root = spine;
+    armature.addAnimation('lean', {
+      duration: 1.0,
+      tracks: [{ boneName: 'spine', keyframes: [{ time: 0, rotation: 1 }, { time: 1, rotation: 1 }] }]
+    });
+    armature.addAnimation('bow', {
+      duration: 1.0,
+      tracks: [{ boneName: 'spine', keyframes: [{ time: 0, rotation: 3 }, { time: 1, rotation: 3 }] }]
+    });
+    return { armature, spine, head };
+  }
+
+  TestRunner.test('crossFade should blend the outgoing clip into the incoming one', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 0.4);
+    assertEqual(armature.currentAnimationName, 'bow', 'Incoming clip is current');
+
+    armature.advanceTime(0.2);
+    assertApprox(spine.rotation, 2, 'Halfway between 1 and 3');
+    armature.advanceTime(0.2);
+    assertApprox(spine.rotation, 3, 'Fully blended in');
+    assertEqual(armature.crossfade, null, 'Crossfade should end');
+  });
+
+  TestRunner.test('crossFade should apply the easing curve', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 1, { easing: 'easeIn' });
+    armature.advanceTime(0.5);
+    assertApprox(spine.rotation, 1.5, 'easeIn gives weight 0.25 at the midpoint');
+  });
+
+  TestRunner.test('crossFade should leave bones neither clip animates', () => {
+    const { armature, head } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 0.5);
+    head.rotation = 0.7; // e.g. set by a headTurn listener
+    armature.advanceTime(0.25);
+    assertApprox(head.rotation, 0.7, 'Head should keep its directly set rotation');
+  });
+
+  TestRunner.test('crossFade calls before time passes should keep the original outgoing clip', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('lean', 0.4);
+    armature.crossFade('bow', 0.4);
+    armature.advanceTime(0.2);
+    assertApprox(spine.rotation, 2, 'Should blend from lean, not from a restarted lean');
+  });
+
+  TestRunner.test('interrupting a crossfade should blend from the reached pose', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 0.4);
+    armature.advanceTime(0.2); // spine at 2
+    armature.crossFade('lean', 0.4);
+    armature.advanceTime(0.2);
+    assertApprox(spine.rotation, 1.5, 'Halfway from the reached pose (2) back to lean (1)');
+  });
+
+  TestRunner.test('crossFade with zero duration should hard cut', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 0);
+    assertEqual(armature.crossfade, null, 'No crossfade');
+    armature.advanceTime(0.1);
+    assertApprox(spine.rotation, 3, 'Incoming pose applied at once');
+  });
+
+  TestRunner.test('play should cancel a running crossfade', () => {
+    const { armature, spine } = makeCrossfadeArmature();
+    armature.play('lean');
+    armature.advanceTime(0.1);
+    armature.crossFade('bow', 1);
+    armature.play('bow');
+    armature.advanceTime(0.1);
+    assertApprox(spine.rotation, 3, 'play() should hard cut');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // Layers
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Armature - Layers');
+
+  function makeLayeredArmature() {
+    const armature = new Armature();
+    const spine = new Bone('spine');
+    const head = new Bone('head');
+    const jaw = new Bone('jaw');
+    spine.addChild(head);
+    head.addChild(jaw);
+    [spine, head, jaw].forEach(bone => armature.addBone(bone));
+    armature.root = spine;
+    const hold = (boneName, rotation) => ({
+      duration: 1.0,
+      tracks: [{ boneName, keyframes: [{ time: 0, rotation }, { time: 1, rotation }] }]
+    });
+    armature.addAnimation('talking', {
+      duration: 1.0,
+      tracks: [
+        { boneName: 'spine', keyframes: [{ time: 0, rotation: 1 }, { time: 1, rotation: 1 }] },
+        { boneName: 'jaw', keyframes: [{ time: 0, rotation: 0.1 }, { time: 1, rotation: 0.1 }] }
+      ]
+    });
+    armature.addAnimation('mouth_a', hold('jaw', 0.4));
+    armature.addAnimation('mouth_o', hold('jaw', 0.8));
+    armature.addAnimation('tilt', hold('head', 0.2));
+    armature.addAnimation('lean', hold('spine', 2));
+    return { armature, spine, head, jaw };
+  }
+
+  TestRunner.test('an override layer should not stop the base clip', () => {
+    const { armature, spine, jaw } = makeLayeredArmature();
+    armature.play('talking');
+    armature.addLayer('face', { mask: ['head'] }).play('mouth_a');
+    armature.advanceTime(0.1);
+    assertEqual(armature.currentAnimationName, 'talking', 'Base clip keeps playing');
+    assertApprox(spine.rotation, 1, 'Base pose outside the mask');
+    assertApprox(jaw.rotation, 0.4, 'Layer wins inside the mask');
+  });
+
+  TestRunner.test('masks should include descendants and exclude other bones', () => {
+    const { armature } = makeLayeredArmature();
+    const layer = armature.addLayer('face', { mask: ['head'] });
+    assertEqual([...layer.bones].sort().join(','), 'head,jaw', 'head and its child');
+    assertEqual(armature.addLayer('all').bones.size, 3, 'No mask covers every bone');
+
+    const { armature: other, spine } = makeLayeredArmature();
+    other.addLayer('face', { mask: ['head'] }).play('lean');
+    other.advanceTime(0.1);
+    assertApprox(spine.rotation, 0, 'Masked-out bone is untouched');
+  });
+
+  TestRunner.test('weight should blend without compounding across frames', () => {
+    const { armature, jaw } = makeLayeredArmature();
+    armature.addLayer('face', { mask: ['jaw'], weight: 0.5 }).play('mouth_a');
+    for (let i = 0; i < 5; i++) armature.advanceTime(0.1);
+    assertApprox(jaw.rotation, 0.2, 'Half way to the layer pose, every frame');
+    armature.getLayer('face').setWeight(2);
+    assertEqual(armature.getLayer('face').weight, 1, 'Weight clamped');
+  });
+
+  TestRunner.test('an additive layer should add to the pose below it', () => {
+    const { armature, head } = makeLayeredArmature();
+    head.rotation = 0.3;
+    armature.addLayer('nod', { blendMode: 'additive', weight: 0.5 }).play('tilt');
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, 0.4, '0.3 + 0.2 * 0.5');
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, 0.4, 'Offset is not added twice');
+  });
+
+  TestRunner.test('layers should apply in order', () => {
+    const { armature, jaw } = makeLayeredArmature();
+    armature.addLayer('mouth', { mask: ['jaw'] }).play('mouth_a');
+    armature.addLayer('shout', { mask: ['jaw'] }).play('mouth_o');
+    armature.advanceTime(0.1);
+    assertApprox(jaw.rotation, 0.8, 'Later layer wins');
+  });
+
+  TestRunner.test('removing or stopping a layer should restore the base pose', () => {
+    const { armature, jaw } = makeLayeredArmature();
+    const layer = armature.addLayer('face', { mask: ['jaw'] });
+    layer.play('mouth_a');
+    armature.advanceTime(0.1);
+    layer.stop();
+    armature.advanceTime(0.1);
+    assertApprox(jaw.rotation, 0, 'Back to the unlayered pose');
+  });
+
+  TestRunner.test('bones set directly between frames should be kept', () => {
+    const { armature, head } = makeLayeredArmature();
+    armature.addLayer('nod', { blendMode: 'additive' }).play('tilt');
+    armature.advanceTime(0.1);
+    head.rotation = 1;
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, 1.2, 'New value becomes the base');
+  });
+
+  TestRunner.test('layer crossFade should blend from the layer pose', () => {
+    const { armature, jaw } = makeLayeredArmature();
+    const layer = armature.addLayer('face', { mask: ['jaw'] });
+    layer.play('mouth_a');
+    armature.advanceTime(0.1);
+    layer.crossFade('mouth_o', 0.4);
+    armature.advanceTime(0.2);
+    assertApprox(jaw.rotation, 0.6, 'Halfway between 0.4 and 0.8');
+    armature.advanceTime(0.2);
+    assertEqual(layer.crossfade, null, 'Crossfade should end');
+  });
+
+  TestRunner.test('should reject bad blend modes and duplicate names', () => {
+    const { armature } = makeLayeredArmature();
+    const threw = (fn) => {
+      try {
+        fn();
+      } catch (_e) {
+        return true;
+      }
+      return false;
+    };
+    assert(threw(() => armature.addLayer('face', { blendMode: 'multiply' })), 'Unknown blend mode');
+    assert(armature.addLayer('face') instanceof AnimationLayer, 'Returns the layer');
+    assert(threw(() => armature.addLayer('face')), 'Duplicate name');
+    assert(armature.removeLayer('face'), 'Removed');
+    assertEqual(armature.getLayer('face'), null, 'Gone');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // Blend clips
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Armature - Blend Clips');
+
+  function makeLookArmature() {
+    const armature = new Armature();
+    const head = new Bone('head');
+    armature.addBone(head);
+    armature.root = head;
+    const pose = (rotation, x = 0) => ({
+      duration: 1.0,
+      tracks: [{ boneName: 'head', keyframes: [{ time: 0, rotation, position: { x, y: 0 } }] }]
+    });
+    armature.addAnimation('look_left', pose(-1, -10));
+    armature.addAnimation('look_center', pose(0));
+    armature.addAnimation('look_right', pose(1, 10));
+    armature.addBlendClip('look', ['look_left', 'look_center', 'look_right']);
+    return { armature, head };
+  }
+
+  TestRunner.test('should mix clips by weight', () => {
+    const { armature, head } = makeLookArmature();
+    armature.play('look');
+    armature.setBlendWeights('look', [0, 0.5, 0.5]);
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, 0.5, 'Halfway to look_right');
+    assertApprox(head.position.x, 5, 'Positions mix too');
+  });
+
+  TestRunner.test('should normalize weights and accept names', () => {
+    const { armature, head } = makeLookArmature();
+    armature.play('look');
+    armature.setBlendWeights('look', { look_left: 3, look_center: 1 });
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, -0.75, 'Weights 0.75 / 0.25');
+    armature.setBlendWeights('look', [0, 0, 0]);
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, -0.75, 'All-zero weights are ignored');
+  });
+
+  TestRunner.test('should crossfade and layer like a clip', () => {
+    const { armature, head } = makeLookArmature();
+    armature.play('look_left');
+    armature.advanceTime(0.1);
+    armature.setBlendWeights('look', [0, 0, 1]);
+    armature.crossFade('look', 0.4);
+    armature.advanceTime(0.2);
+    assertApprox(head.rotation, 0, 'Halfway from -1 to 1');
+
+    const { armature: layered, head: layeredHead } = makeLookArmature();
+    layered.setBlendWeights('look', [1, 1, 0]);
+    layered.addLayer('face').play('look');
+    layered.advanceTime(0.1);
+    assertApprox(layeredHead.rotation, -0.5, 'Blend clip on a layer');
+  });
+
+  TestRunner.test('should keep slots for unknown clips and report the longest duration', () => {
+    const { armature } = makeLookArmature();
+    armature.addAnimation('long', { duration: 3, tracks: [] });
+    armature.addBlendClip('mixed', ['missing', 'look_left', 'long']);
+    const clip = armature.animations.get('mixed');
+    assertEqual(clip.motions.map(m => m.name).join(','), 'missing,look_left,long', 'Every name keeps its slot');
+    assertEqual(clip.motions[0].animation, null, 'Unknown clip is a placeholder');
+    assertDeepEqual(clip.motions.map(m => m.weight), [0, 1, 0], 'First known clip starts weighted');
+    assertEqual(clip.duration, 3, 'Longest clip');
+  });
+
+  TestRunner.test('should keep weight indices aligned past an unknown clip', () => {
+    const { armature, head } = makeLookArmature();
+    armature.addBlendClip('gap', ['look_left', 'missing', 'look_right']);
+    armature.setBlendWeights('gap', [0, 0, 1]);
+    armature.play('gap');
+    armature.advanceTime(0.1);
+    assertApprox(head.rotation, 1, 'Third weight drives look_right');
+
+    const { armature: mixed, head: mixedHead } = makeLookArmature();
+    mixed.addBlendClip('gap', ['look_left', 'missing', 'look_right']);
+    mixed.setBlendWeights('gap', [1, 1, 0]);
+    mixed.play('gap');
+    mixed.advanceTime(0.1);
+    assertApprox(mixedHead.rotation, -0.5, 'Unknown clip mixes in the base pose');
+  });
+
+  TestRunner.category('Armature - Runtime State');
+
+  /** Rig mid-crossfade with a layer, a blend clip and a bone set directly. */
+  function makeBusyRigging(state) {
+    const rigging = new DragonBonesRigging();
+    rigging.loadArmature(makeSkeletonData());
+    rigging.addLayer('face', { mask: ['head'] });
+    rigging.addBlendClip('mix', ['idle', 'wave']);
+    if (state) {
+      rigging.restoreState(state);
+      return rigging;
+    }
+    rigging.playAnimation('idle');
+    rigging.update(0.3);
+    rigging.crossfadeAnimation('scaleAnim', 0.5);
+    rigging.setLayerWeight('face', 0.5);
+    rigging.playAnimation('wave', -1, { layer: 'face' });
+    rigging.setBlendWeights('mix', [1, 3]);
+    rigging.update(0.2);
+    rigging.setBoneRotation('root', 45);
+    return rigging;
+  }
+
+  TestRunner.test('captureState/restoreState should resume the same frame', () => {
+    const original = makeBusyRigging();
+    const state = JSON.parse(JSON.stringify(original.captureState()));
+    const restored = makeBusyRigging(state);
+    assertEqual(JSON.stringify(restored.captureState()), JSON.stringify(state), 'Same state after restore');
+    assertApprox(restored.getBone('root').rotation, Math.PI / 4, 'Bone set directly');
+    assertEqual(restored.armature.fadingAnimation.animation, restored.armature.animations.get('idle'), 'Outgoing clip');
+    assertEqual(restored.layers.get('face').weight, 0.5, 'Layer weight kept for later armatures');
+
+    original.update(0.15);
+    restored.update(0.15);
+    assertEqual(JSON.stringify(restored.captureState()), JSON.stringify(original.captureState()), 'Next frame matches');
+  });
+
+  TestRunner.test('restoreState should skip clips that no longer exist', () => {
+    const armature = new Armature();
+    armature.addBone(new Bone('root'));
+    armature.restoreState({
+      bones: { root: { rotation: 1, x: 0, y: 0, scaleX: 1, scaleY: 1 }, gone: { rotation: 1, x: 0, y: 0, scaleX: 1, scaleY: 1 } },
+      playback: { animation: 'gone', time: 0.5, playTimes: -1, loopCount: 2, isPlaying: true },
+      crossfade: null,
+      fading: null,
+      layerBase: {},
+      layerOutput: {},
+      layers: [{ name: 'gone' }],
+      blendWeights: {}
+    });
+    assertEqual(armature.getBone('root').rotation, 1, 'Known bone restored');
+    assertEqual(armature.currentAnimation, null, 'Unknown clip');
+    assertEqual(armature.isPlaying, false, 'Not playing');
+    assertEqual(new DragonBonesRigging().captureState(), null, 'No armature');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // DragonBonesRigging public API
   // ─────────────────────────────────────────────────────────────────
@@ -684,6 +1053,75 @@ export async function runRiggingTests() {
     assertEqual(rigging.armatureDisplay.scaleY, 3, 'Display scaleY = 3');
   });
 
+  TestRunner.test('crossfadeAnimation delegates to the armature', () => {
+    const rigging = new DragonBonesRigging();
+    rigging.loadArmature(makeSkeletonData());
+    rigging.playAnimation('idle');
+    rigging.crossfadeAnimation('wave', 0.5, { easing: 'easeOut' });
+    assertEqual(rigging.armature.currentAnimationName, 'wave', 'Incoming animation is current');
+    assertEqual(rigging.armature.crossfade.easing, 'easeOut', 'Easing is passed through');
+  });
+
+  TestRunner.test('getAnimationDuration reads registered clips', () => {
+    const rigging = new DragonBonesRigging();
+    assertEqual(rigging.getAnimationDuration('wave'), undefined, 'Unknown before loading');
+    rigging.loadArmature(makeSkeletonData());
+    assertEqual(rigging.getAnimationDuration('wave'), 2.0, 'Duration of wave');
+    assertEqual(rigging.getAnimationDuration('missing'), undefined, 'Unknown clip');
+  });
+
+  TestRunner.test('getAnimationBones lists the bones clips key', () => {
+    const rigging = new DragonBonesRigging();
+    assertDeepEqual(rigging.getAnimationBones(['wave']), [], 'None before loading');
+    rigging.loadArmature(makeSkeletonData());
+    assertDeepEqual(rigging.getAnimationBones(['wave', 'idle', 'scaleAnim', 'missing']), ['head', 'spine'], 'Each bone once');
+    rigging.addBlendClip('mix', ['wave']);
+    assertDeepEqual(rigging.getAnimationBones(['mix']), ['head'], 'Blend clip motions');
+  });
+
+  TestRunner.test('crossfadeAnimation before loadArmature should not throw', () => {
+    const rigging = new DragonBonesRigging();
+    rigging.crossfadeAnimation('idle', 0.5);
+  });
+
+  TestRunner.test('layers defined before loading should be created on the armature', () => {
+    const rigging = new DragonBonesRigging();
+    rigging.addLayer('face', { mask: ['head'], blendMode: 'additive', weight: 0.5 });
+    rigging.loadArmature(makeSkeletonData());
+    const layer = rigging.armature.getLayer('face');
+    assertEqual(layer.blendMode, 'additive', 'Blend mode');
+    assertEqual(layer.bones.has('head'), true, 'Mask expanded against the loaded bones');
+
+    rigging.setLayerWeight('face', 0.25);
+    assertEqual(layer.weight, 0.25, 'Weight updated');
+    rigging.loadArmature(makeSkeletonData());
+    assertEqual(rigging.armature.getLayer('face').weight, 0.25, 'Weight kept across reloads');
+  });
+
+  TestRunner.test('blend clips defined before loading should keep their weights', () => {
+    const rigging = new DragonBonesRigging();
+    rigging.addBlendClip('mix', ['idle', 'wave']);
+    rigging.setBlendWeights('mix', [1, 3]);
+    rigging.loadArmature(makeSkeletonData());
+    const clip = rigging.armature.animations.get('mix');
+    assertEqual(clip.motions[1].weight, 0.75, 'Weights applied to the loaded armature');
+    assertEqual(rigging.getAnimationDuration('mix'), 2.0, 'Duration of the longest clip');
+  });
+
+  TestRunner.test('playAnimation should target a layer by name', () => {
+    const rigging = new DragonBonesRigging();
+    rigging.loadArmature(makeSkeletonData());
+    rigging.addLayer('face', { mask: ['head'] });
+    rigging.playAnimation('idle');
+    rigging.playAnimation('wave', -1, { layer: 'face' });
+    assertEqual(rigging.armature.currentAnimationName, 'idle', 'Base playback unchanged');
+    assertEqual(rigging.armature.getLayer('face').currentAnimationName, 'wave', 'Layer playback');
+    rigging.stopAnimation('wave', { layer: 'face' });
+    assertEqual(rigging.armature.getLayer('face').currentAnimationName, null, 'Layer stopped');
+    rigging.playAnimation('wave', -1, { layer: 'missing' });
+    assertEqual(rigging.removeLayer('face'), true, 'Removed');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // ArmatureDisplay
   // ─────────────────────────────────────────────────────────────────
@@ -7,7 +7,13 @@
 
 import { TestRunner } from './test-helpers.js';
 import { runParameterTests } from './parameter-tests.js';
+import { runSmoothingTests } from './smoothing-tests.js';
+import { runExpressionTests } from './expression-tests.js';
+import { runDriversTests } from './drivers-tests.js';
+import { runBlendTreeTests } from './blend-tree-tests.js';
+import { runParameterRecorderTests } from './parameter-recorder-tests.js';
 import { runStateMachineTests } from './state-machine-tests.js';
+import { runStateActionsTests } from './state-actions-tests.js';
 import { runAnimatorTests } from './animator-tests.js';
 import { runFileFormatTests } from './file-format-tests.js';
 import { runRiggingTests } from './rigging-tests.js';
@@ -30,12 +36,48 @@ async function runAll() {
   totalPassed += paramResult.passed;
   totalFailed += paramResult.failed;
 
+  // ── Smoothing Tests ──────────────────────────────────────────────
+  TestRunner.reset();
+  const smoothResult = await runSmoothingTests();
+  totalPassed += smoothResult.passed;
+  totalFailed += smoothResult.failed;
+
+  // ── Expression Tests ─────────────────────────────────────────────
+  TestRunner.reset();
+  const exprResult = await runExpressionTests();
+  totalPassed += exprResult.passed;
+  totalFailed += exprResult.failed;
+
+  // ── Drivers Tests ────────────────────────────────────────────────
+  TestRunner.reset();
+  const driverResult = await runDriversTests();
+  totalPassed += driverResult.passed;
+  totalFailed += driverResult.failed;
+
+  // ── Blend Tree Tests ─────────────────────────────────────────────
+  TestRunner.reset();
+  const blendResult = await runBlendTreeTests();
+  totalPassed += blendResult.passed;
+  totalFailed += blendResult.failed;
+
+  // ── Parameter Recorder Tests ─────────────────────────────────────
+  TestRunner.reset();
+  const recResult = await runParameterRecorderTests();
+  totalPassed += recResult.passed;
+  totalFailed += recResult.failed;
+
   // ── State Machine Tests ──────────────────────────────────────────
   TestRunner.reset();
   const smResult = await runStateMachineTests();
   totalPassed += smResult.passed;
   totalFailed += smResult.failed;
 
+  // ── State Actions Tests ──────────────────────────────────────────
+  TestRunner.reset();
+  const actionsResult = await runStateActionsTests();
+  totalPassed += actionsResult.passed;
+  totalFailed += actionsResult.failed;
+
   // ── Animator Tests ───────────────────────────────────────────────
   TestRunner.reset();
   const animResult = await runAnimatorTests();
@@ -84,7 +126,13 @@ async function runAll() {
   console.log('GRAND TOTAL');
   console.log('===================================================');
   console.log(`  Parameter tests:      ${paramResult.passed}/${paramResult.total} passed`);
+  console.log(`  Smoothing tests:      ${smoothResult.passed}/${smoothResult.total} passed`);
+  console.log(`  Expression tests:     ${exprResult.passed}/${exprResult.total} passed`);
+  console.log(`  Drivers tests:        ${driverResult.passed}/${driverResult.total} passed`);
+  console.log(`  Blend Tree tests:     ${blendResult.passed}/${blendResult.total} passed`);
+  console.log(`  Recorder tests:       ${recResult.passed}/${recResult.total} passed`);
   console.log(`  State Machine tests:  ${smResult.passed}/${smResult.total} passed`);
+  console.log(`  State Actions tests:  ${actionsResult.passed}/${actionsResult.total} passed`);
   console.log(`  Animator tests:       ${animResult.passed}/${animResult.total} passed`);
   console.log(`  File Format tests:    ${ffResult.passed}/${ffResult.total} passed`);
   console.log(`  Rigging tests:        ${rigResult.passed}/${rigResult.total} passed`);
@@ -0,0 +1,126 @@
+/**
+ * Tests for parameter smoothing step functions
+ */
+
+import { TestRunner, assert, assertEqual } from './test-helpers.js';
+import { SMOOTHING_MODES, normalizeSmoothing, stepSmoothing } from '../src/core/smoothing.js';
+
+/**
+ * Step a smoothing config at 60fps for a number of seconds
+ */
+function simulate(config, from, to, seconds, dt = 1 / 60) {
+  let value = from;
+  let velocity = 0;
+  const values = [];
+  for (let t = 0; t < seconds; t += dt) {
+    ({ value, velocity } = stepSmoothing(config, value, to, velocity, dt));
+    values.push(value);
+  }
+  return values;
+}
+
+export async function runSmoothingTests() {
+  console.log('Smoothing Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // CONFIG NORMALISATION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Smoothing - normalizeSmoothing');
+
+  TestRunner.test('should expose the supported modes', () => {
+    assertEqual(SMOOTHING_MODES.join(','), 'spring,exponential,linear', 'Modes should match');
+  });
+
+  TestRunner.test('should accept a mode string shorthand', () => {
+    const config = normalizeSmoothing('spring');
+    assertEqual(config.mode, 'spring', 'Mode should be spring');
+    assertEqual(config.smoothTime, 0.1, 'Default smoothTime should be 0.1');
+    assertEqual(config.maxSpeed, null, 'No maxSpeed by default');
+  });
+
+  TestRunner.test('should reject unknown modes', () => {
+    let threw = false;
+    try {
+      normalizeSmoothing({ mode: 'bouncy' });
+    } catch (e) {
+      threw = true;
+      assert(e.message.includes('Invalid smoothing mode'), 'Error should mention mode');
+    }
+    assert(threw, 'Should throw');
+  });
+
+  TestRunner.test('should require maxSpeed for linear mode', () => {
+    let threw = false;
+    try {
+      normalizeSmoothing({ mode: 'linear' });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw without maxSpeed');
+  });
+
+  TestRunner.test('should reject non-positive smoothTime', () => {
+    let threw = false;
+    try {
+      normalizeSmoothing({ mode: 'exponential', smoothTime: 0 });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Should throw for smoothTime 0');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // STEPPING
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('Smoothing - stepSmoothing');
+
+  TestRunner.test('spring should approach target without overshoot', () => {
+    const config = normalizeSmoothing({ mode: 'spring', smoothTime: 0.2 });
+    const values = simulate(config, 0, 10, 2);
+    assert(values.every(v => v <= 10), 'Should never overshoot');
+    assert(values[1] > values[0], 'Should move toward target');
+    assertEqual(values[values.length - 1], 10, 'Should settle on target');
+  });
+
+  TestRunner.test('spring should respect maxSpeed', () => {
+    const config = normalizeSmoothing({ mode: 'spring', smoothTime: 0.1, maxSpeed: 5 });
+    const { value } = stepSmoothing(config, 0, 100, 0, 0.1);
+    assert(value <= 5, `Should cover at most maxSpeed * smoothTime per step, got ${value}`);
+  });
+
+  TestRunner.test('exponential should close most of the gap in one smoothTime', () => {
+    const config = normalizeSmoothing({ mode: 'exponential', smoothTime: 0.5 });
+    const { value } = stepSmoothing(config, 0, 1, 0, 0.5);
+    assert(Math.abs(value - (1 - Math.exp(-1))) < 1e-9, 'Should follow exp decay');
+  });
+
+  TestRunner.test('linear should move at maxSpeed', () => {
+    const config = normalizeSmoothing({ mode: 'linear', maxSpeed: 90 });
+    const { value } = stepSmoothing(config, 0, 45, 0, 0.25);
+    assertEqual(value, 22.5, 'Should move 90 * 0.25 units');
+    const down = stepSmoothing(config, 45, 0, 0, 0.25);
+    assertEqual(down.value, 22.5, 'Should move down as well');
+  });
+
+  TestRunner.test('linear should land exactly on target', () => {
+    const config = normalizeSmoothing({ mode: 'linear', maxSpeed: 90 });
+    const { value } = stepSmoothing(config, 40, 45, 0, 1);
+    assertEqual(value, 45, 'Should not overshoot');
+  });
+
+  TestRunner.test('should snap onto target within precision', () => {
+    const config = normalizeSmoothing({ mode: 'exponential', smoothTime: 0.1, precision: 0.5 });
+    const result = stepSmoothing(config, 9.7, 10, 3, 0.01);
+    assertEqual(result.value, 10, 'Should snap');
+    assertEqual(result.velocity, 0, 'Velocity should reset');
+  });
+
+  TestRunner.test('should not move for zero deltaTime', () => {
+    const config = normalizeSmoothing('spring');
+    const result = stepSmoothing(config, 1, 10, 0, 0);
+    assertEqual(result.value, 1, 'Should stay put');
+  });
+
+  return TestRunner.summary();
+}
@@ -0,0 +1,189 @@
+/**
+ * Tests for declarative state actions
+ */
+
+import { TestRunner, assert, assertEqual, assertDeepEqual, catchError } from './test-helpers.js';
+import { createStateActions, runStateActions } from '../src/core/state-actions.js';
+import { StateMachine } from '../src/core/state-machine.js';
+import { ParameterSystem } from '../src/core/parameter.js';
+import { DriverSystem } from '../src/core/drivers.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { AudioSync } from '../src/audio-sync.js';
+
+function createTargets() {
+  const parameters = new ParameterSystem();
+  parameters.register('roastTone', 'number', 0, { min: 0, max: 3 });
+  parameters.register('laugh', 'trigger', false);
+  parameters.register('eyeState', 'number', 0);
+  const drivers = new DriverSystem(parameters);
+  drivers.add('blink', { parameter: 'eyeState', type: 'pulse', interval: 1, enabled: false });
+  const eventBus = new EventBus();
+  const audioSync = new AudioSync({ eventBus, parameterSystem: parameters });
+  return { parameters, drivers, eventBus, audioSync };
+}
+
+export async function runStateActionsTests() {
+  console.log('State Actions Test Suite');
+  console.log('===================================================\n');
+
+  // ─────────────────────────────────────────────────────────────────
+  // DEFINITIONS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('State Actions - Definitions');
+
+  TestRunner.test('should fill in missing moments', () => {
+    const actions = createStateActions('roasting', { enter: [{ type: 'fire', parameter: 'laugh' }] });
+    assertEqual(actions.enter.length, 1, 'Enter');
+    assertDeepEqual(actions.exit, [], 'Exit');
+    assertDeepEqual(actions.active, [], 'Active');
+  });
+
+  TestRunner.test('should reject bad actions', () => {
+    assert(catchError(() => createStateActions('s', { during: [] }))?.message.includes('Invalid action moment'), 'Moment');
+    assert(catchError(() => createStateActions('s', { enter: [{ type: 'dance' }] }))?.message.includes('Invalid action type'), 'Type');
+    assert(catchError(() => createStateActions('s', { enter: [{ type: 'emit' }] }))?.message.includes('missing "event"'), 'Event');
+    assert(catchError(() => createStateActions('s', { enter: [{ type: 'set', parameter: 'roastTone' }] }))?.message.includes('missing "value"'), 'Value');
+  });
+
+  TestRunner.test('should check parameters and drivers when given', () => {
+    const { parameters, drivers } = createTargets();
+    const define = (action) => catchError(() => createStateActions('s', { enter: [action] }, { parameters, drivers }))?.message ?? null;
+    assert(define({ type: 'set', parameter: 'tone', value: 1 }).includes('unknown parameter "tone"'), 'Unknown parameter');
+    assert(define({ type: 'fire', parameter: 'roastTone' }).includes('needs a trigger'), 'Fire needs a trigger');
+    assert(define({ type: 'startDriver', driver: 'sway' }).includes('unknown driver "sway"'), 'Unknown driver');
+    assertEqual(define({ type: 'startDriver', driver: 'blink' }), null, 'Valid');
+  });
+
+  TestRunner.test('should reject derived targets and active audio', () => {
+    const { parameters } = createTargets();
+    parameters.registerDerived('isAngry', 'boolean', 'roastTone > 2');
+    parameters.linkDerived();
+    const define = (moment, action) => catchError(() => createStateActions('s', { [moment]: [action] }, { parameters }))?.message ?? null;
+    assert(define('enter', { type: 'set', parameter: 'isAngry', value: true }).includes('read-only'), 'Derived set');
+    assert(define('active', { type: 'playAudio', url: 'roast.mp3' }).includes('cannot be active'), 'Active playAudio');
+    assertEqual(define('enter', { type: 'playAudio', url: 'roast.mp3' }), null, 'Enter playAudio');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // RUNNING
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('State Actions - Running');
+
+  TestRunner.test('should set and fire parameters and toggle drivers', () => {
+    const targets = createTargets();
+    runStateActions([
+      { type: 'set', parameter: 'roastTone', value: 2 },
+      { type: 'fire', parameter: 'laugh' },
+      { type: 'startDriver', driver: 'blink' }
+    ], targets, 'roasting');
+    assertEqual(targets.parameters.get('roastTone').get(), 2, 'Set');
+    assertEqual(targets.parameters.get('laugh').get(), true, 'Fired');
+    assertEqual(targets.drivers.isEnabled('blink'), true, 'Driver started');
+    runStateActions([{ type: 'stopDriver', driver: 'blink' }], targets, 'roasting');
+    assertEqual(targets.drivers.isEnabled('blink'), false, 'Driver stopped');
+  });
+
+  TestRunner.test('should skip active actions that would change nothing', () => {
+    const targets = createTargets();
+    const changes = [];
+    targets.parameters.get('roastTone').onChange((name, value) => changes.push(value));
+    const active = [{ type: 'set', parameter: 'roastTone', value: 3 }, { type: 'fire', parameter: 'laugh' }];
+    runStateActions(active, targets, 'roasting', 'active');
+    runStateActions(active, targets, 'roasting', 'active');
+    assertDeepEqual(changes, [3], 'Set once');
+    const triggers = [];
+    targets.eventBus.on('parameter.trigger', e => triggers.push(e.payload.name));
+    runStateActions(active, targets, 'roasting', 'active');
+    assertDeepEqual(triggers, [], 'Not fired again while still set');
+    targets.parameters.set('roastTone', 1);
+    runStateActions(active, targets, 'roasting', 'active');
+    assertEqual(targets.parameters.get('roastTone').get(), 3, 'Set again once changed');
+  });
+
+  TestRunner.test('should emit custom events with the state', () => {
+    const targets = createTargets();
+    const received = [];
+    targets.eventBus.on('roast.start', e => received.push(e.payload));
+    runStateActions([{ type: 'emit', event: 'roast.start', payload: { target: 'pilot' } }], targets, 'roasting/windup');
+    assertDeepEqual(received, [{ target: 'pilot', state: 'roasting/windup' }], 'Payload');
+  });
+
+  await TestRunner.testAsync('should play and stop audio', async () => {
+    const targets = createTargets();
+    runStateActions([{ type: 'playAudio', url: 'roast.mp3' }], targets, 'roasting');
+    await Promise.resolve();
+    await Promise.resolve();
+    assertEqual(targets.audioSync.isPlaying, true, 'Loaded and playing');
+    runStateActions([{ type: 'stopAudio' }], targets, 'roasting');
+    assertEqual(targets.audioSync.isPlaying, false, 'Stopped');
+    runStateActions([{ type: 'playAudio' }], targets, 'roasting');
+    assertEqual(targets.audioSync.isPlaying, true, 'Replays the loaded clip');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // STATE MACHINE
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('State Actions - State Machine');
+
+  function createActionMachine() {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('roasting', [], {
+      actions: {
+        enter: [{ type: 'emit', event: 'roast.start' }],
+        active: [{ type: 'set', parameter: 'roastTone', value: 3 }],
+        exit: [{ type: 'emit', event: 'roast.end' }]
+      }
+    });
+    const params = new ParameterSystem();
+    params.register('isRoasting', 'boolean', false);
+    sm.addTransition('idle', 'roasting', (p) => p.get('isRoasting').get(), 'isRoasting');
+    sm.addTransition('roasting', 'idle', (p) => !p.get('isRoasting').get(), '!isRoasting');
+    const log = [];
+    sm.runActions = (actions, state, moment) => log.push(`${moment} ${state} ${actions.length}`);
+    return { sm, params, log };
+  }
+
+  TestRunner.test('should run enter, active and exit actions', () => {
+    const { sm, params, log } = createActionMachine();
+    params.set('isRoasting', true);
+    sm.update(params, 0.1);
+    sm.update(params, 0.1);
+    sm.update(params, 0.1);
+    params.set('isRoasting', false);
+    sm.update(params, 0.1);
+    assertEqual(log.join(','), 'enter roasting 1,active roasting 1,active roasting 1,exit roasting 1', 'Order');
+  });
+
+  TestRunner.test('should use the root runner for child states', () => {
+    const { sm: child, log } = createActionMachine();
+    const root = new StateMachine('root');
+    root.addState('awake', [], { stateMachine: child });
+    child.runActions = null;
+    root.runActions = (actions, state, moment) => log.push(`${moment} ${state}`);
+    root.setState('awake/roasting');
+    assertEqual(log.join(','), 'enter awake/roasting', 'Full path');
+  });
+
+  TestRunner.test('should serialize non-empty moments', () => {
+    const { sm } = createActionMachine();
+    const json = sm.toJSON();
+    assertEqual(json.states.roasting.actions.enter[0].event, 'roast.start', 'Enter');
+    assertEqual(json.states.roasting.actions.active[0].value, 3, 'Active');
+    assertEqual(json.states.idle.actions, undefined, 'No key without actions');
+  });
+
+  TestRunner.test('should validate action targets against a file', () => {
+    const { sm } = createActionMachine();
+    sm.addState('blinking', [], { actions: { enter: [{ type: 'startDriver', driver: 'blink' }] } });
+    sm.addTransition('idle', 'blinking', () => false, '!isRoasting');
+    sm.addTransition('blinking', 'idle', () => false, 'isRoasting');
+    const result = sm.validate({ file: { parameters: { isRoasting: { type: 'boolean' } }, drivers: {} } });
+    assertDeepEqual(result.issues.map(i => `${i.code} ${i.path}`), [
+      'unknown-parameter stateMachine.states.roasting.actions.active[0]',
+      'unknown-driver stateMachine.states.blinking.actions.enter[0]'
+    ], 'Unknown parameter and driver');
+  });
+
+  return TestRunner.summary();
+}
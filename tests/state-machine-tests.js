@@ -2,10 +2,12 @@
  * Tests for State and StateMachine
  */
 
-import { TestRunner, assert, assertEqual, assertDeepEqual } from './test-helpers.js';
+import { TestRunner, assert, assertEqual, assertDeepEqual, catchError } from './test-helpers.js';
 import { State, StateMachine } from '../src/core/state-machine.js';
 import { ParameterSystem } from '../src/core/parameter.js';
 import { EventBus } from '../src/core/event-bus.js';
+import { EASINGS, getEasing, easeProgress } from '../src/core/easing.js';
+import { BlendTree } from '../src/core/blend-tree.js';
 
 export async function runStateMachineTests() {
   console.log('State Machine Test Suite');
@@ -43,6 +45,20 @@ export async function runStateMachineTests() {
     assertEqual(sm.currentState, idle, 'Current state should be first added');
   });
 
+  TestRunner.test('should start in the entry state without exiting it', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('walk');
+    const log = [];
+    sm.onStateEnter(state => log.push(`enter ${state}`));
+    sm.onStateExit(state => log.push(`exit ${state}`));
+
+    sm.start();
+    assertDeepEqual(log, ['enter idle'], 'Entered once, nothing exited');
+    sm.start('walk');
+    assertEqual(sm.getCurrentState(), 'walk', 'Named state');
+  });
+
   TestRunner.test('should create state with empty animations', () => {
     const sm = new StateMachine('test');
     const state = sm.addState('empty');
@@ -171,6 +187,21 @@ export async function runStateMachineTests() {
     assertEqual(sm.currentState.name, 'running', 'Should transition to running');
   });
 
+  TestRunner.test('should pass time in state to conditions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('bored');
+
+    const params = new ParameterSystem();
+    sm.addTransition('idle', 'bored', (_p, context) => context.stateTime >= 1);
+
+    sm.update(params, 0.6);
+    assertEqual(sm.currentState.name, 'idle', 'Should wait');
+    sm.update(params, 0.6);
+    assertEqual(sm.currentState.name, 'bored', 'Should transition after 1s');
+    assertEqual(sm.stateTime, 0, 'stateTime should reset on state change');
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // toJSON SERIALIZATION
   // ─────────────────────────────────────────────────────────────────
@@ -498,15 +529,79 @@ export async function runStateMachineTests() {
 
     const result = sm.validate();
     assertEqual(result.valid, false, 'Should not be valid');
-    assert(result.issues.length > 0, 'Should have issues');
-    assert(result.issues.some(i => i.includes('unreachable')), 'Should mention unreachable state');
+    const issue = result.issues.find(i => i.code === 'unreachable');
+    assert(issue, 'Should report the unreachable state');
+    assertEqual(issue.severity, 'error', 'Severity');
+    assertEqual(issue.path, 'stateMachine.states.unreachable', 'JSON path');
+    assert(issue.message.includes('"unreachable"'), 'Should name the state');
+  });
+
+  TestRunner.test('should count any-state targets as reachable', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('stunned');
+    sm.addAnyStateTransition('stunned', () => false, 'hit');
+    assert(!sm.validate().issues.some(i => i.code === 'unreachable'), 'stunned is reachable through anyState');
+  });
+
+  TestRunner.test('should warn about shadowed transitions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addState('laughing');
+    sm.addState('stunned');
+    sm.addTransition('idle', 'talking', () => false, 'isTalking');
+    sm.addTransition('idle', 'laughing', () => false, 'isTalking');
+    sm.addTransition('talking', 'idle', () => true, 'true');
+    sm.addTransition('talking', 'laughing', () => false, 'laugh');
+    sm.addTransition('laughing', 'idle', () => false, 'hit');
+    sm.addAnyStateTransition('stunned', () => false, 'hit');
+    sm.addTransition('stunned', 'idle', () => false, 'true', { exitTime: 1 });
+
+    const result = sm.validate();
+    assertEqual(result.valid, true, 'Warnings do not invalidate');
+    const warnings = result.issues.filter(i => i.severity === 'warning').map(i => i.message);
+    assertEqual(warnings.length, 3, `Three shadowed transitions: ${warnings.join('; ')}`);
+    assert(warnings.some(w => w.startsWith('Transition "idle" -> "laughing"') && w.includes('by "idle" -> "talking"')),
+      'Same condition later in the list');
+    assert(warnings.some(w => w.startsWith('Transition "talking" -> "laughing"')), 'After an unconditional transition');
+    assert(warnings.some(w => w.startsWith('Transition "laughing" -> "idle"') && w.includes('by any state')),
+      'Shadowed by an any-state transition');
+    assertEqual(result.issues.find(i => i.code === 'shadowed').path, 'stateMachine.states.idle.transitions[1]', 'Path of the shadowed transition');
+  });
+
+  TestRunner.test('should index issue paths in file order, not priority order', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addTransition('idle', 'talking', () => false, 'isTalking &&');
+    sm.addTransition('idle', 'talking', () => true, 'true', { priority: 5 });
+    sm.addTransition('talking', 'idle', () => true, 'true');
+    sm.addAnyStateTransition('idle', () => false, 'x >');
+    sm.addAnyStateTransition('talking', () => false, 'false', { priority: 1 });
+    const paths = sm.validate().issues.map(i => `${i.code} ${i.path}`);
+    assert(paths.includes('invalid-condition stateMachine.states.idle.transitions[0].condition'), `Own transition: ${paths.join('; ')}`);
+    assert(paths.includes('invalid-condition stateMachine.anyState[0].condition'), 'Any-state transition');
+    assert(paths.includes('constant-false stateMachine.anyState[1].condition'), 'Raised by priority, still index 1');
+  });
+
+  TestRunner.test('should not warn when the earlier transition waits longer', () => {
+    const sm = new StateMachine('test');
+    sm.addState('talking');
+    sm.addState('idle');
+    sm.addState('bored');
+    sm.addTransition('talking', 'idle', () => true, 'true', { exitTime: 1 });
+    sm.addTransition('talking', 'bored', () => true, 'true', { exitTime: 0.5 });
+    sm.addTransition('idle', 'talking', () => true, 'true');
+    sm.addTransition('bored', 'talking', () => true, 'true');
+    assertEqual(sm.validate().issues.length, 0, 'No warnings');
   });
 
   TestRunner.test('should detect empty state machine', () => {
     const sm = new StateMachine('test');
     const result = sm.validate();
     assertEqual(result.valid, false, 'Empty SM should not be valid');
-    assert(result.issues.some(i => i.includes('no states')), 'Should mention no states');
+    assert(result.issues.some(i => i.code === 'no-states' && i.message.includes('no states')), 'Should mention no states');
   });
 
   TestRunner.test('should detect missing entry state', () => {
@@ -517,7 +612,69 @@ export async function runStateMachineTests() {
 
     const result = sm.validate();
     assertEqual(result.valid, false, 'Should not be valid');
-    assert(result.issues.some(i => i.includes('entry state')), 'Should mention no entry state');
+    assert(result.issues.some(i => i.code === 'no-entry-state' && i.message.includes('entry state')), 'Should mention no entry state');
+  });
+
+  TestRunner.test('should warn about dead ends', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('stuck');
+    sm.addState('asleep');
+    sm.addTransition('idle', 'stuck', () => true, 'go');
+    sm.addTransition('idle', 'asleep', () => true, 'tired');
+    sm.addTransition('asleep', 'idle', () => false, 'false');
+    const deadEnds = sm.validate().issues.filter(i => i.code === 'dead-end').map(i => i.path);
+    assertEqual(deadEnds.join(','), 'stateMachine.states.stuck,stateMachine.states.asleep', 'No transitions, or none that can fire');
+  });
+
+  TestRunner.test('should warn about conditions that can never be true', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addTransition('idle', 'talking', () => false, 'isTalking && !isTalking');
+    sm.addTransition('idle', 'talking', () => false, 'volume > 0.8 && volume < 0.2');
+    sm.addTransition('idle', 'talking', () => false, 'mood == "calm" && mood === "angry"');
+    sm.addTransition('idle', 'talking', () => false, '1 > 2');
+    sm.addTransition('idle', 'talking', () => false, 'volume > 0.2 && volume < 0.8');
+    sm.addTransition('talking', 'idle', () => true, 'true');
+    const codes = sm.validate().issues.filter(i => i.path.startsWith('stateMachine.states.idle')).map(i => i.code);
+    assertEqual(codes.join(','), 'contradictory,contradictory,contradictory,constant-false', 'Satisfiable range not reported');
+  });
+
+  TestRunner.test('should report duplicate transitions and invalid conditions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addTransition('idle', 'talking', () => false, 'isTalking');
+    sm.addTransition('idle', 'talking', () => false, 'isTalking');
+    sm.addTransition('talking', 'idle', () => false, 'isTalking >');
+    const result = sm.validate();
+    assertDeepEqual(result.issues.map(i => `${i.severity} ${i.code} ${i.path}`), [
+      'warning duplicate-transition stateMachine.states.idle.transitions[1]',
+      'error invalid-condition stateMachine.states.talking.transitions[0].condition'
+    ], 'Duplicate reported once, not also as shadowed');
+  });
+
+  TestRunner.test('should check parameters and animations against a file', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle', ['idle_anim']);
+    sm.addState('talking', ['talk_anim', 'wave']);
+    sm.addTransition('idle', 'talking', () => false, 'isTalking && volme > 0.5');
+    sm.addTransition('talking', 'idle', () => false, '!isTalking');
+    const file = {
+      parameters: { isTalking: { type: 'boolean', default: false }, volume: { type: 'number', default: 0 } },
+      animations: { idle_anim: {} },
+      bones: { skeleton: { animations: { talk_anim: {} } } }
+    };
+    const result = sm.validate({ file });
+    assertEqual(result.valid, false, 'Errors make it invalid');
+    assertDeepEqual(result.issues.map(i => `${i.code} ${i.path}`), [
+      'unknown-parameter stateMachine.states.idle.transitions[0].condition',
+      'missing-animation stateMachine.states.talking.animations[1]'
+    ], 'Unknown parameter and clip');
+    assert(result.issues[0].message.includes('"volme"'), 'Names the parameter');
+    assertEqual(sm.validate({ file, animations: ['wave'], path: 'layers[0].stateMachine' }).issues[1], undefined, 'Extra clip names');
+    assertEqual(sm.validate().issues.length, 0, 'Skipped without a file');
   });
 
   // ─────────────────────────────────────────────────────────────────
@@ -654,5 +811,811 @@ export async function runStateMachineTests() {
     assertEqual(sm.currentState.name, 'walk', 'Should transition without eventBus');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // TIMED TRANSITIONS
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('StateMachine - Timed Transitions');
+
+  function createTimedMachine(options) {
+    const eventBus = new EventBus();
+    const sm = new StateMachine('test');
+    sm.eventBus = eventBus;
+    sm.addState('idle');
+    sm.addState('walk');
+    sm.addState('run');
+    const params = new ParameterSystem();
+    params.register('speed', 'number', 0);
+    sm.addTransition('idle', 'walk', (p) => p.get('speed').get() > 0, 'speed > 0', options);
+    sm.addTransition('walk', 'run', (p) => p.get('speed').get() > 5, 'speed > 5', options);
+
+    const events = [];
+    eventBus.on('transition.start', (e) => events.push(e));
+    eventBus.on('transition.complete', (e) => events.push(e));
+    return { sm, params, events };
+  }
+
+  TestRunner.test('should store duration and easing on transitions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('a');
+    sm.addState('b');
+    sm.addTransition('a', 'b', () => true, 'true', { duration: 0.3, easing: 'easeOut' });
+    sm.addTransition('b', 'a', () => true, 'true');
+    const [timed] = sm.getTransitions('a');
+    const [instant] = sm.getTransitions('b');
+    assertEqual(timed.duration, 0.3, 'Duration');
+    assertEqual(timed.easing, 'easeOut', 'Easing');
+    assertEqual(instant.duration, 0, 'Default duration is instant');
+    assertEqual(instant.easing, 'linear', 'Default easing is linear');
+  });
+
+  TestRunner.test('should reject unknown easings and negative durations', () => {
+    const sm = new StateMachine('test');
+    sm.addState('a');
+    sm.addState('b');
+    for (const options of [{ easing: 'bounce' }, { duration: -1 }]) {
+      let threw = false;
+      try {
+        sm.addTransition('a', 'b', () => true, 'true', options);
+      } catch (_e) {
+        threw = true;
+      }
+      assert(threw, `Should reject ${JSON.stringify(options)}`);
+    }
+  });
+
+  TestRunner.test('should emit transition.complete when the blend ends', () => {
+    const { sm, params, events } = createTimedMachine({ duration: 0.5 });
+    params.set('speed', 1);
+
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'walk', 'State switches at the start of the blend');
+    assertEqual(events.map(e => e.type).join(','), 'transition.start', 'Only start so far');
+    assertEqual(events[0].payload.duration, 0.5, 'Start carries the duration');
+    assert(sm.isTransitioning(), 'Blend should be running');
+
+    sm.update(params, 0.3);
+    assertEqual(events.length, 1, 'Still blending at 0.4s');
+    sm.update(params, 0.1);
+    assertEqual(events[1].type, 'transition.complete', 'Complete at 0.5s');
+    assertEqual(events[1].payload.interrupted, false, 'Not interrupted');
+    assert(!sm.isTransitioning(), 'Blend should be over');
+  });
+
+  TestRunner.test('should report eased progress', () => {
+    const { sm, params } = createTimedMachine({ duration: 1, easing: 'easeIn' });
+    assertEqual(sm.getTransitionProgress(), 1, 'No blend reports 1');
+    params.set('speed', 1);
+    sm.update(params, 0.5);
+    assertEqual(sm.getTransitionProgress(), 0.25, 'easeIn at the midpoint');
+  });
+
+  TestRunner.test('should mark an interrupted blend as complete', () => {
+    const { sm, params, events } = createTimedMachine({ duration: 1 });
+    params.set('speed', 1);
+    sm.update(params, 0.1);
+    params.set('speed', 10);
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'run', 'Should move on mid-blend');
+    const types = events.map(e => `${e.type}:${e.payload.toState}`).join(',');
+    assertEqual(types, 'transition.start:walk,transition.complete:walk,transition.start:run', 'Order of events');
+    assertEqual(events[1].payload.interrupted, true, 'First blend was interrupted');
+  });
+
+  TestRunner.test('should pass the transition timing to onStateChange', () => {
+    const { sm, params } = createTimedMachine({ duration: 0.25, easing: 'easeInOut' });
+    let received = null;
+    sm.onStateChange = (_newState, _oldState, transition) => { received = transition; };
+    params.set('speed', 1);
+    sm.update(params, 0);
+    assertDeepEqual(received, { duration: 0.25, easing: 'easeInOut' }, 'Timing should be passed');
+  });
+
+  TestRunner.test('should serialize timed transitions', () => {
+    const { sm } = createTimedMachine({ duration: 0.2, easing: 'easeOut' });
+    sm.addTransition('run', 'idle', () => true, 'true');
+    const json = sm.toJSON();
+    assertEqual(json.states.idle.transitions[0].duration, 0.2, 'Duration exported');
+    assertEqual(json.states.idle.transitions[0].easing, 'easeOut', 'Easing exported');
+    assertEqual(json.states.run.transitions[0].duration, undefined, 'Instant transitions stay compact');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // EXIT TIME / MIN DURATION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('StateMachine - Exit Time & Min Duration');
+
+  function createTalkingMachine(transitionOptions, stateOptions) {
+    const sm = new StateMachine('test');
+    sm.addState('talking', ['talk_loop'], stateOptions);
+    sm.addState('idle', ['idle_loop']);
+    sm.getAnimationDuration = (name) => ({ talk_loop: 2, idle_loop: 1 })[name];
+    sm.addTransition('talking', 'idle', () => true, 'true', transitionOptions);
+    return { sm, params: new ParameterSystem() };
+  }
+
+  TestRunner.test('should hold a state for its minDuration', () => {
+    const { sm, params } = createTalkingMachine({}, { minDuration: 0.5 });
+    sm.update(params, 0.3);
+    assertEqual(sm.currentState.name, 'talking', 'Should hold before minDuration');
+    sm.update(params, 0.3);
+    assertEqual(sm.currentState.name, 'idle', 'Should leave after minDuration');
+  });
+
+  TestRunner.test('should wait for exitTime as a fraction of the clip length', () => {
+    const { sm, params } = createTalkingMachine({ exitTime: 0.75 });
+    sm.update(params, 1);
+    assertEqual(sm.getNormalizedTime(), 0.5, 'Halfway through the 2s clip');
+    assertEqual(sm.currentState.name, 'talking', 'Should wait for 75%');
+    sm.update(params, 0.5);
+    assertEqual(sm.currentState.name, 'idle', 'Should leave at 75%');
+  });
+
+  TestRunner.test('should use the longest clip of the state', () => {
+    const sm = new StateMachine('test');
+    sm.addState('talking', ['talk_loop', 'blink']);
+    sm.getAnimationDuration = (name) => ({ talk_loop: 2, blink: 0.2 })[name];
+    assertEqual(sm.getStateLength(), 2, 'Longest clip wins');
+  });
+
+  TestRunner.test('should read exitTime as seconds when the clip length is unknown', () => {
+    const { sm, params } = createTalkingMachine({ exitTime: 1 });
+    sm.getAnimationDuration = null;
+    sm.update(params, 0.9);
+    assertEqual(sm.currentState.name, 'talking', 'Should wait 1s');
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'idle', 'Should leave after 1s');
+  });
+
+  TestRunner.test('should skip transitions before their exitTime and try the next', () => {
+    const { sm, params } = createTalkingMachine({ exitTime: 1 });
+    sm.addState('shout');
+    sm.addTransition('talking', 'shout', () => true, 'true');
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'shout', 'Waiting transition should not block others');
+  });
+
+  TestRunner.test('should pass normalizedTime to conditions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('talking', ['talk_loop']);
+    sm.addState('idle');
+    sm.getAnimationDuration = () => 4;
+    let seen = null;
+    sm.addTransition('talking', 'idle', (_p, context) => { seen = context.normalizedTime; return false; });
+    sm.update(new ParameterSystem(), 1);
+    assertEqual(seen, 0.25, 'normalizedTime in context');
+  });
+
+  TestRunner.test('should reject invalid minDuration and exitTime', () => {
+    const sm = new StateMachine('test');
+    sm.addState('a');
+    let threw = false;
+    try {
+      sm.addState('b', [], { minDuration: -1 });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Negative minDuration should throw');
+
+    sm.addState('c');
+    threw = false;
+    try {
+      sm.addTransition('a', 'c', () => true, 'true', { exitTime: -0.5 });
+    } catch (_e) {
+      threw = true;
+    }
+    assert(threw, 'Negative exitTime should throw');
+  });
+
+  TestRunner.test('should serialize minDuration and exitTime', () => {
+    const { sm } = createTalkingMachine({ exitTime: 0.9 }, { minDuration: 0.4 });
+    const json = sm.toJSON();
+    assertEqual(json.states.talking.minDuration, 0.4, 'minDuration exported');
+    assertEqual(json.states.talking.transitions[0].exitTime, 0.9, 'exitTime exported');
+    assertEqual(json.states.idle.minDuration, undefined, 'Zero minDuration stays compact');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // ANY STATE / PRIORITY
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('StateMachine - Any State & Priority');
+
+  function createStunMachine() {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addState('stunned');
+    const params = new ParameterSystem();
+    params.register('isTalking', 'boolean', false);
+    params.register('hit', 'trigger', false);
+    const isTalking = (p) => p.get('isTalking').get();
+    const hit = (p) => p.get('hit').get();
+    sm.addTransition('idle', 'talking', isTalking, 'isTalking');
+    sm.addTransition('talking', 'idle', (p) => !isTalking(p), '!isTalking');
+    sm.addTransition('stunned', 'idle', () => true, 'true', { exitTime: 1 });
+    sm.addAnyStateTransition('stunned', hit, 'hit');
+    return { sm, params };
+  }
+
+  TestRunner.test('should fire any-state transitions from every state', () => {
+    const { sm, params } = createStunMachine();
+    params.fire('hit');
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'stunned', 'From idle');
+    assertEqual(params.get('hit').get(), false, 'Trigger should be consumed');
+
+    sm.update(params, 1);
+    params.set('isTalking', true);
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'talking', 'Back to talking');
+    params.fire('hit');
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'stunned', 'From talking');
+  });
+
+  TestRunner.test('should check any-state transitions before the state\'s own', () => {
+    const { sm, params } = createStunMachine();
+    params.set('isTalking', true);
+    params.fire('hit');
+    sm.update(params, 0.1);
+    assertEqual(sm.currentState.name, 'stunned', 'Any-state should win');
+  });
+
+  TestRunner.test('should not fire an any-state transition from its own target', () => {
+    const { sm, params } = createStunMachine();
+    sm.addAnyStateTransition('idle', () => true, 'true');
+    sm.setState('idle');
+    let changes = 0;
+    sm.onStateChange = () => changes++;
+    sm.update(params, 0.1);
+    assertEqual(changes, 0, 'Should not re-enter idle');
+  });
+
+  TestRunner.test('should ignore minDuration for any-state transitions', () => {
+    const sm = new StateMachine('test');
+    sm.addState('talking', [], { minDuration: 5 });
+    sm.addState('stunned');
+    sm.addAnyStateTransition('stunned', () => true, 'true');
+    sm.update(new ParameterSystem(), 0.1);
+    assertEqual(sm.currentState.name, 'stunned', 'Any-state should interrupt');
+  });
+
+  TestRunner.test('should evaluate higher priorities first', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('walk');
+    sm.addState('run');
+    sm.addState('jog');
+    sm.addTransition('idle', 'walk', () => true, 'true');
+    sm.addTransition('idle', 'jog', () => true, 'true');
+    sm.addTransition('idle', 'run', () => true, 'true', { priority: 10 });
+    const order = sm.getTransitions('idle').map(t => t.targetState.name).join(',');
+    assertEqual(order, 'run,walk,jog', 'Priority first, then declaration order');
+    sm.update(new ParameterSystem(), 0.1);
+    assertEqual(sm.currentState.name, 'run', 'Highest priority wins');
+  });
+
+  TestRunner.test('should reject non-numeric priorities and unknown targets', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    for (const attempt of [
+      () => sm.addTransition('idle', 'idle', () => true, 'true', { priority: 'high' }),
+      () => sm.addAnyStateTransition('missing', () => true, 'true')
+    ]) {
+      let threw = false;
+      try {
+        attempt();
+      } catch (_e) {
+        threw = true;
+      }
+      assert(threw, 'Should throw');
+    }
+  });
+
+  TestRunner.test('should serialize anyState and priority', () => {
+    const { sm } = createStunMachine();
+    sm.addTransition('idle', 'stunned', () => false, 'false', { priority: 2 });
+    const json = sm.toJSON();
+    assertEqual(json.anyState.length, 1, 'anyState exported');
+    assertEqual(json.anyState[0].targetState, 'stunned', 'anyState target');
+    assertEqual(json.states.idle.transitions[0].priority, 2, 'Priority exported');
+    assertEqual(json.states.idle.transitions[1].priority, undefined, 'Default priority stays compact');
+    assertEqual(new StateMachine('empty').toJSON().anyState, undefined, 'No anyState key when empty');
+  });
+
+  TestRunner.test('should drop any-state transitions to removed states', () => {
+    const { sm } = createStunMachine();
+    sm.removeState('stunned');
+    assertEqual(sm.anyStateTransitions.length, 0, 'Any-state transition removed');
+  });
+
+  TestRunner.category('StateMachine - Hierarchy');
+
+  function createRoastMachine() {
+    const roast = new StateMachine('roast');
+    roast.addState('windup', ['windup_anim']);
+    roast.addState('punchline', ['punch_anim']);
+    const sm = new StateMachine('test');
+    sm.addState('idle', ['idle_anim']);
+    sm.addState('roasting', ['lean_anim'], { stateMachine: roast });
+    const params = new ParameterSystem();
+    params.register('isRoasting', 'boolean', false);
+    params.register('delivered', 'boolean', false);
+    const isRoasting = (p) => p.get('isRoasting').get();
+    const delivered = (p) => p.get('delivered').get();
+    sm.addTransition('idle', 'roasting', isRoasting, 'isRoasting');
+    sm.addTransition('roasting', 'idle', (p) => !isRoasting(p), '!isRoasting');
+    roast.addTransition('windup', 'punchline', delivered, 'delivered');
+    return { sm, roast, params };
+  }
+
+  TestRunner.test('should enter the child entry state and report the full path', () => {
+    const { sm, params } = createRoastMachine();
+    params.set('isRoasting', true);
+    sm.update(params, 0.1);
+    assertEqual(sm.getCurrentState(), 'roasting/windup', 'Path into the child');
+    assertEqual(sm.getCurrentAnimations().join(','), 'lean_anim,windup_anim', 'Parent and child animations');
+    params.set('delivered', true);
+    sm.update(params, 0.1);
+    assertEqual(sm.getCurrentState(), 'roasting/punchline', 'Child transition');
+  });
+
+  TestRunner.test('should apply parent transitions to every child state', () => {
+    const { sm, params } = createRoastMachine();
+    sm.setState('roasting/punchline');
+    assertEqual(sm.getCurrentState(), 'roasting/punchline', 'Entered by path');
+    sm.update(params, 0.1);
+    assertEqual(sm.getCurrentState(), 'idle', 'Parent transition left from the child state');
+  });
+
+  TestRunner.test('should run exit innermost first and enter outermost first', () => {
+    const { sm, roast } = createRoastMachine();
+    const order = [];
+    sm.onStateEnter(name => order.push(`enter ${name}`));
+    sm.onStateExit(name => order.push(`exit ${name}`));
+    let childEnters = 0;
+    roast.onStateEnter(() => childEnters++);
+    sm.setState('roasting');
+    sm.setState('idle');
+    assertEqual(order.join('|'), 'exit idle|enter roasting|enter roasting/windup|exit roasting/windup|exit roasting|enter idle', 'Order');
+    assertEqual(childEnters, 1, 'Child callbacks see only their own states');
+  });
+
+  TestRunner.test('should bubble child changes to the root with full paths', () => {
+    const { sm, params } = createRoastMachine();
+    const bus = new EventBus();
+    sm.eventBus = bus;
+    const changes = [];
+    const entered = [];
+    sm.onStateChange = (newState, oldState) => changes.push(`${oldState}>${newState}`);
+    bus.on('state.enter', e => entered.push(e.payload.state));
+    sm.setState('roasting');
+    params.set('isRoasting', true);
+    params.set('delivered', true);
+    sm.update(params, 0.1);
+    assertEqual(changes.join(','), 'idle>roasting/windup,roasting/windup>roasting/punchline', 'onStateChange');
+    assertEqual(entered.join(','), 'roasting,roasting/windup,roasting/punchline', 'Bus events');
+  });
+
+  TestRunner.test('should only change the child when the parent is already active', () => {
+    const { sm } = createRoastMachine();
+    sm.setState('roasting');
+    const entered = [];
+    sm.onStateEnter(name => entered.push(name));
+    sm.setState('roasting/punchline');
+    assertEqual(entered.join(','), 'roasting/punchline', 'Parent not re-entered');
+  });
+
+  TestRunner.test('should look up, validate and serialize nested states', () => {
+    const { sm, roast } = createRoastMachine();
+    roast.addState('orphan');
+    assertEqual(sm.getState('roasting/punchline').name, 'punchline', 'getState by path');
+    assertEqual(sm.getState('idle/punchline'), undefined, 'No child machine');
+    const result = sm.validate();
+    const orphan = result.issues.find(issue => issue.code === 'unreachable');
+    assertEqual(orphan.path, 'stateMachine.states.roasting.stateMachine.states.orphan', 'Child issue path');
+    assert(orphan.message.includes('"roasting/orphan"'), 'Full state path');
+    assert(!result.issues.some(issue => issue.code === 'dead-end' && issue.message.includes('punchline')),
+      'Parent transitions are a way out of child states');
+
+    const json = sm.toJSON();
+    assertEqual(json.states.roasting.stateMachine.entryState, 'windup', 'Child entry state');
+    assertEqual(json.states.roasting.stateMachine.states.windup.transitions[0].targetState, 'punchline', 'Child transitions');
+    assertEqual(json.states.idle.stateMachine, undefined, 'No key for flat states');
+  });
+
+  TestRunner.test('should use the root clip lengths for child exit times', () => {
+    const { sm, roast } = createRoastMachine();
+    sm.getAnimationDuration = (name) => ({ windup_anim: 2 })[name];
+    sm.setState('roasting');
+    assertEqual(roast.getStateLength(), 2, 'Looked up through the parent');
+  });
+
+  TestRunner.category('StateMachine - Blend Trees');
+
+  function createLookMachine() {
+    const look = new BlendTree({
+      name: 'look',
+      type: '1d',
+      parameter: 'headTurn',
+      motions: [{ animation: 'look_left', threshold: -45 }, { animation: 'look_right', threshold: 45 }]
+    });
+    const sm = new StateMachine('test');
+    sm.addState('idle', ['idle_anim']);
+    sm.addState('looking', ['breathe'], { blendTree: look });
+    return { sm, look };
+  }
+
+  TestRunner.test('should play the blend clip after the state\'s animations', () => {
+    const { sm } = createLookMachine();
+    sm.setState('looking');
+    assertEqual(sm.getCurrentAnimations().join(','), 'breathe,look', 'Blend clip last');
+    assertEqual(sm.getState('looking').animations.join(','), 'breathe', 'Declared animations unchanged');
+  });
+
+  TestRunner.test('should list the active blend trees through the hierarchy', () => {
+    const { sm, look } = createLookMachine();
+    assertEqual(sm.getActiveBlendTrees().length, 0, 'None in idle');
+    const parent = new StateMachine('parent');
+    parent.addState('awake', [], { stateMachine: sm });
+    parent.setState('awake/looking');
+    assertEqual(parent.getActiveBlendTrees()[0], look, 'From the child state');
+  });
+
+  TestRunner.test('should use the blend clip for the state length', () => {
+    const { sm } = createLookMachine();
+    sm.getAnimationDuration = (name) => ({ breathe: 1, look: 2 })[name];
+    sm.setState('looking');
+    assertEqual(sm.getStateLength(), 2, 'Longest of animations and blend clip');
+  });
+
+  TestRunner.test('should serialize the blend tree', () => {
+    const { sm } = createLookMachine();
+    const json = sm.toJSON();
+    assertEqual(json.states.looking.blendTree.type, '1d', 'Type');
+    assertEqual(json.states.looking.blendTree.motions[0].animation, 'look_left', 'Motions');
+    assertEqual(json.states.idle.blendTree, undefined, 'No key without a tree');
+  });
+
+  TestRunner.category('StateMachine - Tracing');
+
+  TestRunner.test('should record each evaluation with its parameters', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+    sm.addState('laughing');
+    const params = new ParameterSystem();
+    params.register('volume', 'number', 0);
+    params.register('laugh', 'trigger', false);
+    sm.addTransition('idle', 'talking', (p) => p.get('volume').get() > 0.5, 'volume > 0.5');
+    sm.addTransition('idle', 'laughing', (p) => p.get('laugh').get() === true, 'laugh');
+    const tracer = sm.enableTracing();
+
+    params.set('volume', 0.2);
+    params.fire('laugh');
+    sm.update(params, 0.1);
+    const tick = tracer.getLastTick();
+    assertEqual(tick.state, 'idle', 'State at the start of the tick');
+    assertEqual(tick.evaluations.map(e => `${e.condition}=${e.result}`).join(','), 'volume > 0.5=false,laugh=true', 'Conditions and results');
+    assertDeepEqual(tick.evaluations[0].parameters, { volume: 0.2 }, 'Only referenced parameters');
+    assertDeepEqual(tick.evaluations[1].parameters, { laugh: true }, 'Snapshot taken before the trigger is consumed');
+    assertDeepEqual(tick.transition, { from: 'idle', to: 'laughing' }, 'Transition taken');
+    assertEqual(tick.after.state, 'laughing', 'State at the end of the tick');
+  });
+
+  TestRunner.test('should mark transitions waiting on their exit time', () => {
+    const sm = new StateMachine('test');
+    sm.addState('intro');
+    sm.addState('idle');
+    sm.addTransition('intro', 'idle', () => true, 'true', { exitTime: 1 });
+    const tracer = sm.enableTracing();
+    sm.update(new ParameterSystem(), 0.5);
+    const [evaluation] = tracer.getLastTick().evaluations;
+    assertEqual(evaluation.result, null, 'Not evaluated');
+    assertEqual(evaluation.skipped, 'exitTime', 'Reason');
+  });
+
+  TestRunner.test('should keep a bounded buffer', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    const tracer = sm.enableTracing({ capacity: 3 });
+    for (let i = 0; i < 5; i++) sm.update(new ParameterSystem(), 0.1);
+    assertEqual(tracer.ticks.length, 3, 'Capacity');
+    assertEqual(tracer.ticks[0].tick, 2, 'Oldest ticks dropped');
+    assertEqual(tracer.getTick(1), null, 'Dropped tick');
+    let threw = false;
+    try {
+      sm.enableTracing({ capacity: 0 });
+    } catch (e) {
+      threw = e.message.includes('Invalid trace capacity');
+    }
+    assert(threw, 'Capacity must be positive');
+  });
+
+  TestRunner.test('should add child machine evaluations to the root tick', () => {
+    const { sm, params } = createRoastMachine();
+    const tracer = sm.enableTracing();
+    sm.setState('roasting');
+    params.set('isRoasting', true);
+    params.set('delivered', true);
+    sm.update(params, 0.1);
+    const tick = tracer.getLastTick();
+    assertEqual(tick.evaluations.map(e => `${e.from}>${e.to}`).join(','), 'roasting>idle,roasting/windup>roasting/punchline', 'Parent then child');
+    assertDeepEqual(tick.transition, { from: 'roasting/windup', to: 'roasting/punchline' }, 'Child transition');
+    assertDeepEqual(tick.after.stateTimes, [0.1, 0], 'Time per level');
+    assertEqual(sm.states.get('roasting').stateMachine.tracer, null, 'Child has no tracer of its own');
+  });
+
+  TestRunner.test('should rewind to a recorded tick without firing callbacks', () => {
+    const { sm, params } = createRoastMachine();
+    sm.enableTracing();
+    params.set('isRoasting', true);
+    sm.update(params, 0.1);
+    sm.update(params, 0.25);
+    params.set('isRoasting', false);
+    sm.update(params, 0.1);
+    assertEqual(sm.getCurrentState(), 'idle', 'Left roasting');
+
+    let callbacks = 0;
+    sm.onStateEnter(() => callbacks++);
+    sm.onStateExit(() => callbacks++);
+    const record = sm.rewindTo(1);
+    assertEqual(record.tick, 1, 'Returns the tick');
+    assertEqual(sm.getCurrentState(), 'roasting/windup', 'State restored');
+    assertEqual(sm.stateTime, 0.25, 'Time in state restored');
+    assertEqual(callbacks, 0, 'No callbacks');
+    assertEqual(sm.rewindTo(99), null, 'Unknown tick');
+  });
+
+  TestRunner.test('should export the trace as JSON', () => {
+    const { sm, params } = createRoastMachine();
+    const tracer = sm.enableTracing();
+    params.set('isRoasting', true);
+    sm.update(params, 0.1);
+    const json = JSON.parse(JSON.stringify(tracer));
+    assertEqual(json.machine, 'test', 'Machine name');
+    assertEqual(json.ticks[0].evaluations[0].condition, 'isRoasting', 'Evaluations');
+    sm.disableTracing();
+    sm.update(params, 0.1);
+    assertEqual(sm.tracer, null, 'Tracing off');
+  });
+
+  TestRunner.category('StateMachine - Random Transitions');
+
+  /**
+   * idle picks a variation every update (cooldowns given per call); each
+   * variation returns to idle
+   */
+  function createVariationMachine(options = {}) {
+    const sm = new StateMachine('test');
+    ['idle', 'stretch', 'yawn', 'scratch'].forEach(name => sm.addState(name));
+    sm.addTransition('idle', [
+      { state: 'stretch', weight: 3 },
+      { state: 'yawn', weight: 1 },
+      { state: 'scratch', weight: 1 }
+    ], () => true, 'true', options);
+    ['stretch', 'yawn', 'scratch'].forEach(name => sm.addTransition(name, 'idle', () => true, 'true'));
+    return sm;
+  }
+
+  /**
+   * Variations picked over `count` idle -> variation -> idle round trips
+   */
+  function playVariations(sm, count) {
+    const picked = [];
+    const params = new ParameterSystem();
+    for (let i = 0; i < count; i++) {
+      sm.update(params, 1);
+      if (sm.getCurrentState() !== 'idle') picked.push(sm.getCurrentState());
+      sm.update(params, 1);
+    }
+    return picked;
+  }
+
+  TestRunner.test('should pick targets by weight', () => {
+    const sm = createVariationMachine();
+    const rolls = [0.1, 0.65, 0.9];
+    sm.random = () => rolls.shift();
+    assertDeepEqual(playVariations(sm, 3), ['stretch', 'yawn', 'scratch'], 'Rolls map onto 3:1:1 weights');
+  });
+
+  TestRunner.test('should repeat a sequence from a seed', () => {
+    const first = createVariationMachine();
+    first.setRandomSeed('roast-night');
+    const second = createVariationMachine();
+    second.setRandomSeed('roast-night');
+    const sequence = playVariations(first, 20);
+    assertDeepEqual(playVariations(second, 20), sequence, 'Same seed, same picks');
+    assert(new Set(sequence).size > 1, 'Picks vary');
+    assertEqual(first.toJSON().seed, 'roast-night', 'Seed serialized');
+  });
+
+  TestRunner.test('should not repeat a target while it cools down', () => {
+    const sm = createVariationMachine({ cooldown: 10 });
+    sm.random = () => 0;
+    const picked = playVariations(sm, 4);
+    assertDeepEqual(picked, ['stretch', 'yawn', 'scratch'], 'Each target once, then none available');
+    assertEqual(sm.getCurrentState(), 'idle', 'Stays put while every target cools down');
+    sm.update(new ParameterSystem(), 10);
+    assertEqual(sm.getCurrentState(), 'stretch', 'Available again after the cooldown');
+  });
+
+  TestRunner.test('should trace cooldown skips', () => {
+    const sm = createVariationMachine({ cooldown: 60 });
+    sm.random = () => 0;
+    playVariations(sm, 3);
+    const tracer = sm.enableTracing();
+    sm.update(new ParameterSystem(), 1);
+    const [evaluation] = tracer.getLastTick().evaluations;
+    assertEqual(evaluation.to, 'stretch|yawn|scratch', 'All targets');
+    assertEqual(evaluation.result, true, 'Condition passed');
+    assertEqual(evaluation.skipped, 'cooldown', 'Reason');
+  });
+
+  TestRunner.test('should never pick the current state from any state', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('flinch');
+    sm.addAnyStateTransition([{ state: 'idle' }, { state: 'flinch' }], () => true, 'true');
+    sm.random = () => 0;
+    sm.update(new ParameterSystem(), 0.1);
+    assertEqual(sm.getCurrentState(), 'flinch', 'Skips idle');
+    sm.update(new ParameterSystem(), 0.1);
+    assertEqual(sm.getCurrentState(), 'idle', 'Skips flinch');
+  });
+
+  TestRunner.test('should reject bad targets', () => {
+    const sm = createVariationMachine();
+    const message = (targets) => catchError(() => sm.addTransition('yawn', targets, () => true, 'true'))?.message;
+    assert(message([]).includes('no targets'), 'Empty group');
+    assert(message([{ state: 'idle', weight: 0 }]).includes('Invalid transition weight'), 'Weight');
+    assert(message([{ state: 'idle', cooldown: -1 }]).includes('Invalid transition cooldown'), 'Cooldown');
+    assert(message([{ state: 'nap' }]).includes('State not found: nap'), 'Unknown state');
+  });
+
+  TestRunner.test('should serialize, validate and remove group targets', () => {
+    const sm = createVariationMachine({ cooldown: 5 });
+    assertDeepEqual(sm.toJSON().states.idle.transitions[0].targets[1], { state: 'yawn', weight: 1, cooldown: 5 }, 'Targets');
+    assertDeepEqual(sm.validate().issues, [], 'Group targets are reachable');
+    sm.removeState('yawn');
+    assertEqual(sm.getTransitions('idle')[0].targets.length, 2, 'Target removed');
+    assert(sm.removeTransition('idle', 'stretch'), 'Removed from group');
+    assert(sm.removeTransition('idle', 'scratch'), 'Last target');
+    assertEqual(sm.getTransitions('idle').length, 0, 'Empty group dropped');
+  });
+
+  TestRunner.category('Easing');
+
+  TestRunner.test('should map 0 and 1 to themselves', () => {
+    for (const [name, easing] of Object.entries(EASINGS)) {
+      assertEqual(easing(0), 0, `${name}(0)`);
+      assertEqual(easing(1), 1, `${name}(1)`);
+    }
+  });
+
+  TestRunner.test('should clamp progress and treat zero duration as complete', () => {
+    assertEqual(easeProgress(2, 1), 1, 'Past the end');
+    assertEqual(easeProgress(-1, 1), 0, 'Before the start');
+    assertEqual(easeProgress(0, 0), 1, 'Zero duration');
+    assertEqual(easeProgress(0.5, 1, 'easeOut'), 0.75, 'easeOut midpoint');
+  });
+
+  TestRunner.test('should reject unknown names', () => {
+    let threw = false;
+    try {
+      getEasing('toString');
+    } catch (e) {
+      threw = e.message.includes('Invalid easing');
+    }
+    assert(threw, 'Should throw for names outside the table');
+  });
+
+  // ─────────────────────────────────────────────────────────────────
+  // TRIGGER CONSUMPTION
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('StateMachine - Triggers');
+
+  TestRunner.test('should consume a trigger used by a transition', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('laughing');
+    sm.addState('rolling');
+
+    const params = new ParameterSystem();
+    params.register('laugh', 'trigger', false);
+
+    sm.addTransition('idle', 'laughing', (p) => p.get('laugh').get() === true, 'laugh');
+    sm.addTransition('laughing', 'rolling', (p) => p.get('laugh').get() === true, 'laugh');
+
+    params.fire('laugh');
+    sm.update(params);
+    assertEqual(sm.currentState.name, 'laughing', 'Should transition on trigger');
+    assertEqual(params.get('laugh').get(), false, 'Trigger should be consumed');
+
+    sm.update(params);
+    assertEqual(sm.currentState.name, 'laughing', 'One fire should cause one transition');
+  });
+
+  TestRunner.test('should leave unrelated triggers fired', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+
+    const params = new ParameterSystem();
+    params.register('go', 'trigger', false);
+    params.register('laughing', 'trigger', false);
+
+    sm.addTransition('idle', 'talking', (p) => p.get('go').get() === true, 'go');
+
+    params.fire('go');
+    params.fire('laughing');
+    sm.update(params);
+    assertEqual(params.get('go').get(), false, 'go should be consumed');
+    assertEqual(params.get('laughing').get(), true, 'laughing should still be fired');
+  });
+
+  TestRunner.test('should consume triggers read through a derived parameter', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('laughing');
+    sm.addState('rolling');
+
+    const params = new ParameterSystem();
+    params.register('laugh', 'trigger', false);
+    params.registerDerived('isLaughing', 'boolean', 'laugh');
+
+    sm.addTransition('idle', 'laughing', (p) => p.get('isLaughing').get(), 'isLaughing');
+    sm.addTransition('laughing', 'rolling', (p) => p.get('isLaughing').get(), 'isLaughing');
+
+    params.fire('laugh');
+    sm.update(params);
+    assertEqual(sm.currentState.name, 'laughing', 'Should transition on the derived value');
+    assertEqual(params.get('laugh').get(), false, 'Underlying trigger should be consumed');
+    assertEqual(params.get('isLaughing').get(), false, 'Derived value follows the consumed trigger');
+
+    sm.update(params);
+    assertEqual(sm.currentState.name, 'laughing', 'One fire should cause one transition');
+  });
+
+  TestRunner.test('should let several machines share a trigger inside deferConsume', () => {
+    const params = new ParameterSystem();
+    params.register('laugh', 'trigger', false);
+    const makeMachine = (name) => {
+      const sm = new StateMachine(name);
+      sm.addState('idle');
+      sm.addState('laughing');
+      sm.addTransition('idle', 'laughing', (p) => p.get('laugh').get() === true, 'laugh');
+      sm.setState('idle');
+      return sm;
+    };
+    const body = makeMachine('body');
+    const face = makeMachine('face');
+
+    params.fire('laugh');
+    params.deferConsume(() => {
+      body.update(params);
+      face.update(params);
+    });
+    assertEqual(body.currentState.name, 'laughing', 'Base machine transitions');
+    assertEqual(face.currentState.name, 'laughing', 'Layer machine sees the same trigger');
+    assertEqual(params.get('laugh').get(), false, 'Consumed once both have updated');
+  });
+
+  TestRunner.test('should not consume triggers when no transition fires', () => {
+    const sm = new StateMachine('test');
+    sm.addState('idle');
+    sm.addState('talking');
+
+    const params = new ParameterSystem();
+    params.register('go', 'trigger', false);
+    params.register('ready', 'boolean', false);
+
+    sm.addTransition('idle', 'talking', (p) => p.get('go').get() && p.get('ready').get(), 'go && ready');
+
+    params.fire('go');
+    sm.update(params);
+    assertEqual(sm.currentState.name, 'idle', 'Should stay idle');
+    assertEqual(params.get('go').get(), true, 'Trigger should still be fired');
+  });
+
   return TestRunner.summary();
 }
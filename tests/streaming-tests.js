@@ -494,6 +494,25 @@ export async function runStreamingTests() {
     assert(typeof loader.hideLoadingIndicator === 'function', 'hideLoadingIndicator should be a function');
   });
 
+  // ─────────────────────────────────────────────────────────────────
+  // STREAMING ANIMATION LOADER - loadWithStreaming
+  // ─────────────────────────────────────────────────────────────────
+  TestRunner.category('StreamingAnimationLoader - loadWithStreaming');
+
+  await TestRunner.testAsync('should parse JSON by default and bytes with options.parse', async () => {
+    const originalFetch = globalThis.fetch;
+    const bytes = new TextEncoder().encode('{"version":2}');
+    globalThis.fetch = async () => new Response(bytes);
+    try {
+      const loader = new StreamingAnimationLoader(new EventBus());
+      assertDeepEqual(await loader.loadWithStreaming('character.wfl'), { version: 2 }, 'JSON');
+      const parsed = await loader.loadWithStreaming('character.wfl', { parse: data => data.length });
+      assertEqual(parsed, bytes.length, 'Custom parse gets the bytes');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
   // ─────────────────────────────────────────────────────────────────
   // FULL STREAM LIFECYCLE
   // ─────────────────────────────────────────────────────────────────
@@ -82,3 +82,27 @@ export function assertDeepEqual(actual, expected, message) {
     throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
   }
 }
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+export function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
+
+/**
+ * Await fn and return the error it rejects with (or null)
+ */
+export async function catchErrorAsync(fn) {
+  try {
+    await fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+}
@@ -49,6 +49,7 @@ export declare const EventTypes: {
   // Parameter events
   readonly PARAMETER_CHANGE: 'parameter.change';
   readonly PARAMETER_REGISTER: 'parameter.register';
+  readonly PARAMETER_TRIGGER: 'parameter.trigger';
 
   // State machine events
   readonly STATE_CHANGE: 'state.change';
@@ -180,6 +181,202 @@ export declare const globalEventBus: EventBus;
  */
 export type ParameterChangeCallback = (name: string, value: any, oldValue: any) => void;
 
+/** How a number parameter handles values outside its range or enum. */
+export type OutOfRangePolicy = 'clamp' | 'reject' | 'wrap';
+
+/** Supported parameter types. */
+export declare const PARAMETER_TYPES: ParameterType[];
+
+/** Supported out-of-range policies. */
+export declare const OUT_OF_RANGE_POLICIES: OutOfRangePolicy[];
+
+/** Smoothing mode for number parameters. */
+export type SmoothingMode = 'spring' | 'exponential' | 'linear';
+
+/** Smoothing configuration as written in a .wfl parameter definition. */
+export interface SmoothingOptions {
+  /** `'spring'` (critically damped), `'exponential'` (decay) or `'linear'` (constant speed). */
+  mode: SmoothingMode;
+  /** Seconds to roughly reach the target (spring/exponential, default 0.1). */
+  smoothTime?: number;
+  /** Units per second; required for linear, optional cap for spring. */
+  maxSpeed?: number;
+  /** Distance at which the value snaps onto the target (default 0.001). */
+  precision?: number;
+}
+
+/** Normalised smoothing configuration. */
+export interface SmoothingConfig {
+  mode: SmoothingMode;
+  smoothTime: number;
+  maxSpeed: number | null;
+  precision: number;
+}
+
+/** Supported smoothing modes. */
+export declare const SMOOTHING_MODES: SmoothingMode[];
+
+/**
+ * Normalise a smoothing config; a mode string is shorthand for `{ mode }`.
+ * @throws Error for unknown modes, non-positive smoothTime, or linear without maxSpeed.
+ */
+export declare function normalizeSmoothing(config: SmoothingMode | SmoothingOptions): SmoothingConfig;
+
+/**
+ * Advance a smoothed value by one time step.
+ * @returns The new value and velocity (velocity is only used by spring).
+ */
+export declare function stepSmoothing(smoothing: SmoothingConfig, current: number, target: number, velocity: number, dt: number): { value: number; velocity: number };
+
+// ─── Easing ─────────────────────────────────────────────────────────────────
+
+/** Built-in easing curve names. */
+export type EasingName =
+  | 'linear' | 'easeIn' | 'easeOut' | 'easeInOut'
+  | 'easeInCubic' | 'easeOutCubic' | 'easeInOutCubic' | 'step';
+
+/** Easing curves keyed by name; each maps progress 0-1 onto 0-1. */
+export declare const EASINGS: Record<EasingName, (t: number) => number>;
+
+/**
+ * Look up an easing curve by name.
+ * @throws Error for unknown names.
+ */
+export declare function getEasing(name?: EasingName | string): (t: number) => number;
+
+/**
+ * Eased progress of a timed blend, clamped to [0, 1]. A zero duration is already complete.
+ */
+export declare function easeProgress(elapsed: number, duration: number, easing?: EasingName | string): number;
+
+// ─── Expressions ────────────────────────────────────────────────────────────
+
+/** Syntax or reference error in a condition expression. */
+export declare class ExpressionError extends Error {
+  /** The expression being compiled. */
+  source: string;
+  /** Zero-based character offset of the offending token. */
+  position: number;
+  constructor(message: string, source: string, position: number);
+}
+
+/** A lexical token produced by {@link tokenizeExpression}. */
+export interface ExpressionToken {
+  type: 'number' | 'string' | 'identifier' | 'operator' | 'eof';
+  value: string | number | null;
+  position: number;
+}
+
+/** Values visible to an expression besides parameters. */
+export interface ExpressionContext {
+  /** Seconds spent in the current state, read by `stateTime()`. */
+  stateTime?: number;
+  /** Time in state over the state's clip length, read by `normalizedTime()`. */
+  normalizedTime?: number;
+  /** Name of the current state. */
+  state?: string;
+}
+
+/** An expression compiled to a closure over its syntax tree. */
+export interface CompiledExpression {
+  (parameters: ParameterSystem, context?: ExpressionContext): any;
+  /** The original expression text. */
+  source: string;
+  /** Parameter names referenced, in order of first appearance. */
+  identifiers: string[];
+}
+
+/** Options for {@link compileExpression}. */
+export interface CompileExpressionOptions {
+  /** When given, identifiers and enum labels are checked against it. */
+  parameters?: ParameterSystem;
+}
+
+/**
+ * Split an expression into tokens.
+ * @throws ExpressionError for unexpected characters or unterminated strings.
+ */
+export declare function tokenizeExpression(source: string): ExpressionToken[];
+
+/**
+ * Parse an expression into a syntax tree.
+ * @throws ExpressionError with the position of the first syntax error.
+ */
+export declare function parseExpression(source: string): object;
+
+/**
+ * Compile an expression without `eval`. Supports comparisons, `&& || !`,
+ * arithmetic, parentheses, enum labels, and the helpers `abs`, `min`,
+ * `max`, `between`, `stateTime` and `normalizedTime`.
+ * @throws ExpressionError for syntax errors, unknown parameters or unknown enum labels.
+ */
+export declare function compileExpression(source: string, options?: CompileExpressionOptions): CompiledExpression;
+
+/**
+ * List the parameter names an expression refers to.
+ * @returns Unique identifiers in order of first appearance.
+ */
+export declare function extractIdentifiers(source: string): string[];
+
+/**
+ * Evaluate a condition or derived-parameter expression against current parameter values.
+ * @throws ExpressionError if the expression is not valid.
+ */
+export declare function evaluateExpression(source: string, parameters: ParameterSystem, context?: ExpressionContext): any;
+
+/** Why an expression can never be true. */
+export interface UnsatisfiableCondition {
+  kind: 'constant-false' | 'contradictory';
+  message: string;
+}
+
+/**
+ * Find why an expression can never be true without reading parameters:
+ * a constant falsy value or `&&` term, or two `&&` terms on the same
+ * parameter that cannot both hold (`a && !a`, `x > 5 && x < 3`).
+ * @returns null when it may be true.
+ * @throws ExpressionError if the expression is not valid.
+ */
+export declare function findUnsatisfiable(source: string): UnsatisfiableCondition | null;
+
+/** Range, step and enum metadata for number parameters. */
+export interface ParameterOptions {
+  /** Lower bound. */
+  min?: number;
+  /** Upper bound. */
+  max?: number;
+  /** Values snap to multiples of `step`, offset from `min` (or 0). */
+  step?: number;
+  /** Allowed numeric values, or labels whose index is the stored value. */
+  enum?: Array<number | string>;
+  /** Out-of-range policy (default `'clamp'`). `'wrap'` needs both `min` and `max`. */
+  outOfRange?: OutOfRangePolicy;
+  /** Human-readable description. */
+  description?: string;
+  /** Glide toward new values instead of jumping (number parameters only). */
+  smoothing?: SmoothingMode | SmoothingOptions;
+  /** Derive the value from other parameters, e.g. `"isTalking && roastTone > 2"` (read-only). */
+  expression?: string;
+}
+
+/** Parameter description for building UI controls. */
+export interface ParameterMetadata {
+  name: string;
+  type: ParameterType;
+  defaultValue: any;
+  /** Effective lower bound (0 for labelled enums). */
+  min: number | null;
+  /** Effective upper bound (last index for labelled enums). */
+  max: number | null;
+  /** Effective step (1 for labelled enums). */
+  step: number | null;
+  enum: Array<number | string> | null;
+  outOfRange: OutOfRangePolicy;
+  description: string | null;
+  smoothing: SmoothingConfig | null;
+  expression: string | null;
+}
+
 /**
  * A single named animation parameter with typed value and change listeners.
  */
@@ -192,21 +389,94 @@ export declare class Parameter {
   readonly defaultValue: any;
   /** Current value. */
   value: any;
+  /** Value `set()` asked for; differs from `value` while smoothing. */
+  target: any;
+  /** Current smoothing velocity (spring mode). */
+  velocity: number;
+  /** Unsnapped smoothing position of a stepped or enum parameter (`null` when not gliding). */
+  glide: number | null;
   /** Registered change listeners. */
   listeners: ParameterChangeCallback[];
-
-  constructor(name: string, type: ParameterType, defaultValue?: any);
+  /** Owning system (defers listeners during transactions), or `null`. */
+  system: ParameterSystem | null;
+  /** Lower bound, or `null`. */
+  readonly min: number | null;
+  /** Upper bound, or `null`. */
+  readonly max: number | null;
+  /** Step size, or `null`. */
+  readonly step: number | null;
+  /** Allowed values or labels, or `null`. */
+  readonly enum: Array<number | string> | null;
+  /** Out-of-range policy. */
+  readonly outOfRange: OutOfRangePolicy;
+  /** Human-readable description, or `null`. */
+  readonly description: string | null;
+  /** Smoothing configuration, or `null`. */
+  readonly smoothing: SmoothingConfig | null;
+  /** Expression a derived parameter is computed from, or `null`. */
+  readonly expression: string | null;
+  /** Parameter names the expression refers to (set by {@link ParameterSystem.linkDerived}). */
+  dependencies: string[];
+
+  /**
+   * @param defaultValue - Type-checked and constrained (step, range, enum) like {@link Parameter.set}.
+   * @throws Error if the metadata is inconsistent (min > max, step <= 0, unknown policy);
+   *   TypeError or RangeError for a default `set()` would refuse.
+   */
+  constructor(name: string, type: ParameterType, defaultValue?: any, options?: ParameterOptions);
+
+  /**
+   * Replace the type, default and metadata in place, keeping listeners.
+   * The current value is left alone.
+   * @throws Error if the new metadata is inconsistent (nothing is changed).
+   */
+  configure(type: ParameterType, defaultValue?: any, options?: ParameterOptions): void;
 
   /**
    * Set the parameter value. Notifies all listeners if the value is valid.
+   * Number values are snapped, clamped or wrapped according to the metadata;
+   * labels of a labelled enum are stored as their index.
+   * With smoothing, this sets the target and {@link update} moves the value.
    * @param value - New value (must match the parameter type).
    * @throws TypeError if the value type does not match.
+   * @throws RangeError for unknown labels, or out-of-range values under the `'reject'` policy.
    */
   set(value: any): void;
 
   /** Get the current parameter value. */
   get(): any;
 
+  /** Get the value the parameter is moving toward. */
+  getTarget(): any;
+
+  /** Whether the current value has reached the target. */
+  isSettled(): boolean;
+
+  /**
+   * Jump straight to a value, bypassing smoothing. Notifies listeners.
+   * @param value - New value.
+   */
+  snapTo(value: any): void;
+
+  /**
+   * Advance smoothing toward the target, notifying listeners as the value moves.
+   * @param deltaTime - Elapsed seconds.
+   */
+  update(deltaTime: number): void;
+
+  /**
+   * Fire a trigger parameter (sets it to `true` until consumed).
+   * @throws TypeError if this is not a trigger parameter.
+   */
+  fire(): void;
+
+  /**
+   * Reset a fired trigger to `false` without notifying listeners; derived
+   * parameters that read it are still recomputed.
+   * @returns `true` if the trigger was fired and is now consumed.
+   */
+  consume(): boolean;
+
   /**
    * Register a change listener.
    * @param callback - Invoked with `(name, newValue, oldValue)`.
@@ -219,12 +489,63 @@ export declare class Parameter {
    * @param value - Value to validate.
    */
   validateType(value: any): boolean;
+
+  /**
+   * Apply step, range and enum metadata to a type-checked value.
+   * @throws RangeError for unknown labels, or out-of-range values under the `'reject'` policy.
+   */
+  constrain(value: any): any;
+
+  /** Whether the value is computed from an expression over other parameters. */
+  isDerived(): boolean;
+
+  /** Whether only whole steps or enum entries are valid values (smoothing moves them step by step). */
+  isDiscrete(): boolean;
+
+  /** Whether the enum is a list of labels. */
+  hasLabels(): boolean;
+
+  /**
+   * Get the enum label for a value.
+   * @param value - Defaults to the current value.
+   * @returns The label, or `null` if this parameter has no labels.
+   */
+  getLabel(value?: number | null): string | null;
+
+  /** Describe the parameter for building UI controls such as sliders. */
+  getMetadata(): ParameterMetadata;
+
+  /** Lowest and highest accepted value (labelled enums use their index range; unbounded sides are infinite). */
+  getRange(): [number, number];
+
+  /** Nearest value `set()` accepts without throwing (non-numbers pass through). */
+  fit(value: any): any;
+
+  /**
+   * Serialize; metadata keys are only written when set.
+   * @param options - `runtime`: also write the smoothing motion while the value moves (session snapshots).
+   */
+  toJSON(options?: { runtime?: boolean }): ParameterJSON;
 }
 
 /** JSON representation of a single parameter for serialization. */
-export interface ParameterJSON {
+export interface ParameterJSON extends ParameterOptions {
   type: ParameterType;
   value: any;
+  /** Smoothing target (runtime JSON only, while the value moves). */
+  target?: any;
+  /** Smoothing velocity (runtime JSON only). */
+  velocity?: number;
+  /** Unsnapped position of a gliding stepped/enum value (runtime JSON only). */
+  glide?: number;
+}
+
+/** What `ParameterSystem.fromJSON` does with parameters absent from the data. */
+export type MissingParameterPolicy = 'keep' | 'remove';
+
+/** Changes committed by a transaction, keyed by parameter name. */
+export interface ParameterChanges {
+  [name: string]: { value: any; oldValue: any };
 }
 
 /** JSON representation of the full parameter set (keyed by name). */
@@ -239,6 +560,8 @@ export interface ParametersJSON {
 export declare class ParameterSystem {
   /** Internal parameter map. */
   parameters: Map<string, Parameter>;
+  /** Optional event bus for `parameter.trigger` events. */
+  eventBus: EventBus | null;
 
   constructor();
 
@@ -247,10 +570,32 @@ export declare class ParameterSystem {
    * @param name - Unique parameter name.
    * @param type - One of `'number'`, `'boolean'`, or `'trigger'`.
    * @param defaultValue - Initial value.
+   * @param options - Range, step and enum metadata.
    * @returns The created Parameter instance.
    * @throws Error if the type is invalid.
    */
-  register(name: string, type: ParameterType, defaultValue?: any): Parameter;
+  register(name: string, type: ParameterType, defaultValue?: any, options?: ParameterOptions): Parameter;
+
+  /**
+   * Register a read-only parameter computed from other parameters.
+   * It is recomputed whenever one of its dependencies changes.
+   * @param expression - e.g. `"isTalking && roastTone > 2"`.
+   * @throws Error for unknown dependencies or dependency cycles.
+   */
+  registerDerived(name: string, type: 'number' | 'boolean', expression: string, options?: ParameterOptions): Parameter;
+
+  /**
+   * Resolve dependencies of every derived parameter, check for cycles,
+   * subscribe to dependency changes and compute initial values.
+   * @throws Error for unknown dependencies or dependency cycles.
+   */
+  linkDerived(): void;
+
+  /**
+   * Remove a parameter.
+   * @returns `true` if it existed.
+   */
+  unregister(name: string): boolean;
 
   /**
    * Get a parameter by name.
@@ -264,9 +609,38 @@ export declare class ParameterSystem {
    * @param name - Parameter name.
    * @param value - New value.
    * @returns `true` if the parameter was found and set, `false` otherwise.
+   * @throws Error if the parameter is derived (read-only).
    */
   set(name: string, value: any): boolean;
 
+  /**
+   * Fire a trigger parameter and emit a `parameter.trigger` event.
+   * The trigger stays `true` until a transition consumes it or the frame ends.
+   * @param name - Trigger name.
+   * @returns `false` if no parameter has this name.
+   * @throws TypeError if the parameter is not a trigger.
+   */
+  fire(name: string): boolean;
+
+  /**
+   * Consume a fired trigger.
+   * @returns `true` if the trigger was fired and is now consumed.
+   */
+  consume(name: string): boolean;
+
+  /**
+   * Run `fn` with trigger consumption deferred: triggers consumed inside stay
+   * fired until it returns, then reset together (so several state machines
+   * updating in one frame can all react to one `fire()`).
+   */
+  deferConsume<T>(fn: () => T): T;
+
+  /**
+   * Consume every trigger that is still fired (end-of-frame cleanup).
+   * @returns Names of the consumed triggers.
+   */
+  consumeTriggers(): string[];
+
   /** Get an array of all registered parameters. */
   getAll(): Parameter[];
 
@@ -282,67 +656,670 @@ export declare class ParameterSystem {
    */
   has(name: string): boolean;
 
-  /** Reset all parameters to their default values. */
+  /**
+   * Start recording parameter changes.
+   * @param names - Parameters to record (default: every non-derived parameter).
+   * @returns The recorder; call `stop()` and `toClip()` on it to bake a clip.
+   * @throws Error for unknown or derived parameters.
+   */
+  record(names?: string[]): ParameterRecorder;
+
+  /**
+   * Advance active recordings and smoothing on every parameter.
+   * @param deltaTime - Elapsed seconds.
+   */
+  update(deltaTime: number): void;
+
+  /** Reset all parameters to their default values (without smoothing). */
   reset(): void;
 
   /**
    * Set multiple parameter values at once.
    * @param obj - Object mapping parameter names to values.
+   * @param options - `atomic: true` applies all values in one {@link transaction}.
+   */
+  setMultiple(obj: Record<string, any>, options?: { atomic?: boolean }): void;
+
+  /**
+   * Apply several changes atomically. Listeners are deferred until `fn`
+   * returns, then run once per changed parameter; commit callbacks receive
+   * every change at once. If `fn` throws, values, definitions and
+   * registrations are rolled back silently and the error is rethrown. Nested transactions join the outermost one.
+   * @param fn - Called synchronously with this system.
+   * @returns Whatever `fn` returns.
    */
-  setMultiple(obj: Record<string, any>): void;
+  transaction<T>(fn: (system: ParameterSystem) => T): T;
 
-  /** Serialize all parameters to a JSON-compatible object. */
-  toJSON(): ParametersJSON;
+  /** Whether a transaction is open (or committing). */
+  inTransaction(): boolean;
 
   /**
-   * Import parameters from a JSON object, registering new parameters.
+   * Register a callback for committed transactions.
+   * @param callback - Called with every changed parameter's new and old value.
+   * @returns Unsubscribe function.
+   */
+  onCommit(callback: (changes: ParameterChanges) => void): Unsubscribe;
+
+  /**
+   * Serialize all parameters to a JSON-compatible object.
+   * @param options - `runtime`: include the smoothing motion of moving parameters.
+   */
+  toJSON(options?: { runtime?: boolean }): ParametersJSON;
+
+  /**
+   * Import parameters from a JSON object, merging into the existing set.
+   * Existing parameters are updated in place, so their listeners stay attached;
+   * values are applied in one transaction. If anything throws, definitions,
+   * removed parameters and values are all restored.
    * @param data - Serialized parameters (from {@link toJSON}).
+   * @param options - `missing`: keep (default) or remove parameters absent from `data`.
+   * @throws Error for an unknown policy, or a derived parameter with unknown dependencies or a cycle.
+   */
+  fromJSON(data: ParametersJSON, options?: { missing?: MissingParameterPolicy }): void;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Parameter Recording & Clips
+// ─────────────────────────────────────────────────────────────────
+
+/** Animation `type` used for parameter clips in the .wfl `animations` section. */
+export declare const PARAMETER_CLIP_TYPE: 'parameter_animation';
+
+/** `linear` for numbers, `step` for booleans, `event` (fire at each key) for triggers. */
+export type ParameterTrackInterpolation = 'linear' | 'step' | 'event';
+
+export interface ParameterKeyframe {
+  time: number;
+  value: any;
+}
+
+export interface ParameterTrack {
+  parameter: string;
+  interpolation: ParameterTrackInterpolation;
+  keyframes: ParameterKeyframe[];
+}
+
+/** Keyframed parameter clip, stored in the .wfl `animations` section. */
+export interface ParameterClip {
+  type: 'parameter_animation';
+  duration: number;
+  tracks: ParameterTrack[];
+}
+
+/** Sample a sorted keyframe list at a time. Returns `undefined` for an empty list. */
+export declare function sampleKeyframes(keyframes: ParameterKeyframe[], time: number, interpolation?: ParameterTrackInterpolation): any;
+
+/** Cut a keyframe list to `[start, end]` and shift it to begin at 0. */
+export declare function trimKeyframes(keyframes: ParameterKeyframe[], start: number, end: number, interpolation?: ParameterTrackInterpolation): ParameterKeyframe[];
+
+/**
+ * Drop keyframes that add nothing to the curve (Ramer-Douglas-Peucker for
+ * linear tracks, repeated values for step tracks).
+ * @param tolerance - Largest allowed value error for linear tracks (default 0).
+ */
+export declare function reduceKeyframes(keyframes: ParameterKeyframe[], tolerance?: number, interpolation?: ParameterTrackInterpolation): ParameterKeyframe[];
+
+/** Options for baking a recording into a clip. */
+export interface ParameterClipOptions {
+  /** Trim start in seconds (default 0). */
+  start?: number;
+  /** Trim end in seconds (default: recording length). */
+  end?: number;
+  /** Keyframe reduction tolerance for number tracks (default 0). */
+  tolerance?: number;
+}
+
+/**
+ * Captures timestamped changes of chosen parameters. The clock advances
+ * with `ParameterSystem.update(deltaTime)`.
+ */
+export declare class ParameterRecorder {
+  parameters: ParameterSystem;
+  readonly names: string[];
+  /** Seconds recorded so far. */
+  time: number;
+  isRecording: boolean;
+  /** Captured keyframes per parameter. */
+  tracks: Map<string, { type: ParameterType; keyframes: ParameterKeyframe[] }>;
+
+  /** @throws Error for unknown or derived parameters. */
+  constructor(parameters: ParameterSystem, names?: string[] | null);
+
+  /** Start (or restart) recording from time 0. */
+  start(): this;
+
+  /** Stop recording; the captured tracks are kept. */
+  stop(): this;
+
+  /** Advance the recording clock (called by `ParameterSystem.update`). */
+  advance(deltaTime: number): void;
+
+  /**
+   * Bake the recording into a parameter clip.
+   * @throws RangeError if `start` is after `end`.
    */
-  fromJSON(data: ParametersJSON): void;
+  toClip(options?: ParameterClipOptions): ParameterClip;
+}
+
+/**
+ * Plays parameter clips, writing each frame's values in one transaction.
+ */
+export declare class ParameterClipPlayer {
+  parameters: ParameterSystem;
+  clips: Map<string, ParameterClip>;
+  playing: Map<string, { clip: ParameterClip; time: number; loop: boolean }>;
+  /** Called when a non-looping clip reaches its end. */
+  onComplete: ((name: string) => void) | null;
+
+  constructor(parameters: ParameterSystem);
+
+  /**
+   * Register a clip by name.
+   * @throws Error if the data is not a parameter clip.
+   */
+  addClip(name: string, clip: ParameterClip): void;
+
+  /** Start playing a clip from the beginning. Returns `false` if unknown. */
+  play(name: string, options?: { loop?: boolean }): boolean;
+
+  /** Stop one clip, or every clip when `name` is omitted. */
+  stop(name?: string): void;
+
+  isPlaying(name: string): boolean;
+
+  /** Position of every playing clip, keyed by clip name. */
+  captureState(): Record<string, ParameterClipPlaybackState>;
+
+  /** Replace playback with `captureState()`; clips that no longer exist are skipped. */
+  restoreState(state: Record<string, ParameterClipPlaybackState>): void;
+
+  /** Advance every playing clip (deltaTime already scaled by animator speed). */
+  update(deltaTime: number): void;
+}
+
+/** Runtime state of one playing parameter clip. */
+export interface ParameterClipPlaybackState {
+  time: number;
+  loop: boolean;
+  started: boolean;
 }
 
+// ─────────────────────────────────────────────────────────────────
+// Random & Drivers
+// ─────────────────────────────────────────────────────────────────
+
+/** A random source returning floats in [0, 1) (e.g. `Math.random`). */
+export type RandomSource = () => number;
+
+/** A seeded random source whose position in its sequence can be saved and resumed. */
+export interface SeededRandom extends RandomSource {
+  getState(): number;
+  setState(state: number): void;
+}
+
+/**
+ * Create a seeded random source (mulberry32).
+ * @param seed - Number or string seed; random if omitted.
+ */
+export declare function createRandom(seed?: number | string): SeededRandom;
+
+/** Procedural driver type. */
+export type DriverType = 'sine' | 'triangle' | 'noise' | 'pulse';
+
+/** Supported driver types. */
+export declare const DRIVER_TYPES: DriverType[];
+
+/** Driver definition as written in the .wfl `drivers` section. */
+export interface DriverConfig {
+  /** Name of the parameter to drive. */
+  parameter: string;
+  type: DriverType;
+  /** Default `true`. */
+  enabled?: boolean;
+  /** Cycles per second (sine/triangle/noise, default 1). */
+  frequency?: number;
+  /** Default 1. */
+  amplitude?: number;
+  /** Centre value (default 0). */
+  offset?: number;
+  /** Phase offset in cycles (sine/triangle). */
+  phase?: number;
+  /** Seed for noise and pulse timing. */
+  seed?: number | string;
+  /** Seconds between pulses, or `[min, max]` (default `[2, 6]`). */
+  interval?: number | [number, number];
+  /** Seconds each pulse holds its value (default 0.15). */
+  duration?: number;
+  /** Value during a pulse (default 1, or `true` for booleans). */
+  value?: number | boolean;
+  /** Value between pulses (default 0, or `false` for booleans). */
+  rest?: number | boolean;
+}
+
+/** JSON representation of all drivers (keyed by name). */
+export interface DriversJSON {
+  [name: string]: DriverConfig;
+}
+
+/**
+ * Writes a parameter from its own clock: oscillators, seeded noise or random pulses.
+ */
+export declare class Driver {
+  readonly name: string;
+  readonly type: DriverType;
+  /** Name of the driven parameter. */
+  readonly parameter: string;
+  enabled: boolean;
+  frequency: number;
+  amplitude: number;
+  offset: number;
+  phase: number;
+  seed: number | string | null;
+  interval: [number, number];
+  duration: number;
+  value: number | boolean | null;
+  rest: number | boolean | null;
+  /** Seconds the driver has run since the last reset. */
+  time: number;
+
+  /** @throws Error for unknown types or invalid timing values. */
+  constructor(name: string, config: DriverConfig);
+
+  /** Restart the driver's clock and random sequence. */
+  reset(): void;
+
+  /**
+   * Advance the clock.
+   * @returns The value to write; pulses return `'value'`/`'rest'` on edges and `undefined` otherwise.
+   */
+  update(deltaTime: number): any;
+
+  /** Whether a pulse is currently holding its value. */
+  isActive(): boolean;
+
+  /** Lowest and highest value written to a number parameter (a pulse spans its value and rest). */
+  getExtent(): [number, number];
+
+  /** Clock, random position and pulse timing, so a restored driver continues the same motion. */
+  captureState(): DriverState;
+
+  /** Resume from `captureState()`. */
+  restoreState(state: DriverState): void;
+
+  toJSON(): DriverConfig;
+}
+
+/** Runtime state of a Driver (`captureState()`). */
+export interface DriverState {
+  enabled: boolean;
+  time: number;
+  /** Seeded random position. */
+  random: number;
+  /** Current noise segment. */
+  lattice: { from: number; to: number; index: number };
+  active: boolean;
+  remaining: number;
+  wait: number;
+}
+
+/**
+ * Named drivers attached to a parameter system.
+ */
+export declare class DriverSystem {
+  parameters: ParameterSystem;
+  drivers: Map<string, Driver>;
+
+  constructor(parameters: ParameterSystem);
+
+  /**
+   * Add (or replace) a driver. Output is kept inside parameters with the
+   * `'reject'` policy.
+   * @throws Error if the parameter is unknown, derived, the wrong type for the driver,
+   *   or rejects out-of-range values the driver would write.
+   */
+  add(name: string, config: DriverConfig): Driver;
+
+  /** Remove a driver. Returns `true` if it existed. */
+  remove(name: string): boolean;
+
+  get(name: string): Driver | undefined;
+
+  getAll(): Driver[];
+
+  /** Resume a driver. Returns `false` if no driver has this name. */
+  enable(name: string): boolean;
+
+  /**
+   * Stop a driver so its parameter can be set manually.
+   * A pulse that is holding its value is released to its rest value.
+   * Returns `false` if no driver has this name.
+   */
+  disable(name: string): boolean;
+
+  /** Enable or disable a driver. Returns `false` if no driver has this name. */
+  setEnabled(name: string, enabled: boolean): boolean;
+
+  /** Whether a driver exists and is enabled. */
+  isEnabled(name: string): boolean;
+
+  /** Whether an enabled driver writes this parameter. */
+  isDriving(parameterName: string): boolean;
+
+  /** Runtime state of every driver, keyed by name. */
+  captureState(): Record<string, DriverState>;
+
+  /** Resume drivers from `captureState()`; drivers that no longer exist are skipped. */
+  restoreState(state: Record<string, DriverState>): void;
+
+  /**
+   * Advance every enabled driver and write its parameter.
+   * @param deltaTime - Elapsed seconds (already scaled by animator speed).
+   */
+  update(deltaTime: number): void;
+
+  /** Remove every driver. */
+  clear(): void;
+
+  toJSON(): DriversJSON;
+
+  /**
+   * Replace every driver with the .wfl `drivers` section, releasing held
+   * pulses to rest. The old drivers are kept if any new one is invalid.
+   * @throws Error if the parameter is unknown, derived, or the wrong type for a driver.
+   */
+  fromJSON(data: DriversJSON): void;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Blend Trees
+// ─────────────────────────────────────────────────────────────────
+
+/** Blend tree interpolation: 1D thresholds, 2D scattered (gradient band) or 2D grid (bilinear). */
+export type BlendTreeType = '1d' | 'freeform' | 'cartesian';
+
+/** Valid blend tree types. */
+export declare const BLEND_TREE_TYPES: BlendTreeType[];
+
+/** JSON definition of a blend tree (in a state's `blendTree`). */
+export interface BlendTreeJSON {
+  /** Blend clip name on the rig (defaults to the state name). */
+  name?: string;
+  type: BlendTreeType;
+  /** Number parameter (1d). */
+  parameter?: string;
+  /** [x, y] number parameters (2D). */
+  parameters?: [string, string];
+  /** `threshold` for 1d, `position` for 2D. */
+  motions: Array<{ animation: string; threshold?: number; position?: [number, number] }>;
+}
+
+/**
+ * Weights for a state's posed clips from one or two number parameters.
+ * The rig plays the weighted clips as one blend clip named after the tree.
+ */
+export declare class BlendTree {
+  name: string;
+  type: BlendTreeType;
+  /** Parameter names: one for 1d, [x, y] for 2D. */
+  parameters: string[];
+  motions: Array<{ animation: string; position: number[] }>;
+
+  /**
+   * @param options - `parameters` checks that the tree's parameters exist and are numbers.
+   * @throws Error for an unknown type, missing parameters, bad motions or an incomplete cartesian grid.
+   */
+  constructor(definition: BlendTreeJSON & { name: string }, options?: { parameters?: ParameterSystem });
+
+  /** Animation names in motion order. */
+  readonly animations: string[];
+
+  /** Motion weights (summing to 1) for a point in parameter space. */
+  getWeights(point: number[]): number[];
+
+  /** Motion weights from the current parameter values. */
+  computeWeights(parameters: ParameterSystem): number[];
+
+  toJSON(): BlendTreeJSON & { name: string };
+}
+
+/** 1D weights: linear between the thresholds around the value, clamped at the ends. */
+export declare function blend1D(value: number, thresholds: number[]): number[];
+
+/** 2D weights by gradient band interpolation over scattered positions. */
+export declare function blendFreeform(point: number[], positions: number[][]): number[];
+
+/** 2D weights by bilinear interpolation over a full grid of positions. */
+export declare function blendCartesian(point: number[], positions: number[][]): number[];
+
 // ─────────────────────────────────────────────────────────────────
 // State Machine
 // ─────────────────────────────────────────────────────────────────
 
 /** A condition function evaluated to determine whether a transition should fire. */
-export type TransitionCondition = (parameters: ParameterSystem) => boolean;
+export type TransitionCondition = (parameters: ParameterSystem, context?: ExpressionContext) => boolean;
 
 /** A transition record stored on a State. */
 export interface Transition {
   condition: TransitionCondition;
-  targetState: State;
+  /** Target state; null for a random group. */
+  targetState: State | null;
+  /** Weighted targets of a random group; absent for plain transitions. */
+  targets?: RandomTransitionTarget[];
   conditionStr: string | null;
+  /** Crossfade length in seconds (0 = instant). */
+  duration: number;
+  /** Easing curve for the crossfade. */
+  easing: EasingName | string;
+  /** Normalized time in state the transition waits for (null = no wait). */
+  exitTime: number | null;
+  /** Higher priorities are evaluated first; ties keep declaration order. */
+  priority: number;
+  /** Declaration sequence within its list (the file index when loaded from a file). */
+  order: number;
+}
+
+/** Timing options for a transition. */
+export interface TransitionOptions {
+  /** Crossfade length in seconds (default 0 = instant). */
+  duration?: number;
+  /** Easing curve name (default 'linear'). */
+  easing?: EasingName | string;
+  /**
+   * Only fire once the state reaches this normalized time (1 = end of its
+   * longest clip; seconds when the clip length is unknown). Default null.
+   */
+  exitTime?: number | null;
+  /** Evaluation order, highest first (default 0). */
+  priority?: number;
+  /** Cooldown in seconds for random group targets that set none (default 0). */
+  cooldown?: number;
+}
+
+/** A random group target as passed to `StateMachine.addTransition`. */
+export interface RandomTargetOptions {
+  /** Target state name. */
+  state: string;
+  /** Relative chance of being picked (default 1). */
+  weight?: number;
+  /** Seconds after being picked before it can be picked again (defaults to the group's). */
+  cooldown?: number;
+}
+
+/** A random group target stored on a transition. */
+export interface RandomTransitionTarget {
+  state: State;
+  weight: number;
+  cooldown: number;
+  /** Machine time (see `StateMachine.time`) the target comes off cooldown. */
+  readyAt: number;
+}
+
+export type StateActionType = 'set' | 'fire' | 'emit' | 'playAudio' | 'stopAudio' | 'startDriver' | 'stopDriver';
+
+export type StateActionMoment = 'enter' | 'exit' | 'active';
+
+/** Declarative state action. */
+export type StateAction =
+  | { type: 'set'; parameter: string; value: number | boolean }
+  | { type: 'fire'; parameter: string }
+  | { type: 'emit'; event: string; payload?: Record<string, any> }
+  /** Without a url, replays the loaded clip from the start. */
+  | { type: 'playAudio'; url?: string }
+  | { type: 'stopAudio' }
+  | { type: 'startDriver' | 'stopDriver'; driver: string };
+
+/** A state's actions block. */
+export type StateActionsJSON = Partial<Record<StateActionMoment, StateAction[]>>;
+
+/** Systems state actions are performed on; missing ones are skipped. */
+export interface StateActionTargets {
+  parameters?: ParameterSystem;
+  eventBus?: EventBus;
+  audioSync?: AudioSync;
+  drivers?: DriverSystem;
+}
+
+export declare const STATE_ACTION_TYPES: StateActionType[];
+export declare const STATE_ACTION_MOMENTS: StateActionMoment[];
+
+/**
+ * Validate a state's actions block and fill in the missing moments.
+ * @param options - When given, parameters and drivers must exist and fired parameters must be triggers.
+ * @throws Error for unknown moments, types, parameters or drivers, missing fields,
+ *   derived (read-only) parameters, or `playAudio` under `active`.
+ */
+export declare function createStateActions(
+  stateName: string,
+  data?: StateActionsJSON,
+  options?: { parameters?: ParameterSystem; drivers?: DriverSystem }
+): Record<StateActionMoment, StateAction[]>;
+
+/**
+ * Perform actions. Audio load failures are emitted as `error` events;
+ * `emit` payloads gain the state path.
+ * @param moment - `'active'` skips actions that would change nothing.
+ */
+export declare function runStateActions(
+  actions: StateAction[],
+  targets: StateActionTargets,
+  state: string,
+  moment?: StateActionMoment
+): void;
+
+/** Options for a state. */
+export interface StateOptions {
+  /** Seconds before any transition out of the state is evaluated (default 0). */
+  minDuration?: number;
+  /** Child state machine run while the state is active. */
+  stateMachine?: StateMachine;
+  /** Weighted clips played as one blend clip. */
+  blendTree?: BlendTree;
+  /** Actions run on enter, on exit and while active. */
+  actions?: StateActionsJSON;
+}
+
+/** Where a nested state machine sits in its parent. */
+export interface StateMachineParent {
+  machine: StateMachine;
+  state: State;
+}
+
+/** A crossfade in progress. */
+export interface ActiveTransition {
+  fromState: string | undefined;
+  toState: string;
+  duration: number;
+  easing: EasingName | string;
+  /** Seconds since the crossfade started. */
+  elapsed: number;
 }
 
 /** Callback for state enter/exit events. */
 export type StateCallback = (stateName: string) => void;
 
 /** Callback for the `onStateChange` hook. */
-export type StateChangeCallback = (newState: string, oldState: string | undefined) => void;
+export type StateChangeCallback = (newState: string, oldState: string | undefined, transition: { duration: number; easing: EasingName | string }) => void;
 
 /** Result of validating a state machine. */
+export type ValidationSeverity = 'error' | 'warning';
+
+export type ValidationCode =
+  | 'no-states' | 'no-entry-state' | 'unreachable' | 'invalid-condition'
+  | 'unknown-parameter' | 'unknown-driver' | 'missing-animation'
+  | 'dead-end' | 'constant-false' | 'contradictory' | 'duplicate-transition' | 'shadowed';
+
+/** One problem found by `StateMachine.validate()`. */
+export interface ValidationIssue {
+  severity: ValidationSeverity;
+  code: ValidationCode;
+  /** JSON path in the file, e.g. `stateMachine.states.idle.transitions[0].condition`. */
+  path: string;
+  message: string;
+}
+
 export interface StateMachineValidation {
+  /** False when any issue is an error. */
   valid: boolean;
-  issues: string[];
+  issues: ValidationIssue[];
+}
+
+export interface StateMachineValidateOptions {
+  /** Loaded file: parameter definitions, `animations` and the skeleton's animations. */
+  file?: WFLFile | WFLFileJSON | null;
+  /** Registered parameters, used instead of the file's definitions. */
+  parameters?: ParameterSystem;
+  /** Registered drivers, used instead of the file's. */
+  drivers?: DriverSystem;
+  /** More known clip names, e.g. a loaded armature's. */
+  animations?: Iterable<string>;
+  /** JSON path of the machine in the file. Default `'stateMachine'`. */
+  path?: string;
 }
 
+/** JSON representation of a transition. */
+export type StateMachineTransitionJSON = StateMachineJSON['states'][string]['transitions'][number];
+
 /** JSON representation of a state machine for serialization. */
 export interface StateMachineJSON {
   name: string;
   states: {
     [name: string]: {
       animations: string[];
+      /** Omitted when 0. */
+      minDuration?: number;
       transitions: Array<{
-        targetState: string;
+        /** Absent for random groups. */
+        targetState?: string;
+        /** Random group targets; cooldowns are omitted when 0. */
+        targets?: Array<{ state: string; weight: number; cooldown?: number }>;
         condition: string;
+        /** Crossfade length in seconds; omitted for instant transitions. */
+        duration?: number;
+        easing?: EasingName | string;
+        /** Omitted when the transition does not wait. */
+        exitTime?: number;
+        /** Omitted when 0. */
+        priority?: number;
       }>;
+      /** Omitted when the state has no actions; empty moments are left out. */
+      actions?: StateActionsJSON;
+      /** Omitted for states without one. */
+      blendTree?: BlendTreeJSON;
+      /** Child state machine; omitted for flat states. */
+      stateMachine?: NestedStateMachineJSON;
     };
   };
+  /** Transitions checked from every state before its own; omitted when empty. */
+  anyState?: StateMachineTransitionJSON[];
   entryState: string | undefined;
   currentState: string | undefined;
+  /** Seed of the random source; omitted when unseeded. */
+  seed?: number | string;
 }
 
+/** A state machine embedded in a state or layer; `name` and `currentState` are optional. */
+export type NestedStateMachineJSON = Omit<StateMachineJSON, 'name' | 'currentState'> & Partial<Pick<StateMachineJSON, 'name' | 'currentState'>>;
+
 /**
  * A single state within a state machine, holding animation names and outgoing transitions.
  */
@@ -353,16 +1330,132 @@ export declare class State {
   animations: string[];
   /** Outgoing transitions. */
   transitions: Transition[];
+  /** Seconds before any transition out is evaluated. */
+  minDuration: number;
+  /** Child state machine run while this state is active, or null. */
+  stateMachine: StateMachine | null;
+  /** Blend tree whose clip plays after `animations`, or null. */
+  blendTree: BlendTree | null;
+  /** Actions per moment (empty lists when none). */
+  actions: Record<StateActionMoment, StateAction[]>;
 
-  constructor(name: string, animations?: string[]);
+  /** @throws Error for a negative minDuration. */
+  constructor(name: string, animations?: string[], options?: StateOptions);
 
   /**
    * Add an outgoing transition from this state.
    * @param condition - Function evaluated each frame.
-   * @param targetState - State to transition to if condition is true.
+   * @param target - State to transition to if condition is true, or random group targets.
    * @param conditionStr - Human-readable condition string for serialization.
-   */
-  addTransition(condition: TransitionCondition, targetState: State, conditionStr?: string | null): void;
+   * @param options - Crossfade duration and easing.
+   * @throws Error for a negative duration, exitTime or cooldown, a weight of 0 or less, or an unknown easing.
+   */
+  addTransition(
+    condition: TransitionCondition,
+    target: State | Array<{ state: State; weight?: number; cooldown?: number }>,
+    conditionStr?: string | null,
+    options?: TransitionOptions
+  ): void;
+
+  /** Clips the state plays: its animations, then its blend tree's clip. */
+  getAnimations(): string[];
+}
+
+/** One transition evaluated during a traced tick. */
+export interface TraceEvaluation {
+  /** Full path of the state the transition leaves. */
+  from: string;
+  /**
+   * Full path of the target state. Random groups give the picked target, or
+   * every target joined with `|` when none was picked.
+   */
+  to: string;
+  /** Condition string, or `'[function]'`. */
+  condition: string;
+  /** Whether it is an any-state transition. */
+  anyState: boolean;
+  stateTime: number;
+  normalizedTime: number;
+  /** Condition result, or null when the transition was waiting on its exitTime. */
+  result: boolean | null;
+  /** `'cooldown'`: the condition passed but every group target was cooling down. */
+  skipped?: 'exitTime' | 'cooldown';
+  /** Values of the parameters the condition reads. */
+  parameters: Record<string, number | boolean>;
+}
+
+/** Runtime state of a machine (`captureState()`), e.g. at the end of a traced tick. */
+export interface TraceSnapshot {
+  state: string | null;
+  /** Time in state per nesting level, outermost first. */
+  stateTimes: number[];
+  activeTransition: ActiveTransition | null;
+  /** Clock of this machine (`''`) and each nested one, by state path. */
+  clocks?: Record<string, MachineClock>;
+}
+
+/** A machine's clock in `captureState()`. */
+export interface MachineClock {
+  /** Seconds the machine has been updated (`time`). */
+  time: number;
+  /** `readyAt` of each random transition's targets, any-state transitions first. */
+  cooldowns: number[][];
+  /** Position of the machine's seeded random source, when it has one. */
+  random?: number;
+}
+
+/** One traced `update()`. */
+export interface TraceTick {
+  tick: number;
+  /** Seconds traced up to and including this tick. */
+  time: number;
+  deltaTime: number;
+  /** Full state path when the tick started. */
+  state: string | null;
+  evaluations: TraceEvaluation[];
+  /** Transition taken, or null. */
+  transition: { from: string; to: string } | null;
+  after: TraceSnapshot;
+}
+
+/** Exported trace. */
+export interface StateTraceJSON {
+  machine: string | null;
+  capacity: number;
+  ticks: TraceTick[];
+}
+
+export declare const DEFAULT_TRACE_CAPACITY: number;
+
+/**
+ * Bounded buffer of state machine ticks, created by `StateMachine.enableTracing()`.
+ */
+export declare class StateTracer {
+  capacity: number;
+  machine: string | null;
+  /** Recorded ticks, oldest first. */
+  ticks: TraceTick[];
+  /** Ticks recorded so far, including dropped ones. */
+  tickCount: number;
+  /** Seconds of deltaTime traced. */
+  time: number;
+  current: TraceTick | null;
+
+  /** @throws Error when capacity is not a positive integer. */
+  constructor(options?: { capacity?: number; machine?: string });
+
+  beginTick(deltaTime: number, state: string | null): void;
+  recordEvaluation(evaluation: TraceEvaluation): void;
+  recordTransition(from: string, to: string): void;
+  endTick(after: TraceSnapshot): void;
+  /** A recorded tick by number, or null once dropped. */
+  getTick(tick: number): TraceTick | null;
+  getLastTick(): TraceTick | null;
+  /** Ticks in which a transition was taken. */
+  getTransitions(): TraceTick[];
+  /** Drop every recorded tick; numbering continues. */
+  clear(): void;
+  toJSON(): StateTraceJSON;
 }
 
 /**
@@ -382,6 +1475,32 @@ export declare class StateMachine {
   onStateChange: StateChangeCallback | null;
   /** Optional event bus for emitting transition events. */
   eventBus: EventBus | null;
+  /** Seconds spent in the current state; reset on every state change. */
+  stateTime: number;
+  /** The crossfade in progress, or null. */
+  activeTransition: ActiveTransition | null;
+  /** Transitions checked from every state before the current state's own, in priority order. */
+  anyStateTransitions: Transition[];
+  /** Clip length lookup used to normalize time in state (set by the animator). */
+  getAnimationDuration: ((animationName: string) => number | undefined) | null;
+  /** Owning machine and state when nested, or null for the root. */
+  parent: StateMachineParent | null;
+  /** Trace buffer while tracing is enabled, or null. */
+  tracer: StateTracer | null;
+  /**
+   * Performs state actions (set by the animator); child machines use the
+   * nearest ancestor's. Actions are skipped when none is set.
+   */
+  runActions: ((actions: StateAction[], statePath: string, moment: StateActionMoment) => void) | null;
+  /** Seconds this machine has been updated; the clock for group cooldowns. */
+  time: number;
+  /**
+   * Source that picks random group targets. Child machines use the nearest
+   * ancestor's; `Math.random` when none is set.
+   */
+  random: RandomSource | null;
+  /** Seed given to `setRandomSeed()`, or null. */
+  seed: number | string | null;
 
   constructor(name: string);
 
@@ -390,19 +1509,46 @@ export declare class StateMachine {
    * The first added state becomes the entry state by default.
    * @param name - Unique state name.
    * @param animations - Animation clip names for this state.
+   * @param options - State options such as `minDuration` or a child `stateMachine`.
    * @returns The created State.
    */
-  addState(name: string, animations?: string[]): State;
+  addState(name: string, animations?: string[], options?: StateOptions): State;
 
   /**
-   * Add a transition between two existing states.
+   * Add a transition between two existing states. With group targets, a
+   * target off cooldown is picked by weight when the condition passes; when
+   * every target is cooling down the transition does not fire.
    * @param fromStateName - Source state name.
-   * @param toStateName - Target state name.
+   * @param toStateName - Target state name, or random group targets.
    * @param condition - Condition function.
    * @param conditionStr - Serializable condition string.
-   * @throws Error if either state is not found.
+   * @param options - Crossfade duration and easing, and the group's default cooldown.
+   * @throws Error if a state is not found or the options are invalid.
+   */
+  addTransition(
+    fromStateName: string,
+    toStateName: string | RandomTargetOptions[],
+    condition: TransitionCondition,
+    conditionStr?: string | null,
+    options?: TransitionOptions
+  ): void;
+
+  /**
+   * Add a transition that can fire from any state. Checked before the
+   * current state's own transitions, not held back by `minDuration`, and
+   * never fired from its own target state (groups never pick the current state).
+   * @param toStateName - Target state name, or random group targets.
+   * @throws Error if a state is not found or the options are invalid.
    */
-  addTransition(fromStateName: string, toStateName: string, condition: TransitionCondition, conditionStr?: string | null): void;
+  addAnyStateTransition(
+    toStateName: string | RandomTargetOptions[],
+    condition: TransitionCondition,
+    conditionStr?: string | null,
+    options?: TransitionOptions
+  ): void;
+
+  /** Seed the source that picks random group targets, restarting its sequence. */
+  setRandomSeed(seed: number | string): void;
 
   /**
    * Remove a state and all transitions referencing it.
@@ -412,7 +1558,7 @@ export declare class StateMachine {
   removeState(name: string): boolean;
 
   /**
-   * Remove transitions from one state to another.
+   * Remove transitions from one state to another, and the target from random groups.
    * @param fromStateName - Source state name.
    * @param toStateName - Target state name.
    * @returns `true` if any transitions were removed.
@@ -420,11 +1566,17 @@ export declare class StateMachine {
   removeTransition(fromStateName: string, toStateName: string): boolean;
 
   /**
-   * Get a state by name.
-   * @param name - State name.
+   * Get a state by name or nested path (e.g. `"roasting/windup"`).
+   * @param name - State name or path.
    */
   getState(name: string): State | undefined;
 
+  /**
+   * Set the state entered first and on `reset()`, without firing events.
+   * @returns `false` if the state does not exist.
+   */
+  setEntryState(name: string): boolean;
+
   /**
    * Get outgoing transitions from a state.
    * @param stateName - State name.
@@ -432,10 +1584,14 @@ export declare class StateMachine {
   getTransitions(stateName: string): Transition[];
 
   /**
-   * Validate the state machine for structural issues such as unreachable states.
-   * @returns Validation result with a list of issues.
+   * Check the machine and its child machines. Errors (invalid): no states or
+   * entry state, unreachable states, invalid conditions, unknown parameters
+   * or drivers and missing clips. Warnings: dead ends, conditions that can never be
+   * true, duplicate and shadowed transitions. Parameter and clip checks need
+   * a file or explicit names; clip checks are skipped when none are defined.
+   * Transitions are indexed in declaration (file) order, not priority order.
    */
-  validate(): StateMachineValidation;
+  validate(options?: StateMachineValidateOptions): StateMachineValidation;
 
   /**
    * Register a callback invoked when entering any state.
@@ -453,24 +1609,100 @@ export declare class StateMachine {
 
   /**
    * Evaluate transitions from the current state using parameter values.
-   * Transitions to the first matching target state.
+   * Transitions to the first matching target state and consumes the
+   * triggers its condition refers to. Nothing is evaluated before the state's
+   * `minDuration`, and transitions wait for their `exitTime`. When no
+   * transition fires, the current state's child machine is updated.
    * @param parameters - The parameter system to evaluate conditions against.
+   * @param deltaTime - Seconds since the last update, added to `stateTime`.
+   */
+  update(parameters: ParameterSystem, deltaTime?: number): void;
+
+  /**
+   * Advance the running crossfade; emits `transition.complete` when it ends.
+   * Called by `update()` after transitions are evaluated.
+   */
+  advanceTransition(deltaTime: number): void;
+
+  /** Eased progress of the running crossfade (1 when none is running). */
+  getTransitionProgress(): number;
+
+  /** Whether a crossfade is still running. */
+  isTransitioning(): boolean;
+
+  /** Length of a state's longest clip in seconds (0 when unknown). Defaults to the current state. */
+  getStateLength(state?: State | null): number;
+
+  /** Time in the current state over its clip length; seconds when the length is unknown. */
+  getNormalizedTime(): number;
+
+  /**
+   * Consume the fired triggers a transition's condition refers to, directly
+   * or through derived parameters.
+   * @param transition - The transition that fired.
+   * @param parameters - The parameter system holding the triggers.
    */
-  update(parameters: ParameterSystem): void;
+  consumeTriggers(transition: Transition, parameters: ParameterSystem): void;
 
   /**
    * Directly set the current state by name or State reference.
-   * Fires enter/exit callbacks and the `onStateChange` hook.
-   * @param stateOrName - State name string or State object.
+   * Fires enter/exit callbacks and the `onStateChange` hook. With a timed
+   * transition, `transition.complete` is emitted when the crossfade ends;
+   * a crossfade still running is completed first with `interrupted: true`.
+   * A path (`"roasting/windup"`) enters that child state; child machines are
+   * exited innermost first and entered outermost first. Callbacks, events
+   * and `onStateChange` receive full paths and bubble to the root.
+   * @param stateOrName - State name, path or State object.
+   * @param transition - Duration and easing of the transition taken.
    */
-  setState(stateOrName: string | State): void;
+  setState(stateOrName: string | State, transition?: TransitionOptions | null): void;
+
+  /**
+   * Enter the first state (default: the entry state) without exiting the one
+   * `addState()` made current, which was never entered.
+   */
+  start(stateOrName?: string | State): void;
+
+  /** Path of the current state relative to this machine (e.g. `"roasting/windup"`), or null. */
+  getCurrentState(): string | null;
 
-  /** Get the animation names for the current state. */
+  /** Get the animation names for the current state, followed by those of its active child states. */
   getCurrentAnimations(): string[];
 
+  /** Blend trees of the current state and its active child states. */
+  getActiveBlendTrees(): BlendTree[];
+
   /** Reset to the entry state. */
   reset(): void;
 
+  /**
+   * Record every transition evaluation, one tick per `update()`, including
+   * those of child machines.
+   * @param options - Ticks kept (default 600).
+   * @throws Error when capacity is not a positive integer.
+   */
+  enableTracing(options?: { capacity?: number }): StateTracer;
+
+  /** Stop recording and drop the trace. */
+  disableTracing(): void;
+
+  /**
+   * Restore the states, times in state and crossfade a recorded tick ended
+   * with. Fires no callbacks or events.
+   * @returns The tick, or null when tracing is off or the tick was dropped.
+   */
+  rewindTo(tick: number): TraceTick | null;
+
+  /** Active path, time in state per level, crossfade and every machine's clock, cooldowns and random position. */
+  captureState(): TraceSnapshot;
+
+  /**
+   * Resume a captured state without firing callbacks, events or actions.
+   * Stops at the first level whose state no longer exists; clocks of
+   * machines that no longer exist are skipped.
+   */
+  restoreState(snapshot: TraceSnapshot): void;
+
   /** Serialize the state machine to a JSON-compatible object. */
   toJSON(): StateMachineJSON;
 }
@@ -479,17 +1711,84 @@ export declare class StateMachine {
 // File Format
 // ─────────────────────────────────────────────────────────────────
 
+/** JSON description of an animation layer: a state machine blended over a bone mask. */
+export interface LayerJSON extends LayerOptions {
+  name: string;
+  stateMachine: NestedStateMachineJSON;
+}
+
 /** JSON structure of a WFL animation file. */
 export interface WFLFileJSON {
   version: number;
   metadata: Record<string, any>;
   parameters: ParametersJSON;
+  drivers: DriversJSON;
   stateMachine: StateMachineJSON | null;
+  /** Extra state machines, each driving a rig layer, updated after `stateMachine`. */
+  layers: LayerJSON[];
   animations: Record<string, any>;
   bones: Record<string, any>;
   sprites?: SpriteData;
 }
 
+/** Schema keyword (or `'reference'` for cross-reference checks) behind a validation error. */
+export type WFLValidationKeyword =
+  | 'type' | 'enum' | 'required' | 'additionalProperties' | 'minimum' | 'maximum'
+  | 'exclusiveMinimum' | 'minLength' | 'minItems' | 'maxItems' | 'reference';
+
+/** One problem found by {@link WFLFile.validate}. */
+export interface WFLValidationError {
+  /** JSON Pointer to the offending value, e.g. `/stateMachine/states/idle/transitons` (`''` for the root). */
+  pointer: string;
+  keyword: WFLValidationKeyword;
+  message: string;
+}
+
+/** Result of {@link WFLFile.validate}. */
+export interface WFLValidationResult {
+  valid: boolean;
+  errors: WFLValidationError[];
+}
+
+/** JSON Schema (draft-07 subset) describing a .wfl file. */
+export declare const WFL_SCHEMA: Record<string, any>;
+
+/** Layer names the animator uses for its own mouth and eye layers; files may not use them. */
+export declare const RESERVED_LAYER_NAMES: string[];
+
+/**
+ * Validate parsed file JSON against a schema (default {@link WFL_SCHEMA}),
+ * then check cross-references and dependent values.
+ */
+export declare function validateWFL(json: unknown, schema?: Record<string, any>): WFLValidationResult;
+
+/** Format version written by this runtime. */
+export declare const WFL_VERSION: number;
+
+/** One format upgrade, from `from` to `from + 1`. */
+export interface WFLMigration {
+  from: number;
+  description: string;
+  /** Upgrade a private copy of the file (may change it in place). */
+  migrate(json: Record<string, any>): Record<string, any>;
+}
+
+/** Ordered format upgrades chained by {@link migrateWFL}. */
+export declare const WFL_MIGRATIONS: WFLMigration[];
+
+/**
+ * Upgrade parsed file JSON to a format version (files without a version are version 1).
+ * Returns `json` itself when already at `targetVersion`, otherwise an upgraded copy.
+ * @throws Error for files newer than this runtime, invalid versions, or downgrades.
+ */
+export declare function migrateWFL<T extends Record<string, any>>(json: T, targetVersion?: number): T;
+
+/** Options for {@link WFLFile.load}. */
+export interface WFLFileLoadOptions {
+  /** Refuse files that fail {@link WFLFile.validate} (default `false`). */
+  strict?: boolean;
+}
+
 /**
  * JSON-based animation file format.
  * Holds parameters, state machine definition, animations, and bone data.
@@ -498,28 +1797,63 @@ export declare class WFLFile {
   version: number;
   metadata: Record<string, any>;
   parameters: ParametersJSON;
+  drivers: DriversJSON;
   stateMachine: StateMachineJSON | null;
+  layers: LayerJSON[];
   animations: Record<string, any>;
   bones: Record<string, any>;
   sprites?: SpriteData;
+  /** Assets embedded in the container the file was parsed from, by name (empty otherwise). */
+  assets: Map<string, WFLContainerAsset>;
 
   constructor();
 
   /**
-   * Create a WFLFile from a parsed JSON object.
+   * Create a WFLFile from a parsed JSON object, migrating older versions to {@link WFL_VERSION}.
    * @param json - Parsed JSON data.
+   * @throws Error for files newer than this runtime supports.
    */
   static fromJSON(json: Partial<WFLFileJSON>): WFLFile;
 
+  /**
+   * Check parsed file JSON against the WFL schema: types, required fields,
+   * unknown keys, value ranges and cross-references (transition targets,
+   * entry states, bone parents, track bones, driven parameters).
+   */
+  static validate(json: unknown): WFLValidationResult;
+
+  /**
+   * Upgrade parsed file JSON to a format version (default {@link WFL_VERSION}).
+   * @see migrateWFL
+   */
+  static migrate<T extends Record<string, any>>(json: T, targetVersion?: number): T;
+
+  /**
+   * Return the JSON unchanged if it validates.
+   * @throws Error listing every validation error as `pointer: message`.
+   */
+  static assertValid<T>(json: T): T;
+
   /** Serialize to a JSON-compatible object. */
   toJSON(): WFLFileJSON;
 
   /**
-   * Fetch and parse a WFL file from a URL.
+   * Parse a file from JSON text, a WFLB buffer or a container (detected from
+   * the magic number); container assets end up in {@link WFLFile.assets}.
+   * @throws Error on malformed or compressed data (use {@link WFLFile.parseAsync}),
+   *   or for invalid files in strict mode.
+   */
+  static parse(data: ArrayBuffer | Uint8Array | string, options?: WFLFileLoadOptions): WFLFile;
+
+  /** {@link WFLFile.parse} that also reads compressed binary files and containers. */
+  static parseAsync(data: ArrayBuffer | Uint8Array | string, options?: WFLFileLoadOptions): Promise<WFLFile>;
+
+  /**
+   * Fetch and parse a WFL file (JSON, binary or container, compressed or not) from a URL.
    * @param url - URL to fetch.
-   * @throws Error on HTTP failure.
+   * @throws Error on HTTP failure, or for invalid files in strict mode.
    */
-  static load(url: string): Promise<WFLFile>;
+  static load(url: string, options?: WFLFileLoadOptions): Promise<WFLFile>;
 
   /**
    * Download the file as JSON via the browser.
@@ -528,20 +1862,78 @@ export declare class WFLFile {
   download(filename?: string): void;
 }
 
+/** Asset kinds a container can embed. */
+export type WFLContainerAssetType = 'sprite' | 'atlas' | 'audio' | 'visemes';
+
+/** Asset passed to {@link WFLBinaryFormat.encodeContainer}. */
+export interface WFLContainerAssetInput {
+  type: WFLContainerAssetType;
+  /** Reference the document uses for it, e.g. `'sprites/base.png'`. */
+  name: string;
+  /** Raw bytes, or any JSON value (stored as `application/json`). */
+  data: ArrayBuffer | ArrayBufferView | any;
+  /** Defaults to `application/octet-stream` for bytes, `application/json` otherwise. */
+  mimeType?: string;
+}
+
+/** Asset unpacked by {@link WFLBinaryFormat.decodeContainer}. */
+export interface WFLContainerAsset {
+  type: WFLContainerAssetType;
+  name: string;
+  mimeType: string;
+  /** Bytes, or the parsed value for `application/json` assets. */
+  data: Uint8Array | any;
+}
+
+/** Payload compression, flagged in the v2 header. */
+export type WFLCompression = 'deflate' | 'gzip';
+
+/** Options for {@link WFLBinaryFormat.encode}. */
+export interface WFLBinaryEncodeOptions {
+  /** Binary version to write (default 2); 1 writes the legacy JSON payload. */
+  version?: 1 | 2;
+}
+
+/** Options for {@link WFLBinaryFormat.encodeAsync}. */
+export interface WFLBinaryEncodeAsyncOptions extends WFLBinaryEncodeOptions {
+  /** Compress the payload (version 2 only). */
+  compression?: WFLCompression;
+  /** Compression level 0-9 (zlib default 6). Honoured in Node.js; browsers pick their own. */
+  level?: number;
+}
+
 /**
  * Binary WFL file format encoder/decoder.
  *
- * Layout: `[MAGIC 4B][VERSION 4B][LENGTH 4B][JSON PAYLOAD NB][CRC32 4B]`
+ * v1 layout: `[MAGIC 4B][VERSION 4B][LENGTH 4B][JSON PAYLOAD NB][CRC32 4B]`
+ *
+ * v2 layout: `[MAGIC 4B][VERSION 4B][FLAGS 4B][LENGTH 4B][PAYLOAD NB][CRC32 4B]`, where the
+ * payload is a string table followed by tagged values: typed property keys, LEB128 varints
+ * and float32 keyframe tables.
  */
 export declare class WFLBinaryFormat {
   /** Magic number identifying the format: `0x57464C42` ("WFLB"). */
   static readonly MAGIC: number;
-  /** Current binary format version. */
+  /** Newest binary format version (written by default). */
   static readonly VERSION: number;
-  /** Size of the binary header in bytes. */
+  /** Size of the v2 binary header in bytes. */
   static readonly HEADER_SIZE: number;
+  /** Size of the v1 binary header in bytes. */
+  static readonly V1_HEADER_SIZE: number;
   /** Size of the trailing CRC32 checksum in bytes. */
   static readonly CHECKSUM_SIZE: number;
+  /** v2 header flag per compression format. */
+  static readonly COMPRESSION_FLAGS: Readonly<Record<WFLCompression, number>>;
+  /** Magic number identifying a container: `0x57464C43` ("WFLC"). */
+  static readonly CONTAINER_MAGIC: number;
+  /** Newest container version. */
+  static readonly CONTAINER_VERSION: number;
+  /** Size of the container header in bytes. */
+  static readonly CONTAINER_HEADER_SIZE: number;
+  /** Size of a chunk's type and length fields in bytes. */
+  static readonly CHUNK_HEADER_SIZE: number;
+  /** Four-character chunk type per kind. */
+  static readonly CHUNK_TYPES: Readonly<Record<'document' | WFLContainerAssetType, string>>;
 
   /**
    * Compute CRC32 (IEEE 802.3) over a byte array.
@@ -552,18 +1944,79 @@ export declare class WFLBinaryFormat {
 
   /**
    * Encode a WFLFile or plain object into the binary format.
+   * Keyframe arrays are stored as float32 (about 7 significant digits).
    * @param data - Object with `.toJSON()` method or a plain JSON-serializable object.
    * @returns Binary ArrayBuffer.
+   * @throws Error on invalid options, or when given `compression`
+   *   (use {@link WFLBinaryFormat.encodeAsync}).
+   */
+  static encode(data: WFLFile | Record<string, any>, options?: WFLBinaryEncodeOptions): ArrayBuffer;
+
+  /**
+   * {@link WFLBinaryFormat.encode} with optional payload compression
+   * (zlib in Node.js, `CompressionStream` in browsers).
+   * Compressed payloads keep the CRC32 of the uncompressed bytes.
    */
-  static encode(data: WFLFile | Record<string, any>): ArrayBuffer;
+  static encodeAsync(data: WFLFile | Record<string, any>, options?: WFLBinaryEncodeAsyncOptions): Promise<ArrayBuffer>;
 
   /**
-   * Decode a binary buffer back to a plain JSON object.
+   * Decode a binary buffer back to a plain JSON object (v1 or v2, read from the header).
    * @param buffer - ArrayBuffer or Node.js Buffer.
-   * @returns Decoded JSON object.
-   * @throws Error on magic mismatch, unsupported version, or checksum failure.
+   * @returns Decoded JSON object, migrated to {@link WFL_VERSION} when it carries a file `version`.
+   * @throws Error on magic mismatch, unsupported version, a compressed payload
+   *   (use {@link WFLBinaryFormat.decodeAsync}), checksum failure, or a file
+   *   version newer than this runtime supports.
    */
   static decode(buffer: ArrayBuffer | Uint8Array): Record<string, any>;
+
+  /**
+   * {@link WFLBinaryFormat.decode} for compressed and uncompressed buffers alike
+   * (zlib in Node.js, `DecompressionStream` in browsers).
+   */
+  static decodeAsync(buffer: ArrayBuffer | Uint8Array): Promise<Record<string, any>>;
+
+  /**
+   * Bundle a document with its sprites, texture atlases, audio clips and viseme maps
+   * into a chunked container: `[MAGIC][VERSION][FLAGS]` then `[TYPE 4B][LENGTH 4B][BODY][CRC32 4B]` chunks.
+   * @param options - Passed to {@link WFLBinaryFormat.encode} for the document chunk.
+   * @throws Error on unknown asset types, missing names or data, or duplicate names,
+   *   and as {@link WFLBinaryFormat.encode} (use {@link WFLBinaryFormat.encodeContainerAsync} to compress).
+   */
+  static encodeContainer(
+    document: WFLFile | Record<string, any>,
+    assets?: WFLContainerAssetInput[],
+    options?: WFLBinaryEncodeOptions
+  ): ArrayBuffer;
+
+  /**
+   * {@link WFLBinaryFormat.encodeContainer} with optional compression of the
+   * document chunk (the only chunk that gets compressed).
+   */
+  static encodeContainerAsync(
+    document: WFLFile | Record<string, any>,
+    assets?: WFLContainerAssetInput[],
+    options?: WFLBinaryEncodeAsyncOptions
+  ): Promise<ArrayBuffer>;
+
+  /**
+   * Unpack a container. Unknown chunk types are skipped.
+   * @throws Error on magic mismatch, unsupported version or flags, truncated chunks,
+   *   chunk checksum failures, a missing or repeated document, duplicate asset names,
+   *   or a compressed document (use {@link WFLBinaryFormat.decodeContainerAsync}).
+   */
+  static decodeContainer(buffer: ArrayBuffer | Uint8Array): {
+    document: Record<string, any>;
+    assets: Map<string, WFLContainerAsset>;
+  };
+
+  /** {@link WFLBinaryFormat.decodeContainer} for compressed and uncompressed documents alike. */
+  static decodeContainerAsync(buffer: ArrayBuffer | Uint8Array): Promise<{
+    document: Record<string, any>;
+    assets: Map<string, WFLContainerAsset>;
+  }>;
+
+  /** Whether a buffer starts with the container magic number (`false` for strings and other non-buffers). */
+  static isContainer(buffer: ArrayBuffer | Uint8Array | string): boolean;
 }
 
 // ─────────────────────────────────────────────────────────────────
@@ -660,6 +2113,15 @@ export interface AnimationData {
   tracks: AnimationTrack[];
 }
 
+/** A registered blend clip: clips mixed by weight at the same normalized time. */
+export interface BlendClipData {
+  /** Longest mixed clip, in seconds. */
+  duration: number;
+  /** Weights sum to 1. */
+  /** `animation` is null for a clip name the armature does not have. */
+  motions: Array<{ name: string; animation: AnimationData | null; weight: number }>;
+}
+
 /** Skeleton data used to build an Armature from JSON. */
 export interface SkeletonData {
   name?: string;
@@ -679,6 +2141,31 @@ export interface SkeletonData {
   }>;
 }
 
+/** A bone's local transform, as captured or sampled for blending. */
+export interface BonePose {
+  rotation: number;
+  x: number;
+  y: number;
+  scaleX: number;
+  scaleY: number;
+}
+
+/** How a layer combines with the pose below it. */
+export type BlendMode = 'override' | 'additive';
+
+/** Valid layer blend modes. */
+export declare const BLEND_MODES: BlendMode[];
+
+/** Options for an animation layer. */
+export interface LayerOptions {
+  /** Bone names the layer affects, descendants included (default: all bones). */
+  mask?: string[] | null;
+  /** `override` moves toward the layer pose; `additive` adds rotation/position and multiplies scale (default `override`). */
+  blendMode?: BlendMode;
+  /** Influence from 0 to 1 (default 1). */
+  weight?: number;
+}
+
 /**
  * A bone tree with animation playback state.
  * Manages a hierarchy of bones, registered animation clips,
@@ -690,7 +2177,7 @@ export declare class Armature {
   /** Fast bone lookup by name. */
   boneMap: Map<string, Bone>;
   /** Registered animation clips. */
-  animations: Map<string, AnimationData>;
+  animations: Map<string, AnimationData | BlendClipData>;
   /** Currently playing animation data (or null). */
   currentAnimation: AnimationData | null;
   /** Name of the currently playing animation. */
@@ -703,6 +2190,16 @@ export declare class Armature {
   animationLoopCount: number;
   /** Whether an animation is currently playing. */
   isPlaying: boolean;
+  /** Crossfade in progress (null when none). */
+  crossfade: { duration: number; elapsed: number; easing: EasingName | string; fromPose: Map<string, BonePose> } | null;
+  /** The clip blending out during a crossfade. */
+  fadingAnimation: { animation: AnimationData; time: number; playTimes: number; loopCount: number } | null;
+  /** Layers blended over the base playback, in order. */
+  layers: AnimationLayer[];
+  /** Bone poses from before the last layer blend. */
+  layerBase: Map<string, BonePose>;
+  /** Bone poses the last layer blend produced. */
+  layerOutput: Map<string, BonePose>;
 
   constructor();
 
@@ -722,6 +2219,28 @@ export declare class Armature {
   /** Get an array of all registered bones. */
   getAllBones(): Bone[];
 
+  /** Bone names covered by a mask: each listed bone and its descendants (all bones for `null`). */
+  expandMask(mask: string[] | null): Set<string>;
+
+  /**
+   * Add a layer with its own playback, blended over the base playback
+   * and earlier layers for the bones in its mask.
+   * @throws Error for a duplicate name or unknown blend mode.
+   */
+  addLayer(name: string, opts?: LayerOptions): AnimationLayer;
+
+  /** Retrieve a layer by name. */
+  getLayer(name: string): AnimationLayer | null;
+
+  /** Remove a layer; its bones return to their unlayered pose next frame. */
+  removeLayer(name: string): boolean;
+
+  /** Undo last frame's layer blend (bones changed since are kept). */
+  restoreLayerBase(): void;
+
+  /** Advance every layer and blend its pose onto the bones. */
+  applyLayers(dt: number): void;
+
   /**
    * Register an animation clip.
    * @param name - Animation name.
@@ -729,6 +2248,19 @@ export declare class Armature {
    */
   addAnimation(name: string, data: AnimationData): void;
 
+  /**
+   * Register a blend clip mixing registered clips. Unknown names keep their
+   * slot, so weight indices stay aligned, and sample as the base pose.
+   * It plays, crossfades and layers like any other clip.
+   */
+  addBlendClip(name: string, animationNames: string[]): void;
+
+  /** Set a blend clip's weights (in `addBlendClip` order or by clip name), normalized to sum to 1. */
+  setBlendWeights(name: string, weights: number[] | Record<string, number>): void;
+
+  /** Sample a blend clip's weighted clips at the same normalized time and average them per bone. */
+  sampleBlendPose(clip: BlendClipData, time: number, basePose: Map<string, BonePose>): Map<string, BonePose>;
+
   /**
    * Start playing an animation by name.
    * @param name - Animation clip name.
@@ -736,6 +2268,31 @@ export declare class Armature {
    */
   play(name: string, playTimes?: number): void;
 
+  /**
+   * Blend from whatever is playing into a named animation. The outgoing
+   * clip keeps playing while it blends out; only bones either clip animates
+   * are touched. Calls made before any time passes keep the original
+   * outgoing clip.
+   * @param name - Animation clip name.
+   * @param duration - Blend length in seconds (0 = same as `play()`).
+   */
+  crossFade(name: string, duration: number, opts?: { playTimes?: number; easing?: EasingName | string }): void;
+
+  /**
+   * Advance a crossfade and apply the blended pose.
+   * @param dt - Elapsed time in seconds.
+   */
+  advanceCrossfade(dt: number): void;
+
+  /** Snapshot every bone's local transform. */
+  capturePose(): Map<string, BonePose>;
+
+  /** Sample a clip into a pose for the bones it animates; unkeyed properties come from `basePose`. */
+  samplePose(anim: AnimationData | BlendClipData, time: number, basePose: Map<string, BonePose>): Map<string, BonePose>;
+
+  /** Write a pose entry onto a bone. */
+  applyBonePose(name: string, pose: BonePose): void;
+
   /**
    * Stop the named animation (or current if name matches or is omitted).
    * @param name - Animation name to stop.
@@ -751,6 +2308,107 @@ export declare class Armature {
 
   /** Recompute all world transforms starting from the root bone. */
   updateWorldTransforms(): void;
+
+  /** Everything needed to resume the current frame, as plain JSON. */
+  captureState(): ArmatureState;
+
+  /** Resume a frame from `captureState()`; missing clips, bones and layers are skipped. */
+  restoreState(state: ArmatureState): void;
+
+  /** Name a clip was registered under, or null. */
+  animationName(anim: AnimationData | BlendClipData): string | null;
+}
+
+/** A play head as JSON; clips are referenced by name. */
+export interface PlaybackState {
+  animation: string | null;
+  time: number;
+  playTimes: number;
+  loopCount: number;
+  isPlaying: boolean;
+}
+
+/** A crossfade as JSON. */
+export interface CrossfadeState {
+  duration: number;
+  elapsed: number;
+  easing: EasingName | string;
+  fromPose: Record<string, BonePose>;
+}
+
+/** Runtime state of an animation layer. */
+export interface AnimationLayerState {
+  name: string;
+  weight: number;
+  playback: PlaybackState;
+  crossfade: CrossfadeState | null;
+  pose: Record<string, BonePose>;
+}
+
+/** Runtime state of an armature (`Armature.captureState()`). */
+export interface ArmatureState {
+  /** Local pose of every bone, including bones set directly. */
+  bones: Record<string, BonePose>;
+  playback: PlaybackState;
+  crossfade: CrossfadeState | null;
+  /** The clip blending out during a crossfade. */
+  fading: { animation: string | null; time: number; playTimes: number; loopCount: number } | null;
+  /** Poses before and after last frame's layer blend. */
+  layerBase: Record<string, BonePose>;
+  layerOutput: Record<string, BonePose>;
+  layers: AnimationLayerState[];
+  /** Normalized weights per blend clip. */
+  blendWeights: Record<string, number[]>;
+}
+
+/**
+ * Independent playback on an Armature, limited to a bone mask and blended
+ * over the pose below it. Created through `Armature.addLayer()`.
+ */
+export declare class AnimationLayer {
+  armature: Armature;
+  name: string;
+  /** Bone names as given (null = all bones). */
+  mask: string[] | null;
+  /** Expanded mask: listed bones and their descendants. */
+  bones: Set<string>;
+  blendMode: BlendMode;
+  /** Influence from 0 to 1. */
+  weight: number;
+  currentAnimation: AnimationData | null;
+  currentAnimationName: string | null;
+  animationTime: number;
+  animationPlayTimes: number;
+  animationLoopCount: number;
+  isPlaying: boolean;
+  /** Blend from the layer's previous pose (null when none). */
+  crossfade: { duration: number; elapsed: number; easing: EasingName | string; fromPose: Map<string, BonePose> } | null;
+  /** Last sampled pose, before weighting. */
+  pose: Map<string, BonePose>;
+
+  /** @throws Error for an unknown blend mode. */
+  constructor(armature: Armature, name: string, opts?: LayerOptions);
+
+  /** Set the influence, clamped to [0, 1]. */
+  setWeight(weight: number): void;
+
+  /** Play a clip on this layer; a finished clip holds its last frame until stopped. */
+  play(name: string, playTimes?: number): void;
+
+  /** Blend from the layer's current pose into a clip. */
+  crossFade(name: string, duration: number, opts?: { playTimes?: number; easing?: EasingName | string }): void;
+
+  /** Stop the named clip (or any if omitted). */
+  stop(name?: string): void;
+
+  /** Advance playback and sample the pose for the masked bones. */
+  advance(dt: number): Map<string, BonePose>;
+
+  /** Weight, playback, crossfade and last pose. */
+  captureState(): AnimationLayerState;
+
+  /** Resume from `captureState()`. */
+  restoreState(state: AnimationLayerState): void;
 }
 
 /**
@@ -803,6 +2461,10 @@ export declare class DragonBonesRigging {
   armature: Armature | null;
   /** The display renderer (null until loaded). */
   armatureDisplay: ArmatureDisplay | null;
+  /** Layer definitions, re-created on every loaded armature. */
+  layers: Map<string, LayerOptions>;
+  /** Blend clip definitions, re-created on every loaded armature. */
+  blendClips: Map<string, { animations: string[]; weights: number[] | null }>;
 
   constructor();
 
@@ -824,14 +2486,53 @@ export declare class DragonBonesRigging {
    * Play a named animation clip.
    * @param animationName - Name of the animation to play.
    * @param times - -1 = loop, 1 = once, N = N times (default -1).
+   * @param options - `layer` to play on (default: base playback).
+   */
+  playAnimation(animationName: string, times?: number, options?: { layer?: string }): void;
+
+  /** Length of a registered animation in seconds (undefined if unknown). */
+  getAnimationDuration(animationName: string): number | undefined;
+
+  /** Bones keyed by any of the named clips (blend clips count their motions), e.g. as a layer mask. */
+  getAnimationBones(animationNames: string[]): string[];
+
+  /**
+   * Blend into a named animation while the current one blends out.
+   * @param animationName - Name of the animation to blend in.
+   * @param duration - Blend length in seconds (0 = same as playAnimation).
    */
-  playAnimation(animationName: string, times?: number): void;
+  crossfadeAnimation(animationName: string, duration: number, options?: { times?: number; easing?: EasingName | string; layer?: string }): void;
 
   /**
    * Stop the named animation.
    * @param animationName - Animation to stop.
+   * @param options - `layer` to stop (default: base playback).
    */
-  stopAnimation(animationName: string): void;
+  stopAnimation(animationName: string, options?: { layer?: string }): void;
+
+  /**
+   * Define an animation layer; may be called before `loadArmature()`.
+   * @throws Error for a duplicate name or unknown blend mode.
+   */
+  addLayer(name: string, options?: LayerOptions): void;
+
+  /** Remove a layer definition and the armature's layer. */
+  removeLayer(name: string): boolean;
+
+  /** Change a layer's weight (clamped to 0-1). */
+  setLayerWeight(name: string, weight: number): void;
+
+  /** Define a blend clip mixing registered clips by weight; may be called before `loadArmature()`. */
+  addBlendClip(name: string, animationNames: string[]): void;
+
+  /** Update a blend clip's weights (in `addBlendClip` order). */
+  setBlendWeights(name: string, weights: number[]): void;
+
+  /** The armature's current frame, or null when no armature is loaded. */
+  captureState(): ArmatureState | null;
+
+  /** Resume a frame on the loaded armature; layer and blend weights are kept for later armatures. */
+  restoreState(state: ArmatureState): void;
 
   /**
    * Advance animation and recompute world transforms.
@@ -973,6 +2674,10 @@ export interface StreamingLoadOptions {
   target?: HTMLElement | string | null;
   /** Loading target alias (used by WFLAnimator.load). */
   loadingTarget?: HTMLElement | string | null;
+  /** Parameters the file does not define are kept (default) or removed. */
+  missingParameters?: MissingParameterPolicy;
+  /** Turn the downloaded bytes into the result (default: UTF-8 JSON). */
+  parse?: (bytes: Uint8Array) => any | Promise<any>;
 }
 
 /** Internal loading indicator record. */
@@ -1003,7 +2708,7 @@ export declare class StreamingAnimationLoader {
    * @param options - Loading options.
    * @returns Parsed animation data.
    */
-  loadWithStreaming(url: string, options?: StreamingLoadOptions): Promise<Record<string, any>>;
+  loadWithStreaming(url: string, options?: StreamingLoadOptions): Promise<any>;
 
   /**
    * Show a skeleton loading indicator.
@@ -1062,6 +2767,21 @@ export interface CreateSessionOptions {
 export interface SessionSnapshot {
   parameters: ParametersJSON;
   stateMachine: StateMachineJSON | null;
+  /** Layer definitions with their current weights. */
+  layers?: LayerJSON[];
+  /** Runtime state to resume the exact frame; older snapshots restart at the entry states. */
+  runtime?: {
+    stateMachine: TraceSnapshot | null;
+    /** Layer name -> machine state. */
+    layers: Record<string, TraceSnapshot>;
+    /** Null when no armature was loaded. */
+    rigging: ArmatureState | null;
+    audio: AudioSyncState;
+    /** Driver name -> clock and random position. */
+    drivers?: Record<string, DriverState>;
+    /** Playing parameter clip name -> position. */
+    parameterClips?: Record<string, ParameterClipPlaybackState>;
+  };
   timestamp: number;
 }
 
@@ -1392,6 +3112,17 @@ export interface AudioSyncOptions {
  * Supports Web Audio API in browsers and falls back to a stub
  * implementation in Node.js for testability.
  */
+/** Runtime state of AudioSync (`captureState()`). */
+export interface AudioSyncState {
+  /** Last loaded URL, or null. */
+  url: string | null;
+  time: number;
+  isPlaying: boolean;
+  volume: number;
+  firedMarkers: string[];
+  viseme: string | null;
+}
+
 export declare class AudioSync {
   constructor(options?: AudioSyncOptions);
 
@@ -1418,6 +3149,17 @@ export declare class AudioSync {
    */
   seek(time: number): void;
 
+  // ── Snapshots ──────────────────────────────────────────────────
+
+  /** Playback position, fired markers and current viseme. */
+  captureState(): AudioSyncState;
+
+  /**
+   * Resume from `captureState()`, loading its URL first when another clip
+   * is loaded. Markers already fired do not fire again.
+   */
+  restoreState(state: AudioSyncState): Promise<void>;
+
   // ── Properties ─────────────────────────────────────────────────
 
   /** Current playback position in seconds. */
@@ -1535,6 +3277,8 @@ export interface WFLAnimatorOptions {
   permissionManager?: PermissionManager;
   /** Custom session store (defaults to globalSessionStore). */
   sessionStore?: SessionStore;
+  /** Random source for every state machine, replacing seeds from the file. */
+  random?: RandomSource;
 }
 
 /** Options for the {@link WFLAnimator.load} method. */
@@ -1543,6 +3287,8 @@ export interface WFLAnimatorLoadOptions {
   streaming?: boolean;
   /** DOM element or selector to show loading indicator on. */
   loadingTarget?: HTMLElement | string | null;
+  /** Refuse files that fail {@link WFLFile.validate}: emits an error event and throws (default `false`). */
+  strict?: boolean;
 }
 
 /**
@@ -1566,8 +3312,16 @@ export declare class WFLAnimator {
   // ── Core systems ────────────────────────────────────────────────
   /** Parameter system controlling animation values. */
   parameters: ParameterSystem;
+  /** Procedural drivers (blink, breathing, sway), advanced by the animation loop. */
+  drivers: DriverSystem;
+  /** Player for recorded parameter clips. */
+  parameterClips: ParameterClipPlayer;
   /** State machine for animation state transitions (null until loaded). */
   stateMachine: StateMachine | null;
+  /** Layer state machines from the file, updated after `stateMachine`. */
+  layers: Array<{ name: string; stateMachine: StateMachine }>;
+  /** Random source given to every state machine (`options.random`), or null. */
+  random: RandomSource | null;
   /** Bone rigging system. */
   rigging: DragonBonesRigging;
   /** Loaded WFL file data (null until loaded). */
@@ -1592,6 +3346,8 @@ export declare class WFLAnimator {
   eyeSprites: HTMLImageElement[];
   /** Position offsets for sprite compositing. */
   spritePositions: SpritePositions;
+  /** Object URLs handed out for embedded assets, by name. */
+  assetUrls: Map<string, string>;
 
   // ── Audio synchronization ───────────────────────────────────────
   /** Audio synchronization system. */
@@ -1630,14 +3386,25 @@ export declare class WFLAnimator {
   init(): Promise<this>;
 
   /**
-   * Load a WFL animation file from a URL.
-   * Supports streaming progress and sprite/bone data.
+   * Load a WFL animation file (JSON, binary or container) from a URL.
+   * Supports streaming progress and sprite/bone data; sprite and texture atlas
+   * references are looked up in a container's embedded assets before URLs.
+   * Parameters, drivers and state machines are prepared all or nothing (see
+   * `prepareFile()`): an invalid file emits `error` and leaves the animator as it was.
    * @param url - URL of the `.wfl` file.
    * @param options - Loading options.
    * @returns The loaded WFLFile.
    */
   load(url: string, options?: WFLAnimatorLoadOptions): Promise<WFLFile>;
 
+  /**
+   * Merge a file's parameters, replace the drivers and build its state machines.
+   * If anything is invalid, the parameters and drivers are restored and the error rethrown.
+   * @throws ExpressionError or Error for invalid conditions, actions, parameters or drivers,
+   *   or a layer that uses one of {@link RESERVED_LAYER_NAMES}.
+   */
+  prepareFile(file: WFLFile, options?: WFLAnimatorLoadOptions): { stateMachine: StateMachine | null; layers: StateMachine[] };
+
   /**
    * Attach to a canvas element and start the animation loop.
    * @param canvas - Target canvas element.
@@ -1669,6 +3436,27 @@ export declare class WFLAnimator {
   /** Render sprite layers (base + mouth + eyes) to the canvas. */
   renderSprites(): void;
 
+  // ── Embedded assets ─────────────────────────────────────────────
+
+  /** Asset embedded in the loaded container, or null. */
+  getAsset(name: string): WFLContainerAsset | null;
+
+  /**
+   * Object URL for an embedded asset, otherwise the reference itself.
+   * Use it for audio too: `audioSync.loadAudio(animator.resolveAssetUrl('voice/roast.mp3'))`.
+   */
+  resolveAssetUrl(ref: string): string;
+
+  /**
+   * Resolve `bones.textureAtlas`: names are looked up in the container, then fetched
+   * as JSON; `imagePath` resolves the same way.
+   * @returns null when there is no atlas or it cannot be loaded (emits an error event).
+   */
+  resolveTextureAtlas(atlas: Record<string, any> | string | null | undefined): Promise<Record<string, any> | null>;
+
+  /** Revoke the object URLs handed out by {@link WFLAnimator.resolveAssetUrl}. */
+  releaseAssetUrls(): void;
+
   // ── Session management ──────────────────────────────────────────
 
   /**
@@ -1693,13 +3481,17 @@ export declare class WFLAnimator {
   saveSession(): Promise<Session>;
 
   /**
-   * Create a state snapshot of the current parameters and state machine.
+   * Create a state snapshot: parameters, state machines and layers, plus
+   * the runtime state (active states, clip times, bone poses, audio
+   * position and fired markers) needed to resume the exact frame.
    * @returns Snapshot object.
    */
   createSnapshot(): SessionSnapshot;
 
   /**
-   * Restore animator state from a snapshot.
+   * Restore animator state from a snapshot. Machines resume their saved
+   * states without enter events or actions; snapshots without `runtime`
+   * enter the entry states.
    * @param snapshot - Previously created snapshot.
    */
   restoreFromSnapshot(snapshot: SessionSnapshot): Promise<void>;
@@ -1739,10 +3531,54 @@ export declare class WFLAnimator {
   getParameter(name: string): any;
 
   /**
-   * Get the name of the current state machine state.
-   * @returns State name, or `null` if no state machine is loaded.
+   * Get the current state machine state; nested states are given as a path (`"roasting/windup"`).
+   * @param layer - Layer to query instead of the base state machine.
+   * @returns State path, or `null` if no state machine is loaded.
    */
-  getCurrentState(): string | null;
+  getCurrentState(layer?: string): string | null;
+
+  /**
+   * Validate the base and layer state machines against the loaded file,
+   * the registered parameters and the armature's clips.
+   * @returns Issues of every machine, with paths such as `layers[0].stateMachine...`.
+   */
+  validateStateMachines(): StateMachineValidation;
+
+  /**
+   * Setup animation layers from file data, replacing previous ones.
+   * @param layers - Layer definitions from the file.
+   * @param options - `resume`: layer name -> captured machine state to resume silently;
+   *   `stateMachines`: machines already built from the layers (see `prepareFile()`).
+   */
+  setupLayers(layers: LayerJSON[], options?: { resume?: Record<string, TraceSnapshot>; stateMachines?: StateMachine[] }): void;
+
+  /**
+   * (Re)create the `face.mouth` and `face.eyes` rig layers, which play the
+   * `mouthState`/`eyeState` clips, after every other layer and masked to the
+   * bones those clips key on the loaded armature.
+   */
+  setupFaceLayers(): void;
+
+  /** Play the face clip at `index` on its layer (out-of-range indices are ignored). */
+  playFaceAnimation(face: { layer: string; animations: string[] }, index: number): void;
+
+  /** Remove all animation layers and their rig layers. */
+  clearLayers(): void;
+
+  /** Change an animation layer's weight (0-1). */
+  setLayerWeight(name: string, weight: number): void;
+
+  /**
+   * Build a state's blend tree and register its blend clip on the rig.
+   * @throws Error for invalid trees or parameters that are missing or not numbers.
+   */
+  createBlendTree(stateName: string, data: BlendTreeJSON): BlendTree;
+
+  /** Perform a state's declared actions on this animator's systems (the machines' `runActions` hook). */
+  runStateActions(actions: StateAction[], state: string, moment?: StateActionMoment): void;
+
+  /** Push the weights of every active blend tree to the rig (called each frame). */
+  updateBlendTrees(): void;
 
   // ── WFL-specific controls ───────────────────────────────────────
 
@@ -1777,10 +3613,42 @@ export declare class WFLAnimator {
    */
   setTalking(talking: boolean): void;
 
+  /**
+   * Fire a trigger parameter (e.g. `'laugh'`). Unconsumed triggers reset at the end of the frame.
+   * @param name - Trigger name.
+   * @returns `false` if no parameter has this name.
+   */
+  fire(name: string): boolean;
+
+  // ── Parameter recording ─────────────────────────────────────────
+
+  /**
+   * Start recording parameter changes (e.g. while performing with sliders).
+   * @param names - Parameters to record (default: every non-derived parameter).
+   */
+  recordParameters(names?: string[]): ParameterRecorder;
+
+  /**
+   * Store a baked clip in the file's `animations` section (creating a file if
+   * none is loaded) and make it playable.
+   * @throws Error if the data is not a parameter clip.
+   */
+  saveParameterClip(name: string, clip: ParameterClip): void;
+
+  /**
+   * Play a parameter clip through the animation loop; emits `animation.complete` at the end.
+   * @returns `false` if no parameter clip has this name.
+   */
+  playParameterClip(name: string, options?: { loop?: boolean }): boolean;
+
+  /** Stop a parameter clip, or every clip when `name` is omitted. */
+  stopParameterClip(name?: string): void;
+
   // ── Permission-guarded operations ───────────────────────────────
 
   /**
-   * Reset all parameters to their defaults (requires permission).
+   * Reset the default parameters and the file's to their defaults in place,
+   * keeping listeners and derived links (requires permission).
    * @returns `true` if reset was performed, `false` if denied.
    */
   resetParameters(): Promise<boolean>;